@@ -6,27 +6,68 @@ import fs from 'fs';
 import sqlite3 from 'sqlite3';
 import { open } from 'sqlite';
 import MutasikuSDK from 'mutasiku-sdk';
+import QRCode from 'qrcode';
 
 import { logger } from './lib/logger.js';
 import { 
   handleDANAInitiation, 
   verifyDANAOtp, 
-  completeDANASetup 
+  completeDANASetup,
+  handleOVOInitiation,
+  verifyOVOOtp,
+  completeOVOSetup
 } from './lib/walletHandlers.js';
+import {
+  handleGoPayMerchantInitiation,
+  verifyGoPayMerchantOtp,
+  selectGoPayMerchantOutlet,
+  completeGoPayMerchantSetup
+} from './lib/gopayMerchantHandlers.js';
 import { 
   handleDANABankTransferInit, 
   completeDANABankTransfer, 
-  handleDANAQRISTransfer 
+  readQRISImage,
+  prepareDANAQRISTransfer,
+  formatQRISConfirmation,
+  handleDANAQRISTransfer,
+  executeDANABankTransfer,
+  formatBankTransferSuccess,
+  formatUnknownTransferOutcome,
+  getBankTransferDetails
 } from './lib/transferHandlers.js';
 import { 
   getMutasiForUser, 
   getAccountsForUser, 
-  removeAccountForUser 
+  removeAccountForUser,
+  getAllMutasiInRange,
+  getMutasiDateRange,
+  describeMutasiFilters,
+  MUTASI_PERIODS
 } from './lib/accountHandler.js';
+import {
+  EXPORT_FORMATS,
+  getExportSettings,
+  summarizeByAccount,
+  buildExportFile
+} from './lib/exportHandler.js';
+import {
+  decodeQrisPayload,
+  getQrisConvenienceFee,
+  buildDynamicQris,
+  renderQrisImage,
+  formatQrisPreview,
+  saveMerchantQris,
+  listMerchantQris,
+  deleteMerchantQris,
+  MAX_QRIS_FILE_BYTES
+} from './lib/qrisHandler.js';
 import {
   isValidPhoneNumber,
+  isValidEmail,
   formatPhoneNumber,
-  formatCurrency
+  formatCurrency,
+  formatJakartaDateTime,
+  escapeHtml
 } from './lib/utils.js';
 import { 
   updateSessionData, 
@@ -41,8 +82,160 @@ import {
   isUserAuthenticated, 
   authenticateUser, 
   isUserBlocked, 
-  logoutUser
+  logoutUser,
+  hashPassword,
+  verifyPassword,
+  validateNewPassword,
+  changeUserPassword,
+  generateTemporaryPassword,
+  requiresPasswordChange,
+  verifyUserTotp,
+  completeTotpLogin,
+  trackFailedAttempt
 } from './lib/authHandler.js';
+import {
+  ROLES,
+  hasRequiredRole,
+  isValidRole,
+  getUser,
+  listUsers,
+  seedOwners,
+  createInvite,
+  redeemInvite,
+  setUserRole,
+  revokeUser,
+  deleteUserSessions,
+  setUserTotp
+} from './lib/userHandler.js';
+import {
+  getNotificationSettings,
+  setNotificationsEnabled,
+  setAccountNotification,
+  startMutationWatcher
+} from './lib/notificationHandler.js';
+import {
+  createWebhookRequestListener,
+  startWebhookServer
+} from './lib/webhookServer.js';
+import {
+  initializeSessionCrypto,
+  encryptValue,
+  decryptValue,
+  isEncryptedValue,
+  isEncryptedWithActiveKey,
+  encryptSessionData,
+  decryptSessionData,
+  needsReencryption
+} from './lib/sessionCrypto.js';
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri
+} from './lib/totp.js';
+import {
+  LIMIT_SCOPES,
+  LIMIT_FIELDS,
+  checkTransferLimits,
+  getEffectiveLimits,
+  getTransferUsage,
+  setTransferLimit,
+  resetTransferLimits,
+  formatLimitSection
+} from './lib/limitsHandler.js';
+import {
+  TRANSFER_TYPES,
+  TRANSFER_STATUSES,
+  countTransfers,
+  queryTransfers,
+  resolvePendingTransfer,
+  formatTransferRecord
+} from './lib/transferLedger.js';
+import { saveQuery, getSavedQuery, SAVED_QUERY_TTL_MS } from './lib/queryStore.js';
+import {
+  getCommandArgs,
+  parseCommandOptions,
+  positiveIntArg,
+  amountArg,
+  dateArg,
+  oneOfArg,
+  textArg
+} from './lib/commandArgs.js';
+import {
+  getApprovalSettings,
+  requiresApproval,
+  getApprovers,
+  createApprovalRequest,
+  cancelApprovalRequest,
+  recordApprovalDecision,
+  markApprovalExecuted,
+  formatApprovalRequest,
+  startApprovalExpiryWatcher
+} from './lib/approvalHandler.js';
+import {
+  MAX_NICKNAME_LENGTH,
+  isValidNickname,
+  listBeneficiaries,
+  getBeneficiary,
+  findBeneficiary,
+  saveBeneficiary,
+  renameBeneficiary,
+  deleteBeneficiary,
+  markBeneficiaryUsed,
+  formatBeneficiaryLabel,
+  formatBeneficiaryDetails
+} from './lib/beneficiaryHandler.js';
+import {
+  parseScheduleSpec,
+  describeSchedule,
+  createScheduledTransfer,
+  getScheduledTransfer,
+  listScheduledTransfers,
+  updateScheduleStatus,
+  formatScheduledTransfer,
+  startTransferScheduler
+} from './lib/scheduleHandler.js';
+import {
+  REPORT_FREQUENCY_WORDS,
+  parseReportSchedule,
+  subscribeReport,
+  unsubscribeReport,
+  listReportSubscriptions,
+  describeReportSubscription,
+  buildReport,
+  formatReport,
+  startReportScheduler
+} from './lib/reportHandler.js';
+import {
+  ALERT_KIND_ALIASES,
+  MAX_ALERT_RULES_PER_CHAT,
+  getAlertSettings,
+  createAlertRule,
+  listAlertRules,
+  deleteAlertRule,
+  describeAlertRule,
+  startAlertWatcher
+} from './lib/alertHandler.js';
+import {
+  INVOICE_STATUSES,
+  INVOICE_STATUS_ALIASES,
+  MAX_CUSTOMER_LENGTH,
+  getInvoiceDueAt,
+  createInvoice,
+  listInvoices,
+  cancelInvoice,
+  describeInvoice,
+  startInvoiceWatcher
+} from './lib/invoiceHandler.js';
+import {
+  MAX_BULK_FILE_SIZE,
+  getBulkFileFormat,
+  readSpreadsheetRows,
+  parseBulkRows,
+  verifyBulkRows,
+  formatBulkSummary,
+  executeBulkPayout,
+  buildBulkResultFile
+} from './lib/bulkPayoutHandler.js';
 
 // Load environment variables
 dotenv.config();
@@ -52,6 +245,10 @@ const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN || '';
 const TELEGRAM_BOT_NAME = process.env.TELEGRAM_BOT_NAME || '';
 const MUTASIKU_API_KEY = process.env.MUTASIKU_API_KEY || '';
 const DB_PATH = process.env.DB_PATH;
+const TELEGRAM_WEBHOOK_DOMAIN = process.env.TELEGRAM_WEBHOOK_DOMAIN || '';
+const MUTASIKU_WEBHOOK_SECRET = process.env.MUTASIKU_WEBHOOK_SECRET || '';
+const HTTP_PORT = parseInt(process.env.HTTP_PORT) || 3001;
+const BOT_OWNER_IDS = (process.env.BOT_OWNER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
 
 // Validate required environment variables
 if (!TELEGRAM_BOT_TOKEN) {
@@ -64,6 +261,14 @@ if (!MUTASIKU_API_KEY) {
   process.exit(1);
 }
 
+// Validate session encryption key (and any previous keys kept for rotation)
+try {
+  initializeSessionCrypto();
+} catch (error) {
+  logger.error('telegram.init', error instanceof Error ? error.message : 'Invalid session encryption configuration');
+  process.exit(1);
+}
+
 // Supported wallet types
 const SUPPORTED_WALLETS = [
   { code: 'DANA', name: 'DANA', id: 'dana-id' },
@@ -71,6 +276,19 @@ const SUPPORTED_WALLETS = [
   { code: 'GOPAY-MERCHANT', name: 'GoPay Merchant', id: 'gopay-id' }
 ];
 
+// Minimum role needed to continue each multi-step process
+const SESSION_TYPE_ROLES = {
+  add_wallet: 'owner',
+  dana_transfer: 'operator',
+  beneficiary_edit: 'operator',
+  schedule_create: 'operator',
+  bulk_payout: 'operator',
+  merchant_qris_setup: 'owner'
+};
+
+// Session states that accept a QRIS as a photo, image file or pasted payload
+const QRIS_INPUT_STATES = ['awaiting_qris_photo', 'awaiting_merchant_qris'];
+
 // Ensure the data directory exists
 const dataDir = path.dirname(DB_PATH);
 if (!fs.existsSync(dataDir)) {
@@ -104,16 +322,64 @@ async function startBot() {
   // Set up a cleanup job to remove expired sessions
   setupSessionCleanup(db);
   
+  // Mutations arrive either through signed webhooks or by polling the API
+  if (!MUTASIKU_WEBHOOK_SECRET) {
+    startMutationWatcher(bot, sdk, db);
+  }
+  
+  // Pending maker-checker approvals expire in the background
+  startApprovalExpiryWatcher(bot, db);
+  
+  // Scheduled and recurring transfers run in the background
+  startTransferScheduler(bot, db, sdk);
+  
+  // Daily and weekly summary reports are sent in the background
+  startReportScheduler(bot, sdk, db);
+  
+  // Low balance and transaction alert rules are checked in the background
+  startAlertWatcher(bot, sdk, db);
+  
+  // Open invoices are matched with incoming mutations in the background
+  startInvoiceWatcher(bot, sdk, db);
+  
   // Configure bot commands
   setupBotCommands(bot, sdk, sessionManager);
   
   // Start the bot
-  bot.launch()
-    .then(() => logger.info('telegram.init', `Bot initialized successfully with process ID ${process.pid}`))
-    .catch(error => logger.error('telegram.init', 'Failed to initialize Telegram bot', { error: error instanceof Error ? error.message : 'Unknown error' }));
+  const webhookServer = launchBot(bot, db);
 
   // Enable graceful stop
-  setupGracefulShutdown(bot, db);
+  setupGracefulShutdown(bot, db, webhookServer);
+}
+
+/**
+ * Launch the bot with long polling or a Telegram webhook
+ * The Mutasiku webhook receiver shares the Telegram webhook server when both are enabled
+ */
+function launchBot(bot, db) {
+  const mutasikuListener = createWebhookRequestListener(bot, db);
+  let webhookServer = null;
+  let launchOptions = {};
+  
+  if (TELEGRAM_WEBHOOK_DOMAIN) {
+    launchOptions = {
+      webhook: {
+        domain: TELEGRAM_WEBHOOK_DOMAIN,
+        port: HTTP_PORT,
+        hookPath: process.env.TELEGRAM_WEBHOOK_PATH || `/telegram/${bot.secretPathComponent()}`,
+        secretToken: process.env.TELEGRAM_WEBHOOK_SECRET || undefined,
+        cb: mutasikuListener
+      }
+    };
+  } else if (MUTASIKU_WEBHOOK_SECRET) {
+    webhookServer = startWebhookServer(mutasikuListener);
+  }
+  
+  bot.launch(launchOptions)
+    .then(() => logger.info('telegram.init', `Bot initialized successfully with process ID ${process.pid} (${TELEGRAM_WEBHOOK_DOMAIN ? 'webhook' : 'polling'} mode)`))
+    .catch(error => logger.error('telegram.init', 'Failed to initialize Telegram bot', { error: error instanceof Error ? error.message : 'Unknown error' }));
+  
+  return webhookServer;
 }
 
 /**
@@ -146,10 +412,363 @@ async function setupDatabase() {
     CREATE INDEX IF NOT EXISTS idx_sessions_chatId_type ON sessions(chatId, type)
   `);
   
+  // Create the notification tables if they don't exist
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS notification_subscriptions (
+      chatId TEXT PRIMARY KEY,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      createdAt INTEGER NOT NULL,
+      updatedAt INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS notification_accounts (
+      chatId TEXT NOT NULL,
+      accountId TEXT NOT NULL,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      lastSeenId TEXT,
+      lastSeenAt INTEGER,
+      updatedAt INTEGER NOT NULL,
+      PRIMARY KEY (chatId, accountId)
+    );
+    CREATE INDEX IF NOT EXISTS idx_notification_accounts_accountId ON notification_accounts(accountId)
+  `);
+  
+  // Create the users and invites tables if they don't exist
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      userId TEXT PRIMARY KEY,
+      role TEXT NOT NULL,
+      name TEXT,
+      invitedBy TEXT,
+      createdAt INTEGER NOT NULL,
+      updatedAt INTEGER NOT NULL,
+      revokedAt INTEGER,
+      passwordHash TEXT,
+      mustChangePassword INTEGER NOT NULL DEFAULT 0,
+      passwordChangedAt INTEGER,
+      totpSecret TEXT,
+      totpEnabled INTEGER NOT NULL DEFAULT 0,
+      totpLastStep INTEGER
+    );
+    CREATE TABLE IF NOT EXISTS user_invites (
+      code TEXT PRIMARY KEY,
+      role TEXT NOT NULL,
+      createdBy TEXT NOT NULL,
+      expires INTEGER NOT NULL,
+      usedBy TEXT,
+      usedAt INTEGER
+    )
+  `);
+  
+  // Columns added after the users table was first released
+  await addColumnIfMissing(db, 'users', 'passwordHash', 'TEXT');
+  await addColumnIfMissing(db, 'users', 'mustChangePassword', 'INTEGER NOT NULL DEFAULT 0');
+  await addColumnIfMissing(db, 'users', 'passwordChangedAt', 'INTEGER');
+  await addColumnIfMissing(db, 'users', 'totpSecret', 'TEXT');
+  await addColumnIfMissing(db, 'users', 'totpEnabled', 'INTEGER NOT NULL DEFAULT 0');
+  await addColumnIfMissing(db, 'users', 'totpLastStep', 'INTEGER');
+  
+  // Owners from the environment can always manage the bot
+  await seedOwners(db, BOT_OWNER_IDS);
+  
+  // Create the webhook dedupe table if it doesn't exist
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_events (
+      transactionId TEXT PRIMARY KEY,
+      accountId TEXT NOT NULL,
+      receivedAt INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_webhook_events_receivedAt ON webhook_events(receivedAt);
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      transactionId TEXT NOT NULL,
+      chatId TEXT NOT NULL,
+      deliveredAt INTEGER NOT NULL,
+      PRIMARY KEY (transactionId, chatId)
+    );
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_deliveredAt ON webhook_deliveries(deliveredAt)
+  `);
+  
+  // Create the transfer limit tables if they don't exist
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS transfer_limits (
+      scope TEXT NOT NULL,
+      targetId TEXT NOT NULL,
+      maxPerTransaction INTEGER,
+      dailyAmount INTEGER,
+      monthlyAmount INTEGER,
+      dailyCount INTEGER,
+      updatedBy TEXT,
+      updatedAt INTEGER NOT NULL,
+      PRIMARY KEY (scope, targetId)
+    );
+  `);
+  
+  // Create the transfer ledger if it doesn't exist, it also feeds the limit usage
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS transfers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      userId TEXT,
+      chatId TEXT,
+      accountId TEXT NOT NULL,
+      type TEXT NOT NULL,
+      bankCode TEXT,
+      bankName TEXT,
+      destinationAccount TEXT,
+      destinationName TEXT,
+      amount INTEGER NOT NULL,
+      status TEXT NOT NULL,
+      reference TEXT,
+      errorMessage TEXT,
+      createdAt INTEGER NOT NULL,
+      updatedAt INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_transfers_createdAt ON transfers(createdAt);
+    CREATE INDEX IF NOT EXISTS idx_transfers_userId ON transfers(userId, createdAt);
+    CREATE INDEX IF NOT EXISTS idx_transfers_accountId ON transfers(accountId, createdAt)
+  `);
+  
+  // Create the transfer approval tables if they don't exist
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS transfer_approvals (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      makerId TEXT NOT NULL,
+      chatId TEXT NOT NULL,
+      accountId TEXT NOT NULL,
+      amount INTEGER NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL,
+      requiredApprovals INTEGER NOT NULL,
+      transferId INTEGER,
+      errorMessage TEXT,
+      createdAt INTEGER NOT NULL,
+      expiresAt INTEGER NOT NULL,
+      decidedAt INTEGER
+    );
+    CREATE TABLE IF NOT EXISTS transfer_approval_votes (
+      approvalId INTEGER NOT NULL,
+      userId TEXT NOT NULL,
+      decision TEXT NOT NULL,
+      createdAt INTEGER NOT NULL,
+      PRIMARY KEY (approvalId, userId)
+    );
+    CREATE INDEX IF NOT EXISTS idx_transfer_approvals_status ON transfer_approvals(status, expiresAt)
+  `);
+  
+  // Create the saved beneficiaries table if it doesn't exist
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS beneficiaries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      nickname TEXT NOT NULL,
+      instId TEXT NOT NULL,
+      bankName TEXT,
+      bankData TEXT NOT NULL,
+      accountNumber TEXT NOT NULL,
+      accountName TEXT,
+      createdBy TEXT,
+      createdAt INTEGER NOT NULL,
+      updatedAt INTEGER NOT NULL,
+      lastUsedAt INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS idx_beneficiaries_instId ON beneficiaries(instId)
+  `);
+  
+  // Create the scheduled transfers table if it doesn't exist
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS scheduled_transfers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      beneficiaryId INTEGER NOT NULL,
+      accountId TEXT NOT NULL,
+      amount INTEGER NOT NULL,
+      frequency TEXT NOT NULL,
+      timeOfDay TEXT NOT NULL,
+      dayOfWeek INTEGER,
+      dayOfMonth INTEGER,
+      nextRunAt INTEGER,
+      status TEXT NOT NULL,
+      failureCount INTEGER NOT NULL DEFAULT 0,
+      lastRunAt INTEGER,
+      lastStatus TEXT,
+      lastError TEXT,
+      lastTransferId INTEGER,
+      createdBy TEXT NOT NULL,
+      chatId TEXT NOT NULL,
+      createdAt INTEGER NOT NULL,
+      updatedAt INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_scheduled_transfers_due ON scheduled_transfers(status, nextRunAt)
+  `);
+  
+  // Create the summary report subscriptions table if it doesn't exist
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS report_subscriptions (
+      chatId TEXT NOT NULL,
+      frequency TEXT NOT NULL,
+      timeOfDay TEXT NOT NULL,
+      dayOfWeek INTEGER,
+      nextRunAt INTEGER NOT NULL,
+      createdBy TEXT NOT NULL,
+      createdAt INTEGER NOT NULL,
+      updatedAt INTEGER NOT NULL,
+      PRIMARY KEY (chatId, frequency)
+    );
+    CREATE INDEX IF NOT EXISTS idx_report_subscriptions_nextRunAt ON report_subscriptions(nextRunAt)
+  `);
+  
+  // Create the alert rules table and its sent alerts history if they don't exist
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS alert_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      chatId TEXT NOT NULL,
+      createdBy TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      accountId TEXT,
+      threshold INTEGER,
+      keyword TEXT,
+      txType TEXT,
+      cooldownMinutes INTEGER NOT NULL,
+      lastCheckedAt INTEGER,
+      lastTriggeredAt INTEGER,
+      createdAt INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_alert_rules_chatId ON alert_rules(chatId);
+    CREATE TABLE IF NOT EXISTS alert_events (
+      ruleId INTEGER NOT NULL,
+      eventKey TEXT NOT NULL,
+      createdAt INTEGER NOT NULL,
+      PRIMARY KEY (ruleId, eventKey)
+    )
+  `);
+  
+  // Create the invoice table if it doesn't exist, a mutation can pay only one invoice
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS invoices (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      chatId TEXT NOT NULL,
+      createdBy TEXT NOT NULL,
+      customer TEXT NOT NULL,
+      accountId TEXT,
+      baseAmount INTEGER NOT NULL,
+      uniqueCode INTEGER NOT NULL DEFAULT 0,
+      amount INTEGER NOT NULL,
+      dueAt INTEGER NOT NULL,
+      status TEXT NOT NULL,
+      transactionId TEXT,
+      paidAccountId TEXT,
+      paidAt INTEGER,
+      createdAt INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_invoices_status ON invoices(status);
+    CREATE INDEX IF NOT EXISTS idx_invoices_chatId ON invoices(chatId);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_transactionId ON invoices(transactionId)
+  `);
+  
+  // Create the merchant QRIS table for /tagih if it doesn't exist
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS merchant_qris (
+      accountId TEXT PRIMARY KEY,
+      payload TEXT NOT NULL,
+      merchantName TEXT NOT NULL,
+      nmid TEXT NOT NULL,
+      updatedBy TEXT NOT NULL,
+      updatedAt INTEGER NOT NULL
+    )
+  `);
+  
+  // Create the saved query table for paginated lists if it doesn't exist
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS saved_queries (
+      id TEXT PRIMARY KEY,
+      chatId TEXT NOT NULL,
+      command TEXT NOT NULL,
+      options TEXT NOT NULL,
+      createdAt INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_saved_queries_createdAt ON saved_queries(createdAt)
+  `);
+  
+  // Encrypt legacy plain-text rows and move rows written under an old key to the active key
+  await reencryptSessions(db);
+  await reencryptColumn(db, 'users', 'userId', 'totpSecret');
+  await reencryptColumn(db, 'transfers', 'id', 'destinationAccount');
+  await reencryptColumn(db, 'beneficiaries', 'id', 'accountNumber');
+  
   logger.info('database.init', 'Database initialized successfully');
   return db;
 }
 
+/**
+ * Add a column to an existing table if it is not there yet
+ */
+async function addColumnIfMissing(db, table, column, definition) {
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+  
+  if (!columns.some(col => col.name === column)) {
+    await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    logger.info('database.migrate', `Added column ${table}.${column}`);
+  }
+}
+
+/**
+ * Re-encrypt stored session data with the active encryption key
+ */
+async function reencryptSessions(db) {
+  const rows = await db.all('SELECT id, data FROM sessions');
+  let updated = 0;
+  
+  for (const row of rows) {
+    try {
+      const data = JSON.parse(row.data);
+      if (!needsReencryption(data)) continue;
+      
+      await db.run(
+        'UPDATE sessions SET data = ? WHERE id = ?',
+        JSON.stringify(encryptSessionData(decryptSessionData(data))),
+        row.id
+      );
+      updated++;
+    } catch (error) {
+      logger.error('database.encryption', 'Failed to re-encrypt session', {
+        sessionId: row.id,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  }
+  
+  if (updated > 0) {
+    logger.info('database.encryption', `Re-encrypted ${updated} sessions with the active key`);
+  }
+}
+
+/**
+ * Move encrypted values in a table column to the active key
+ * The column name is the associated data, as with session fields
+ */
+async function reencryptColumn(db, table, keyColumn, column) {
+  const rows = await db.all(`SELECT ${keyColumn} AS rowKey, ${column} AS value FROM ${table} WHERE ${column} IS NOT NULL`);
+  let updated = 0;
+  
+  for (const row of rows) {
+    if (!isEncryptedValue(row.value) || isEncryptedWithActiveKey(row.value)) continue;
+    
+    try {
+      await db.run(
+        `UPDATE ${table} SET ${column} = ? WHERE ${keyColumn} = ?`,
+        encryptValue(decryptValue(row.value, column), column),
+        row.rowKey
+      );
+      updated++;
+    } catch (error) {
+      logger.error('database.encryption', `Failed to re-encrypt ${table}.${column}`, {
+        rowKey: row.rowKey,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  }
+  
+  if (updated > 0) {
+    logger.info('database.encryption', `Re-encrypted ${updated} ${table}.${column} values with the active key`);
+  }
+}
+
 /**
  * Initialize session management functions
  */
@@ -183,7 +802,7 @@ function initializeSessionManager(db) {
       chatId,
       type,
       '',
-      JSON.stringify(data),
+      JSON.stringify(encryptSessionData(data)),
       expires,
       now
     );
@@ -225,7 +844,7 @@ function initializeSessionManager(db) {
       chatId: row.chatId,
       type: row.type,
       state: row.state,
-      data: JSON.parse(row.data),
+      data: decryptSessionData(JSON.parse(row.data)),
       expires: new Date(row.expires),
       createdAt: new Date(row.createdAt)
     };
@@ -257,7 +876,7 @@ function initializeSessionManager(db) {
       chatId: row.chatId,
       type: row.type,
       state: row.state,
-      data: JSON.parse(row.data),
+      data: decryptSessionData(JSON.parse(row.data)),
       expires: new Date(row.expires),
       createdAt: new Date(row.createdAt)
     };
@@ -286,7 +905,7 @@ function initializeSessionManager(db) {
       chatId: row.chatId,
       type: row.type,
       state: row.state,
-      data: JSON.parse(row.data),
+      data: decryptSessionData(JSON.parse(row.data)),
       expires: new Date(row.expires),
       createdAt: new Date(row.createdAt)
     }));
@@ -304,7 +923,7 @@ function initializeSessionManager(db) {
       chatId: row.chatId,
       type: row.type,
       state: row.state,
-      data: JSON.parse(row.data),
+      data: decryptSessionData(JSON.parse(row.data)),
       expires: new Date(row.expires),
       createdAt: new Date(row.createdAt)
     };
@@ -321,7 +940,7 @@ function initializeSessionManager(db) {
     await db.run(
       'UPDATE sessions SET state = ?, data = ?, expires = ? WHERE id = ?',
       updatedSession.state,
-      JSON.stringify(updatedSession.data),
+      JSON.stringify(encryptSessionData(updatedSession.data)),
       updatedSession.expires.getTime(),
       sessionId
     );
@@ -454,12 +1073,99 @@ function setupSessionCleanup(db) {
       if (result.changes > 0) {
         logger.info('database.cleanup', `Cleaned up ${result.changes} expired sessions`);
       }
+      
+      // Webhook retries arrive within minutes, a week of dedupe history is plenty
+      await db.run('DELETE FROM webhook_events WHERE receivedAt < ?', now - (7 * 24 * 60 * 60 * 1000));
+      await db.run('DELETE FROM webhook_deliveries WHERE deliveredAt < ?', now - (7 * 24 * 60 * 60 * 1000));
+      
+      await db.run('DELETE FROM saved_queries WHERE createdAt < ?', now - SAVED_QUERY_TTL_MS);
+      
+      // Alert rules only look at transactions after their last check, older dedupe keys are never needed
+      await db.run(
+        "DELETE FROM alert_events WHERE eventKey LIKE 'tx:%' AND createdAt < ?",
+        now - (7 * 24 * 60 * 60 * 1000)
+      );
     } catch (error) {
       logger.error('database.cleanup', 'Error cleaning up expired sessions', { error });
     }
   }, 60000); // Run every minute
 }
 
+/**
+ * Check that the chat is logged in and the Telegram user has at least the required role
+ * Replies with the reason and returns null when access is denied
+ */
+async function ensureAccess(ctx, sessionManager, requiredRole = 'viewer') {
+  const chatId = ctx.chat?.id.toString() || ctx.callbackQuery?.message?.chat.id.toString();
+  const isCallback = Boolean(ctx.callbackQuery);
+  
+  const deny = async (message, shortMessage) => {
+    if (isCallback) {
+      await ctx.answerCbQuery(shortMessage, { show_alert: true });
+    } else {
+      await ctx.reply(message, { parse_mode: 'HTML' });
+    }
+    return null;
+  };
+  
+  const isAuthenticated = await isUserAuthenticated(chatId, ctx.from?.id.toString(), sessionManager);
+  if (!isAuthenticated) {
+    return deny(
+      '🔐 <b>Akses Terbatas</b>\n\n' +
+      'Anda harus login terlebih dahulu untuk menggunakan bot ini.\n\n' +
+      'Gunakan perintah /login untuk masuk.',
+      'Anda harus login terlebih dahulu'
+    );
+  }
+  
+  const user = await getUser(sessionManager.db, ctx.from?.id.toString());
+  if (!user) {
+    return deny(
+      '🚫 Akun Telegram Anda tidak terdaftar atau aksesnya telah dicabut.',
+      'Akun Anda tidak terdaftar'
+    );
+  }
+  
+  if (requiresPasswordChange(user)) {
+    return deny(
+      '🔑 Anda harus membuat password pribadi terlebih dahulu.\n\nGunakan /passwd untuk mengatur password.',
+      'Atur password dengan /passwd terlebih dahulu'
+    );
+  }
+  
+  if (!hasRequiredRole(user.role, requiredRole)) {
+    logger.info('auth.role', 'Access denied', { userId: user.userId, role: user.role, requiredRole });
+    return deny(
+      `⛔ Perintah ini memerlukan peran <b>${requiredRole}</b>. Peran Anda: <b>${user.role}</b>.`,
+      `Memerlukan peran ${requiredRole}`
+    );
+  }
+  
+  return user;
+}
+
+/**
+ * Format the list of users for display
+ */
+function formatUserList(users) {
+  if (users.length === 0) {
+    return 'Belum ada pengguna terdaftar.';
+  }
+  
+  const roleEmoji = { owner: '👑', operator: '💸', viewer: '👀' };
+  let message = `<b>👥 Pengguna (${users.length})</b>\n\n`;
+  
+  users.forEach((user) => {
+    message += `${roleEmoji[user.role] || '•'} <b>${escapeHtml(user.name || 'Tanpa nama')}</b> - ${user.role}\n`;
+    message += `   ID: <code>${user.userId}</code>\n`;
+  });
+  
+  message += '\nUbah peran: <code>/role [ID] [viewer|operator|owner]</code>\n';
+  message += 'Cabut akses: <code>/revoke [ID]</code>';
+  
+  return message;
+}
+
 /**
  * Configure all bot commands
  */
@@ -471,7 +1177,7 @@ function setupBotCommands(bot, sdk, sessionManager) {
     });
     
     const chatId = ctx.chat?.id.toString();
-    const isAuthenticated = await isUserAuthenticated(chatId, sessionManager);
+    const isAuthenticated = await isUserAuthenticated(chatId, ctx.from?.id.toString(), sessionManager);
     
     if (isAuthenticated) {
       await ctx.reply(`Selamat datang kembali di ${TELEGRAM_BOT_NAME}! 🤖\n\nAnda sudah login. Gunakan /help untuk melihat perintah yang tersedia.`);
@@ -492,17 +1198,23 @@ function setupBotCommands(bot, sdk, sessionManager) {
     if (!chatId) return;
 
     // Check if already authenticated
-    const isAuthenticated = await isUserAuthenticated(chatId, sessionManager);
+    const isAuthenticated = await isUserAuthenticated(chatId, ctx.from?.id.toString(), sessionManager);
     if (isAuthenticated) {
       return await ctx.reply('✅ Anda sudah login!\n\nGunakan /logout untuk keluar atau /help untuk melihat perintah yang tersedia.');
     }
 
     // Check if user is blocked
-    const blockStatus = await isUserBlocked(chatId, sessionManager);
+    const blockStatus = await isUserBlocked(chatId, ctx.from?.id.toString(), sessionManager);
     if (blockStatus.blocked) {
       return await ctx.reply(`🚫 ${blockStatus.message}`);
     }
 
+    // Only registered users can log in
+    const user = await getUser(sessionManager.db, ctx.from?.id.toString());
+    if (!user) {
+      return await ctx.reply('🚫 Akun Telegram Anda belum terdaftar.\n\nMinta kode undangan kepada owner bot, lalu gunakan /join [kode].');
+    }
+
     // Clear any existing non-auth sessions
     await cleanupProcessSessions(chatId, sessionManager, ['authenticated', 'auth_attempts']);
 
@@ -524,7 +1236,7 @@ function setupBotCommands(bot, sdk, sessionManager) {
     const chatId = ctx.chat?.id.toString();
     if (!chatId) return;
 
-    const success = await logoutUser(chatId, sessionManager);
+    const success = await logoutUser(chatId, ctx.from?.id.toString(), sessionManager);
     
     if (success) {
       await ctx.reply('✅ Anda telah logout.\n\nGunakan /login untuk masuk kembali.');
@@ -533,107 +1245,374 @@ function setupBotCommands(bot, sdk, sessionManager) {
     }
   });
 
-  // Protected commands with individual auth checks
-  bot.command('help', async (ctx) => {
+  // Join command, registers the Telegram user with an invite code
+  bot.command('join', async (ctx) => {
     const chatId = ctx.chat?.id.toString();
     if (!chatId) return;
-
-    const isAuthenticated = await isUserAuthenticated(chatId, sessionManager);
-    if (!isAuthenticated) {
-      return await ctx.reply(
-        '🔐 <b>Akses Terbatas</b>\n\n' +
-        'Anda harus login terlebih dahulu untuk menggunakan bot ini.\n\n' +
-        'Gunakan perintah /login untuk masuk.',
-        { parse_mode: 'HTML' }
-      );
+    
+    const code = ctx.message?.text.split(' ')[1];
+    if (!code) {
+      return await ctx.reply('Penggunaan: /join [kode undangan]');
+    }
+    
+    try {
+      const result = await redeemInvite(sessionManager.db, code.trim(), ctx.from);
+      
+      if (result.success) {
+        await ctx.reply(`✅ Anda terdaftar sebagai <b>${result.role}</b>.`, { parse_mode: 'HTML' });
+        await startPasswordChange(ctx, sessionManager, { requireOldPassword: false, loginAfter: true });
+      } else {
+        await ctx.reply(`❌ ${result.message}`);
+      }
+    } catch (error) {
+      logger.error('telegram.join', 'Error redeeming invite', { error });
+      await ctx.reply('Gagal memproses kode undangan. Silakan coba lagi nanti.');
     }
-
-    ctx.reply(`Bantuan ${TELEGRAM_BOT_NAME}:
-
-🔐 <b>Autentikasi:</b>
-/login - Login ke bot
-/logout - Logout dari bot
-
-📱 <b>Manajemen Akun:</b>
-/add - Tambahkan akun e-wallet baru
-/remove - Hapus akun e-wallet yang ada
-/accounts - Lihat semua akun Anda
-
-💸 <b>Transfer:</b>
-/transfer - Transfer dana dari akun DANA Anda
-
-📊 <b>Transaksi:</b>
-/mutasi - Lihat transaksi terbaru Anda
-  Filter dasar:
-  • /mutasi limit 10 - Tampilkan 10 transaksi
-  • /mutasi days 30 - Tampilkan transaksi dari 30 hari terakhir
-  • /mutasi page 2 - Beralih ke halaman hasil berikutnya
-  
-  Filter lanjutan:
-  • /mutasi type credit - Hanya tampilkan uang masuk
-  • /mutasi type debit - Hanya tampilkan uang keluar
-  • /mutasi provider dana - Filter berdasarkan kode penyedia
-  • /mutasi account [ID] - Tampilkan transaksi untuk akun tertentu
-  • /mutasi min 1000000 - Filter jumlah minimum
-  • /mutasi max 5000000 - Filter jumlah maksimum
-  • /mutasi search "transfer" - Cari teks tertentu
-
-Anda dapat menggabungkan filter: /mutasi days 30 type credit min 500000
-
-/help - Tampilkan pesan bantuan ini`, { parse_mode: 'HTML' });
   });
 
-  // Mutasi command with auth check
-  bot.command('mutasi', async (ctx) => {
+  // Passwd command, changes the user's own password
+  bot.command('passwd', async (ctx) => {
     const chatId = ctx.chat?.id.toString();
     if (!chatId) return;
     
-    const isAuthenticated = await isUserAuthenticated(chatId, sessionManager);
+    const isAuthenticated = await isUserAuthenticated(chatId, ctx.from?.id.toString(), sessionManager);
+    const user = await getUser(sessionManager.db, ctx.from?.id.toString());
+    if (!user) {
+      return await ctx.reply('🚫 Akun Telegram Anda belum terdaftar.\n\nMinta kode undangan kepada owner bot, lalu gunakan /join [kode].');
+    }
+    
+    // First-time setup goes through /login with BOT_PASSWORD, which forces a change
     if (!isAuthenticated) {
-      return await ctx.reply(
-        '🔐 <b>Akses Terbatas</b>\n\n' +
-        'Anda harus login terlebih dahulu untuk menggunakan bot ini.\n\n' +
-        'Gunakan perintah /login untuk masuk.',
-        { parse_mode: 'HTML' }
-      );
+      return await ctx.reply('🔐 Anda harus login terlebih dahulu. Gunakan /login untuk masuk.');
+    }
+    
+    const blockStatus = await isUserBlocked(chatId, user.userId, sessionManager);
+    if (blockStatus.blocked) {
+      return await ctx.reply(`🚫 ${blockStatus.message}`);
     }
     
-    await handleMutasiCommand(ctx, sdk);
+    // A forced change right after login does not ask for the old password again
+    await startPasswordChange(ctx, sessionManager, {
+      requireOldPassword: !requiresPasswordChange(user)
+    });
   });
-  
-  // Accounts command with auth check
-  bot.command('accounts', async (ctx) => {
+
+  // 2FA command, TOTP enrolment for the user's own account
+  bot.command('2fa', async (ctx) => {
     const chatId = ctx.chat?.id.toString();
     if (!chatId) return;
     
-    const isAuthenticated = await isUserAuthenticated(chatId, sessionManager);
-    if (!isAuthenticated) {
-      return await ctx.reply(
-        '🔐 <b>Akses Terbatas</b>\n\n' +
-        'Anda harus login terlebih dahulu untuk menggunakan bot ini.\n\n' +
-        'Gunakan perintah /login untuk masuk.',
-        { parse_mode: 'HTML' }
-      );
-    }
+    const user = await ensureAccess(ctx, sessionManager, 'viewer');
+    if (!user) return;
     
-    await handleAccountsCommand(ctx, sdk);
+    await handleTwoFactorCommand(ctx, user, sessionManager);
   });
-  
-  // Remove command with auth check
-  bot.command('remove', async (ctx) => {
+
+  // Resetpass command, owners only
+  bot.command('resetpass', async (ctx) => {
     const chatId = ctx.chat?.id.toString();
     if (!chatId) return;
     
-    const isAuthenticated = await isUserAuthenticated(chatId, sessionManager);
-    if (!isAuthenticated) {
-      return await ctx.reply(
-        '🔐 <b>Akses Terbatas</b>\n\n' +
-        'Anda harus login terlebih dahulu untuk menggunakan bot ini.\n\n' +
-        'Gunakan perintah /login untuk masuk.',
+    const user = await ensureAccess(ctx, sessionManager, 'owner');
+    if (!user) return;
+    
+    const targetId = ctx.message?.text.split(' ')[1];
+    if (!targetId) {
+      return await ctx.reply('Penggunaan: /resetpass [ID pengguna]');
+    }
+    
+    try {
+      const target = await getUser(sessionManager.db, targetId);
+      if (!target) {
+        return await ctx.reply('❌ Pengguna tidak ditemukan');
+      }
+      
+      const temporaryPassword = generateTemporaryPassword();
+      await changeUserPassword(sessionManager.db, targetId, temporaryPassword, true);
+      
+      // End the user's current logins in every chat
+      await deleteUserSessions(sessionManager.db, targetId, 'authenticated');
+      
+      logger.info('telegram.resetpass', 'Password reset by owner', { targetId, ownerId: user.userId });
+      
+      await ctx.reply(
+        `✅ Password <b>${escapeHtml(target.name || targetId)}</b> telah direset.\n\n` +
+        `Password sementara: <code>${temporaryPassword}</code>\n\n` +
+        'Berikan password ini secara pribadi. Pengguna wajib menggantinya saat login berikutnya.',
+        { parse_mode: 'HTML' }
+      );
+    } catch (error) {
+      logger.error('telegram.resetpass', 'Error resetting password', { error });
+      await ctx.reply('Gagal mereset password. Silakan coba lagi nanti.');
+    }
+  });
+
+  // Invite command, owners only
+  bot.command('invite', async (ctx) => {
+    const chatId = ctx.chat?.id.toString();
+    if (!chatId) return;
+    
+    const user = await ensureAccess(ctx, sessionManager, 'owner');
+    if (!user) return;
+    
+    const role = (ctx.message?.text.split(' ')[1] || '').toLowerCase();
+    if (!isValidRole(role)) {
+      return await ctx.reply(`Penggunaan: /invite [${ROLES.join('|')}]`);
+    }
+    
+    try {
+      const invite = await createInvite(sessionManager.db, role, user.userId);
+      await ctx.reply(
+        `✅ Kode undangan untuk peran <b>${role}</b>:\n\n<code>/join ${invite.code}</code>\n\n` +
+        `Kirimkan perintah di atas kepada pengguna baru. Kode hanya dapat digunakan sekali dan berlaku hingga ${invite.expires.toLocaleString('id-ID')}.`,
         { parse_mode: 'HTML' }
       );
+    } catch (error) {
+      logger.error('telegram.invite', 'Error creating invite', { error });
+      await ctx.reply('Gagal membuat kode undangan. Silakan coba lagi nanti.');
+    }
+  });
+
+  // Users command, owners only
+  bot.command('users', async (ctx) => {
+    const chatId = ctx.chat?.id.toString();
+    if (!chatId) return;
+    
+    const user = await ensureAccess(ctx, sessionManager, 'owner');
+    if (!user) return;
+    
+    try {
+      const users = await listUsers(sessionManager.db);
+      await ctx.reply(formatUserList(users), { parse_mode: 'HTML' });
+    } catch (error) {
+      logger.error('telegram.users', 'Error listing users', { error });
+      await ctx.reply('Gagal mengambil daftar pengguna. Silakan coba lagi nanti.');
+    }
+  });
+
+  // Role command, owners only
+  bot.command('role', async (ctx) => {
+    const chatId = ctx.chat?.id.toString();
+    if (!chatId) return;
+    
+    const user = await ensureAccess(ctx, sessionManager, 'owner');
+    if (!user) return;
+    
+    const [targetId, role] = ctx.message?.text.split(' ').slice(1) || [];
+    if (!targetId || !isValidRole((role || '').toLowerCase())) {
+      return await ctx.reply(`Penggunaan: /role [ID pengguna] [${ROLES.join('|')}]`);
+    }
+    
+    try {
+      const result = await setUserRole(sessionManager.db, targetId, role.toLowerCase(), user.userId);
+      await ctx.reply(`${result.success ? '✅' : '❌'} ${result.message}`);
+    } catch (error) {
+      logger.error('telegram.role', 'Error changing role', { error });
+      await ctx.reply('Gagal mengubah peran. Silakan coba lagi nanti.');
+    }
+  });
+
+  // Revoke command, owners only
+  bot.command('revoke', async (ctx) => {
+    const chatId = ctx.chat?.id.toString();
+    if (!chatId) return;
+    
+    const user = await ensureAccess(ctx, sessionManager, 'owner');
+    if (!user) return;
+    
+    const targetId = ctx.message?.text.split(' ')[1];
+    if (!targetId) {
+      return await ctx.reply('Penggunaan: /revoke [ID pengguna]');
     }
     
+    try {
+      const result = await revokeUser(sessionManager.db, targetId, user.userId);
+      await ctx.reply(`${result.success ? '✅' : '❌'} ${result.message}`);
+    } catch (error) {
+      logger.error('telegram.revoke', 'Error revoking user', { error });
+      await ctx.reply('Gagal mencabut akses. Silakan coba lagi nanti.');
+    }
+  });
+
+  // Protected commands with individual auth checks
+  bot.command('help', async (ctx) => {
+    const chatId = ctx.chat?.id.toString();
+    if (!chatId) return;
+
+    const user = await ensureAccess(ctx, sessionManager, 'viewer');
+    if (!user) return;
+
+    ctx.reply(`Bantuan ${TELEGRAM_BOT_NAME}:
+
+🔐 <b>Autentikasi:</b>
+/join [kode] - Daftar dengan kode undangan
+/login - Login ke bot
+/logout - Logout dari bot
+/passwd - Ganti password Anda
+/2fa - Status autentikasi dua faktor (2FA)
+/2fa setup - Aktifkan 2FA dengan aplikasi authenticator
+/2fa disable - Nonaktifkan 2FA
+/limits - Lihat batas dan sisa kuota transfer
+/history - Riwayat transfer yang dikirim lewat bot
+/history status failed days 7 - Riwayat dengan filter
+/beneficiaries - Kelola penerima tersimpan
+/schedule - Buat transfer terjadwal atau berulang
+/schedules - Kelola transfer terjadwal
+/bulk - Transfer massal dari file CSV/XLSX
+
+👥 <b>Pengguna (owner):</b>
+/invite [viewer|operator|owner] - Buat kode undangan
+/users - Lihat daftar pengguna
+/role [ID] [peran] - Ubah peran pengguna
+/revoke [ID] - Cabut akses pengguna
+/resetpass [ID] - Reset password pengguna
+
+📱 <b>Manajemen Akun:</b>
+/add - Tambahkan akun e-wallet baru
+/remove - Hapus akun e-wallet yang ada
+/accounts - Lihat semua akun Anda
+
+💸 <b>Transfer:</b>
+/transfer - Transfer dana dari akun DANA Anda
+
+🔔 <b>Notifikasi:</b>
+/notify - Lihat status notifikasi dan pilih akun
+/notify on - Aktifkan notifikasi transaksi baru
+/notify off - Matikan notifikasi
+
+🚨 <b>Peringatan:</b>
+/alerts - Lihat aturan peringatan chat ini
+/alerts add saldo 500rb account [ID] - Saldo akun di bawah jumlah tertentu
+/alerts add jumlah 5jt [type credit|debit] - Satu transaksi di atas jumlah tertentu
+/alerts add kata "gagal" - Deskripsi transaksi berisi kata kunci
+/alerts delete [ID] - Hapus aturan
+  Tambahkan cooldown [menit] untuk mengatur jeda antar peringatan
+
+🧾 <b>Invoice:</b>
+/invoice create [jumlah] [pelanggan] [due YYYY-MM-DD] [account ID] [unik] - Buat tagihan yang ditandai lunas otomatis
+/invoice list [open|paid|expired] - Lihat tagihan
+/invoice batal [ID] - Batalkan tagihan terbuka
+
+🧾 <b>Tagihan QRIS:</b>
+/tagih [jumlah] [catatan] - Buat QRIS dinamis dengan jumlah terisi untuk pelanggan
+/tagih - Lihat QRIS merchant tersimpan
+/tagih set [ID akun] - Simpan QRIS statis merchant (owner)
+
+📈 <b>Laporan:</b>
+/report [periode] [account ID] - Ringkasan masuk, keluar dan saldo per akun (default hari ini)
+/report harian 20:00 - Kirim laporan harian ke chat ini
+/report mingguan senin 20:00 - Kirim laporan mingguan ke chat ini
+/report status - Lihat jadwal laporan
+/report off [harian|mingguan] - Hentikan laporan terjadwal
+
+📊 <b>Transaksi:</b>
+/mutasi - Lihat transaksi terbaru Anda
+  Filter dasar:
+  • /mutasi limit 10 - Tampilkan 10 transaksi
+  • /mutasi days 30 - Tampilkan transaksi dari 30 hari terakhir
+  • /mutasi today, yesterday, thismonth, lastmonth - Hari ini, kemarin, bulan ini, bulan lalu
+  • /mutasi from 2026-01-01 to 2026-01-31 - Rentang tanggal tertentu (WIB)
+  • /mutasi page 2 - Beralih ke halaman hasil berikutnya
+  
+  Filter lanjutan:
+  • /mutasi type credit - Hanya tampilkan uang masuk
+  • /mutasi type debit - Hanya tampilkan uang keluar
+  • /mutasi provider dana - Filter berdasarkan kode penyedia
+  • /mutasi account [ID] - Tampilkan transaksi untuk akun tertentu
+  • /mutasi min 1000000 - Filter jumlah minimum (juga 500rb, 1.5jt, 1,000,000)
+  • /mutasi max 5000000 - Filter jumlah maksimum
+  • /mutasi search "transfer masuk" - Cari teks tertentu, pakai tanda kutip untuk beberapa kata
+
+Anda dapat menggabungkan filter: /mutasi days 30 type credit min 500rb
+Bentuk key=value dan key:value juga diterima, misalnya /mutasi type=credit search:"gaji"
+
+📄 <b>Export:</b>
+/export [csv|xlsx|pdf] [filter] - Unduh mutasi sebagai file, dengan filter yang sama seperti /mutasi
+  • /export pdf days 30 account [ID] - Laporan PDF dengan saldo awal dan akhir
+
+/help - Tampilkan pesan bantuan ini`, { parse_mode: 'HTML' });
+  });
+
+  // Mutasi command with auth check
+  bot.command('mutasi', async (ctx) => {
+    const chatId = ctx.chat?.id.toString();
+    if (!chatId) return;
+    
+    const user = await ensureAccess(ctx, sessionManager, 'viewer');
+    if (!user) return;
+    
+    await handleMutasiCommand(ctx, sdk, sessionManager);
+  });
+  
+  // Export command with auth check
+  bot.command('export', async (ctx) => {
+    const chatId = ctx.chat?.id.toString();
+    if (!chatId) return;
+    
+    const user = await ensureAccess(ctx, sessionManager, 'viewer');
+    if (!user) return;
+    
+    // Paging through a long range can outlast Telegraf's handler timeout, so it runs in the background
+    handleExportCommand(ctx, sdk).catch(error => {
+      logger.error('telegram.export', 'Error processing export command', { error });
+    });
+  });
+  
+  // Alerts command with auth check
+  bot.command('alerts', async (ctx) => {
+    const chatId = ctx.chat?.id.toString();
+    if (!chatId) return;
+    
+    const user = await ensureAccess(ctx, sessionManager, 'viewer');
+    if (!user) return;
+    
+    await handleAlertsCommand(ctx, sdk, sessionManager);
+  });
+  
+  // Invoice command with auth check
+  bot.command('invoice', async (ctx) => {
+    const chatId = ctx.chat?.id.toString();
+    if (!chatId) return;
+    
+    const user = await ensureAccess(ctx, sessionManager, 'viewer');
+    if (!user) return;
+    
+    await handleInvoiceCommand(ctx, sdk, sessionManager);
+  });
+  
+  // Report command with auth check
+  bot.command('report', async (ctx) => {
+    const chatId = ctx.chat?.id.toString();
+    if (!chatId) return;
+    
+    const user = await ensureAccess(ctx, sessionManager, 'viewer');
+    if (!user) return;
+    
+    // A report pages through every mutation in the period, so it runs in the background like /export
+    handleReportCommand(ctx, sdk, sessionManager).catch(error => {
+      logger.error('telegram.report', 'Error processing report command', { error });
+    });
+  });
+  
+  // Accounts command with auth check
+  bot.command('accounts', async (ctx) => {
+    const chatId = ctx.chat?.id.toString();
+    if (!chatId) return;
+    
+    const user = await ensureAccess(ctx, sessionManager, 'viewer');
+    if (!user) return;
+    
+    await handleAccountsCommand(ctx, sdk);
+  });
+  
+  // Remove command with auth check
+  bot.command('remove', async (ctx) => {
+    const chatId = ctx.chat?.id.toString();
+    if (!chatId) return;
+    
+    const user = await ensureAccess(ctx, sessionManager, 'owner');
+    if (!user) return;
+    
     await handleRemoveCommand(ctx, sdk);
   });
   
@@ -642,15 +1621,8 @@ Anda dapat menggabungkan filter: /mutasi days 30 type credit min 500000
     const chatId = ctx.chat?.id.toString();
     if (!chatId) return;
     
-    const isAuthenticated = await isUserAuthenticated(chatId, sessionManager);
-    if (!isAuthenticated) {
-      return await ctx.reply(
-        '🔐 <b>Akses Terbatas</b>\n\n' +
-        'Anda harus login terlebih dahulu untuk menggunakan bot ini.\n\n' +
-        'Gunakan perintah /login untuk masuk.',
-        { parse_mode: 'HTML' }
-      );
-    }
+    const user = await ensureAccess(ctx, sessionManager, 'owner');
+    if (!user) return;
     
     await handleAddCommand(ctx, sessionManager);
   });
@@ -660,33 +1632,110 @@ Anda dapat menggabungkan filter: /mutasi days 30 type credit min 500000
     const chatId = ctx.chat?.id.toString();
     if (!chatId) return;
     
-    const isAuthenticated = await isUserAuthenticated(chatId, sessionManager);
-    if (!isAuthenticated) {
-      return await ctx.reply(
-        '🔐 <b>Akses Terbatas</b>\n\n' +
-        'Anda harus login terlebih dahulu untuk menggunakan bot ini.\n\n' +
-        'Gunakan perintah /login untuk masuk.',
-        { parse_mode: 'HTML' }
-      );
-    }
+    const user = await ensureAccess(ctx, sessionManager, 'operator');
+    if (!user) return;
     
     await handleTransferCommand(ctx, sdk, sessionManager);
   });
   
+  // Payment request command with auth check, storing merchant codes is checked for owners inside
+  bot.command('tagih', async (ctx) => {
+    const chatId = ctx.chat?.id.toString();
+    if (!chatId) return;
+    
+    const user = await ensureAccess(ctx, sessionManager, 'viewer');
+    if (!user) return;
+    
+    await handleTagihCommand(ctx, user, sdk, sessionManager);
+  });
+  
+  // Notify command with auth check
+  bot.command('notify', async (ctx) => {
+    const chatId = ctx.chat?.id.toString();
+    if (!chatId) return;
+    
+    const user = await ensureAccess(ctx, sessionManager, 'viewer');
+    if (!user) return;
+    
+    await handleNotifyCommand(ctx, sdk, sessionManager);
+  });
+  
+  // Limits command, everyone can view, owners can change
+  bot.command('limits', async (ctx) => {
+    const chatId = ctx.chat?.id.toString();
+    if (!chatId) return;
+    
+    const args = ctx.message?.text.split(' ').slice(1).filter(Boolean) || [];
+    const action = (args[0] || '').toLowerCase();
+    
+    const user = await ensureAccess(ctx, sessionManager, ['set', 'reset', 'resolve'].includes(action) ? 'owner' : 'viewer');
+    if (!user) return;
+    
+    await handleLimitsCommand(ctx, args, user, sdk, sessionManager);
+  });
+  
+  // Beneficiaries command with auth check
+  bot.command('beneficiaries', async (ctx) => {
+    const chatId = ctx.chat?.id.toString();
+    if (!chatId) return;
+    
+    const user = await ensureAccess(ctx, sessionManager, 'operator');
+    if (!user) return;
+    
+    await handleBeneficiariesCommand(ctx, sessionManager);
+  });
+  
+  // Schedule command with auth check
+  bot.command('schedule', async (ctx) => {
+    const chatId = ctx.chat?.id.toString();
+    if (!chatId) return;
+    
+    const user = await ensureAccess(ctx, sessionManager, 'operator');
+    if (!user) return;
+    
+    await handleScheduleCommand(ctx, user, sdk, sessionManager);
+  });
+  
+  // Schedules command with auth check
+  bot.command('schedules', async (ctx) => {
+    const chatId = ctx.chat?.id.toString();
+    if (!chatId) return;
+    
+    const user = await ensureAccess(ctx, sessionManager, 'operator');
+    if (!user) return;
+    
+    await handleSchedulesCommand(ctx, user, sessionManager);
+  });
+  
+  // Bulk payout command with auth check
+  bot.command('bulk', async (ctx) => {
+    const chatId = ctx.chat?.id.toString();
+    if (!chatId) return;
+    
+    const user = await ensureAccess(ctx, sessionManager, 'operator');
+    if (!user) return;
+    
+    await handleBulkCommand(ctx, user, sdk, sessionManager);
+  });
+  
+  // History command with auth check
+  bot.command('history', async (ctx) => {
+    const chatId = ctx.chat?.id.toString();
+    if (!chatId) return;
+    
+    const user = await ensureAccess(ctx, sessionManager, 'viewer');
+    if (!user) return;
+    
+    await handleHistoryCommand(ctx, sessionManager);
+  });
+  
   // Cancel command with auth check
   bot.command('cancel', async (ctx) => {
     const chatId = ctx.chat?.id.toString();
     if (!chatId) return;
     
-    const isAuthenticated = await isUserAuthenticated(chatId, sessionManager);
-    if (!isAuthenticated) {
-      return await ctx.reply(
-        '🔐 <b>Akses Terbatas</b>\n\n' +
-        'Anda harus login terlebih dahulu untuk menggunakan bot ini.\n\n' +
-        'Gunakan perintah /login untuk masuk.',
-        { parse_mode: 'HTML' }
-      );
-    }
+    const user = await ensureAccess(ctx, sessionManager, 'viewer');
+    if (!user) return;
     
     // Delete any active process session (but keep authentication)
     const hasActiveProcess = await hasActiveProcessSession(chatId, sessionManager);
@@ -794,168 +1843,298 @@ async function handleTransferCommand(ctx, sdk, sessionManager) {
 }
 
 /**
- * Handle mutasi command
+ * Handle limits command
  */
-async function handleMutasiCommand(ctx, sdk) {
-  const chatId = ctx.chat?.id.toString();
-  if (!chatId) {
-    logger.error('telegram.mutasi', 'No chat context found');
-    return;
-  }
+async function handleLimitsCommand(ctx, args, user, sdk, sessionManager) {
+  const action = (args[0] || '').toLowerCase();
+  const fieldNames = Object.keys(LIMIT_FIELDS).join('|');
+  const usage = 'Penggunaan:\n' +
+    '/limits - Lihat batas dan sisa kuota\n' +
+    `/limits set [user|account] [ID] [${fieldNames}] [jumlah|0|default]\n` +
+    '/limits reset [user|account] [ID]\n' +
+    '/limits resolve [ID catatan] [success|failed] - Tetapkan hasil transfer pending';
   
   try {
-    // Parse command arguments for filtering
-    const args = ctx.message?.text.split(' ').slice(1) || [];
-    const options = parseMutasiOptions(args);
-    
-    // Show a "loading" message
-    const loadingMsg = await ctx.reply('Memuat transaksi Anda... 🔄');
-    
-    try {
-      // Get transactions for this user
-      const result = await getMutasiForUser(sdk, chatId, options);
+    if (action === 'set') {
+      const [, scope, targetId, field, valueText] = args;
+      if (!LIMIT_SCOPES.includes(scope) || !targetId || !LIMIT_FIELDS[field] || !valueText) {
+        return await ctx.reply(usage);
+      }
       
-      if (result.success) {
-        // Edit the loading message with the results
-        await ctx.telegram.editMessageText(
-          chatId,
-          loadingMsg.message_id,
-          undefined,
-          result.message,
-          { parse_mode: 'HTML' }
-        );
-        
-        // If there are no transactions, offer some guidance
-        if (result.data.length === 0 && !options.search && !options.type && !options.providerCode) {
-          await ctx.reply(`Tidak ada transaksi ditemukan untuk kriteria yang ditentukan. Anda dapat mencoba:\n\n- /mutasi days 30 (untuk 30 hari terakhir)\n- /mutasi limit 10 (tampilkan hingga 10 transaksi)\n- /mutasi type credit (hanya tampilkan uang masuk)`);
+      let value = null;
+      if (valueText.toLowerCase() !== 'default') {
+        value = parseInt(valueText.replace(/[.,]/g, ''), 10);
+        if (isNaN(value) || value < 0) {
+          return await ctx.reply('Jumlah tidak valid. Gunakan angka, 0 untuk tanpa batas, atau default.');
         }
-      } else {
-        await ctx.telegram.editMessageText(
-          chatId,
-          loadingMsg.message_id,
-          undefined,
-          '❌ ' + result.message
-        );
       }
-    } catch (error) {
-      logger.error('telegram.mutasi', 'Error fetching transactions', {
-        error: error instanceof Error ? error.message : 'Unknown error'
-      });
       
-      await ctx.telegram.editMessageText(
-        chatId,
-        loadingMsg.message_id,
-        undefined,
-        '❌ Gagal mengambil transaksi. Silakan coba lagi nanti atau periksa aplikasi.'
+      await setTransferLimit(sessionManager.db, scope, targetId, field, value, user.userId);
+      
+      const shown = value === null ? 'default' : (value === 0 ? 'tanpa batas' : (field === 'count' ? `${value} transaksi` : formatCurrency(value)));
+      return await ctx.reply(`✅ Batas ${field} untuk ${scope} ${targetId} diatur ke ${shown}.`);
+    }
+    
+    if (action === 'reset') {
+      const [, scope, targetId] = args;
+      if (!LIMIT_SCOPES.includes(scope) || !targetId) {
+        return await ctx.reply(usage);
+      }
+      
+      const removed = await resetTransferLimits(sessionManager.db, scope, targetId);
+      return await ctx.reply(removed
+        ? `✅ Batas untuk ${scope} ${targetId} dikembalikan ke default.`
+        : `Tidak ada batas khusus untuk ${scope} ${targetId}.`);
+    }
+    
+    if (action === 'resolve') {
+      // Pending transfers hold quota until their real outcome is known
+      const [, idText, status] = args;
+      const transferId = parseInt(idText, 10);
+      if (!Number.isInteger(transferId) || transferId <= 0 || !['success', 'failed'].includes(status)) {
+        return await ctx.reply(usage);
+      }
+      
+      const resolved = await resolvePendingTransfer(sessionManager.db, transferId, status, user.userId);
+      return await ctx.reply(resolved
+        ? `✅ Transfer #${transferId} ditandai ${status === 'success' ? 'berhasil' : 'gagal'}.${status === 'failed' ? ' Kuotanya dikembalikan.' : ''}`
+        : `Transfer #${transferId} tidak ditemukan atau tidak berstatus pending.`);
+    }
+    
+    if (action) {
+      return await ctx.reply(usage);
+    }
+    
+    const sections = [];
+    const userLimits = await getEffectiveLimits(sessionManager.db, 'user', user.userId);
+    const userUsage = await getTransferUsage(sessionManager.db, 'user', user.userId);
+    sections.push(formatLimitSection('👤 Anda', userLimits, userUsage));
+    
+    const accountsResponse = await sdk.getAccounts();
+    if (accountsResponse.status === 'success' && Array.isArray(accountsResponse.data)) {
+      const danaAccounts = accountsResponse.data.filter(
+        account => account.type === 'ewallet' && account.provider?.code === 'DANA'
       );
+      
+      for (const account of danaAccounts) {
+        const accountLimits = await getEffectiveLimits(sessionManager.db, 'account', account.id);
+        const accountUsage = await getTransferUsage(sessionManager.db, 'account', account.id);
+        sections.push(formatLimitSection(`💳 ${escapeHtml(account.name)}`, accountLimits, accountUsage));
+      }
+    }
+    
+    let message = `📏 <b>Batas Transfer</b>\n\n${sections.join('\n\n')}\n\n<i>Kuota harian dan bulanan dihitung menurut waktu WIB.</i>`;
+    if (hasRequiredRole(user.role, 'owner')) {
+      message += `\n\n${usage}`;
     }
+    
+    await ctx.reply(message, { parse_mode: 'HTML' });
   } catch (error) {
-    logger.error('telegram.mutasi', 'Error processing mutasi command', { error });
-    await ctx.reply('Gagal memproses permintaan. Silakan coba lagi nanti.');
+    logger.error('telegram.limits', 'Error in limits command', { error });
+    await ctx.reply('Gagal memproses batas transfer. Silakan coba lagi nanti.');
   }
 }
 
 /**
- * Parse mutasi command options
+ * Handle history command
  */
-function parseMutasiOptions(args) {
-  const options = {
-    limit: 5, // Default limit
-    days: 7,  // Default to last 7 days
-    page: 1   // Default page
-  };
+async function handleHistoryCommand(ctx, sessionManager) {
+  const chatId = ctx.chat?.id.toString();
+  
+  let options;
+  try {
+    options = parseHistoryOptions(getCommandArgs(ctx.message?.text));
+  } catch (error) {
+    await ctx.reply(`❌ ${error.message}\n\nContoh: /history status failed days 7 min 1jt`);
+    return;
+  }
   
-  // Parse arguments
-  for (let i = 0; i < args.length; i++) {
-    const arg = args[i].toLowerCase();
-    const nextArg = args[i+1];
+  try {
+    const queryId = await saveQuery(sessionManager.db, chatId, 'history', options);
+    const page = await buildHistoryPage(sessionManager.db, options, queryId);
     
-    if (arg === 'limit' && nextArg) {
-      const parsedValue = parseInt(nextArg);
-      if (!isNaN(parsedValue) && parsedValue > 0) {
-        options.limit = Math.min(parsedValue, 20); // Cap at 20 for readability
-        i++; // Skip the next arg
-      }
-    } 
-    else if (arg === 'page' && nextArg) {
-      const parsedValue = parseInt(nextArg);
-      if (!isNaN(parsedValue) && parsedValue > 0) {
-        options.page = parsedValue;
-        i++;
-      }
-    }
-    else if (arg === 'days' && nextArg) {
-      const parsedValue = parseInt(nextArg);
-      if (!isNaN(parsedValue) && parsedValue > 0) {
-        options.days = Math.min(parsedValue, 90); // Cap at 90 days
-        i++;
-      }
-    }
-    else if (arg === 'account' && nextArg) {
-      options.accountId = nextArg;
-      i++;
+    await ctx.reply(page.text, { parse_mode: 'HTML', reply_markup: page.replyMarkup });
+  } catch (error) {
+    logger.error('telegram.history', 'Error processing history command', { error });
+    await ctx.reply('Gagal memuat riwayat transfer. Silakan coba lagi nanti.');
+  }
+}
+
+// Filters accepted by /history
+const HISTORY_ARGS = {
+  limit: { parse: positiveIntArg(20) }, // Cap at 20 for readability
+  page: { parse: positiveIntArg() },
+  days: { parse: positiveIntArg(366) }, // The ledger is kept, allow up to a year
+  user: { parse: textArg, option: 'userId' },
+  account: { parse: textArg, option: 'accountId' },
+  bank: { parse: textArg },
+  type: { parse: oneOfArg(TRANSFER_TYPES) },
+  status: { parse: oneOfArg(TRANSFER_STATUSES) },
+  min: { parse: amountArg, option: 'minAmount' },
+  max: { parse: amountArg, option: 'maxAmount' }
+};
+
+/**
+ * Parse history command options, same "key value" style as /mutasi
+ * @param {Array} args - Tokens from getCommandArgs
+ * @returns {Object} Options
+ * @throws {Error} On unknown or invalid filters, with a message for the user
+ */
+function parseHistoryOptions(args) {
+  return parseCommandOptions(args, HISTORY_ARGS, {
+    limit: 5,  // Default limit
+    days: 30,  // Default to last 30 days
+    page: 1    // Default page
+  });
+}
+
+/**
+ * Build one page of transfer history with navigation buttons
+ */
+async function buildHistoryPage(db, options, queryId) {
+  const { limit, days, page: requestedPage, ...filters } = options;
+  filters.since = Date.now() - (days * 24 * 60 * 60 * 1000);
+  
+  const total = await countTransfers(db, filters);
+  const totalPages = Math.max(Math.ceil(total / limit), 1);
+  const page = Math.min(Math.max(requestedPage, 1), totalPages);
+  
+  const rows = await queryTransfers(db, filters, { limit, offset: (page - 1) * limit });
+  
+  let text = `🧾 <b>Riwayat Transfer (${days} hari terakhir)</b>\n`;
+  if (total === 0) {
+    text += '\nTidak ada transfer ditemukan untuk kriteria ini.';
+    return { text, replyMarkup: { inline_keyboard: [] } };
+  }
+  
+  const successTotal = rows.filter(row => row.status === 'success').reduce((sum, row) => sum + row.amount, 0);
+  text += `Halaman ${page}/${totalPages} • ${total} transfer\n\n`;
+  text += rows.map(formatTransferRecord).join('\n\n');
+  text += `\n\n💰 Berhasil di halaman ini: <b>${formatCurrency(successTotal)}</b>`;
+  
+  const navigation = [];
+  if (page > 1) {
+    navigation.push({ text: '⬅️ Sebelumnya', callback_data: `history_page:${queryId}:${page - 1}` });
+  }
+  if (page < totalPages) {
+    navigation.push({ text: 'Berikutnya ➡️', callback_data: `history_page:${queryId}:${page + 1}` });
+  }
+  
+  return { text, replyMarkup: { inline_keyboard: navigation.length > 0 ? [navigation] : [] } };
+}
+
+/**
+ * Build the per-account notification keyboard
+ */
+function buildNotifyKeyboard(accounts, enabledAccountIds) {
+  const keyboard = accounts.map((account) => {
+    const isEnabled = enabledAccountIds.includes(account.id);
+    return [{
+      text: `${isEnabled ? '✅' : '⬜'} ${account.name} (${account.provider?.code || 'Unknown'})`,
+      callback_data: `notify_account:${account.id}`
+    }];
+  });
+  
+  keyboard.push([{ text: 'Selesai', callback_data: 'notify_done' }]);
+  return keyboard;
+}
+
+/**
+ * Handle notify command
+ */
+async function handleNotifyCommand(ctx, sdk, sessionManager) {
+  const chatId = ctx.chat?.id.toString();
+  if (!chatId) {
+    logger.error('telegram.notify', 'No chat context found');
+    return;
+  }
+  
+  const db = sessionManager.db;
+  const action = (ctx.message?.text.split(' ')[1] || '').toLowerCase();
+  
+  try {
+    if (action === 'off') {
+      await setNotificationsEnabled(db, chatId, false);
+      return await ctx.reply('🔕 Notifikasi transaksi dimatikan.\n\nGunakan /notify on untuk mengaktifkannya kembali.');
     }
-    else if (arg === 'type' && nextArg) {
-      const type = nextArg.toUpperCase();
-      if (['CREDIT', 'DEBIT'].includes(type)) {
-        options.type = type;
-        i++;
-      }
+    
+    if (action === 'on') {
+      await setNotificationsEnabled(db, chatId, true);
+    } else if (action) {
+      return await ctx.reply('Penggunaan: /notify, /notify on, atau /notify off');
     }
-    else if (arg === 'provider' && nextArg) {
-      options.providerCode = nextArg;
-      i++;
+    
+    const settings = await getNotificationSettings(db, chatId);
+    const accountsResponse = await sdk.getAccounts();
+    
+    if (accountsResponse.status !== 'success' || !accountsResponse.data) {
+      return await ctx.reply('❌ Gagal mengambil daftar akun. Silakan coba lagi nanti.');
     }
-    else if (arg === 'min' && nextArg) {
-      const parsedValue = parseInt(nextArg);
-      if (!isNaN(parsedValue)) {
-        options.minAmount = parsedValue;
-        i++;
-      }
+    
+    const accounts = accountsResponse.data.filter(account => account.isActive === true);
+    if (accounts.length === 0) {
+      return await ctx.reply('Anda belum memiliki akun aktif. Gunakan /add untuk menambahkan akun terlebih dahulu.');
     }
-    else if (arg === 'max' && nextArg) {
-      const parsedValue = parseInt(nextArg);
-      if (!isNaN(parsedValue)) {
-        options.maxAmount = parsedValue;
-        i++;
+    
+    let message = settings.enabled
+      ? '🔔 <b>Notifikasi aktif</b>\n\n'
+      : '🔕 <b>Notifikasi tidak aktif</b>\nGunakan /notify on untuk mengaktifkan.\n\n';
+    message += 'Pilih akun yang ingin dipantau. Setiap transaksi masuk atau keluar pada akun bertanda ✅ akan dikirim ke chat ini.';
+    
+    await ctx.reply(message, {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: buildNotifyKeyboard(accounts, settings.accountIds)
       }
-    }
-    else if (arg === 'search' && nextArg) {
-      options.search = nextArg;
-      i++;
-    }
+    });
+  } catch (error) {
+    logger.error('telegram.notify', 'Error in notify command', { error });
+    await ctx.reply('Gagal memproses pengaturan notifikasi. Silakan coba lagi nanti.');
   }
-  
-  return options;
- }
- 
- /**
- * Handle accounts command
+}
+
+/**
+ * Handle mutasi command
  */
- async function handleAccountsCommand(ctx, sdk) {
+async function handleMutasiCommand(ctx, sdk, sessionManager) {
   const chatId = ctx.chat?.id.toString();
   if (!chatId) {
-    logger.error('telegram.accounts', 'No chat context found');
+    logger.error('telegram.mutasi', 'No chat context found');
+    return;
+  }
+  
+  // Parse command arguments for filtering
+  let options;
+  try {
+    options = parseMutasiOptions(getCommandArgs(ctx.message?.text));
+  } catch (error) {
+    await ctx.reply(`❌ ${error.message}\n\nContoh: /mutasi days 30 type credit min 500rb search "transfer masuk"\nLihat /help untuk semua filter.`);
     return;
   }
   
   try {
     // Show a "loading" message
-    const loadingMsg = await ctx.reply('Memuat akun Anda... 🔄');
+    const loadingMsg = await ctx.reply('Memuat transaksi Anda... 🔄');
     
     try {
-      // Get accounts using the handler function
-      const result = await getAccountsForUser(sdk, chatId);
+      // Get transactions for this user
+      const queryId = await saveQuery(sessionManager.db, chatId, 'mutasi', options);
+      const { result, text, replyMarkup } = await buildMutasiPage(sdk, chatId, options, queryId);
       
       if (result.success) {
-        // Display the formatted message
+        // Edit the loading message with the results
         await ctx.telegram.editMessageText(
           chatId,
           loadingMsg.message_id,
           undefined,
-          result.message,
-          { parse_mode: 'HTML' }
+          text,
+          { parse_mode: 'HTML', reply_markup: replyMarkup }
         );
+        
+        // If there are no transactions, offer some guidance
+        if (result.data.length === 0 && !options.search && !options.type && !options.providerCode) {
+          await ctx.reply(`Tidak ada transaksi ditemukan untuk kriteria yang ditentukan. Anda dapat mencoba:\n\n- /mutasi days 30 (untuk 30 hari terakhir)\n- /mutasi lastmonth (untuk bulan lalu)\n- /mutasi limit 10 (tampilkan hingga 10 transaksi)\n- /mutasi type credit (hanya tampilkan uang masuk)`);
+        }
       } else {
         await ctx.telegram.editMessageText(
           chatId,
@@ -965,7 +2144,7 @@ function parseMutasiOptions(args) {
         );
       }
     } catch (error) {
-      logger.error('telegram.accounts', 'Error in accounts command', {
+      logger.error('telegram.mutasi', 'Error fetching transactions', {
         error: error instanceof Error ? error.message : 'Unknown error'
       });
       
@@ -973,1326 +2152,4187 @@ function parseMutasiOptions(args) {
         chatId,
         loadingMsg.message_id,
         undefined,
-        '❌ Gagal mengambil akun. Silakan coba lagi nanti atau periksa aplikasi.'
+        '❌ Gagal mengambil transaksi. Silakan coba lagi nanti atau periksa aplikasi.'
       );
     }
   } catch (error) {
-    logger.error('telegram.accounts', 'Error fetching user info', { error });
-    await ctx.reply('Gagal memverifikasi akun Anda. Silakan coba lagi nanti.');
+    logger.error('telegram.mutasi', 'Error processing mutasi command', { error });
+    await ctx.reply('Gagal memproses permintaan. Silakan coba lagi nanti.');
   }
- }
- 
- /**
- * Handle remove command
+}
+
+/**
+ * Fetch one page of /mutasi results with navigation and filter buttons
  */
- async function handleRemoveCommand(ctx, sdk) {
-  const chatId = ctx.chat?.id.toString();
-  if (!chatId) return;
+async function buildMutasiPage(sdk, chatId, options, queryId) {
+  const result = await getMutasiForUser(sdk, chatId, options);
+  const text = result.success ? result.message : '❌ ' + result.message;
+  
+  return { result, text, replyMarkup: buildMutasiKeyboard(queryId, options, result.pagination) };
+}
+
+/**
+ * Build the /mutasi keyboard: page navigation, type toggles, quick ranges and the account picker
+ */
+function buildMutasiKeyboard(queryId, options, pagination) {
+  const keyboard = [];
+  const page = pagination?.page || 1;
+  const totalPages = pagination?.totalPages || 1;
+  const mark = (active, text) => active ? `✅ ${text}` : text;
+  
+  const navigation = [];
+  if (page > 1) {
+    navigation.push({ text: '⬅️ Sebelumnya', callback_data: `mutasi_page:${queryId}:${page - 1}` });
+  }
+  if (page < totalPages) {
+    navigation.push({ text: 'Berikutnya ➡️', callback_data: `mutasi_page:${queryId}:${page + 1}` });
+  }
+  if (navigation.length > 0) {
+    keyboard.push(navigation);
+  }
+  
+  keyboard.push([
+    { text: mark(isMutasiFilterActive(options, 'type', 'credit'), '📥 Masuk'), callback_data: `mutasi_filter:${queryId}:type:credit` },
+    { text: mark(isMutasiFilterActive(options, 'type', 'debit'), '📤 Keluar'), callback_data: `mutasi_filter:${queryId}:type:debit` },
+    { text: mark(isMutasiFilterActive(options, 'type', 'all'), 'Semua'), callback_data: `mutasi_filter:${queryId}:type:all` }
+  ]);
+  
+  const rangeButtons = MUTASI_QUICK_RANGES.map(({ key, label }) => ({
+    text: mark(isMutasiFilterActive(options, 'range', key), label),
+    callback_data: `mutasi_filter:${queryId}:range:${key}`
+  }));
+  keyboard.push(rangeButtons.slice(0, 3), rangeButtons.slice(3));
+  
+  keyboard.push([{
+    text: options.accountId ? '🏦 Akun: tertentu' : '🏦 Akun: semua',
+    callback_data: `mutasi_accounts:${queryId}`
+  }]);
+  
+  return { inline_keyboard: keyboard };
+}
+
+/**
+ * Check if a /mutasi filter button matches the current options
+ */
+function isMutasiFilterActive(options, filter, value) {
+  if (filter === 'type') {
+    return (options.type || 'all').toLowerCase() === value;
+  }
+  
+  // Explicit from/to ranges have no button, so none is marked for them
+  if (options.from || options.to) return false;
+  return (options.period || String(options.days)) === value;
+}
+
+/**
+ * Apply a filter button to /mutasi options, starting again from the first page
+ * @returns {Object} New options
+ */
+function applyMutasiFilter(options, filter, value) {
+  const updated = { ...options, page: 1 };
+  
+  if (filter === 'type') {
+    if (value === 'all') {
+      delete updated.type;
+    } else {
+      updated.type = value.toUpperCase();
+    }
+  } else if (filter === 'range') {
+    delete updated.from;
+    delete updated.to;
+    delete updated.period;
+    delete updated.days;
+    if (MUTASI_PERIODS.includes(value)) {
+      updated.period = value;
+    } else {
+      updated.days = parseInt(value);
+    }
+  }
+  
+  return updated;
+}
+
+/**
+ * Show a /mutasi page in place of the message the button was on
+ */
+async function showMutasiPage(ctx, sdk, chatId, options, queryId) {
+  const { text, replyMarkup } = await buildMutasiPage(sdk, chatId, options, queryId);
+  await ctx.editMessageText(text, { parse_mode: 'HTML', reply_markup: replyMarkup });
+}
+
+/**
+ * Handle alerts command: list, add and delete alert rules of this chat
+ */
+async function handleAlertsCommand(ctx, sdk, sessionManager) {
+  const chatId = ctx.chat.id.toString();
+  const userId = ctx.from?.id.toString();
+  const db = sessionManager.db;
+  const usage = 'Contoh:\n/alerts add saldo 500rb account [ID]\n/alerts add jumlah 5jt type credit\n/alerts add kata "gagal" cooldown 30\n/alerts delete [ID]';
   
+  let args;
   try {
-    // Show a "loading" message
-    const loadingMsg = await ctx.reply('Memuat daftar akun... 🔄');
+    args = getCommandArgs(ctx.message?.text);
+  } catch (error) {
+    await ctx.reply(`❌ ${error.message}\n\n${usage}`);
+    return;
+  }
+  
+  try {
+    const action = (args[0] || '').toLowerCase();
     
-    try {
-      // Get all accounts for this user
-      const accountsResponse = await sdk.getAccounts();
-      
-      // Check if response is in the expected format
-      if (accountsResponse.status !== 'success' || !accountsResponse.data) {
-        await ctx.telegram.editMessageText(
-          chatId,
-          loadingMsg.message_id,
-          undefined,
-          '❌ Gagal mengambil daftar akun. Silakan coba lagi nanti.'
-        );
-        return;
+    if (['delete', 'hapus'].includes(action)) {
+      const id = parseInt(args[1]);
+      if (isNaN(id)) {
+        return await ctx.reply('Penggunaan: /alerts delete [ID]');
       }
       
-      // Filter only active e-wallet accounts
-      const walletAccounts = accountsResponse.data.filter(
-        account => account.type === 'ewallet' && account.isActive === true
-      );
+      const deleted = await deleteAlertRule(db, chatId, id);
+      return await ctx.reply(deleted
+        ? `🗑️ Aturan #${id} dihapus.`
+        : `Aturan #${id} tidak ditemukan di chat ini.`);
+    }
+    
+    if (['add', 'tambah'].includes(action)) {
+      const kind = ALERT_KIND_ALIASES[(args[1] || '').toLowerCase()];
+      if (!kind || args.length < 3) {
+        return await ctx.reply(`❌ Jenis peringatan tidak dikenal. Gunakan saldo, jumlah atau kata.\n\n${usage}`);
+      }
       
-      if (walletAccounts.length === 0) {
-        await ctx.telegram.editMessageText(
+      let rule;
+      try {
+        rule = parseCommandOptions(args.slice(3), kind === 'amount' ? ALERT_ARGS : ALERT_BASE_ARGS, {
           chatId,
-          loadingMsg.message_id,
-          undefined,
-          'Anda tidak memiliki akun e-wallet untuk dihapus.'
-        );
-        return;
+          createdBy: userId,
+          kind,
+          cooldownMinutes: getAlertSettings().cooldownMinutes
+        });
+        if (kind === 'keyword') {
+          rule.keyword = textArg(args[2], 'kata');
+        } else {
+          rule.threshold = amountArg(args[2], kind === 'balance' ? 'saldo' : 'jumlah');
+        }
+      } catch (error) {
+        return await ctx.reply(`❌ ${error.message}\n\n${usage}`);
       }
       
-      // Create keyboard
-      const keyboard = walletAccounts.map((account) => [
-        { 
-          text: `${account.accountName} (${account.provider.name || account.provider.code || 'Unknown'})`, 
-          callback_data: `remove:${account.id}` 
-        }
-      ]);
+      if ((await listAlertRules(db, chatId)).length >= MAX_ALERT_RULES_PER_CHAT) {
+        return await ctx.reply(`❌ Maksimal ${MAX_ALERT_RULES_PER_CHAT} aturan per chat. Hapus aturan lama dengan /alerts delete [ID].`);
+      }
       
-      keyboard.push([{ text: 'Batal', callback_data: 'cancel_remove' }]);
+      const accountsResponse = await sdk.getAccounts();
+      const accounts = accountsResponse.status === 'success' ? accountsResponse.data || [] : [];
+      if (rule.accountId && !accounts.some(account => account.id === rule.accountId)) {
+        return await ctx.reply('❌ Akun tidak ditemukan. Gunakan /accounts untuk melihat ID akun.');
+      }
       
-      // Send selection message
-      await ctx.telegram.editMessageText(
-        chatId,
-        loadingMsg.message_id,
-        undefined,
-        'Pilih akun yang ingin dihapus:',
-        {
-          reply_markup: {
-            inline_keyboard: keyboard
-          }
-        }
-      );
-    } catch (error) {
-      logger.error('telegram.remove', 'Error in remove command', { error });
-      await ctx.telegram.editMessageText(
-        chatId,
-        loadingMsg.message_id,
-        undefined,
-        '❌ Gagal memuat daftar akun. Silakan coba lagi nanti.'
-      );
+      const saved = await createAlertRule(db, rule);
+      return await ctx.reply(`✅ Aturan #${saved.id} ditambahkan:\n${describeAlertRule(saved, accounts)}`);
+    }
+    
+    if (action) {
+      return await ctx.reply(usage);
     }
+    
+    const rules = await listAlertRules(db, chatId);
+    if (rules.length === 0) {
+      return await ctx.reply(`🚨 Belum ada aturan peringatan di chat ini.\n\n${usage}`);
+    }
+    
+    const accountsResponse = await sdk.getAccounts();
+    const accounts = accountsResponse.status === 'success' ? accountsResponse.data || [] : [];
+    const lines = rules.map(rule => `#${rule.id} ${escapeHtml(describeAlertRule(rule, accounts))}`);
+    
+    await ctx.reply(`🚨 <b>Aturan Peringatan</b>\n\n${lines.join('\n')}\n\nHapus dengan /alerts delete [ID]`, { parse_mode: 'HTML' });
   } catch (error) {
-    logger.error('telegram.remove', 'Error preparing remove command', { error });
-    await ctx.reply('Gagal mempersiapkan daftar akun. Silakan coba lagi nanti.');
+    logger.error('telegram.alerts', 'Error processing alerts command', { error });
+    await ctx.reply('Gagal memproses peringatan. Silakan coba lagi nanti.');
   }
- }
- 
- /**
- * Handle add command
+}
+
+/**
+ * Handle invoice command: create, list or cancel invoices that are marked paid automatically
  */
- async function handleAddCommand(ctx, sessionManager) {
-  const chatId = ctx.chat?.id.toString();
-  if (!chatId) {
-    logger.error('telegram.add', 'No chat context found');
+async function handleInvoiceCommand(ctx, sdk, sessionManager) {
+  const chatId = ctx.chat.id.toString();
+  const userId = ctx.from?.id.toString();
+  const db = sessionManager.db;
+  const usage = 'Contoh:\n/invoice create 150rb "Budi Santoso" due 2026-10-31\n/invoice create 75000 Sari account [ID] unik\n/invoice list [open|paid|expired]\n/invoice batal [ID]';
+  
+  let args;
+  try {
+    args = getCommandArgs(ctx.message?.text);
+  } catch (error) {
+    await ctx.reply(`❌ ${error.message}\n\n${usage}`);
     return;
   }
   
   try {
-    // Check for existing active process sessions (exclude authenticated sessions)
-    const hasActiveProcess = await hasActiveProcessSession(chatId, sessionManager);
-    if (hasActiveProcess) {
-      await ctx.reply('Anda memiliki proses yang sedang berlangsung. Silakan selesaikan atau ketik /cancel untuk membatalkan.');
-      return;
-    }
+    const action = (args[0] || '').toLowerCase();
     
-    // Check if we have any supported wallets
-    if (SUPPORTED_WALLETS.length === 0) {
-      await ctx.reply('Tidak ada e-wallet yang didukung saat ini.');
-      return;
+    if (['batal', 'cancel'].includes(action)) {
+      const id = parseInt(args[1]);
+      if (isNaN(id)) {
+        return await ctx.reply('Penggunaan: /invoice batal [ID]');
+      }
+      
+      const cancelled = await cancelInvoice(db, chatId, id);
+      return await ctx.reply(cancelled
+        ? `🗑️ Tagihan #${id} dibatalkan.`
+        : `Tagihan terbuka #${id} tidak ditemukan di chat ini.`);
     }
     
-    // If only one wallet type is supported, skip selection
-    if (SUPPORTED_WALLETS.length === 1) {
-      const wallet = SUPPORTED_WALLETS[0];
+    if (['create', 'buat'].includes(action)) {
+      if (args.length < 3) {
+        return await ctx.reply(`❌ Masukkan jumlah dan nama pelanggan.\n\n${usage}`);
+      }
       
-      // Create a session for adding the wallet
-      const session = await createSessionData(chatId, 'add_wallet', { 
-        walletCode: wallet.code,
-        providerId: wallet.id
-      }, sessionManager);
+      let invoice;
+      try {
+        invoice = parseCommandOptions(args.slice(3), INVOICE_ARGS, { chatId, createdBy: userId });
+        invoice.baseAmount = amountArg(args[1], 'jumlah');
+        invoice.customer = textArg(args[2], 'pelanggan').trim();
+        if (invoice.baseAmount < 1) {
+          throw new Error('Jumlah tagihan harus lebih dari 0');
+        }
+        if (invoice.customer.length > MAX_CUSTOMER_LENGTH) {
+          throw new Error(`Nama pelanggan maksimal ${MAX_CUSTOMER_LENGTH} karakter`);
+        }
+        invoice.dueAt = getInvoiceDueAt(invoice.due);
+      } catch (error) {
+        return await ctx.reply(`❌ ${error.message}\n\n${usage}`);
+      }
       
-      // Update session state
-      await updateSessionData(session, sessionManager, {
-        state: 'awaiting_phone'
-      });
+      let account = null;
+      if (invoice.accountId) {
+        const accountsResponse = await sdk.getAccounts();
+        const accounts = accountsResponse.status === 'success' ? accountsResponse.data || [] : [];
+        account = accounts.find(item => item.id === invoice.accountId);
+        if (!account) {
+          return await ctx.reply('❌ Akun tidak ditemukan. Gunakan /accounts untuk melihat ID akun.');
+        }
+      }
       
-      await ctx.reply(`Silakan masukkan nomor telepon ${wallet.name} Anda dalam format: 081xxxxxxxxx\n\nBalas dengan nomor telepon Anda atau ketik /cancel untuk membatalkan.`);
-    } else {
-      // Multiple wallet types - show selection keyboard
-      const keyboard = SUPPORTED_WALLETS.map((wallet) => [
-        { text: wallet.name, callback_data: `wallet_${wallet.code}` }
-      ]);
+      let created;
+      try {
+        created = await createInvoice(db, invoice);
+      } catch (error) {
+        return await ctx.reply(`❌ ${error.message}`);
+      }
       
-      // Add a cancel button
-      keyboard.push([{ text: 'Batal', callback_data: 'wallet_cancel' }]);
+      const saved = created.invoice;
+      const lines = [
+        `🧾 <b>Tagihan #${saved.id} Dibuat</b>`,
+        '',
+        `👤 Pelanggan: <b>${escapeHtml(saved.customer)}</b>`,
+        `💰 Jumlah dibayar: <b>${formatCurrency(saved.amount)}</b>`,
+        saved.uniqueCode ? `   ${formatCurrency(saved.baseAmount)} + kode unik ${saved.uniqueCode}` : null,
+        `🏦 Akun: ${account ? escapeHtml(account.accountName) : 'Semua akun'}`,
+        `📅 Jatuh tempo: ${formatJakartaDateTime(saved.dueAt).slice(0, 10)}`,
+        '',
+        'Minta pelanggan membayar tepat sejumlah di atas. Tagihan ditandai lunas otomatis saat mutasi masuk, dan Anda akan diberi tahu.'
+      ];
       
-      await ctx.reply(
-        'Pilih e-wallet yang ingin ditambahkan:',
-        {
-          reply_markup: {
-            inline_keyboard: keyboard
-          }
-        }
-      );
+      if (created.duplicates.length > 0) {
+        lines.push('', `⚠️ Ada ${created.duplicates.length} tagihan terbuka lain dengan jumlah yang sama. Pembayaran dicocokkan ke tagihan terlama lebih dulu, gunakan opsi <b>unik</b> agar jumlahnya berbeda.`);
+      }
+      
+      return await ctx.reply(lines.filter(line => line !== null).join('\n'), { parse_mode: 'HTML' });
+    }
+    
+    if (action && !['list', 'daftar'].includes(action)) {
+      return await ctx.reply(usage);
+    }
+    
+    const status = INVOICE_STATUS_ALIASES[(args[1] || '').toLowerCase()];
+    if (args[1] && !status) {
+      return await ctx.reply(`❌ Status tidak dikenal. Gunakan open, paid atau expired.\n\n${usage}`);
+    }
+    
+    const headings = { open: '⏳ Terbuka', paid: '✅ Lunas', expired: '⌛ Kedaluwarsa' };
+    const sections = [];
+    for (const current of status ? [status] : INVOICE_STATUSES) {
+      const invoices = await listInvoices(db, chatId, current, INVOICE_LIST_LIMIT);
+      if (invoices.length > 0) {
+        sections.push(`<b>${headings[current]}</b>\n${invoices.map(describeInvoice).join('\n')}`);
+      }
+    }
+    
+    if (sections.length === 0) {
+      return await ctx.reply(`🧾 Belum ada tagihan di chat ini.\n\n${usage}`);
     }
+    
+    await ctx.reply(`🧾 <b>Tagihan</b> (${INVOICE_LIST_LIMIT} terbaru per status)\n\n${sections.join('\n\n')}`, { parse_mode: 'HTML' });
   } catch (error) {
-    logger.error('telegram.add', 'Error in add command', { error });
-    await ctx.reply('Gagal memulai proses penambahan akun. Silakan coba lagi nanti.');
+    logger.error('telegram.invoice', 'Error processing invoice command', { error });
+    await ctx.reply('Gagal memproses tagihan. Silakan coba lagi nanti.');
   }
- }
- 
- /**
- * Handle bank transfer amount input with improved UX
+}
+
+/**
+ * Handle tagih command: a dynamic QRIS for an amount, or managing the stored merchant codes
  */
- async function handleBankAmountInput(ctx, session, sdk, sessionManager) {
-  if (!ctx.message?.text) {
-    return await ctx.reply('Input tidak valid. Silakan masukkan jumlah yang valid.');
-  }
- 
-  const amountText = ctx.message.text.trim().replace(/[.,]/g, '');
-  const amount = parseInt(amountText);
- 
-  if (isNaN(amount) || amount < 10000) {
-    return await ctx.reply('Jumlah tidak valid. Minimum transfer ke bank adalah Rp 10.000.\n\nSilakan masukkan jumlah yang valid:');
+async function handleTagihCommand(ctx, user, sdk, sessionManager) {
+  const chatId = ctx.chat.id.toString();
+  const db = sessionManager.db;
+  const usage = 'Contoh:\n/tagih 50rb\n/tagih 125.000 Meja 4\n/tagih set [ID akun] - Simpan QRIS statis merchant (owner)\n/tagih hapus [ID akun] - Hapus QRIS merchant (owner)';
+  
+  let args;
+  try {
+    args = getCommandArgs(ctx.message?.text);
+  } catch (error) {
+    await ctx.reply(`❌ ${error.message}\n\n${usage}`);
+    return;
   }
- 
-  const loadingMsg = await ctx.reply('Memuat daftar bank... 🔄');
- 
+  
   try {
-    const banksResponse = await sdk.getDanaBanks(session.data.accountId);
+    const action = (args[0] || '').toLowerCase();
     
-    if (!banksResponse.success || !Array.isArray(banksResponse.data) || banksResponse.data.length === 0) {
-      await ctx.telegram.editMessageText(
-        ctx.chat.id,
-        loadingMsg.message_id,
-        undefined,
-        '❌ Gagal memuat daftar bank. Silakan coba lagi nanti.'
-      );
-      return;
+    const accountsResponse = await sdk.getAccounts();
+    if (accountsResponse.status !== 'success') {
+      return await ctx.reply('❌ Gagal mengambil daftar akun. Silakan coba lagi nanti.');
     }
- 
-    // Update session with amount and banks
-    await updateSessionData(session, sessionManager, {
-      state: 'selecting_bank_method',
-      data: { 
-        amount,
-        availableBanks: banksResponse.data 
+    const accounts = accountsResponse.data || [];
+    
+    if (['set', 'hapus', 'delete'].includes(action)) {
+      if (!(await ensureAccess(ctx, sessionManager, 'owner'))) return;
+      
+      const account = accounts.find(item => item.id === args[1]);
+      if (!account) {
+        return await ctx.reply(`❌ Akun tidak ditemukan. Gunakan /accounts untuk melihat ID akun.\n\n${usage}`);
       }
-    });
- 
-    // Show bank selection options
-    const selectionKeyboard = [
-      [{ text: '🔍 Cari Bank', callback_data: 'search_bank' }],
-      [{ text: '⭐ Bank Populer', callback_data: 'popular_banks' }],
-      [{ text: '📋 Semua Bank (A-Z)', callback_data: 'all_banks_az' }],
-      [{ text: '❌ Batal', callback_data: 'cancel_transfer' }]
-    ];
- 
-    await ctx.telegram.editMessageText(
-      ctx.chat.id,
-      loadingMsg.message_id,
-      undefined,
-      `💰 <b>Jumlah transfer: ${formatCurrency(amount)}</b>\n\n🏦 <b>Cara pilih bank tujuan:</b>\n\n🔍 <b>Cari Bank</b> - Ketik nama bank\n⭐ <b>Bank Populer</b> - 10 bank utama\n📋 <b>Semua Bank</b> - Daftar lengkap (${banksResponse.data.length} bank)`,
-      {
-        reply_markup: {
-          inline_keyboard: selectionKeyboard
-        },
-        parse_mode: 'HTML'
+      
+      if (action !== 'set') {
+        const deleted = await deleteMerchantQris(db, account.id);
+        return await ctx.reply(deleted
+          ? `🗑️ QRIS merchant untuk ${account.accountName} dihapus.`
+          : `Belum ada QRIS merchant untuk ${account.accountName}.`);
       }
-    );
+      
+      if (await hasActiveProcessSession(chatId, sessionManager)) {
+        return await ctx.reply('Anda memiliki proses yang sedang berlangsung. Silakan selesaikan atau ketik /cancel untuk membatalkan.');
+      }
+      
+      const session = await createSessionData(chatId, 'merchant_qris_setup', {
+        userId: user.userId,
+        accountId: account.id
+      }, sessionManager);
+      await updateSessionData(session, sessionManager, { state: 'awaiting_merchant_qris' });
+      
+      return await ctx.reply(`🏪 Kirim QRIS statis merchant untuk akun <b>${escapeHtml(account.accountName)}</b>: foto, file gambar, atau teks QRIS (diawali 000201).\n\nKetik /cancel untuk membatalkan.`, { parse_mode: 'HTML' });
+    }
+    
+    const merchants = await listMerchantQris(db, accounts);
+    
+    if (!action) {
+      if (merchants.length === 0) {
+        return await ctx.reply(`🧾 Belum ada QRIS merchant yang disimpan.\n\n${usage}`);
+      }
+      
+      const lines = merchants.map(merchant =>
+        `• <b>${escapeHtml(merchant.merchantName)}</b> (${escapeHtml(merchant.nmid)})\n  Akun: ${escapeHtml(merchant.account.accountName)} - ${merchant.accountId}`);
+      return await ctx.reply(`🧾 <b>QRIS Merchant</b>\n\n${lines.join('\n')}\n\n${escapeHtml(usage)}`, { parse_mode: 'HTML' });
+    }
+    
+    let amount;
+    try {
+      amount = amountArg(args[0], 'jumlah');
+      if (amount < 1) {
+        throw new Error('Jumlah tagihan harus lebih dari 0');
+      }
+    } catch (error) {
+      return await ctx.reply(`❌ ${error.message}\n\n${usage}`);
+    }
+    const note = args.slice(1).join(' ').trim() || null;
+    
+    if (merchants.length === 0) {
+      return await ctx.reply('🧾 Belum ada QRIS merchant yang disimpan. Owner dapat menyimpannya dengan /tagih set [ID akun].');
+    }
+    
+    if (merchants.length === 1) {
+      return await sendMerchantQrisRequest(ctx, merchants[0], amount, note);
+    }
+    
+    // Several merchants, so the cashier picks which one is being paid
+    const queryId = await saveQuery(db, chatId, 'tagih', { amount, note });
+    const keyboard = merchants.map(merchant => [{
+      text: `${merchant.merchantName} (${merchant.account.accountName})`,
+      callback_data: `tagih_pick:${queryId}:${merchant.accountId}`
+    }]);
+    
+    await ctx.reply(`🧾 Tagihan ${formatCurrency(amount)}\n\nPilih merchant:`, {
+      reply_markup: { inline_keyboard: keyboard }
+    });
   } catch (error) {
-    logger.error('telegram.transfer.amount', 'Error processing amount', { error });
-    await ctx.telegram.editMessageText(
-      ctx.chat.id,
-      loadingMsg.message_id,
-      undefined,
-      '❌ Gagal memproses jumlah. Silakan coba lagi nanti.'
-    );
+    logger.error('telegram.tagih', 'Error processing tagih command', { error });
+    await ctx.reply('Gagal membuat tagihan. Silakan coba lagi nanti.');
   }
- }
- 
- /**
- * Bank search handler
+}
+
+/**
+ * Send a dynamic QRIS for an amount, built from a stored merchant code
  */
- async function handleBankSearch(ctx, session, sessionManager) {
-  if (!ctx.message?.text) {
-    return await ctx.reply('Silakan ketik nama bank yang ingin dicari.');
+async function sendMerchantQrisRequest(ctx, merchant, amount, note) {
+  let payload;
+  try {
+    payload = buildDynamicQris(merchant.payload, amount, note);
+  } catch (error) {
+    return await ctx.reply(`❌ ${error.message}`);
   }
- 
-  const searchTerm = ctx.message.text.trim().toLowerCase();
   
-  if (searchTerm.length < 2) {
-    return await ctx.reply('Ketik minimal 2 karakter untuk mencari bank.\n\nContoh: BCA, Mandiri, BNI');
-  }
- 
-  const allBanks = session.data.availableBanks;
+  const image = await renderQrisImage(payload);
+  const caption = [
+    '🧾 <b>Tagihan QRIS</b>',
+    '',
+    `🏪 Merchant: <b>${escapeHtml(merchant.merchantName)}</b>`,
+    `💰 Jumlah: <b>${formatCurrency(amount)}</b>`,
+    note ? `📝 Catatan: ${escapeHtml(note)}` : null,
+    `📅 Dibuat: ${formatJakartaDateTime(new Date())} WIB`,
+    '',
+    'Scan dengan aplikasi e-wallet atau mobile banking. Jumlah sudah terisi otomatis.'
+  ].filter(line => line !== null).join('\n');
   
-  // Search banks by name
-  const matchingBanks = allBanks.filter(bank => {
-    const bankName = (bank.name || bank.instLocalName).toLowerCase();
-    return bankName.includes(searchTerm) || 
-           bank.instId.toLowerCase().includes(searchTerm);
+  await ctx.replyWithPhoto({ source: image, filename: 'tagihan-qris.png' }, { caption, parse_mode: 'HTML' });
+  
+  logger.info('telegram.tagih', 'Payment request sent', {
+    accountId: merchant.accountId,
+    nmid: merchant.nmid,
+    amount
   });
- 
-  if (matchingBanks.length === 0) {
-    return await ctx.reply(
-      `❌ Tidak ditemukan bank dengan kata kunci: "<b>${ctx.message.text}</b>"\n\n💡 Coba kata kunci lain:\n• BCA\n• Mandiri\n• BNI\n• BRI\n• CIMB\n\nAtau ketik /cancel untuk membatalkan.`,
-      { parse_mode: 'HTML' }
-    );
+}
+
+/**
+ * Handle report command: an on-demand summary, or managing the daily and weekly digests
+ */
+async function handleReportCommand(ctx, sdk, sessionManager) {
+  const chatId = ctx.chat.id.toString();
+  const userId = ctx.from?.id.toString();
+  const db = sessionManager.db;
+  
+  let args;
+  try {
+    args = getCommandArgs(ctx.message?.text);
+  } catch (error) {
+    await ctx.reply(`❌ ${error.message}`);
+    return;
   }
- 
-  if (matchingBanks.length === 1) {
-    // Only one match, select it automatically
-    const bankData = matchingBanks[0];
+  
+  const action = (args[0] || '').toLowerCase();
+  const toFrequency = word => ['weekly', 'mingguan'].includes(word) ? 'weekly' : 'daily';
+  
+  if (action === 'status') {
+    const subscriptions = await listReportSubscriptions(db, chatId);
+    if (subscriptions.length === 0) {
+      await ctx.reply('📈 Belum ada laporan terjadwal untuk chat ini.\n\nContoh: /report harian 20:00');
+      return;
+    }
     
-    await updateSessionData(session, sessionManager, {
-      state: 'awaiting_account_number',
-      data: { bankData }
-    });
- 
-    const bankName = bankData.name || bankData.instLocalName;
-    const transferAmount = formatCurrency(session.data.amount);
- 
-    await ctx.reply(
-      `✅ <b>Bank ditemukan: ${bankName}</b>\n💰 <b>Jumlah: ${transferAmount}</b>\n\n📝 Silakan masukkan nomor rekening tujuan (8-20 digit):`,
-      { parse_mode: 'HTML' }
-    );
-  } else {
-    // Multiple matches, show selection
-    const bankKeyboard = matchingBanks.slice(0, 10).map((bank) => [
-      { 
-        text: `${bank.name || bank.instLocalName}`, 
-        callback_data: `select_bank:${allBanks.indexOf(bank)}`
-      }
-    ]);
+    const lines = subscriptions.map(subscription =>
+      `• ${describeReportSubscription(subscription)}\n  Berikutnya: ${formatJakartaDateTime(subscription.nextRunAt)} WIB`);
+    await ctx.reply(`📈 <b>Laporan terjadwal</b>\n\n${lines.join('\n')}`, { parse_mode: 'HTML' });
+    return;
+  }
+  
+  if (action === 'off') {
+    const word = (args[1] || '').toLowerCase();
+    if (word && !REPORT_FREQUENCY_WORDS.includes(word)) {
+      await ctx.reply('Penggunaan: /report off, /report off harian atau /report off mingguan');
+      return;
+    }
     
-    if (matchingBanks.length > 10) {
-      bankKeyboard.push([{ 
-        text: `➡️ Lihat ${matchingBanks.length - 10} bank lainnya`, 
-        callback_data: 'more_search_results' 
-      }]);
+    const removed = await unsubscribeReport(db, chatId, word ? toFrequency(word) : null);
+    await ctx.reply(removed > 0
+      ? '🔕 Laporan terjadwal dihentikan.'
+      : 'Tidak ada laporan terjadwal yang aktif.');
+    return;
+  }
+  
+  if (REPORT_FREQUENCY_WORDS.includes(action)) {
+    let spec;
+    try {
+      spec = parseReportSchedule(args.map(arg => arg.toLowerCase()));
+    } catch (error) {
+      await ctx.reply(`❌ ${error.message}\n\nContoh: /report harian 20:00 atau /report mingguan senin 20:00`);
+      return;
     }
     
-    bankKeyboard.push([{ text: '🔍 Cari Lagi', callback_data: 'search_bank' }]);
-    bankKeyboard.push([{ text: '❌ Batal', callback_data: 'cancel_transfer' }]);
- 
-    const transferAmount = formatCurrency(session.data.amount);
- 
-    await ctx.reply(
-      `🔍 <b>Hasil pencarian "${ctx.message.text}":</b>\n💰 <b>Jumlah: ${transferAmount}</b>\n\nDitemukan ${matchingBanks.length} bank:`,
-      {
-        reply_markup: {
-          inline_keyboard: bankKeyboard
-        },
-        parse_mode: 'HTML'
-      }
-    );
- 
-    // Update session with search results
-    await updateSessionData(session, sessionManager, {
-      data: { searchResults: matchingBanks }
+    await subscribeReport(db, chatId, userId, spec);
+    await ctx.reply(`✅ ${describeReportSubscription(spec)} aktif untuk chat ini.\nLaporan pertama: ${formatJakartaDateTime(spec.nextRunAt)} WIB`);
+    return;
+  }
+  
+  let options;
+  try {
+    options = parseMutasiOptions(args, { spec: REPORT_ARGS, defaults: { period: 'today' } });
+  } catch (error) {
+    await ctx.reply(`❌ ${error.message}\n\nContoh: /report yesterday, /report days 7, /report from 2026-01-01 to 2026-01-31`);
+    return;
+  }
+  
+  const statusMsg = await ctx.reply('📈 Menyusun laporan... 🔄');
+  
+  try {
+    const report = await buildReport(sdk, getMutasiDateRange(options), options);
+    const [first, ...rest] = formatReport(report, 'Laporan Mutasi');
+    
+    await ctx.telegram.editMessageText(chatId, statusMsg.message_id, undefined, first, { parse_mode: 'HTML' });
+    for (const message of rest) {
+      await ctx.reply(message, { parse_mode: 'HTML' });
+    }
+  } catch (error) {
+    logger.error('telegram.report', 'Error building report', {
+      error: error instanceof Error ? error.message : 'Unknown error'
     });
+    
+    await ctx.telegram.editMessageText(
+      chatId,
+      statusMsg.message_id,
+      undefined,
+      '❌ Gagal menyusun laporan. Silakan coba lagi nanti.'
+    );
   }
- }
- 
- /**
- * Helper function for bank pagination
+}
+
+/**
+ * Handle export command, sending /mutasi results as a CSV, XLSX or PDF document
  */
- function showBankPage(ctx, session, banks, page) {
-  const BANKS_PER_PAGE = 15;
-  const startIndex = page * BANKS_PER_PAGE;
-  const endIndex = Math.min(startIndex + BANKS_PER_PAGE, banks.length);
-  const banksOnPage = banks.slice(startIndex, endIndex);
+async function handleExportCommand(ctx, sdk) {
+  const chatId = ctx.chat.id.toString();
   
-  const bankKeyboard = banksOnPage.map((bank, index) => [
-    { 
-      text: `${bank.name || bank.instLocalName}`, 
-      callback_data: `select_bank:${session.data.availableBanks.indexOf(bank)}`
+  let format = 'csv';
+  let options;
+  try {
+    const args = getCommandArgs(ctx.message?.text);
+    if (EXPORT_FORMATS.includes(args[0]?.toLowerCase())) {
+      format = args.shift().toLowerCase();
     }
-  ]);
-  
-  // Navigation buttons
-  const navButtons = [];
-  if (page > 0) {
-    navButtons.push({ text: '⬅️ Sebelumnya', callback_data: `bank_page:${page - 1}` });
-  }
-  if (endIndex < banks.length) {
-    navButtons.push({ text: 'Selanjutnya ➡️', callback_data: `bank_page:${page + 1}` });
+    options = parseMutasiOptions(args);
+  } catch (error) {
+    await ctx.reply(`❌ ${error.message}\n\nContoh: /export xlsx days 30 type credit`);
+    return;
   }
   
-  if (navButtons.length > 0) {
-    bankKeyboard.push(navButtons);
-  }
+  const range = getMutasiDateRange(options);
   
-  bankKeyboard.push([{ text: '🔍 Cari Bank', callback_data: 'search_bank' }]);
-  bankKeyboard.push([{ text: '❌ Batal', callback_data: 'cancel_transfer' }]);
- 
-  const transferAmount = formatCurrency(session.data.amount);
-  const totalPages = Math.ceil(banks.length / BANKS_PER_PAGE);
- 
-  ctx.editMessageText(
-    `💰 <b>Jumlah transfer: ${transferAmount}</b>\n\n📋 <b>Semua Bank (A-Z)</b>\nHalaman ${page + 1} dari ${totalPages} • Bank ${startIndex + 1}-${endIndex} dari ${banks.length}`,
-    {
-      reply_markup: {
-        inline_keyboard: bankKeyboard
-      },
-      parse_mode: 'HTML'
-    }
-  );
- }
- 
- /**
- * Set up all callback actions
- */
- function setupCallbackActions(bot, sdk, sessionManager) {
-  // Handle cancel button
-  bot.action('cancel_remove', async (ctx) => {
-    await ctx.answerCbQuery('Dibatalkan');
-    await ctx.editMessageText('Tindakan dibatalkan. Gunakan /remove untuk memulai kembali.');
-  });
- 
-  // Handle account selection for removal
-  bot.action(/^remove:(.+)$/, async (ctx) => {
-    const accountId = ctx.match[1];
-    await ctx.answerCbQuery();
+  const statusMsg = await ctx.reply(`📄 Menyiapkan export ${format.toUpperCase()}... 🔄`);
+  
+  try {
+    const { maxRows } = getExportSettings();
+    const { transactions, newer, truncated } = await getAllMutasiInRange(sdk, options, range, maxRows);
     
-    const confirmKeyboard = [
-      [
-        { text: '✅ Ya, hapus akun ini', callback_data: `confirm:${accountId}` },
-        { text: '❌ Batal', callback_data: 'cancel_remove' }
-      ]
-    ];
+    // Balances are worked back from today's balance, which needs every mutation of the account
+    const withBalances = !truncated &&
+      !options.type &&
+      !options.search &&
+      options.minAmount === undefined &&
+      options.maxAmount === undefined;
     
-    await ctx.editMessageText(
-      `⚠️ Apakah Anda yakin ingin menghapus akun ini? Tindakan ini tidak dapat dibatalkan.`,
-      {
-        reply_markup: {
-          inline_keyboard: confirmKeyboard
-        }
+    let accounts = [];
+    if (withBalances) {
+      const accountsResponse = await sdk.getAccounts();
+      accounts = accountsResponse.status === 'success' ? accountsResponse.data || [] : [];
+    }
+    
+    const from = formatJakartaDateTime(range.since);
+    const to = formatJakartaDateTime(range.until);
+    const { buffer, fileName } = await buildExportFile(format, {
+      transactions,
+      summaries: summarizeByAccount(transactions, newer, accounts, withBalances),
+      meta: {
+        period: `${from} - ${to} WIB`,
+        filters: describeMutasiFilters(options, { withPeriod: false }).join(', '),
+        truncated,
+        fileLabel: `${from.slice(0, 10)}_${to.slice(0, 10)}`
       }
-    );
-  });
- 
-  // Handle confirmation for removal
-  bot.action(/^confirm:(.+)$/, async (ctx) => {
-    const accountId = ctx.match[1];
-    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
-    const messageId = ctx.callbackQuery?.message?.message_id;
+    });
     
-    if (!chatId || !messageId) {
-      await ctx.answerCbQuery('Error: Tidak dapat memproses permintaan');
-      return;
+    let caption = `📄 ${transactions.length} mutasi, ${from} - ${to} WIB`;
+    if (truncated) {
+      caption += `\n⚠️ Dibatasi ${maxRows} mutasi terbaru, persempit periode atau filter untuk data lengkap.`;
     }
     
-    // Acknowledge the action
-    await ctx.answerCbQuery('Memproses...');
- 
-    // Update message to show processing
-    await ctx.editMessageText(
-      '⏳ Menghapus akun... Mohon tunggu.',
-      { reply_markup: { inline_keyboard: [] } }
+    await ctx.replyWithDocument({ source: buffer, filename: fileName }, { caption });
+    await ctx.telegram.deleteMessage(chatId, statusMsg.message_id);
+  } catch (error) {
+    logger.error('telegram.export', 'Error exporting transactions', {
+      error: error instanceof Error ? error.message : 'Unknown error'
+    });
+    
+    await ctx.telegram.editMessageText(
+      chatId,
+      statusMsg.message_id,
+      undefined,
+      '❌ Gagal membuat export. Silakan coba lagi nanti.'
     );
+  }
+}
+
+// Quick date ranges offered under /mutasi results, days or a MUTASI_PERIODS name
+const MUTASI_QUICK_RANGES = [
+  { key: 'today', label: 'Hari ini' },
+  { key: 'yesterday', label: 'Kemarin' },
+  { key: '7', label: '7 hari' },
+  { key: '30', label: '30 hari' },
+  { key: 'thismonth', label: 'Bulan ini' },
+  { key: 'lastmonth', label: 'Bulan lalu' }
+];
+
+const MUTASI_DEFAULTS = {
+  limit: 5, // Default limit
+  days: 7,  // Default to last 7 days
+  page: 1   // Default page
+};
+
+// Filters accepted by /mutasi and /export
+const MUTASI_ARGS = {
+  limit: { parse: positiveIntArg(20) }, // Cap at 20 for readability
+  page: { parse: positiveIntArg() },
+  days: {
+    parse: positiveIntArg(90), // Cap at 90 days
+    apply: (options, days) => {
+      options.days = days;
+      delete options.period;
+    }
+  },
+  from: { parse: dateArg, apply: (options, date) => { options.from = date; delete options.period; } },
+  to: { parse: dateArg, apply: (options, date) => { options.to = date; delete options.period; } },
+  account: { parse: textArg, option: 'accountId' },
+  type: { parse: oneOfArg(['credit', 'debit']), apply: (options, type) => { options.type = type.toUpperCase(); } },
+  provider: { parse: textArg, option: 'providerCode' },
+  min: { parse: amountArg, option: 'minAmount' },
+  max: { parse: amountArg, option: 'maxAmount' },
+  search: { parse: textArg },
+  ...Object.fromEntries(MUTASI_PERIODS.map(period => [period, {
+    flag: true,
+    apply: (options) => {
+      options.period = period;
+      delete options.from;
+      delete options.to;
+    }
+  }]))
+};
+
+// Options after the threshold or keyword of /alerts add
+const ALERT_BASE_ARGS = {
+  account: { parse: textArg, option: 'accountId' },
+  cooldown: { parse: positiveIntArg(7 * 24 * 60), option: 'cooldownMinutes' } // Up to a week
+};
+
+const ALERT_ARGS = {
+  ...ALERT_BASE_ARGS,
+  type: { parse: oneOfArg(['credit', 'debit']), apply: (rule, type) => { rule.txType = type.toUpperCase(); } }
+};
+
+// /report takes only the period and account filters of /mutasi
+const REPORT_ARGS = Object.fromEntries(
+  ['days', 'from', 'to', 'account', ...MUTASI_PERIODS].map(key => [key, MUTASI_ARGS[key]])
+);
+
+// Options after the amount and customer of /invoice create
+const INVOICE_ARGS = {
+  due: { parse: dateArg },
+  account: { parse: textArg, option: 'accountId' },
+  unik: { flag: true, apply: (invoice) => { invoice.uniqueCode = true; } }
+};
+
+const INVOICE_LIST_LIMIT = 10;
+
+/**
+ * Parse mutasi command options
+ * @param {Array} args - Tokens from getCommandArgs
+ * @param {Object} [settings] - spec and defaults, for commands that take a subset of the filters
+ * @returns {Object} Options
+ * @throws {Error} On unknown or invalid filters, with a message for the user
+ */
+function parseMutasiOptions(args, { spec = MUTASI_ARGS, defaults = MUTASI_DEFAULTS } = {}) {
+  const options = parseCommandOptions(args, spec, defaults);
+  
+  // An explicit range replaces the default of the last 7 days
+  if (options.period || options.from) {
+    delete options.days;
+  }
+  
+  // Swap a range given backwards
+  if (options.from && options.to && options.from > options.to) {
+    [options.from, options.to] = [options.to, options.from];
+  }
+  
+  if (options.minAmount !== undefined && options.maxAmount !== undefined && options.minAmount > options.maxAmount) {
+    throw new Error('Jumlah min tidak boleh lebih besar dari max');
+  }
+  
+  return options;
+}
+ 
+ /**
+ * Handle accounts command
+ */
+ async function handleAccountsCommand(ctx, sdk) {
+  const chatId = ctx.chat?.id.toString();
+  if (!chatId) {
+    logger.error('telegram.accounts', 'No chat context found');
+    return;
+  }
+  
+  try {
+    // Show a "loading" message
+    const loadingMsg = await ctx.reply('Memuat akun Anda... 🔄');
     
     try {
-      // Call function to remove account
-      logger.info('telegram.remove', `Removing account ${accountId}`);
-      const result = await removeAccountForUser(sdk, accountId);
+      // Get accounts using the handler function
+      const result = await getAccountsForUser(sdk, chatId);
       
       if (result.success) {
-        await ctx.editMessageText(`✅ Berhasil menghapus akun.`);
+        // Display the formatted message
+        await ctx.telegram.editMessageText(
+          chatId,
+          loadingMsg.message_id,
+          undefined,
+          result.message,
+          { parse_mode: 'HTML' }
+        );
       } else {
-        await ctx.editMessageText(`❌ ${result.message || 'Gagal menghapus akun'}`);
+        await ctx.telegram.editMessageText(
+          chatId,
+          loadingMsg.message_id,
+          undefined,
+          '❌ ' + result.message
+        );
       }
     } catch (error) {
-      logger.error('telegram.remove', 'Error in confirm handler', { error });
-      await ctx.editMessageText('❌ Error menghapus akun. Silakan coba lagi nanti.');
+      logger.error('telegram.accounts', 'Error in accounts command', {
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+      
+      await ctx.telegram.editMessageText(
+        chatId,
+        loadingMsg.message_id,
+        undefined,
+        '❌ Gagal mengambil akun. Silakan coba lagi nanti atau periksa aplikasi.'
+      );
     }
-  });
+  } catch (error) {
+    logger.error('telegram.accounts', 'Error fetching user info', { error });
+    await ctx.reply('Gagal memverifikasi akun Anda. Silakan coba lagi nanti.');
+  }
+ }
  
-  // Handle transfer account selection
-  bot.action(/^transfer_account:(.+)$/, async (ctx) => {
-    const accountId = ctx.match[1];
-    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
+ /**
+ * Handle remove command
+ */
+ async function handleRemoveCommand(ctx, sdk) {
+  const chatId = ctx.chat?.id.toString();
+  if (!chatId) return;
+  
+  try {
+    // Show a "loading" message
+    const loadingMsg = await ctx.reply('Memuat daftar akun... 🔄');
     
-    if (!chatId) {
-      await ctx.answerCbQuery('Error: Tidak dapat memproses permintaan');
-      return;
-    }
- 
     try {
-      await ctx.answerCbQuery();
+      // Get all accounts for this user
+      const accountsResponse = await sdk.getAccounts();
       
-      // Create session for transfer
-      const session = await createSessionData(chatId, 'dana_transfer', { 
-        accountId 
-      }, sessionManager);
- 
-      // Update session state
-      await updateSessionData(session, sessionManager, {
-        state: 'select_transfer_type'
-      });
- 
-      // Show transfer type options
-      const transferKeyboard = [
-        [{ text: '🏦 Transfer ke Bank', callback_data: 'transfer_type:bank' }],
-        [{ text: '📱 Bayar QRIS', callback_data: 'transfer_type:qris' }],
-        [{ text: 'Batal', callback_data: 'cancel_transfer' }]
-      ];
- 
-      await ctx.editMessageText(
-        'Pilih jenis transfer:',
+      // Check if response is in the expected format
+      if (accountsResponse.status !== 'success' || !accountsResponse.data) {
+        await ctx.telegram.editMessageText(
+          chatId,
+          loadingMsg.message_id,
+          undefined,
+          '❌ Gagal mengambil daftar akun. Silakan coba lagi nanti.'
+        );
+        return;
+      }
+      
+      // Filter only active e-wallet accounts
+      const walletAccounts = accountsResponse.data.filter(
+        account => account.type === 'ewallet' && account.isActive === true
+      );
+      
+      if (walletAccounts.length === 0) {
+        await ctx.telegram.editMessageText(
+          chatId,
+          loadingMsg.message_id,
+          undefined,
+          'Anda tidak memiliki akun e-wallet untuk dihapus.'
+        );
+        return;
+      }
+      
+      // Create keyboard
+      const keyboard = walletAccounts.map((account) => [
+        { 
+          text: `${account.accountName} (${account.provider.name || account.provider.code || 'Unknown'})`, 
+          callback_data: `remove:${account.id}` 
+        }
+      ]);
+      
+      keyboard.push([{ text: 'Batal', callback_data: 'cancel_remove' }]);
+      
+      // Send selection message
+      await ctx.telegram.editMessageText(
+        chatId,
+        loadingMsg.message_id,
+        undefined,
+        'Pilih akun yang ingin dihapus:',
         {
           reply_markup: {
-            inline_keyboard: transferKeyboard
+            inline_keyboard: keyboard
           }
         }
       );
     } catch (error) {
-      logger.error('telegram.transfer.account', 'Error selecting account', { error });
-      await ctx.answerCbQuery('Gagal memproses pilihan');
+      logger.error('telegram.remove', 'Error in remove command', { error });
+      await ctx.telegram.editMessageText(
+        chatId,
+        loadingMsg.message_id,
+        undefined,
+        '❌ Gagal memuat daftar akun. Silakan coba lagi nanti.'
+      );
     }
-  });
+  } catch (error) {
+    logger.error('telegram.remove', 'Error preparing remove command', { error });
+    await ctx.reply('Gagal mempersiapkan daftar akun. Silakan coba lagi nanti.');
+  }
+ }
  
-  // Handle transfer type selection
-  bot.action(/^transfer_type:(.+)$/, async (ctx) => {
-    const transferType = ctx.match[1]; // 'bank' or 'qris'
-    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
-    
-    if (!chatId) {
-      await ctx.answerCbQuery('Error: Tidak dapat memproses permintaan');
+ /**
+ * Handle add command
+ */
+ async function handleAddCommand(ctx, sessionManager) {
+  const chatId = ctx.chat?.id.toString();
+  if (!chatId) {
+    logger.error('telegram.add', 'No chat context found');
+    return;
+  }
+  
+  try {
+    // Check for existing active process sessions (exclude authenticated sessions)
+    const hasActiveProcess = await hasActiveProcessSession(chatId, sessionManager);
+    if (hasActiveProcess) {
+      await ctx.reply('Anda memiliki proses yang sedang berlangsung. Silakan selesaikan atau ketik /cancel untuk membatalkan.');
       return;
     }
- 
-    try {
-      await ctx.answerCbQuery();
-      
-      // Get current session
-      const session = await getSessionData(chatId, sessionManager);
-      if (!session) {
-        await ctx.editMessageText('Sesi tidak valid. Silakan mulai kembali dengan /transfer.');
-        return;
-      }
- 
-      if (transferType === 'bank') {
-        // Bank transfer flow
-        await ctx.editMessageText('Silakan masukkan jumlah yang ingin ditransfer (minimum Rp 10.000):');
-        
-        await updateSessionData(session, sessionManager, {
-          state: 'awaiting_bank_amount',
-          data: { transferType: 'bank' }
-        });
-      } else if (transferType === 'qris') {
-        // QRIS transfer flow
-        await ctx.editMessageText('Silakan masukkan jumlah untuk pembayaran QRIS (minimum Rp 1.000):');
-        
-        await updateSessionData(session, sessionManager, {
-          state: 'awaiting_qris_amount',
-          data: { transferType: 'qris' }
-        });
-      }
-    } catch (error) {
-      logger.error('telegram.transfer.type', 'Error selecting transfer type', { error });
-      await ctx.answerCbQuery('Gagal memproses pilihan');
-    }
-  });
- 
-  // Handle search bank option
-  bot.action('search_bank', async (ctx) => {
-    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
     
-    if (!chatId) {
-      await ctx.answerCbQuery('Error: Tidak dapat memproses permintaan');
+    // Check if we have any supported wallets
+    if (SUPPORTED_WALLETS.length === 0) {
+      await ctx.reply('Tidak ada e-wallet yang didukung saat ini.');
       return;
     }
- 
-    try {
-      await ctx.answerCbQuery();
+    
+    // If only one wallet type is supported, skip selection
+    if (SUPPORTED_WALLETS.length === 1) {
+      const wallet = SUPPORTED_WALLETS[0];
       
-      // Get current session
-      const session = await getSessionData(chatId, sessionManager);
-      if (!session) {
-        await ctx.editMessageText('Sesi tidak valid. Silakan mulai kembali dengan /transfer.');
-        return;
-      }
- 
-      // Update session state to search mode
+      // Create a session for adding the wallet
+      const session = await createSessionData(chatId, 'add_wallet', { 
+        walletCode: wallet.code,
+        providerId: wallet.id
+      }, sessionManager);
+      
+      // Update session state
       await updateSessionData(session, sessionManager, {
-        state: 'searching_bank'
+        state: 'awaiting_phone'
       });
- 
-      const transferAmount = formatCurrency(session.data.amount);
- 
-      await ctx.editMessageText(
-        `💰 <b>Jumlah transfer: ${transferAmount}</b>\n\n🔍 <b>Cari Bank</b>\n\nKetik nama bank yang ingin Anda cari:\n\nContoh:\n• BCA\n• Mandiri\n• BNI\n• BRI\n\nAtau ketik /cancel untuk membatalkan.`,
-        { parse_mode: 'HTML' }
-      );
-    } catch (error) {
-      logger.error('telegram.search_bank', 'Error in search bank', { error });
-      await ctx.answerCbQuery('Gagal memulai pencarian');
-    }
-  });
- 
-  // Handle popular banks
-  bot.action('popular_banks', async (ctx) => {
-    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
-    
-    if (!chatId) {
-      await ctx.answerCbQuery('Error: Tidak dapat memproses permintaan');
-      return;
-    }
- 
-    try {
-      await ctx.answerCbQuery();
       
-      const session = await getSessionData(chatId, sessionManager);
-      if (!session || !session.data.availableBanks) {
-        await ctx.editMessageText('Sesi tidak valid. Silakan mulai kembali dengan /transfer.');
-        return;
-      }
- 
-      // Define popular banks by instId
-      const popularBankIds = [
-        'BCAC1ID', 'MDRIC1ID', 'BNIC1ID', 'BRIC1ID', 'CITIC1ID',
-        'MABKC1ID', 'PANIC1ID', 'BNLIC1ID', 'DBSC1ID', 'UOBC1ID'
-      ];
- 
-      const allBanks = session.data.availableBanks;
-      const popularBanks = popularBankIds
-        .map(id => allBanks.find(bank => bank.instId === id))
-        .filter(bank => bank !== undefined);
- 
-      const bankKeyboard = popularBanks.map((bank, index) => [
-        { 
-          text: `${bank.name || bank.instLocalName}`, 
-          callback_data: `select_bank:${allBanks.indexOf(bank)}`
-        }
+      await ctx.reply(`Silakan masukkan nomor telepon ${wallet.name} Anda dalam format: 081xxxxxxxxx\n\nBalas dengan nomor telepon Anda atau ketik /cancel untuk membatalkan.`);
+    } else {
+      // Multiple wallet types - show selection keyboard
+      const keyboard = SUPPORTED_WALLETS.map((wallet) => [
+        { text: wallet.name, callback_data: `wallet_${wallet.code}` }
       ]);
       
-      bankKeyboard.push([{ text: '🔍 Cari Bank Lain', callback_data: 'search_bank' }]);
-      bankKeyboard.push([{ text: '📋 Semua Bank', callback_data: 'all_banks_az' }]);
-      bankKeyboard.push([{ text: '❌ Batal', callback_data: 'cancel_transfer' }]);
- 
-      const transferAmount = formatCurrency(session.data.amount);
- 
-      await ctx.editMessageText(
-        `💰 <b>Jumlah transfer: ${transferAmount}</b>\n\n⭐ <b>Bank Populer:</b>`,
+      // Add a cancel button
+      keyboard.push([{ text: 'Batal', callback_data: 'wallet_cancel' }]);
+      
+      await ctx.reply(
+        'Pilih e-wallet yang ingin ditambahkan:',
         {
           reply_markup: {
-            inline_keyboard: bankKeyboard
-          },
-          parse_mode: 'HTML'
+            inline_keyboard: keyboard
+          }
         }
       );
-    } catch (error) {
-      logger.error('telegram.popular_banks', 'Error showing popular banks', { error });
-      await ctx.answerCbQuery('Gagal memuat bank populer');
     }
-  });
+  } catch (error) {
+    logger.error('telegram.add', 'Error in add command', { error });
+    await ctx.reply('Gagal memulai proses penambahan akun. Silakan coba lagi nanti.');
+  }
+ }
  
-  // Handle all banks A-Z
-  bot.action('all_banks_az', async (ctx) => {
-    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
-    
-    if (!chatId) {
-      await ctx.answerCbQuery('Error: Tidak dapat memproses permintaan');
-      return;
-    }
+ /**
+ * Handle bank transfer amount input with improved UX
+ */
+ async function handleBankAmountInput(ctx, session, sdk, sessionManager) {
+  if (!ctx.message?.text) {
+    return await ctx.reply('Input tidak valid. Silakan masukkan jumlah yang valid.');
+  }
  
-    try {
-      await ctx.answerCbQuery();
-      
-      const session = await getSessionData(chatId, sessionManager);
-      if (!session || !session.data.availableBanks) {
-        await ctx.editMessageText('Sesi tidak valid. Silakan mulai kembali dengan /transfer.');
-        return;
-      }
+  const amountText = ctx.message.text.trim().replace(/[.,]/g, '');
+  const amount = parseInt(amountText);
  
-      // Sort banks alphabetically and show first 15
-      const allBanks = [...session.data.availableBanks].sort((a, b) => 
-        (a.name || a.instLocalName).localeCompare(b.name || b.instLocalName)
-      );
+  if (isNaN(amount) || amount < 10000) {
+    return await ctx.reply('Jumlah tidak valid. Minimum transfer ke bank adalah Rp 10.000.\n\nSilakan masukkan jumlah yang valid:');
+  }
  
-      await updateSessionData(session, sessionManager, {
-        data: { 
-          sortedBanks: allBanks,
-          currentPage: 0
-        }
-      });
+  const limitCheck = await checkTransferLimits(sessionManager.db, {
+    userId: session.data.userId || ctx.from?.id.toString(),
+    accountId: session.data.accountId,
+    amount
+  });
+  if (!limitCheck.allowed) {
+    return await ctx.reply(`❌ ${limitCheck.message}\n\nSilakan masukkan jumlah lain atau ketik /cancel. Gunakan /limits untuk melihat sisa kuota.`);
+  }
  
-      showBankPage(ctx, session, allBanks, 0);
-    } catch (error) {
-      logger.error('telegram.all_banks', 'Error showing all banks', { error });
-      await ctx.answerCbQuery('Gagal memuat semua bank');
+  // Saved recipients already know their bank and account number
+  if (session.data.beneficiaryId) {
+    const updatedSession = await updateSessionData(session, sessionManager, {
+      data: { amount }
+    });
+    return await verifyBankTransfer(ctx, updatedSession, sdk, sessionManager);
+  }
+ 
+  const loadingMsg = await ctx.reply('Memuat daftar bank... 🔄');
+ 
+  try {
+    const banksResponse = await sdk.getDanaBanks(session.data.accountId);
+    
+    if (!banksResponse.success || !Array.isArray(banksResponse.data) || banksResponse.data.length === 0) {
+      await ctx.telegram.editMessageText(
+        ctx.chat.id,
+        loadingMsg.message_id,
+        undefined,
+        '❌ Gagal memuat daftar bank. Silakan coba lagi nanti.'
+      );
+      return;
     }
+ 
+    // Update session with amount and banks
+    await updateSessionData(session, sessionManager, {
+      state: 'selecting_bank_method',
+      data: { 
+        amount,
+        availableBanks: banksResponse.data 
+      }
+    });
+ 
+    // Show bank selection options
+    const selectionKeyboard = [
+      [{ text: '🔍 Cari Bank', callback_data: 'search_bank' }],
+      [{ text: '⭐ Bank Populer', callback_data: 'popular_banks' }],
+      [{ text: '📋 Semua Bank (A-Z)', callback_data: 'all_banks_az' }],
+      [{ text: '❌ Batal', callback_data: 'cancel_transfer' }]
+    ];
+ 
+    await ctx.telegram.editMessageText(
+      ctx.chat.id,
+      loadingMsg.message_id,
+      undefined,
+      `💰 <b>Jumlah transfer: ${formatCurrency(amount)}</b>\n\n🏦 <b>Cara pilih bank tujuan:</b>\n\n🔍 <b>Cari Bank</b> - Ketik nama bank\n⭐ <b>Bank Populer</b> - 10 bank utama\n📋 <b>Semua Bank</b> - Daftar lengkap (${banksResponse.data.length} bank)`,
+      {
+        reply_markup: {
+          inline_keyboard: selectionKeyboard
+        },
+        parse_mode: 'HTML'
+      }
+    );
+  } catch (error) {
+    logger.error('telegram.transfer.amount', 'Error processing amount', { error });
+    await ctx.telegram.editMessageText(
+      ctx.chat.id,
+      loadingMsg.message_id,
+      undefined,
+      '❌ Gagal memproses jumlah. Silakan coba lagi nanti.'
+    );
+  }
+ }
+ 
+ /**
+ * Bank search handler
+ */
+ async function handleBankSearch(ctx, session, sessionManager) {
+  if (!ctx.message?.text) {
+    return await ctx.reply('Silakan ketik nama bank yang ingin dicari.');
+  }
+ 
+  const searchTerm = ctx.message.text.trim().toLowerCase();
+  
+  if (searchTerm.length < 2) {
+    return await ctx.reply('Ketik minimal 2 karakter untuk mencari bank.\n\nContoh: BCA, Mandiri, BNI');
+  }
+ 
+  const allBanks = session.data.availableBanks;
+  
+  // Search banks by name
+  const matchingBanks = allBanks.filter(bank => {
+    const bankName = (bank.name || bank.instLocalName).toLowerCase();
+    return bankName.includes(searchTerm) || 
+           bank.instId.toLowerCase().includes(searchTerm);
   });
  
-  // Handle bank page navigation
-  bot.action(/^bank_page:(\d+)$/, async (ctx) => {
-    const page = parseInt(ctx.match[1]);
+  if (matchingBanks.length === 0) {
+    return await ctx.reply(
+      `❌ Tidak ditemukan bank dengan kata kunci: "<b>${ctx.message.text}</b>"\n\n💡 Coba kata kunci lain:\n• BCA\n• Mandiri\n• BNI\n• BRI\n• CIMB\n\nAtau ketik /cancel untuk membatalkan.`,
+      { parse_mode: 'HTML' }
+    );
+  }
+ 
+  if (matchingBanks.length === 1) {
+    // Only one match, select it automatically
+    const bankData = matchingBanks[0];
+    
+    await updateSessionData(session, sessionManager, {
+      state: 'awaiting_account_number',
+      data: { bankData }
+    });
+ 
+    const bankName = bankData.name || bankData.instLocalName;
+    const transferAmount = formatCurrency(session.data.amount);
+ 
+    await ctx.reply(
+      `✅ <b>Bank ditemukan: ${bankName}</b>\n💰 <b>Jumlah: ${transferAmount}</b>\n\n📝 Silakan masukkan nomor rekening tujuan (8-20 digit):`,
+      { parse_mode: 'HTML' }
+    );
+  } else {
+    // Multiple matches, show selection
+    const bankKeyboard = matchingBanks.slice(0, 10).map((bank) => [
+      { 
+        text: `${bank.name || bank.instLocalName}`, 
+        callback_data: `select_bank:${allBanks.indexOf(bank)}`
+      }
+    ]);
+    
+    if (matchingBanks.length > 10) {
+      bankKeyboard.push([{ 
+        text: `➡️ Lihat ${matchingBanks.length - 10} bank lainnya`, 
+        callback_data: 'more_search_results' 
+      }]);
+    }
+    
+    bankKeyboard.push([{ text: '🔍 Cari Lagi', callback_data: 'search_bank' }]);
+    bankKeyboard.push([{ text: '❌ Batal', callback_data: 'cancel_transfer' }]);
+ 
+    const transferAmount = formatCurrency(session.data.amount);
+ 
+    await ctx.reply(
+      `🔍 <b>Hasil pencarian "${ctx.message.text}":</b>\n💰 <b>Jumlah: ${transferAmount}</b>\n\nDitemukan ${matchingBanks.length} bank:`,
+      {
+        reply_markup: {
+          inline_keyboard: bankKeyboard
+        },
+        parse_mode: 'HTML'
+      }
+    );
+ 
+    // Update session with search results
+    await updateSessionData(session, sessionManager, {
+      data: { searchResults: matchingBanks }
+    });
+  }
+ }
+ 
+ /**
+ * Helper function for bank pagination
+ */
+ function showBankPage(ctx, session, banks, page) {
+  const BANKS_PER_PAGE = 15;
+  const startIndex = page * BANKS_PER_PAGE;
+  const endIndex = Math.min(startIndex + BANKS_PER_PAGE, banks.length);
+  const banksOnPage = banks.slice(startIndex, endIndex);
+  
+  const bankKeyboard = banksOnPage.map((bank, index) => [
+    { 
+      text: `${bank.name || bank.instLocalName}`, 
+      callback_data: `select_bank:${session.data.availableBanks.indexOf(bank)}`
+    }
+  ]);
+  
+  // Navigation buttons
+  const navButtons = [];
+  if (page > 0) {
+    navButtons.push({ text: '⬅️ Sebelumnya', callback_data: `bank_page:${page - 1}` });
+  }
+  if (endIndex < banks.length) {
+    navButtons.push({ text: 'Selanjutnya ➡️', callback_data: `bank_page:${page + 1}` });
+  }
+  
+  if (navButtons.length > 0) {
+    bankKeyboard.push(navButtons);
+  }
+  
+  bankKeyboard.push([{ text: '🔍 Cari Bank', callback_data: 'search_bank' }]);
+  bankKeyboard.push([{ text: '❌ Batal', callback_data: 'cancel_transfer' }]);
+ 
+  const transferAmount = formatCurrency(session.data.amount);
+  const totalPages = Math.ceil(banks.length / BANKS_PER_PAGE);
+ 
+  ctx.editMessageText(
+    `💰 <b>Jumlah transfer: ${transferAmount}</b>\n\n📋 <b>Semua Bank (A-Z)</b>\nHalaman ${page + 1} dari ${totalPages} • Bank ${startIndex + 1}-${endIndex} dari ${banks.length}`,
+    {
+      reply_markup: {
+        inline_keyboard: bankKeyboard
+      },
+      parse_mode: 'HTML'
+    }
+  );
+ }
+ 
+ /**
+ * Set up all callback actions
+ */
+ function setupCallbackActions(bot, sdk, sessionManager) {
+  // Handle cancel button
+  bot.action('cancel_remove', async (ctx) => {
+    const user = await ensureAccess(ctx, sessionManager, 'owner');
+    if (!user) return;
+    
+    await ctx.answerCbQuery('Dibatalkan');
+    await ctx.editMessageText('Tindakan dibatalkan. Gunakan /remove untuk memulai kembali.');
+  });
+ 
+  // Handle account selection for removal
+  bot.action(/^remove:(.+)$/, async (ctx) => {
+    const accountId = ctx.match[1];
+    
+    const user = await ensureAccess(ctx, sessionManager, 'owner');
+    if (!user) return;
+    
+    await ctx.answerCbQuery();
+    
+    const confirmKeyboard = [
+      [
+        { text: '✅ Ya, hapus akun ini', callback_data: `confirm:${accountId}` },
+        { text: '❌ Batal', callback_data: 'cancel_remove' }
+      ]
+    ];
+    
+    await ctx.editMessageText(
+      `⚠️ Apakah Anda yakin ingin menghapus akun ini? Tindakan ini tidak dapat dibatalkan.`,
+      {
+        reply_markup: {
+          inline_keyboard: confirmKeyboard
+        }
+      }
+    );
+  });
+ 
+  // Handle confirmation for removal
+  bot.action(/^confirm:(.+)$/, async (ctx) => {
+    const accountId = ctx.match[1];
     const chatId = ctx.callbackQuery?.message?.chat.id.toString();
+    const messageId = ctx.callbackQuery?.message?.message_id;
     
-    if (!chatId) {
+    if (!chatId || !messageId) {
       await ctx.answerCbQuery('Error: Tidak dapat memproses permintaan');
       return;
     }
- 
+    
+    const user = await ensureAccess(ctx, sessionManager, 'owner');
+    if (!user) return;
+    
+    // Acknowledge the action
+    await ctx.answerCbQuery('Memproses...');
+ 
+    // Update message to show processing
+    await ctx.editMessageText(
+      '⏳ Menghapus akun... Mohon tunggu.',
+      { reply_markup: { inline_keyboard: [] } }
+    );
+    
+    try {
+      // Call function to remove account
+      logger.info('telegram.remove', `Removing account ${accountId}`);
+      const result = await removeAccountForUser(sdk, accountId);
+      
+      if (result.success) {
+        await ctx.editMessageText(`✅ Berhasil menghapus akun.`);
+      } else {
+        await ctx.editMessageText(`❌ ${result.message || 'Gagal menghapus akun'}`);
+      }
+    } catch (error) {
+      logger.error('telegram.remove', 'Error in confirm handler', { error });
+      await ctx.editMessageText('❌ Error menghapus akun. Silakan coba lagi nanti.');
+    }
+  });
+ 
+  // Handle notification opt-in toggle for an account
+  bot.action(/^notify_account:(.+)$/, async (ctx) => {
+    const accountId = ctx.match[1];
+    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
+    
+    if (!chatId) {
+      await ctx.answerCbQuery('Error: Tidak dapat memproses permintaan');
+      return;
+    }
+    
+    const user = await ensureAccess(ctx, sessionManager, 'viewer');
+    if (!user) return;
+    
+    try {
+      const db = sessionManager.db;
+      const settings = await getNotificationSettings(db, chatId);
+      const isEnabled = settings.accountIds.includes(accountId);
+      
+      await setAccountNotification(db, chatId, accountId, !isEnabled);
+      await ctx.answerCbQuery(isEnabled ? 'Notifikasi akun dimatikan' : 'Notifikasi akun diaktifkan');
+      
+      const accountsResponse = await sdk.getAccounts();
+      if (accountsResponse.status === 'success' && accountsResponse.data) {
+        const accounts = accountsResponse.data.filter(account => account.isActive === true);
+        const updated = await getNotificationSettings(db, chatId);
+        await ctx.editMessageReplyMarkup({
+          inline_keyboard: buildNotifyKeyboard(accounts, updated.accountIds)
+        });
+      }
+    } catch (error) {
+      logger.error('telegram.notify', 'Error toggling account notification', { error });
+      await ctx.reply('❌ Gagal memperbarui pengaturan. Silakan coba lagi.');
+    }
+  });
+  
+  bot.action('notify_done', async (ctx) => {
+    const user = await ensureAccess(ctx, sessionManager, 'viewer');
+    if (!user) return;
+    
+    await ctx.answerCbQuery();
+    await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+  });
+  
+  // Handle approve/reject buttons on transfer approval requests
+  bot.action(/^approval_(approve|reject):(\d+)$/, async (ctx) => {
+    const [, decision, idText] = ctx.match;
+    
+    const user = await ensureAccess(ctx, sessionManager, 'viewer');
+    if (!user) return;
+    
+    await handleApprovalDecision(ctx, parseInt(idText), decision, user, sdk, sessionManager);
+  });
+  
+  // Handle /beneficiaries list, detail, rename and delete buttons
+  bot.action(/^beneficiary_(list|view|rename|delete|delete_confirm)(?::(\d+))?$/, async (ctx) => {
+    const [, action, idText] = ctx.match;
+    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
+    
+    if (!chatId) {
+      await ctx.answerCbQuery('Error: Tidak dapat memproses permintaan');
+      return;
+    }
+    
+    const user = await ensureAccess(ctx, sessionManager, 'operator');
+    if (!user) return;
+    
+    await handleBeneficiaryAction(ctx, action, idText ? parseInt(idText) : null, user, sessionManager);
+  });
+  
+  // Handle source account selection for a new schedule
+  bot.action(/^schedule_account:(.+)$/, async (ctx) => {
+    const accountId = ctx.match[1];
+    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
+    
+    if (!chatId) {
+      await ctx.answerCbQuery('Error: Tidak dapat memproses permintaan');
+      return;
+    }
+    
+    const user = await ensureAccess(ctx, sessionManager, 'operator');
+    if (!user) return;
+    
+    try {
+      await ctx.answerCbQuery();
+      
+      const session = await getSessionData(chatId, sessionManager);
+      if (!session || session.type !== 'schedule_create') {
+        await ctx.editMessageText('Sesi tidak valid. Silakan mulai kembali dengan /schedule.');
+        return;
+      }
+      
+      const beneficiaries = await listBeneficiaries(sessionManager.db);
+      await updateSessionData(session, sessionManager, {
+        state: 'select_schedule_beneficiary',
+        data: { accountId }
+      });
+      
+      const keyboard = beneficiaries.map(beneficiary => [
+        { text: formatBeneficiaryLabel(beneficiary), callback_data: `schedule_beneficiary:${beneficiary.id}` }
+      ]);
+      keyboard.push([{ text: 'Batal', callback_data: 'cancel_schedule' }]);
+      
+      await ctx.editMessageText('⭐ Pilih penerima untuk transfer terjadwal:', {
+        reply_markup: { inline_keyboard: keyboard }
+      });
+    } catch (error) {
+      logger.error('telegram.schedule.account', 'Error selecting schedule account', { error });
+      await ctx.reply('❌ Gagal memproses pilihan. Silakan coba lagi.');
+    }
+  });
+  
+  // Handle recipient selection for a new schedule
+  bot.action(/^schedule_beneficiary:(\d+)$/, async (ctx) => {
+    const beneficiaryId = parseInt(ctx.match[1]);
+    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
+    
+    if (!chatId) {
+      await ctx.answerCbQuery('Error: Tidak dapat memproses permintaan');
+      return;
+    }
+    
+    const user = await ensureAccess(ctx, sessionManager, 'operator');
+    if (!user) return;
+    
+    try {
+      await ctx.answerCbQuery();
+      
+      const session = await getSessionData(chatId, sessionManager);
+      if (!session || session.type !== 'schedule_create') {
+        await ctx.editMessageText('Sesi tidak valid. Silakan mulai kembali dengan /schedule.');
+        return;
+      }
+      
+      const beneficiary = await getBeneficiary(sessionManager.db, beneficiaryId);
+      if (!beneficiary) {
+        await ctx.editMessageText('Penerima tidak ditemukan. Silakan mulai kembali dengan /schedule.');
+        return;
+      }
+      
+      await updateSessionData(session, sessionManager, {
+        state: 'awaiting_schedule_amount',
+        data: { beneficiaryId }
+      });
+      
+      await ctx.editMessageText(`⭐ <b>${escapeHtml(beneficiary.nickname)}</b>\n\nMasukkan jumlah setiap transfer (minimum Rp 10.000):`, {
+        parse_mode: 'HTML'
+      });
+    } catch (error) {
+      logger.error('telegram.schedule.beneficiary', 'Error selecting schedule recipient', { error });
+      await ctx.reply('❌ Gagal memproses pilihan. Silakan coba lagi.');
+    }
+  });
+  
+  // Handle cancel of a new schedule
+  bot.action('cancel_schedule', async (ctx) => {
+    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
+    
+    const user = await ensureAccess(ctx, sessionManager, SESSION_TYPE_ROLES.schedule_create);
+    if (!user) return;
+    
+    if (chatId) {
+      const session = await getSessionData(chatId, sessionManager);
+      if (session?.type === 'schedule_create') {
+        await deleteSessionData(session.id, sessionManager);
+      }
+    }
+    
+    await ctx.answerCbQuery('Dibatalkan');
+    await ctx.editMessageText('Pembuatan jadwal dibatalkan. Gunakan /schedule untuk memulai kembali.');
+  });
+  
+  // Handle /schedules list, detail, pause, resume and cancel buttons
+  bot.action(/^schedule_(list|view|pause|resume|cancel|cancel_confirm)(?::(\d+))?$/, async (ctx) => {
+    const [, action, idText] = ctx.match;
+    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
+    
+    if (!chatId) {
+      await ctx.answerCbQuery('Error: Tidak dapat memproses permintaan');
+      return;
+    }
+    
+    const user = await ensureAccess(ctx, sessionManager, 'operator');
+    if (!user) return;
+    
+    await handleScheduleAction(ctx, action, idText ? parseInt(idText) : null, user, sessionManager);
+  });
+  
+  // Handle source account selection for a bulk payout
+  bot.action(/^bulk_account:(.+)$/, async (ctx) => {
+    const accountId = ctx.match[1];
+    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
+    
+    if (!chatId) {
+      await ctx.answerCbQuery('Error: Tidak dapat memproses permintaan');
+      return;
+    }
+    
+    const user = await ensureAccess(ctx, sessionManager, 'operator');
+    if (!user) return;
+    
+    try {
+      await ctx.answerCbQuery();
+      
+      const session = await getSessionData(chatId, sessionManager);
+      if (!session || session.type !== 'bulk_payout') {
+        await ctx.editMessageText('Sesi tidak valid. Silakan mulai kembali dengan /bulk.');
+        return;
+      }
+      
+      await updateSessionData(session, sessionManager, {
+        state: 'awaiting_bulk_file',
+        data: { accountId }
+      });
+      
+      await ctx.editMessageText(`📄 Kirim file <b>CSV</b> atau <b>XLSX</b> dengan kolom:
+
+<code>bank, rekening, jumlah, catatan</code>
+
+• <b>bank</b>: kode bank (misalnya BCAC1ID) atau nama bank
+• <b>rekening</b>: nomor rekening tujuan (simpan sebagai teks agar angka 0 di depan tidak hilang)
+• <b>jumlah</b>: minimal Rp 10.000
+• <b>catatan</b>: opsional
+
+Baris judul boleh ada atau tidak. Semua rekening akan diverifikasi sebelum Anda konfirmasi.`, { parse_mode: 'HTML' });
+    } catch (error) {
+      logger.error('telegram.bulk.account', 'Error selecting bulk account', { error });
+      await ctx.reply('❌ Gagal memproses pilihan. Silakan coba lagi.');
+    }
+  });
+  
+  // Handle cancel of a bulk payout before the file is sent
+  bot.action('cancel_bulk', async (ctx) => {
+    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
+    
+    const user = await ensureAccess(ctx, sessionManager, SESSION_TYPE_ROLES.bulk_payout);
+    if (!user) return;
+    
+    if (chatId) {
+      const session = await getSessionData(chatId, sessionManager);
+      if (session?.type === 'bulk_payout') {
+        await deleteSessionData(session.id, sessionManager);
+      }
+    }
+    
+    await ctx.answerCbQuery('Dibatalkan');
+    await ctx.editMessageText('Transfer massal dibatalkan. Gunakan /bulk untuk memulai kembali.');
+  });
+  
+  // Handle /mutasi pagination
+  bot.action(/^mutasi_page:([0-9a-f]+):(\d+)$/, async (ctx) => {
+    const [, queryId, pageText] = ctx.match;
+    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
+    
+    if (!chatId) {
+      await ctx.answerCbQuery('Error: Tidak dapat memproses permintaan');
+      return;
+    }
+    
+    const user = await ensureAccess(ctx, sessionManager, 'viewer');
+    if (!user) return;
+    
+    try {
+      const options = await getSavedQuery(sessionManager.db, queryId, chatId, 'mutasi');
+      if (!options) {
+        await ctx.answerCbQuery('Halaman sudah kedaluwarsa. Jalankan /mutasi lagi.');
+        return;
+      }
+      
+      await ctx.answerCbQuery();
+      await showMutasiPage(ctx, sdk, chatId, { ...options, page: parseInt(pageText) }, queryId);
+    } catch (error) {
+      logger.error('telegram.mutasi', 'Error changing mutasi page', { error });
+      await ctx.reply('❌ Gagal memuat halaman. Silakan coba lagi.');
+    }
+  });
+  
+  // Handle /mutasi type and date range buttons
+  bot.action(/^mutasi_filter:([0-9a-f]+):(type|range):(\w+)$/, async (ctx) => {
+    const [, queryId, filter, value] = ctx.match;
+    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
+    
+    if (!chatId) {
+      await ctx.answerCbQuery('Error: Tidak dapat memproses permintaan');
+      return;
+    }
+    
+    const user = await ensureAccess(ctx, sessionManager, 'viewer');
+    if (!user) return;
+    
+    const validValues = filter === 'type'
+      ? ['credit', 'debit', 'all']
+      : MUTASI_QUICK_RANGES.map(range => range.key);
+    if (!validValues.includes(value)) {
+      await ctx.answerCbQuery('Filter tidak valid');
+      return;
+    }
+    
+    try {
+      const options = await getSavedQuery(sessionManager.db, queryId, chatId, 'mutasi');
+      if (!options) {
+        await ctx.answerCbQuery('Halaman sudah kedaluwarsa. Jalankan /mutasi lagi.');
+        return;
+      }
+      
+      // Telegram refuses to edit a message into the same content
+      if (isMutasiFilterActive(options, filter, value) && (options.page || 1) === 1) {
+        await ctx.answerCbQuery('Filter sudah aktif');
+        return;
+      }
+      
+      const updated = applyMutasiFilter(options, filter, value);
+      await ctx.answerCbQuery();
+      const updatedQueryId = await saveQuery(sessionManager.db, chatId, 'mutasi', updated);
+      await showMutasiPage(ctx, sdk, chatId, updated, updatedQueryId);
+    } catch (error) {
+      logger.error('telegram.mutasi', 'Error applying mutasi filter', { error });
+      await ctx.reply('❌ Gagal menerapkan filter. Silakan coba lagi.');
+    }
+  });
+  
+  // Show the /mutasi account picker
+  bot.action(/^mutasi_accounts:([0-9a-f]+)$/, async (ctx) => {
+    const [, queryId] = ctx.match;
+    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
+    
+    if (!chatId) {
+      await ctx.answerCbQuery('Error: Tidak dapat memproses permintaan');
+      return;
+    }
+    
+    const user = await ensureAccess(ctx, sessionManager, 'viewer');
+    if (!user) return;
+    
+    try {
+      const options = await getSavedQuery(sessionManager.db, queryId, chatId, 'mutasi');
+      if (!options) {
+        await ctx.answerCbQuery('Halaman sudah kedaluwarsa. Jalankan /mutasi lagi.');
+        return;
+      }
+      
+      const accountsResponse = await sdk.getAccounts();
+      if (accountsResponse.status !== 'success') {
+        await ctx.answerCbQuery('Gagal mengambil daftar akun');
+        return;
+      }
+      
+      await ctx.answerCbQuery();
+      
+      const keyboard = (accountsResponse.data || []).map(account => [{
+        text: `${options.accountId === account.id ? '✅ ' : ''}${account.name} (${account.provider?.code || 'Unknown'})`,
+        callback_data: `mutasi_acct:${queryId}:${account.id}`
+      }]);
+      keyboard.push([{ text: `${options.accountId ? '' : '✅ '}Semua akun`, callback_data: `mutasi_acct:${queryId}:all` }]);
+      keyboard.push([{ text: '⬅️ Kembali', callback_data: `mutasi_page:${queryId}:${options.page || 1}` }]);
+      
+      await ctx.editMessageReplyMarkup({ inline_keyboard: keyboard });
+    } catch (error) {
+      logger.error('telegram.mutasi', 'Error showing mutasi account picker', { error });
+      await ctx.reply('❌ Gagal memuat daftar akun. Silakan coba lagi.');
+    }
+  });
+  
+  // Handle /mutasi account selection
+  bot.action(/^mutasi_acct:([0-9a-f]+):(.+)$/, async (ctx) => {
+    const [, queryId, accountId] = ctx.match;
+    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
+    
+    if (!chatId) {
+      await ctx.answerCbQuery('Error: Tidak dapat memproses permintaan');
+      return;
+    }
+    
+    const user = await ensureAccess(ctx, sessionManager, 'viewer');
+    if (!user) return;
+    
+    try {
+      const options = await getSavedQuery(sessionManager.db, queryId, chatId, 'mutasi');
+      if (!options) {
+        await ctx.answerCbQuery('Halaman sudah kedaluwarsa. Jalankan /mutasi lagi.');
+        return;
+      }
+      
+      await ctx.answerCbQuery();
+      
+      // Picking the current account again just closes the picker
+      if ((options.accountId || 'all') === accountId) {
+        await showMutasiPage(ctx, sdk, chatId, options, queryId);
+        return;
+      }
+      
+      const updated = { ...options, page: 1 };
+      if (accountId === 'all') {
+        delete updated.accountId;
+      } else {
+        updated.accountId = accountId;
+      }
+      
+      const updatedQueryId = await saveQuery(sessionManager.db, chatId, 'mutasi', updated);
+      await showMutasiPage(ctx, sdk, chatId, updated, updatedQueryId);
+    } catch (error) {
+      logger.error('telegram.mutasi', 'Error changing mutasi account', { error });
+      await ctx.reply('❌ Gagal memuat transaksi. Silakan coba lagi.');
+    }
+  });
+  
+  // Handle the merchant picked for a /tagih payment request
+  bot.action(/^tagih_pick:([0-9a-f]+):(.+)$/, async (ctx) => {
+    const [, queryId, accountId] = ctx.match;
+    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
+    
+    if (!chatId) {
+      await ctx.answerCbQuery('Error: Tidak dapat memproses permintaan');
+      return;
+    }
+    
+    const user = await ensureAccess(ctx, sessionManager, 'viewer');
+    if (!user) return;
+    
+    try {
+      const request = await getSavedQuery(sessionManager.db, queryId, chatId, 'tagih');
+      if (!request) {
+        await ctx.answerCbQuery('Permintaan sudah kedaluwarsa. Jalankan /tagih lagi.');
+        return;
+      }
+      
+      const accountsResponse = await sdk.getAccounts();
+      const accounts = accountsResponse.status === 'success' ? accountsResponse.data || [] : [];
+      const merchant = (await listMerchantQris(sessionManager.db, accounts))
+        .find(item => item.accountId === accountId);
+      if (!merchant) {
+        await ctx.answerCbQuery('QRIS merchant tidak ditemukan');
+        return;
+      }
+      
+      await ctx.answerCbQuery();
+      await ctx.editMessageText(`🧾 Tagihan ${formatCurrency(request.amount)} untuk ${merchant.merchantName}`);
+      await sendMerchantQrisRequest(ctx, merchant, request.amount, request.note);
+    } catch (error) {
+      logger.error('telegram.tagih', 'Error sending payment request', { error });
+      await ctx.reply('❌ Gagal membuat tagihan. Silakan coba lagi.');
+    }
+  });
+  
+  // Handle transfer history pagination
+  bot.action(/^history_page:([0-9a-f]+):(\d+)$/, async (ctx) => {
+    const [, queryId, pageText] = ctx.match;
+    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
+    
+    if (!chatId) {
+      await ctx.answerCbQuery('Error: Tidak dapat memproses permintaan');
+      return;
+    }
+    
+    const user = await ensureAccess(ctx, sessionManager, 'viewer');
+    if (!user) return;
+    
+    try {
+      const options = await getSavedQuery(sessionManager.db, queryId, chatId, 'history');
+      if (!options) {
+        await ctx.answerCbQuery('Halaman sudah kedaluwarsa. Jalankan /history lagi.');
+        return;
+      }
+      
+      await ctx.answerCbQuery();
+      
+      const page = await buildHistoryPage(sessionManager.db, { ...options, page: parseInt(pageText) }, queryId);
+      await ctx.editMessageText(page.text, { parse_mode: 'HTML', reply_markup: page.replyMarkup });
+    } catch (error) {
+      logger.error('telegram.history', 'Error changing history page', { error });
+      await ctx.reply('❌ Gagal memuat halaman. Silakan coba lagi.');
+    }
+  });
+ 
+  // Handle transfer account selection
+  bot.action(/^transfer_account:(.+)$/, async (ctx) => {
+    const accountId = ctx.match[1];
+    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
+    
+    if (!chatId) {
+      await ctx.answerCbQuery('Error: Tidak dapat memproses permintaan');
+      return;
+    }
+    
+    const user = await ensureAccess(ctx, sessionManager, 'operator');
+    if (!user) return;
+ 
+    try {
+      await ctx.answerCbQuery();
+      
+      // Create session for transfer
+      const session = await createSessionData(chatId, 'dana_transfer', { 
+        accountId,
+        userId: user.userId,
+        requireTotp: user.totpEnabled === 1
+      }, sessionManager);
+ 
+      // Update session state
+      await updateSessionData(session, sessionManager, {
+        state: 'select_transfer_type'
+      });
+ 
+      // Show transfer type options
+      const transferKeyboard = [
+        [{ text: '🏦 Transfer ke Bank', callback_data: 'transfer_type:bank' }],
+        [{ text: '📱 Bayar QRIS', callback_data: 'transfer_type:qris' }],
+        [{ text: 'Batal', callback_data: 'cancel_transfer' }]
+      ];
+      
+      const beneficiaries = await listBeneficiaries(sessionManager.db);
+      if (beneficiaries.length > 0) {
+        transferKeyboard.unshift([{ text: '⭐ Penerima tersimpan', callback_data: 'transfer_type:saved' }]);
+      }
+ 
+      await ctx.editMessageText(
+        'Pilih jenis transfer:',
+        {
+          reply_markup: {
+            inline_keyboard: transferKeyboard
+          }
+        }
+      );
+    } catch (error) {
+      logger.error('telegram.transfer.account', 'Error selecting account', { error });
+      await ctx.answerCbQuery('Gagal memproses pilihan');
+    }
+  });
+ 
+  // Handle transfer type selection
+  bot.action(/^transfer_type:(.+)$/, async (ctx) => {
+    const transferType = ctx.match[1]; // 'bank' or 'qris'
+    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
+    
+    if (!chatId) {
+      await ctx.answerCbQuery('Error: Tidak dapat memproses permintaan');
+      return;
+    }
+    
+    const user = await ensureAccess(ctx, sessionManager, SESSION_TYPE_ROLES.dana_transfer);
+    if (!user) return;
+ 
+    try {
+      await ctx.answerCbQuery();
+      
+      // Get current session
+      const session = await getSessionData(chatId, sessionManager);
+      if (!session || session.type !== 'dana_transfer') {
+        await ctx.editMessageText('Sesi tidak valid. Silakan mulai kembali dengan /transfer.');
+        return;
+      }
+ 
+      if (transferType === 'saved') {
+        // Saved recipient flow, skips bank selection and account number
+        const beneficiaries = await listBeneficiaries(sessionManager.db);
+        if (beneficiaries.length === 0) {
+          await ctx.editMessageText('Belum ada penerima tersimpan. Gunakan /transfer dan pilih Transfer ke Bank.');
+          return;
+        }
+        
+        const beneficiaryKeyboard = beneficiaries.map(beneficiary => [
+          { text: formatBeneficiaryLabel(beneficiary), callback_data: `beneficiary_pick:${beneficiary.id}` }
+        ]);
+        beneficiaryKeyboard.push([{ text: 'Batal', callback_data: 'cancel_transfer' }]);
+        
+        await ctx.editMessageText('⭐ Pilih penerima tersimpan:', {
+          reply_markup: {
+            inline_keyboard: beneficiaryKeyboard
+          }
+        });
+      } else if (transferType === 'bank') {
+        // Bank transfer flow
+        await ctx.editMessageText('Silakan masukkan jumlah yang ingin ditransfer (minimum Rp 10.000):');
+        
+        await updateSessionData(session, sessionManager, {
+          state: 'awaiting_bank_amount',
+          data: { transferType: 'bank' }
+        });
+      } else if (transferType === 'qris') {
+        // QRIS transfer flow, the photo comes first since dynamic codes carry their own amount
+        await ctx.editMessageText('Silakan kirimkan foto QR code yang ingin dibayar.\n\n💡 Jika foto sulit terbaca, kirim gambar sebagai file atau tempel teks QRIS (diawali 000201).');
+        
+        await updateSessionData(session, sessionManager, {
+          state: 'awaiting_qris_photo',
+          data: { transferType: 'qris' }
+        });
+      }
+    } catch (error) {
+      logger.error('telegram.transfer.type', 'Error selecting transfer type', { error });
+      await ctx.answerCbQuery('Gagal memproses pilihan');
+    }
+  });
+ 
+  // Handle saved recipient selection during a transfer
+  bot.action(/^beneficiary_pick:(\d+)$/, async (ctx) => {
+    const beneficiaryId = parseInt(ctx.match[1]);
+    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
+    
+    if (!chatId) {
+      await ctx.answerCbQuery('Error: Tidak dapat memproses permintaan');
+      return;
+    }
+    
+    const user = await ensureAccess(ctx, sessionManager, 'operator');
+    if (!user) return;
+ 
+    try {
+      await ctx.answerCbQuery();
+      
+      const session = await getSessionData(chatId, sessionManager);
+      if (!session || session.type !== 'dana_transfer') {
+        await ctx.editMessageText('Sesi tidak valid. Silakan mulai kembali dengan /transfer.');
+        return;
+      }
+      
+      const beneficiary = await getBeneficiary(sessionManager.db, beneficiaryId);
+      if (!beneficiary || !beneficiary.accountNumber) {
+        await ctx.editMessageText('Penerima tidak ditemukan. Silakan mulai kembali dengan /transfer.');
+        return;
+      }
+      
+      await markBeneficiaryUsed(sessionManager.db, beneficiary.id);
+      
+      await updateSessionData(session, sessionManager, {
+        state: 'awaiting_bank_amount',
+        data: {
+          transferType: 'bank',
+          beneficiaryId: beneficiary.id,
+          bankData: beneficiary.bankData,
+          accountNumber: beneficiary.accountNumber
+        }
+      });
+      
+      await ctx.editMessageText(
+        `⭐ <b>${escapeHtml(beneficiary.nickname)}</b>\n🏦 ${escapeHtml(beneficiary.bankName)} ${beneficiary.accountNumber}\n👤 ${escapeHtml(beneficiary.accountName || '-')}\n\nSilakan masukkan jumlah yang ingin ditransfer (minimum Rp 10.000):`,
+        { parse_mode: 'HTML' }
+      );
+    } catch (error) {
+      logger.error('telegram.transfer.beneficiary', 'Error selecting beneficiary', { error });
+      await ctx.reply('❌ Gagal memproses pilihan. Silakan coba lagi.');
+    }
+  });
+  
+  // Handle saving the verified recipient of the current transfer
+  bot.action('save_beneficiary', async (ctx) => {
+    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
+    
+    if (!chatId) {
+      await ctx.answerCbQuery('Error: Tidak dapat memproses permintaan');
+      return;
+    }
+    
+    const user = await ensureAccess(ctx, sessionManager, 'operator');
+    if (!user) return;
+    
+    try {
+      const session = await getSessionData(chatId, sessionManager);
+      if (!session || session.state !== 'awaiting_transfer_confirmation') {
+        await ctx.answerCbQuery('Sesi transfer tidak aktif');
+        return;
+      }
+      
+      const existing = await findBeneficiary(sessionManager.db, session.data.bankData?.instId, session.data.accountNumber);
+      if (existing) {
+        await ctx.answerCbQuery(`Sudah tersimpan sebagai "${existing.nickname}"`, { show_alert: true });
+        return;
+      }
+      
+      await ctx.answerCbQuery();
+      await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+      
+      await updateSessionData(session, sessionManager, {
+        state: 'awaiting_beneficiary_nickname'
+      });
+      
+      await ctx.reply(`⭐ Masukkan nama panggilan untuk penerima ini (maksimal ${MAX_NICKNAME_LENGTH} karakter):`);
+    } catch (error) {
+      logger.error('telegram.beneficiary.save', 'Error starting beneficiary save', { error });
+      await ctx.reply('❌ Gagal menyimpan penerima. Silakan coba lagi.');
+    }
+  });
+  
+  // Handle search bank option
+  bot.action('search_bank', async (ctx) => {
+    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
+    
+    if (!chatId) {
+      await ctx.answerCbQuery('Error: Tidak dapat memproses permintaan');
+      return;
+    }
+ 
+    const user = await ensureAccess(ctx, sessionManager, SESSION_TYPE_ROLES.dana_transfer);
+    if (!user) return;
+ 
+    try {
+      await ctx.answerCbQuery();
+      
+      // Get current session
+      const session = await getSessionData(chatId, sessionManager);
+      if (!session || session.type !== 'dana_transfer') {
+        await ctx.editMessageText('Sesi tidak valid. Silakan mulai kembali dengan /transfer.');
+        return;
+      }
+ 
+      // Update session state to search mode
+      await updateSessionData(session, sessionManager, {
+        state: 'searching_bank'
+      });
+ 
+      const transferAmount = formatCurrency(session.data.amount);
+ 
+      await ctx.editMessageText(
+        `💰 <b>Jumlah transfer: ${transferAmount}</b>\n\n🔍 <b>Cari Bank</b>\n\nKetik nama bank yang ingin Anda cari:\n\nContoh:\n• BCA\n• Mandiri\n• BNI\n• BRI\n\nAtau ketik /cancel untuk membatalkan.`,
+        { parse_mode: 'HTML' }
+      );
+    } catch (error) {
+      logger.error('telegram.search_bank', 'Error in search bank', { error });
+      await ctx.answerCbQuery('Gagal memulai pencarian');
+    }
+  });
+ 
+  // Handle popular banks
+  bot.action('popular_banks', async (ctx) => {
+    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
+    
+    if (!chatId) {
+      await ctx.answerCbQuery('Error: Tidak dapat memproses permintaan');
+      return;
+    }
+ 
+    const user = await ensureAccess(ctx, sessionManager, SESSION_TYPE_ROLES.dana_transfer);
+    if (!user) return;
+ 
+    try {
+      await ctx.answerCbQuery();
+      
+      const session = await getSessionData(chatId, sessionManager);
+      if (!session || session.type !== 'dana_transfer' || !session.data.availableBanks) {
+        await ctx.editMessageText('Sesi tidak valid. Silakan mulai kembali dengan /transfer.');
+        return;
+      }
+ 
+      // Define popular banks by instId
+      const popularBankIds = [
+        'BCAC1ID', 'MDRIC1ID', 'BNIC1ID', 'BRIC1ID', 'CITIC1ID',
+        'MABKC1ID', 'PANIC1ID', 'BNLIC1ID', 'DBSC1ID', 'UOBC1ID'
+      ];
+ 
+      const allBanks = session.data.availableBanks;
+      const popularBanks = popularBankIds
+        .map(id => allBanks.find(bank => bank.instId === id))
+        .filter(bank => bank !== undefined);
+ 
+      const bankKeyboard = popularBanks.map((bank, index) => [
+        { 
+          text: `${bank.name || bank.instLocalName}`, 
+          callback_data: `select_bank:${allBanks.indexOf(bank)}`
+        }
+      ]);
+      
+      bankKeyboard.push([{ text: '🔍 Cari Bank Lain', callback_data: 'search_bank' }]);
+      bankKeyboard.push([{ text: '📋 Semua Bank', callback_data: 'all_banks_az' }]);
+      bankKeyboard.push([{ text: '❌ Batal', callback_data: 'cancel_transfer' }]);
+ 
+      const transferAmount = formatCurrency(session.data.amount);
+ 
+      await ctx.editMessageText(
+        `💰 <b>Jumlah transfer: ${transferAmount}</b>\n\n⭐ <b>Bank Populer:</b>`,
+        {
+          reply_markup: {
+            inline_keyboard: bankKeyboard
+          },
+          parse_mode: 'HTML'
+        }
+      );
+    } catch (error) {
+      logger.error('telegram.popular_banks', 'Error showing popular banks', { error });
+      await ctx.answerCbQuery('Gagal memuat bank populer');
+    }
+  });
+ 
+  // Handle all banks A-Z
+  bot.action('all_banks_az', async (ctx) => {
+    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
+    
+    if (!chatId) {
+      await ctx.answerCbQuery('Error: Tidak dapat memproses permintaan');
+      return;
+    }
+ 
+    const user = await ensureAccess(ctx, sessionManager, SESSION_TYPE_ROLES.dana_transfer);
+    if (!user) return;
+ 
+    try {
+      await ctx.answerCbQuery();
+      
+      const session = await getSessionData(chatId, sessionManager);
+      if (!session || session.type !== 'dana_transfer' || !session.data.availableBanks) {
+        await ctx.editMessageText('Sesi tidak valid. Silakan mulai kembali dengan /transfer.');
+        return;
+      }
+ 
+      // Sort banks alphabetically and show first 15
+      const allBanks = [...session.data.availableBanks].sort((a, b) => 
+        (a.name || a.instLocalName).localeCompare(b.name || b.instLocalName)
+      );
+ 
+      await updateSessionData(session, sessionManager, {
+        data: { 
+          sortedBanks: allBanks,
+          currentPage: 0
+        }
+      });
+ 
+      showBankPage(ctx, session, allBanks, 0);
+    } catch (error) {
+      logger.error('telegram.all_banks', 'Error showing all banks', { error });
+      await ctx.answerCbQuery('Gagal memuat semua bank');
+    }
+  });
+ 
+  // Handle bank page navigation
+  bot.action(/^bank_page:(\d+)$/, async (ctx) => {
+    const page = parseInt(ctx.match[1]);
+    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
+    
+    if (!chatId) {
+      await ctx.answerCbQuery('Error: Tidak dapat memproses permintaan');
+      return;
+    }
+ 
+    const user = await ensureAccess(ctx, sessionManager, SESSION_TYPE_ROLES.dana_transfer);
+    if (!user) return;
+ 
+    try {
+      await ctx.answerCbQuery();
+      
+      const session = await getSessionData(chatId, sessionManager);
+      if (!session || session.type !== 'dana_transfer' || !session.data.sortedBanks) {
+        await ctx.editMessageText('Sesi tidak valid. Silakan mulai kembali dengan /transfer.');
+        return;
+      }
+ 
+      await updateSessionData(session, sessionManager, {
+        data: { currentPage: page }
+      });
+ 
+      showBankPage(ctx, session, session.data.sortedBanks, page);
+    } catch (error) {
+      logger.error('telegram.bank_page', 'Error navigating bank page', { error });
+      await ctx.answerCbQuery('Gagal memuat halaman');
+    }
+  });
+ 
+  // Handle bank selection
+  // Handle bank selection
+  bot.action(/^select_bank:(\d+)$/, async (ctx) => {
+    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
+    
+    if (!chatId) {
+      await ctx.answerCbQuery('Error: Tidak dapat memproses permintaan');
+      return;
+    }
+
+    const user = await ensureAccess(ctx, sessionManager, SESSION_TYPE_ROLES.dana_transfer);
+    if (!user) return;
+
+    try {
+      const bankIndex = parseInt(ctx.match[1]);
+      await ctx.answerCbQuery();
+      
+      // Get current session
+      const session = await getSessionData(chatId, sessionManager);
+      if (!session || session.type !== 'dana_transfer') {
+        await ctx.editMessageText('Sesi tidak valid. Silakan mulai kembali dengan /transfer.');
+        return;
+      }
+
+      // Get bank data from session
+      const availableBanks = session.data.availableBanks;
+      if (!availableBanks || !Array.isArray(availableBanks) || bankIndex >= availableBanks.length) {
+        await ctx.editMessageText('Data bank tidak valid. Silakan mulai kembali dengan /transfer.');
+        return;
+      }
+
+      const bankData = availableBanks[bankIndex];
+      
+      // Update session with bank data
+      await updateSessionData(session, sessionManager, {
+        state: 'awaiting_account_number',
+        data: { bankData }
+      });
+
+      const bankName = bankData.name || bankData.instLocalName;
+      const transferAmount = formatCurrency(session.data.amount);
+
+      await ctx.editMessageText(
+        `✅ <b>Bank dipilih: ${bankName}</b>\n💰 <b>Jumlah: ${transferAmount}</b>\n\n📝 Silakan masukkan nomor rekening tujuan (8-20 digit):`,
+        { parse_mode: 'HTML' }
+      );
+    } catch (error) {
+      logger.error('telegram.transfer.bank', 'Error selecting bank', { error });
+      await ctx.answerCbQuery('Gagal memproses pilihan bank');
+      await ctx.editMessageText('❌ Gagal memproses pilihan bank. Silakan coba lagi.');
+    }
+  });
+
+  // Handle cancel transfer
+  bot.action('cancel_transfer', async (ctx) => {
+    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
+    
+    const user = await ensureAccess(ctx, sessionManager, SESSION_TYPE_ROLES.dana_transfer);
+    if (!user) return;
+    
+    if (chatId) {
+      const session = await getSessionData(chatId, sessionManager);
+      if (session?.type === 'dana_transfer') {
+        await deleteSessionData(session.id, sessionManager);
+      }
+    }
+    
+    await ctx.answerCbQuery('Transfer dibatalkan');
+    await ctx.editMessageText('Transfer dibatalkan. Gunakan /transfer untuk memulai kembali.');
+  });
+
+  // Handle wallet selection
+  bot.action(/wallet_(.+)/, async (ctx) => {
+    // Check if ctx.chat exists, otherwise use ctx.callbackQuery.message.chat
+    const chat = ctx.chat || (ctx.callbackQuery?.message?.chat);
+    
+    if (!chat) {
+      logger.error('telegram.walletSelection', 'No chat context found');
+      await ctx.answerCbQuery('Error: Tidak dapat menentukan konteks chat');
+      return;
+    }
+    
+    const chatId = chat.id.toString();
+    const walletCode = ctx.match?.[1];
+    
+    if (!walletCode) {
+      await ctx.answerCbQuery('Error: Tidak dapat menentukan pilihan wallet');
+      return;
+    }
+    
+    // If user cancels
+    if (walletCode === 'cancel') {
+      await ctx.answerCbQuery('Tindakan dibatalkan');
+      return ctx.editMessageText('Tindakan dibatalkan. Ketik /add untuk memulai kembali.');
+    }
+    
+    const user = await ensureAccess(ctx, sessionManager, 'owner');
+    if (!user) return;
+    
+    try {
+      // Find wallet in supported wallets
+      const wallet = SUPPORTED_WALLETS.find(w => w.code === walletCode);
+      
+      if (!wallet) {
+        await ctx.answerCbQuery('E-wallet tidak tersedia');
+        return ctx.editMessageText('E-wallet yang dipilih tidak tersedia. Silakan coba lagi.');
+      }
+      
+      // Check for existing session
+      const existingSession = await getSessionData(chatId, sessionManager);
+      if (existingSession) {
+        // Delete existing session before creating a new one
+        await deleteSessionData(existingSession.id, sessionManager);
+      }
+      
+      // Store the wallet selection in a session
+      const session = await createSessionData(chatId, 'add_wallet', { 
+        walletCode: wallet.code,
+        providerId: wallet.id
+      }, sessionManager);
+      
+      await ctx.answerCbQuery();
+      
+      // GoPay Merchant logs in with the merchant account instead of a wallet phone + PIN
+      if (wallet.code === 'GOPAY-MERCHANT') {
+        await ctx.editMessageText(`Anda memilih ${wallet.name}.\n\nSilakan masukkan email atau nomor telepon yang digunakan untuk login GoPay Merchant / GoBiz.\n\nBalas dengan email/nomor telepon Anda atau ketik /cancel untuk membatalkan.`);
+        
+        await updateSessionData(session, sessionManager, {
+          state: 'awaiting_gopay_login'
+        });
+        return;
+      }
+      
+      await ctx.editMessageText(`Anda memilih ${wallet.name}.\n\nSilakan masukkan nomor telepon ${wallet.name} Anda dalam format: 081xxxxxxxxx\n\nBalas dengan nomor telepon Anda atau ketik /cancel untuk membatalkan.`);
+      
+      // Update session state
+      await updateSessionData(session, sessionManager, {
+        state: 'awaiting_phone'
+      });
+    } catch (error) {
+      logger.error('telegram.walletSelection', 'Error processing wallet selection', { error });
+      await ctx.answerCbQuery('Terjadi kesalahan');
+      await ctx.editMessageText('Gagal memproses pilihan. Silakan coba lagi nanti.');
+    }
+  });
+
+  // Handle cancel during wallet setup steps that keep a session open
+  bot.action('cancel_add_wallet', async (ctx) => {
+    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
+    
+    const user = await ensureAccess(ctx, sessionManager, SESSION_TYPE_ROLES.add_wallet);
+    if (!user) return;
+    
+    if (chatId) {
+      const session = await getSessionData(chatId, sessionManager);
+      if (session?.type === 'add_wallet') {
+        await deleteSessionData(session.id, sessionManager);
+      }
+    }
+    
+    await ctx.answerCbQuery('Tindakan dibatalkan');
+    await ctx.editMessageText('Tindakan dibatalkan. Ketik /add untuk memulai kembali.');
+  });
+
+  // Handle GoPay Merchant outlet selection
+  bot.action(/^gopay_outlet:(\d+)$/, async (ctx) => {
+    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
+    
+    if (!chatId) {
+      await ctx.answerCbQuery('Error: Tidak dapat memproses permintaan');
+      return;
+    }
+    
+    const user = await ensureAccess(ctx, sessionManager, SESSION_TYPE_ROLES.add_wallet);
+    if (!user) return;
+    
+    try {
+      const session = await getSessionData(chatId, sessionManager);
+      if (!session || session.type !== 'add_wallet' || session.state !== 'selecting_gopay_outlet') {
+        await ctx.answerCbQuery('Sesi tidak valid atau telah kedaluwarsa');
+        return await ctx.editMessageText('Sesi tidak valid. Silakan mulai kembali dengan /add.');
+      }
+      
+      await ctx.answerCbQuery();
+      await selectGoPayMerchantOutlet(ctx, session, parseInt(ctx.match[1]), sessionManager);
+    } catch (error) {
+      logger.error('telegram.gopay.outlet', 'Error selecting outlet', { error });
+      await ctx.reply('❌ Gagal memproses pilihan outlet. Silakan coba lagi.');
+    }
+  });
+
+  // Handle verification method selection
+  bot.action(/^verification_(.+)$/, async (ctx) => {
+    logger.info('telegram.verification', `Verification method selected: ${ctx.match[1]}`);
+    
+    try {
+      const method = ctx.match[1]; // 'SMS' or 'WHATSAPP'
+      const chatId = ctx.callbackQuery?.message?.chat.id.toString();
+      
+      if (!chatId) {
+        await ctx.answerCbQuery('Error: Tidak dapat menentukan konteks chat');
+        return;
+      }
+      
+      const user = await ensureAccess(ctx, sessionManager, SESSION_TYPE_ROLES.add_wallet);
+      if (!user) return;
+      
+      // Get the session
+      let session = await getSessionData(chatId, sessionManager);
+      if (!session || session.type !== 'add_wallet') {
+        await ctx.answerCbQuery('Sesi tidak valid atau telah kedaluwarsa');
+        return await ctx.editMessageText('Sesi tidak valid. Silakan mulai kembali dengan /add.');
+      }
+      
+      // Acknowledge the callback query
+      await ctx.answerCbQuery(`Menggunakan ${method === 'SMS' ? 'SMS' : 'WhatsApp'} OTP`);
+      
+      // Update original message to show selected method
+      await ctx.editMessageText(`Metode verifikasi dipilih: ${method === 'SMS' ? 'SMS' : 'WhatsApp'}`);
+      
+      // Update session with verification method
+      session = await updateSessionData(session, sessionManager, {
+        data: {
+          verificationMethod: method
+        }
+      });
+      
+      // Show processing message in a new message
+      const loadingMsg = await ctx.reply(`Meminta OTP via ${method === 'SMS' ? 'SMS' : 'WhatsApp'}... Mohon tunggu.`);
+      
+      try {
+        // Process based on wallet type
+        switch(session.data.walletCode) {
+          case 'DANA':
+            await handleDANAInitiation(ctx, session, session.data.pin, loadingMsg, sdk, sessionManager);
+            break;
+          case 'OVO':
+            await handleOVOInitiation(ctx, session, loadingMsg, sdk, sessionManager);
+            break;
+          default:
+            throw new Error('Jenis wallet tidak didukung');
+        }
+      } catch (error) {
+        logger.error('telegram.verification', `Error memulai proses ${session.data.walletCode}`, { error });
+        await ctx.telegram.editMessageText(
+          chatId, 
+          loadingMsg.message_id, 
+          undefined, 
+          `❌ Error: ${error instanceof Error ? error.message : 'Gagal memproses permintaan Anda.'}\n\nSilakan coba lagi nanti.`
+        );
+        await deleteSessionData(session.id, sessionManager);
+      }
+    } catch (error) {
+      logger.error('telegram.verification', 'Error in verification handler', { error });
+      await ctx.answerCbQuery('Error internal. Silakan coba lagi.');
+    }
+  });
+}
+
+/**
+* Set up text message handler
+*/
+function setupTextMessageHandler(bot, sessionManager, sdk) {
+  bot.on('text', async (ctx) => {
+    // Skip processing for commands
+    if (!ctx.message?.text || ctx.message.text.startsWith('/')) return;
+    
+    const chatId = ctx.chat?.id.toString();
+    if (!chatId) return;
+    
+    // Check if there's an active session
+    const session = await getSessionData(chatId, sessionManager);
+    
+    if (!session) return;
+    
+    // In group chats, only users with the right role may continue a process
+    const requiredRole = SESSION_TYPE_ROLES[session.type];
+    if (requiredRole) {
+      const user = await getUser(sessionManager.db, ctx.from?.id.toString());
+      if (!user || !hasRequiredRole(user.role, requiredRole)) return;
+    }
+    
+    // Handle different session states
+    switch(session.state) {
+      case 'awaiting_password':
+        await handlePasswordInput(ctx, session, sessionManager);
+        break;
+      case 'awaiting_login_totp':
+        await handleLoginTotpInput(ctx, session, sessionManager);
+        break;
+      case 'awaiting_totp_setup_code':
+      case 'awaiting_totp_disable_code':
+        await handleTotpSetupInput(ctx, session, sessionManager);
+        break;
+      case 'awaiting_old_password':
+      case 'awaiting_new_password':
+      case 'awaiting_password_confirmation':
+        await handlePasswordChangeInput(ctx, session, sessionManager);
+        break;
+      case 'awaiting_phone':
+        await handlePhoneInput(ctx, session, sessionManager);
+        break;
+      case 'awaiting_pin':
+        await handlePinInput(ctx, session, sessionManager);
+        break;
+      case 'awaiting_otp':
+        await handleOtpInput(ctx, session, sdk, sessionManager);
+        break;
+      case 'awaiting_name':
+        await handleNameInput(ctx, session, sdk, sessionManager);
+        break;
+      case 'awaiting_bank_amount':
+        await handleBankAmountInput(ctx, session, sdk, sessionManager);
+        break;
+      case 'awaiting_qris_amount':
+        await handleQRISAmountInput(ctx, session, sessionManager);
+        break;
+      case 'awaiting_qris_photo':
+      case 'awaiting_merchant_qris':
+        if (/^000201/.test(ctx.message.text.trim())) {
+          await handleQRISInput(ctx, session, { payload: ctx.message.text.trim() }, sessionManager);
+        } else {
+          await ctx.reply('Silakan kirim foto QR code, file gambar QR code atau teks QRIS (diawali 000201), atau ketik /cancel untuk membatalkan.');
+        }
+        break;
+      case 'awaiting_qris_confirmation':
+        await handleQRISConfirmation(ctx, session, sdk, sessionManager);
+        break;
+      case 'awaiting_account_number':
+        await handleAccountNumberInput(ctx, session, sdk, sessionManager);
+        break;
+      case 'awaiting_beneficiary_nickname':
+      case 'awaiting_beneficiary_rename':
+        await handleBeneficiaryNicknameInput(ctx, session, sessionManager);
+        break;
+      case 'awaiting_schedule_amount':
+      case 'awaiting_schedule_spec':
+        await handleScheduleInput(ctx, session, sessionManager);
+        break;
+      case 'awaiting_bulk_file':
+        await ctx.reply('📄 Silakan kirim file CSV atau XLSX sebagai dokumen, atau ketik /cancel untuk membatalkan.');
+        break;
+      case 'verifying_bulk_file':
+        await ctx.reply('⏳ File sedang diverifikasi. Ringkasan akan dikirim setelah selesai.');
+        break;
+      case 'awaiting_bulk_confirmation':
+        await handleBulkConfirmation(ctx, session, sdk, sessionManager);
+        break;
+      case 'awaiting_transfer_confirmation':
+        await handleTransferConfirmation(ctx, session, sdk, sessionManager);
+        break;
+      case 'searching_bank':
+        await handleBankSearch(ctx, session, sessionManager);
+        break;
+      case 'awaiting_gopay_login':
+        await handleGoPayLoginInput(ctx, session, sdk, sessionManager);
+        break;
+      case 'awaiting_gopay_otp':
+        await handleGoPayOtpInput(ctx, session, sdk, sessionManager);
+        break;
+      case 'selecting_gopay_outlet':
+        await ctx.reply('Silakan pilih outlet dari daftar di atas atau ketik /cancel untuk membatalkan.');
+        break;
+      case 'awaiting_gopay_name':
+        await handleGoPayNameInput(ctx, session, sdk, sessionManager);
+        break;
+    }
+  });
+
+  // Handle photo messages for QRIS, including photos forwarded from other chats
+  bot.on('photo', async (ctx) => {
+    const chatId = ctx.chat?.id.toString();
+    if (!chatId) return;
+
+    const session = await getSessionData(chatId, sessionManager);
+    if (!session || !QRIS_INPUT_STATES.includes(session.state)) return;
+
+    const user = await getUser(sessionManager.db, ctx.from?.id.toString());
+    if (!user || !hasRequiredRole(user.role, SESSION_TYPE_ROLES[session.type] || 'operator')) return;
+
+    // Get the largest photo for better quality
+    const photos = ctx.message.photo;
+    const largestPhoto = photos[photos.length - 1];
+
+    await handleQRISInput(ctx, session, { fileId: largestPhoto.file_id }, sessionManager);
+  });
+  
+  // Handle uploaded documents
+  bot.on('document', async (ctx) => {
+    const chatId = ctx.chat?.id.toString();
+    if (!chatId) return;
+    
+    const session = await getSessionData(chatId, sessionManager);
+    if (!session || !['awaiting_bulk_file', ...QRIS_INPUT_STATES].includes(session.state)) return;
+    
+    const user = await getUser(sessionManager.db, ctx.from?.id.toString());
+    if (!user || !hasRequiredRole(user.role, SESSION_TYPE_ROLES[session.type] || 'operator')) return;
+    
+    // Images sent as files keep the detail that Telegram's photo compression loses
+    if (QRIS_INPUT_STATES.includes(session.state)) {
+      const document = ctx.message.document;
+      if (!/^image\/(jpeg|png)$/.test(document.mime_type || '')) {
+        return await ctx.reply('❌ File QR code harus berupa gambar JPG atau PNG.\n\nKirim file lain atau ketik /cancel untuk membatalkan.');
+      }
+      if (document.file_size > MAX_QRIS_FILE_BYTES) {
+        return await ctx.reply(`❌ File terlalu besar. Maksimal ${MAX_QRIS_FILE_BYTES / 1024 / 1024} MB.\n\nKirim file lain atau ketik /cancel untuk membatalkan.`);
+      }
+      return await handleQRISInput(ctx, session, { fileId: document.file_id }, sessionManager);
+    }
+    
+    // Verifying a long file can outlast Telegraf's handler timeout, so it runs in the background
+    handleBulkFile(ctx, session, user, sdk, sessionManager).catch(error => {
+      logger.error('telegram.bulk.file', 'Error handling bulk file', { error });
+    });
+  });
+}
+
+/**
+* Handle phone input during session
+*/
+async function handlePhoneInput(ctx, session, sessionManager) {
+  if (!ctx.message?.text) {
+    return await ctx.reply('Input tidak valid. Silakan masukkan nomor telepon yang valid.');
+  }
+  
+  const phoneNumber = ctx.message.text.trim();
+  const chatId = ctx.chat?.id.toString();
+  if (!chatId) {
+    return await ctx.reply('Error: Tidak dapat menentukan konteks chat.');
+  }
+  
+  // Validate phone number format
+  if (!isValidPhoneNumber(phoneNumber)) {
+    return await ctx.reply('Format nomor telepon tidak valid. Silakan masukkan nomor telepon Indonesia yang valid (misalnya, 081xxxxxxxxx).\n\nCoba lagi atau ketik /cancel untuk membatalkan.');
+  }
+  
+  // Format phone number consistently
+  const formattedPhone = formatPhoneNumber(phoneNumber);
+  
+  // Update session with phone number
+  await updateSessionData(session, sessionManager, {
+    state: 'awaiting_pin',
+    data: {
+      phoneNumber: formattedPhone
+    }
+  });
+  
+  // Find wallet name for better UX
+  const wallet = SUPPORTED_WALLETS.find(w => w.code === session.data.walletCode) || 
+              { name: session.data.walletCode };
+  
+  // OVO calls its PIN the "security code"
+  const pinLabel = wallet.code === 'OVO' ? 'security code (PIN)' : 'PIN';
+  
+  await ctx.reply(`Nomor telepon disimpan: ${formattedPhone}.\n\nSekarang, silakan masukkan ${pinLabel} ${wallet.name} Anda.\n\n⚠️ PIN Anda akan diproses dengan aman dan tidak disimpan sebagai teks biasa.\n\nBalas dengan PIN Anda atau ketik /cancel untuk membatalkan.`);
+}
+
+/**
+* Handle PIN input during session
+*/
+async function handlePinInput(ctx, session, sessionManager) {
+  if (!ctx.message?.text) {
+    return await ctx.reply('Input tidak valid. Silakan masukkan PIN yang valid.');
+  }
+  
+  const pin = ctx.message.text.trim();
+  const chatId = ctx.chat?.id.toString();
+  if (!chatId) {
+    return await ctx.reply('Error: Tidak dapat menentukan konteks chat.');
+  }
+  
+  // Basic PIN validation
+  if (!/^\d{6}$/.test(pin)) {
+    if (session.data.walletCode === 'OVO') {
+      return await ctx.reply('Format security code tidak valid. Security code OVO terdiri dari 6 digit angka.\n\nCoba lagi atau ketik /cancel untuk membatalkan.');
+    }
+    return await ctx.reply('Format PIN tidak valid. Silakan masukkan PIN 6 digit.\n\nCoba lagi atau ketik /cancel untuk membatalkan.');
+  }
+  
+  // Update session with PIN
+  await updateSessionData(session, sessionManager, {
+    data: {
+      pin
+    }
+  });
+  
+  // Ask user to select verification method
+  const verificationKeyboard = [
+    [
+      { text: 'SMS OTP', callback_data: 'verification_SMS' },
+      { text: 'WhatsApp OTP', callback_data: 'verification_WHATSAPP' }
+    ]
+  ];
+  
+  await ctx.reply(
+    'Silakan pilih metode verifikasi untuk menerima kode OTP:',
+    {
+      reply_markup: {
+        inline_keyboard: verificationKeyboard
+      }
+    }
+  );
+}
+
+/**
+* Handle OTP input during session
+*/
+async function handleOtpInput(ctx, session, sdk, sessionManager) {
+  if (!ctx.message?.text) {
+    return await ctx.reply('Input tidak valid. Silakan masukkan OTP yang valid.');
+  }
+  
+  const otp = ctx.message.text.trim();
+  const chatId = ctx.chat?.id.toString();
+  if (!chatId) {
+    return await ctx.reply('Error: Tidak dapat menentukan konteks chat.');
+  }
+  
+  // Basic OTP validation
+  if (!/^\d{4,6}$/.test(otp)) {
+    return await ctx.reply('Format OTP tidak valid. Silakan masukkan kode OTP yang Anda terima.\n\nCoba lagi atau ketik /cancel untuk membatalkan.');
+  }
+  
+  const statusMsg = await ctx.reply('Memverifikasi OTP...');
+  
+  try {
+    // Process OTP based on wallet type
+    switch(session.data.walletCode) {
+      case 'DANA':
+        await verifyDANAOtp(ctx, session, otp, statusMsg, sdk, sessionManager);
+        break;
+      case 'OVO':
+        await verifyOVOOtp(ctx, session, otp, statusMsg, sdk, sessionManager);
+        break;
+      default:
+        throw new Error('Jenis wallet tidak didukung');
+    }
+  } catch (error) {
+    logger.error('telegram.otp', `Error memverifikasi OTP ${session.data.walletCode}`, { error });
+    if (statusMsg) {
+      await ctx.telegram.editMessageText(
+        chatId, 
+        statusMsg.message_id, 
+        undefined, 
+        `❌ Error: ${error instanceof Error ? error.message : 'Gagal memverifikasi OTP.'}\n\nSilakan coba lagi nanti.`
+      );
+    }
+    await deleteSessionData(session.id, sessionManager);
+  }
+}
+
+/**
+* Handle account name input during session
+*/
+async function handleNameInput(ctx, session, sdk, sessionManager) {
+  if (!ctx.message?.text) {
+    return await ctx.reply('Input tidak valid. Silakan masukkan nama akun yang valid.');
+  }
+  
+  const accountName = ctx.message.text.trim();
+  const chatId = ctx.chat?.id.toString();
+  if (!chatId) {
+    return await ctx.reply('Error: Tidak dapat menentukan konteks chat.');
+  }
+  
+  if (accountName.length < 3 || accountName.length > 50) {
+    return await ctx.reply('Nama akun tidak valid. Silakan masukkan nama antara 3-50 karakter.\n\nCoba lagi atau ketik /cancel untuk membatalkan.');
+  }
+  
+  // Update session with account name
+  await updateSessionData(session, sessionManager, {
+    data: {
+      accountName
+    }
+  });
+  
+  const statusMsg = await ctx.reply('Menyiapkan akun Anda...');
+  
+  try {
+    // Complete the process based on wallet type
+    switch(session.data.walletCode) {
+      case 'DANA':
+        await completeDANASetup(ctx, session, accountName, statusMsg, sdk, sessionManager);
+        break;
+      case 'OVO':
+        await completeOVOSetup(ctx, session, accountName, statusMsg, sdk, sessionManager);
+        break;
+      default:
+        throw new Error('Jenis wallet tidak didukung');
+    }
+  } catch (error) {
+    logger.error('telegram.setup', `Error menyelesaikan pengaturan ${session.data.walletCode}`, { error });
+    if (statusMsg) {
+      await ctx.telegram.editMessageText(
+        chatId, 
+        statusMsg.message_id, 
+        undefined, 
+        `❌ Error: ${error instanceof Error ? error.message : 'Gagal menyelesaikan pengaturan akun.'}\n\nSilakan coba lagi nanti.`
+      );
+    }
+    await deleteSessionData(session.id, sessionManager);
+  }
+}
+
+/**
+* Handle GoPay Merchant login (email or phone) input
+*/
+async function handleGoPayLoginInput(ctx, session, sdk, sessionManager) {
+  if (!ctx.message?.text) {
+    return await ctx.reply('Input tidak valid. Silakan masukkan email atau nomor telepon merchant.');
+  }
+  
+  const loginInput = ctx.message.text.trim();
+  const chatId = ctx.chat?.id.toString();
+  if (!chatId) {
+    return await ctx.reply('Error: Tidak dapat menentukan konteks chat.');
+  }
+  
+  let loginId;
+  if (isValidEmail(loginInput)) {
+    loginId = loginInput.toLowerCase();
+  } else if (isValidPhoneNumber(loginInput)) {
+    loginId = formatPhoneNumber(loginInput);
+  } else {
+    return await ctx.reply('Format login tidak valid. Masukkan email (contoh: toko@email.com) atau nomor telepon (contoh: 081xxxxxxxxx) yang terdaftar di GoPay Merchant.\n\nCoba lagi atau ketik /cancel untuk membatalkan.');
+  }
+  
+  const statusMsg = await ctx.reply('Menghubungi GoPay Merchant...');
+  
+  try {
+    await handleGoPayMerchantInitiation(ctx, session, loginId, statusMsg, sdk, sessionManager);
+  } catch (error) {
+    logger.error('telegram.gopay.login', 'Error starting GoPay Merchant login', { error });
+    await ctx.telegram.editMessageText(
+      chatId,
+      statusMsg.message_id,
+      undefined,
+      `❌ Error: ${error instanceof Error ? error.message : 'Gagal memulai login GoPay Merchant.'}\n\nSilakan coba lagi nanti.`
+    );
+    await deleteSessionData(session.id, sessionManager);
+  }
+}
+
+/**
+* Handle GoPay Merchant OTP input
+*/
+async function handleGoPayOtpInput(ctx, session, sdk, sessionManager) {
+  if (!ctx.message?.text) {
+    return await ctx.reply('Input tidak valid. Silakan masukkan OTP yang valid.');
+  }
+  
+  const otp = ctx.message.text.trim();
+  const chatId = ctx.chat?.id.toString();
+  if (!chatId) {
+    return await ctx.reply('Error: Tidak dapat menentukan konteks chat.');
+  }
+  
+  if (!/^\d{4,6}$/.test(otp)) {
+    return await ctx.reply('Format OTP tidak valid. Silakan masukkan kode OTP yang Anda terima.\n\nCoba lagi atau ketik /cancel untuk membatalkan.');
+  }
+  
+  const statusMsg = await ctx.reply('Memverifikasi OTP...');
+  
+  try {
+    await verifyGoPayMerchantOtp(ctx, session, otp, statusMsg, sdk, sessionManager);
+  } catch (error) {
+    logger.error('telegram.gopay.otp', 'Error verifying GoPay Merchant OTP', { error });
+    await ctx.telegram.editMessageText(
+      chatId,
+      statusMsg.message_id,
+      undefined,
+      `❌ Error: ${error instanceof Error ? error.message : 'Gagal memverifikasi OTP.'}\n\nSilakan coba lagi nanti.`
+    );
+    await deleteSessionData(session.id, sessionManager);
+  }
+}
+
+/**
+* Handle GoPay Merchant account name input
+*/
+async function handleGoPayNameInput(ctx, session, sdk, sessionManager) {
+  if (!ctx.message?.text) {
+    return await ctx.reply('Input tidak valid. Silakan masukkan nama akun yang valid.');
+  }
+  
+  const accountName = ctx.message.text.trim();
+  const chatId = ctx.chat?.id.toString();
+  if (!chatId) {
+    return await ctx.reply('Error: Tidak dapat menentukan konteks chat.');
+  }
+  
+  if (accountName.length < 3 || accountName.length > 50) {
+    return await ctx.reply('Nama akun tidak valid. Silakan masukkan nama antara 3-50 karakter.\n\nCoba lagi atau ketik /cancel untuk membatalkan.');
+  }
+  
+  const statusMsg = await ctx.reply('Menyiapkan akun Anda...');
+  
+  try {
+    await completeGoPayMerchantSetup(ctx, session, accountName, statusMsg, sdk, sessionManager);
+  } catch (error) {
+    logger.error('telegram.gopay.setup', 'Error completing GoPay Merchant setup', { error });
+    await ctx.telegram.editMessageText(
+      chatId,
+      statusMsg.message_id,
+      undefined,
+      `❌ Error: ${error instanceof Error ? error.message : 'Gagal menyelesaikan pengaturan akun.'}\n\nSilakan coba lagi nanti.`
+    );
+    await deleteSessionData(session.id, sessionManager);
+  }
+}
+
+/**
+* Read a QRIS from an image file or a pasted payload and continue the payment
+* Every source goes through the same decoding and checks in prepareDANAQRISTransfer
+* @param {Object} source - fileId of a photo or image document, or payload text
+*/
+async function handleQRISInput(ctx, session, source, sessionManager) {
+  // Send a new status message instead of trying to edit
+  const statusMsg = await ctx.reply('📱 Memproses QR code... Mohon tunggu.');
+
+  try {
+    const payload = source.fileId
+      ? await readQRISImage(ctx, source.fileId, statusMsg)
+      : source.payload;
+    
+    if (session.state === 'awaiting_merchant_qris') {
+      await saveMerchantQrisInput(ctx, session, payload, statusMsg, sessionManager);
+    } else {
+      await prepareDANAQRISTransfer(ctx, session, payload, statusMsg, sessionManager);
+    }
+  } catch (error) {
+    logger.error('telegram.qris', 'Error processing QRIS', { error });
+    
+    // More specific error messages
+    let errorMessage = `❌ Error: ${error instanceof Error ? error.message : 'Gagal memproses QR code.'}`;
+    
+    if (error.message.includes('decode')) {
+      errorMessage += '\n\n💡 Tips:\n• Pastikan gambar QR code jelas\n• Coba foto ulang dengan pencahayaan yang baik\n• QR code harus terlihat utuh dalam foto\n• Kirim sebagai file agar gambar tidak dikompres';
+    } else if (error.message.includes('network') || error.message.includes('fetch')) {
+      errorMessage += '\n\n💡 Coba lagi dalam beberapa saat.';
+    }
+    
+    // Nothing has been paid yet, so the user can simply try again
+    errorMessage += '\n\nKirim QR code lain atau ketik /cancel untuk membatalkan.';
+    
+    await ctx.telegram.editMessageText(
+      ctx.chat.id,
+      statusMsg.message_id,
+      undefined,
+      errorMessage
+    );
+  }
+}
+
+/**
+* Store the static QRIS sent for /tagih set
+*/
+async function saveMerchantQrisInput(ctx, session, payload, statusMsg, sessionManager) {
+  const qris = await saveMerchantQris(sessionManager.db, {
+    accountId: session.data.accountId,
+    payload,
+    updatedBy: session.data.userId
+  });
+  await deleteSessionData(session.id, sessionManager);
+  
+  logger.info('telegram.tagih', 'Merchant QRIS stored', { accountId: session.data.accountId, nmid: qris.nmid });
+  
+  await ctx.telegram.editMessageText(
+    ctx.chat.id,
+    statusMsg.message_id,
+    undefined,
+    `✅ <b>QRIS Merchant Disimpan</b>\n\n${formatQrisPreview(qris)}\n\nBuat tagihan dengan /tagih [jumlah] [catatan].`,
+    { parse_mode: 'HTML' }
+  );
+}
+
+/**
+* Handle QRIS amount input
+*/
+async function handleQRISAmountInput(ctx, session, sessionManager) {
+  if (!ctx.message?.text) {
+    return await ctx.reply('Input tidak valid. Silakan masukkan jumlah yang valid.');
+  }
+
+  const amountText = ctx.message.text.trim().replace(/[.,]/g, '');
+  const amount = parseInt(amountText);
+
+  if (isNaN(amount) || amount < 1000) {
+    return await ctx.reply('Jumlah tidak valid. Minimum pembayaran QRIS adalah Rp 1.000.\n\nSilakan masukkan jumlah yang valid:');
+  }
+
+  // The merchant's convenience fee leaves the account too, so it counts towards the limits
+  const qris = decodeQrisPayload(session.data.qrisPayload);
+  const limitCheck = await checkTransferLimits(sessionManager.db, {
+    userId: session.data.userId || ctx.from?.id.toString(),
+    accountId: session.data.accountId,
+    amount: amount + getQrisConvenienceFee(qris, amount)
+  });
+  if (!limitCheck.allowed) {
+    return await ctx.reply(`❌ ${limitCheck.message}\n\nSilakan masukkan jumlah lain atau ketik /cancel. Gunakan /limits untuk melihat sisa kuota.`);
+  }
+
+  // Update session with amount
+  await updateSessionData(session, sessionManager, {
+    state: 'awaiting_qris_confirmation',
+    data: { amount }
+  });
+
+  await ctx.reply(formatQRISConfirmation(qris, amount, session.data.requireTotp), { parse_mode: 'HTML' });
+}
+
+/**
+ * Handle account number input
+ */
+async function handleAccountNumberInput(ctx, session, sdk, sessionManager) {
+  if (!ctx.message?.text) {
+    return await ctx.reply('Input tidak valid. Silakan masukkan nomor rekening yang valid.');
+  }
+
+  const accountNumber = ctx.message.text.trim();
+
+  // Enhanced validation for account number
+  if (!/^\d{8,20}$/.test(accountNumber)) {
+    return await ctx.reply('❌ Format nomor rekening tidak valid.\n\n📝 Silakan masukkan nomor rekening yang benar:\n• Hanya angka (tanpa spasi atau tanda baca)\n• Panjang 8-20 digit\n\nContoh: 1234567890');
+  }
+
+  // Update session with account number and capture the updated session
+  const updatedSession = await updateSessionData(session, sessionManager, {
+    data: { accountNumber }
+  });
+
+  await verifyBankTransfer(ctx, updatedSession, sdk, sessionManager);
+}
+
+/**
+ * Verify the destination account once amount, bank and account number are known
+ */
+async function verifyBankTransfer(ctx, session, sdk, sessionManager) {
+  const bankName = session.data.bankData?.name || session.data.bankData?.instLocalName;
+  const statusMsg = await ctx.reply(`🔍 Memverifikasi rekening ${bankName}...\nMohon tunggu sebentar.`);
+
+  try {
+    await handleDANABankTransferInit(ctx, session, statusMsg, sdk, sessionManager);
+  } catch (error) {
+    logger.error('telegram.transfer.account', 'Error verifying account', { error });
+    
+    let errorMessage = `❌ Error: ${error instanceof Error ? error.message : 'Gagal memverifikasi rekening.'}`;
+    
+    // Add helpful suggestions based on error type
+    if (error.message.includes('Invalid account number')) {
+      errorMessage += '\n\n💡 Tips:\n• Pastikan nomor rekening benar\n• Coba tanpa angka 0 di depan\n• Hubungi bank untuk memastikan nomor rekening';
+    }
+    
+    await ctx.telegram.editMessageText(
+      ctx.chat.id,
+      statusMsg.message_id,
+      undefined,
+      errorMessage
+    );
+    await deleteSessionData(session.id, sessionManager);
+  }
+}
+
+/**
+* Read a KONFIRMASI, BATAL or 2FA code reply to a transfer confirmation
+* Users with 2FA confirm with a fresh authenticator code instead of KONFIRMASI,
+* and three wrong codes cancel the transfer
+* @returns {Object} confirmation text, confirmed, requireTotp, and handled when the reply needs no further processing
+*/
+async function readTransferConfirmation(ctx, session, sessionManager) {
+  const confirmation = ctx.message.text.trim().toUpperCase();
+  
+  // Only the user who started the transfer may confirm or cancel it
+  if (!session.data.userId || ctx.from?.id.toString() !== session.data.userId) {
+    return { confirmation, confirmed: false, requireTotp: false, handled: true };
+  }
+  
+  // The second factor is always the initiator's own TOTP secret
+  const user = await getUser(sessionManager.db, session.data.userId);
+  const requireTotp = user?.totpEnabled === 1;
+  let confirmed = !requireTotp && confirmation === 'KONFIRMASI';
+  
+  if (requireTotp && /^\d{6}$/.test(confirmation)) {
     try {
-      await ctx.answerCbQuery();
-      
-      const session = await getSessionData(chatId, sessionManager);
-      if (!session || !session.data.sortedBanks) {
-        await ctx.editMessageText('Sesi tidak valid. Silakan mulai kembali dengan /transfer.');
-        return;
-      }
- 
-      await updateSessionData(session, sessionManager, {
-        data: { currentPage: page }
-      });
- 
-      showBankPage(ctx, session, session.data.sortedBanks, page);
+      await ctx.deleteMessage();
     } catch (error) {
-      logger.error('telegram.bank_page', 'Error navigating bank page', { error });
-      await ctx.answerCbQuery('Gagal memuat halaman');
+      // Ignore if can't delete message
     }
-  });
- 
-  // Handle bank selection
-  // Handle bank selection
-  bot.action(/^select_bank:(\d+)$/, async (ctx) => {
-    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
     
-    if (!chatId) {
-      await ctx.answerCbQuery('Error: Tidak dapat memproses permintaan');
-      return;
+    confirmed = await verifyUserTotp(sessionManager.db, user, confirmation);
+    
+    if (!confirmed) {
+      const totpFailures = (session.data.totpFailures || 0) + 1;
+      
+      if (totpFailures >= 3) {
+        await deleteSessionData(session.id, sessionManager);
+        logger.warn('telegram.transfer.confirm', 'Transfer cancelled after repeated 2FA failures', { userId: user.userId });
+        await ctx.reply('🚫 Terlalu banyak kode 2FA salah. Transfer dibatalkan.');
+        return { confirmation, confirmed, requireTotp, handled: true };
+      }
+      
+      await updateSessionData(session, sessionManager, { data: { totpFailures } });
+      await ctx.reply(`❌ Kode 2FA salah atau sudah digunakan. Sisa percobaan: ${3 - totpFailures}\n\nMasukkan kode baru dari aplikasi authenticator atau ketik BATAL.`);
+      return { confirmation, confirmed, requireTotp, handled: true };
     }
+  }
+  
+  return { confirmation, confirmed, requireTotp, handled: false };
+}
+
+/**
+* Handle transfer confirmation
+*/
+async function handleTransferConfirmation(ctx, session, sdk, sessionManager) {
+  if (!ctx.message?.text) {
+    return await ctx.reply('Silakan ketik KONFIRMASI untuk melanjutkan atau BATAL untuk membatalkan.');
+  }
+
+  const { confirmation, confirmed, requireTotp, handled } = await readTransferConfirmation(ctx, session, sessionManager);
+  if (handled) return;
+
+  if (confirmed && requiresApproval(session.data.amount)) {
+    await submitTransferForApproval(ctx, session, sessionManager);
+  } else if (confirmed) {
+    const statusMsg = await ctx.reply('⏳ Memproses transfer... Mohon tunggu.\n\n⚠️ Jangan tutup aplikasi atau kirim pesan lain sampai proses selesai.');
 
     try {
-      const bankIndex = parseInt(ctx.match[1]);
-      await ctx.answerCbQuery();
+      await completeDANABankTransfer(ctx, session, statusMsg, sdk, sessionManager);
+    } catch (error) {
+      logger.error('telegram.transfer.confirm', 'Error completing transfer', { error });
       
-      // Get current session
-      const session = await getSessionData(chatId, sessionManager);
-      if (!session) {
-        await ctx.editMessageText('Sesi tidak valid. Silakan mulai kembali dengan /transfer.');
-        return;
+      let errorMessage = `❌ Transfer gagal: ${error instanceof Error ? error.message : 'Gagal menyelesaikan transfer.'}`;
+      
+      // Add specific help for common errors
+      if (error.outcomeUnknown) {
+        errorMessage = formatUnknownTransferOutcome(error);
+      } else if (error.message.includes('Insufficient balance')) {
+        errorMessage += '\n\n💡 Silakan cek saldo DANA Anda dan coba lagi dengan jumlah yang lebih kecil.';
+      } else if (error.message.includes('Daily limit')) {
+        errorMessage += '\n\n💡 Anda mungkin telah mencapai batas transfer harian. Coba lagi besok.';
       }
+      
+      await ctx.telegram.editMessageText(
+        ctx.chat.id,
+        statusMsg.message_id,
+        undefined,
+        errorMessage
+      );
+      await deleteSessionData(session.id, sessionManager);
+    }
+  } else if (confirmation === 'BATAL') {
+    await deleteSessionData(session.id, sessionManager);
+    await ctx.reply('❌ Transfer dibatalkan.\n\n🔄 Gunakan /transfer untuk memulai transfer baru.');
+  } else if (requireTotp) {
+    await ctx.reply('❓ Perintah tidak dikenali.\n\nSilakan ketik:\n• <b>Kode 2FA</b> (6 digit) - untuk melanjutkan transfer\n• <b>BATAL</b> - untuk membatalkan transfer', { parse_mode: 'HTML' });
+  } else {
+    await ctx.reply('❓ Perintah tidak dikenali.\n\nSilakan ketik:\n• <b>KONFIRMASI</b> - untuk melanjutkan transfer\n• <b>BATAL</b> - untuk membatalkan transfer', { parse_mode: 'HTML' });
+  }
+}
 
-      // Get bank data from session
-      const availableBanks = session.data.availableBanks;
-      if (!availableBanks || !Array.isArray(availableBanks) || bankIndex >= availableBanks.length) {
-        await ctx.editMessageText('Data bank tidak valid. Silakan mulai kembali dengan /transfer.');
-        return;
-      }
+/**
+* Handle the confirmation of a decoded QRIS before it is paid
+*/
+async function handleQRISConfirmation(ctx, session, sdk, sessionManager) {
+  const { confirmation, confirmed, requireTotp, handled } = await readTransferConfirmation(ctx, session, sessionManager);
+  if (handled) return;
 
-      const bankData = availableBanks[bankIndex];
+  if (confirmed) {
+    const statusMsg = await ctx.reply('⏳ Memproses pembayaran QRIS... Mohon tunggu.');
+
+    try {
+      await handleDANAQRISTransfer(ctx, session, statusMsg, sdk, sessionManager);
+    } catch (error) {
+      logger.error('telegram.qris.confirm', 'Error paying QRIS', { error });
       
-      // Update session with bank data
-      await updateSessionData(session, sessionManager, {
-        state: 'awaiting_account_number',
-        data: { bankData }
-      });
+      await ctx.telegram.editMessageText(
+        ctx.chat.id,
+        statusMsg.message_id,
+        undefined,
+        error.outcomeUnknown
+          ? formatUnknownTransferOutcome(error)
+          : `❌ Pembayaran QRIS gagal: ${error instanceof Error ? error.message : 'Gagal memproses QR code.'}`
+      );
+      await deleteSessionData(session.id, sessionManager);
+    }
+  } else if (confirmation === 'BATAL') {
+    await deleteSessionData(session.id, sessionManager);
+    await ctx.reply('❌ Pembayaran QRIS dibatalkan.\n\n🔄 Gunakan /transfer untuk memulai transfer baru.');
+  } else if (requireTotp) {
+    await ctx.reply('❓ Perintah tidak dikenali.\n\nSilakan ketik:\n• <b>Kode 2FA</b> (6 digit) - untuk membayar\n• <b>BATAL</b> - untuk membatalkan pembayaran', { parse_mode: 'HTML' });
+  } else {
+    await ctx.reply('❓ Perintah tidak dikenali.\n\nSilakan ketik:\n• <b>KONFIRMASI</b> - untuk membayar\n• <b>BATAL</b> - untuk membatalkan pembayaran', { parse_mode: 'HTML' });
+  }
+}
 
-      const bankName = bankData.name || bankData.instLocalName;
-      const transferAmount = formatCurrency(session.data.amount);
+async function handlePasswordInput(ctx, session, sessionManager) {
+  if (!ctx.message?.text) {
+    return await ctx.reply('Input tidak valid. Silakan masukkan password.');
+  }
+  
+  const password = ctx.message.text.trim();
+  const chatId = ctx.chat?.id.toString();
+  if (!chatId) return;
 
-      await ctx.editMessageText(
-        `✅ <b>Bank dipilih: ${bankName}</b>\n💰 <b>Jumlah: ${transferAmount}</b>\n\n📝 Silakan masukkan nomor rekening tujuan (8-20 digit):`,
-        { parse_mode: 'HTML' }
+  logger.info('telegram.password', `Password input received for chat ${chatId}`);
+
+  // Delete the user's message for security
+  try {
+    await ctx.deleteMessage();
+  } catch (error) {
+    // Ignore if can't delete message
+  }
+
+  // Check if user is blocked
+  const blockStatus = await isUserBlocked(chatId, ctx.from?.id.toString(), sessionManager);
+  if (blockStatus.blocked) {
+    await sessionManager.deleteSession(session.id);
+    return await ctx.reply(`🚫 ${blockStatus.message}`);
+  }
+
+  const statusMsg = await ctx.reply('🔐 Memverifikasi password...');
+
+  try {
+    const result = await authenticateUser(chatId, ctx.from?.id.toString(), password, sessionManager);
+    
+    if (result.success && result.requiresTotp) {
+      // Keep the login session open for the second factor
+      await sessionManager.updateSession(session.id, {
+        state: 'awaiting_login_totp',
+        data: { userId: ctx.from?.id.toString() }
+      });
+      
+      await ctx.telegram.editMessageText(
+        chatId,
+        statusMsg.message_id,
+        undefined,
+        '🔐 Password benar.\n\nMasukkan kode 6 digit dari aplikasi authenticator Anda:'
+      );
+    } else if (result.success) {
+      logger.info('telegram.password', `Authentication successful for chat ${chatId}`);
+      
+      // Delete login session
+      await sessionManager.deleteSession(session.id);
+      
+      if (result.mustChangePassword) {
+        await ctx.telegram.editMessageText(
+          chatId,
+          statusMsg.message_id,
+          undefined,
+          '✅ Login berhasil!\n\n🔑 Anda harus membuat password pribadi sebelum menggunakan bot.'
+        );
+        await startPasswordChange(ctx, sessionManager, { requireOldPassword: false });
+      } else {
+        await ctx.telegram.editMessageText(
+          chatId,
+          statusMsg.message_id,
+          undefined,
+          '✅ Login berhasil!\n\nSelamat datang! Gunakan /help untuk melihat perintah yang tersedia.'
+        );
+      }
+      
+      // Verify the authenticated session was created
+      const isAuthenticated = await isUserAuthenticated(chatId, ctx.from?.id.toString(), sessionManager);
+      if (isAuthenticated) {
+        logger.info('telegram.password', `Authenticated session confirmed for chat ${chatId}`);
+      } else {
+        logger.error('telegram.password', `Failed to create authenticated session for chat ${chatId}`);
+      }
+    } else {
+      logger.info('telegram.password', `Authentication failed for chat ${chatId}: ${result.message}`);
+      
+      const newBlockStatus = await isUserBlocked(chatId, ctx.from?.id.toString(), sessionManager);
+      let message = `❌ ${result.message}`;
+      
+      if (newBlockStatus.attemptsLeft && newBlockStatus.attemptsLeft > 0) {
+        message += `\n\n⚠️ Sisa percobaan: ${newBlockStatus.attemptsLeft}`;
+      } else if (newBlockStatus.blocked) {
+        message += `\n\n🚫 Terlalu banyak percobaan gagal. Coba lagi dalam ${newBlockStatus.remainingMinutes} menit.`;
+        await sessionManager.deleteSession(session.id);
+      }
+      
+      await ctx.telegram.editMessageText(
+        chatId,
+        statusMsg.message_id,
+        undefined,
+        message
       );
-    } catch (error) {
-      logger.error('telegram.transfer.bank', 'Error selecting bank', { error });
-      await ctx.answerCbQuery('Gagal memproses pilihan bank');
-      await ctx.editMessageText('❌ Gagal memproses pilihan bank. Silakan coba lagi.');
     }
-  });
+  } catch (error) {
+    logger.error('telegram.auth', 'Error during authentication', { error });
+    await ctx.telegram.editMessageText(
+      chatId,
+      statusMsg.message_id,
+      undefined,
+      '❌ Terjadi kesalahan saat login. Silakan coba lagi.'
+    );
+  }
+}
 
-  // Handle cancel transfer
-  bot.action('cancel_transfer', async (ctx) => {
-    const chatId = ctx.callbackQuery?.message?.chat.id.toString();
+/**
+* Get the active DANA accounts that can send transfers
+* @returns {Array|null} Accounts, or null if the list could not be loaded
+*/
+async function getActiveDanaAccounts(sdk) {
+  const accountsResponse = await sdk.getAccounts();
+  if (accountsResponse.status !== 'success' || !accountsResponse.data) {
+    return null;
+  }
+  
+  return accountsResponse.data.filter(
+    account => account.type === 'ewallet' &&
+              account.isActive === true &&
+              account.provider.code === 'DANA'
+  );
+}
+
+/**
+* Handle bulk command, starting with the source account
+*/
+async function handleBulkCommand(ctx, user, sdk, sessionManager) {
+  const chatId = ctx.chat.id.toString();
+  
+  try {
+    if (await hasActiveProcessSession(chatId, sessionManager)) {
+      return await ctx.reply('Anda memiliki proses yang sedang berlangsung. Silakan selesaikan atau ketik /cancel untuk membatalkan.');
+    }
     
-    if (chatId) {
-      const session = await getSessionData(chatId, sessionManager);
-      if (session) {
-        await deleteSessionData(session.id, sessionManager);
-      }
+    const danaAccounts = await getActiveDanaAccounts(sdk);
+    if (!danaAccounts) {
+      return await ctx.reply('❌ Gagal mengambil daftar akun. Silakan coba lagi nanti.');
+    }
+    if (danaAccounts.length === 0) {
+      return await ctx.reply('Anda tidak memiliki akun DANA aktif. Gunakan /add untuk menambahkan akun DANA terlebih dahulu.');
     }
     
-    await ctx.answerCbQuery('Transfer dibatalkan');
-    await ctx.editMessageText('Transfer dibatalkan. Gunakan /transfer untuk memulai kembali.');
-  });
-
-  // Handle wallet selection
-  bot.action(/wallet_(.+)/, async (ctx) => {
-    // Check if ctx.chat exists, otherwise use ctx.callbackQuery.message.chat
-    const chat = ctx.chat || (ctx.callbackQuery?.message?.chat);
+    await createSessionData(chatId, 'bulk_payout', { userId: user.userId }, sessionManager);
     
-    if (!chat) {
-      logger.error('telegram.walletSelection', 'No chat context found');
-      await ctx.answerCbQuery('Error: Tidak dapat menentukan konteks chat');
-      return;
+    const keyboard = danaAccounts.map(account => [
+      { text: `${account.name} - ${formatCurrency(account.balance)}`, callback_data: `bulk_account:${account.id}` }
+    ]);
+    keyboard.push([{ text: 'Batal', callback_data: 'cancel_bulk' }]);
+    
+    await ctx.reply('📦 Pilih akun DANA sumber untuk transfer massal:', {
+      reply_markup: { inline_keyboard: keyboard }
+    });
+  } catch (error) {
+    logger.error('telegram.bulk', 'Error preparing bulk command', { error });
+    await ctx.reply('Gagal mempersiapkan transfer massal. Silakan coba lagi nanti.');
+  }
+}
+
+/**
+* Read, validate and verify an uploaded bulk payout file, then show the summary
+*/
+async function handleBulkFile(ctx, session, user, sdk, sessionManager) {
+  const chatId = ctx.chat.id.toString();
+  const document = ctx.message.document;
+  const format = getBulkFileFormat(document.file_name);
+  
+  if (!format) {
+    return await ctx.reply('❌ Format file tidak didukung. Kirim file .csv atau .xlsx.');
+  }
+  if (document.file_size > MAX_BULK_FILE_SIZE) {
+    return await ctx.reply('❌ File terlalu besar, maksimal 1 MB.');
+  }
+  
+  await updateSessionData(session, sessionManager, { state: 'verifying_bulk_file' });
+  const statusMsg = await ctx.reply('📥 Membaca file...');
+  
+  const updateStatus = async (text) => {
+    try {
+      await ctx.telegram.editMessageText(chatId, statusMsg.message_id, undefined, text);
+    } catch (error) {
+      // Continue if edit fails
+    }
+  };
+  
+  try {
+    const file = await ctx.telegram.getFile(document.file_id);
+    const fileUrl = `https://api.telegram.org/file/bot${TELEGRAM_BOT_TOKEN}/${file.file_path}`;
+    const response = await fetch(fileUrl);
+    if (!response.ok) {
+      throw new Error('Gagal mengunduh file');
     }
     
-    const chatId = chat.id.toString();
-    const walletCode = ctx.match?.[1];
+    const buffer = Buffer.from(await response.arrayBuffer());
+    const rows = parseBulkRows(await readSpreadsheetRows(buffer, format));
     
-    if (!walletCode) {
-      await ctx.answerCbQuery('Error: Tidak dapat menentukan pilihan wallet');
-      return;
+    await updateStatus('🏦 Memuat daftar bank...');
+    const banksResponse = await sdk.getDanaBanks(session.data.accountId);
+    if (!banksResponse.success || !Array.isArray(banksResponse.data) || banksResponse.data.length === 0) {
+      throw new Error('Gagal memuat daftar bank');
     }
     
-    // If user cancels
-    if (walletCode === 'cancel') {
-      await ctx.answerCbQuery('Tindakan dibatalkan');
-      return ctx.editMessageText('Tindakan dibatalkan. Ketik /add untuk memulai kembali.');
-    }
+    await verifyBulkRows(sdk, session.data.accountId, rows, banksResponse.data, (done, total) =>
+      updateStatus(`🔍 Memverifikasi rekening ${done}/${total}...`)
+    );
     
-    try {
-      // Find wallet in supported wallets
-      const wallet = SUPPORTED_WALLETS.find(w => w.code === walletCode);
-      
-      if (!wallet) {
-        await ctx.answerCbQuery('E-wallet tidak tersedia');
-        return ctx.editMessageText('E-wallet yang dipilih tidak tersedia. Silakan coba lagi.');
-      }
-      
-      // Check for existing session
-      const existingSession = await getSessionData(chatId, sessionManager);
-      if (existingSession) {
-        // Delete existing session before creating a new one
-        await deleteSessionData(existingSession.id, sessionManager);
-      }
-      
-      // Store the wallet selection in a session
-      const session = await createSessionData(chatId, 'add_wallet', { 
-        walletCode: wallet.code,
-        providerId: wallet.id
-      }, sessionManager);
-      
-      await ctx.answerCbQuery();
-      await ctx.editMessageText(`Anda memilih ${wallet.name}.\n\nSilakan masukkan nomor telepon ${wallet.name} Anda dalam format: 081xxxxxxxxx\n\nBalas dengan nomor telepon Anda atau ketik /cancel untuk membatalkan.`);
-      
-      // Update session state
+    const requireTotp = user.totpEnabled === 1;
+    const hasValidRows = rows.some(row => row.errors.length === 0);
+    
+    if (hasValidRows) {
       await updateSessionData(session, sessionManager, {
-        state: 'awaiting_phone'
+        state: 'awaiting_bulk_confirmation',
+        data: { bulkRows: rows, bulkFormat: format }
       });
-    } catch (error) {
-      logger.error('telegram.walletSelection', 'Error processing wallet selection', { error });
-      await ctx.answerCbQuery('Terjadi kesalahan');
-      await ctx.editMessageText('Gagal memproses pilihan. Silakan coba lagi nanti.');
+    } else {
+      await deleteSessionData(session.id, sessionManager);
     }
+    
+    await ctx.telegram.editMessageText(
+      chatId,
+      statusMsg.message_id,
+      undefined,
+      formatBulkSummary(rows, requireTotp) + (hasValidRows ? '' : '\n\nTidak ada baris yang bisa dikirim. Perbaiki file lalu mulai lagi dengan /bulk.'),
+      { parse_mode: 'HTML' }
+    );
+  } catch (error) {
+    logger.error('telegram.bulk.file', 'Error reading bulk file', { error });
+    
+    await updateSessionData(session, sessionManager, { state: 'awaiting_bulk_file' });
+    await updateStatus(`❌ ${error instanceof Error ? error.message : 'Gagal membaca file'}\n\nPerbaiki file lalu kirim lagi, atau ketik /cancel untuk membatalkan.`);
+  }
+}
+
+/**
+* Handle the confirmation of a verified bulk payout
+*/
+async function handleBulkConfirmation(ctx, session, sdk, sessionManager) {
+  if (!ctx.message?.text) {
+    return await ctx.reply('Silakan ketik KONFIRMASI untuk melanjutkan atau BATAL untuk membatalkan.');
+  }
+  
+  const { confirmation, confirmed, requireTotp, handled } = await readTransferConfirmation(ctx, session, sessionManager);
+  if (handled) return;
+  
+  if (confirmation === 'BATAL') {
+    await deleteSessionData(session.id, sessionManager);
+    return await ctx.reply('❌ Transfer massal dibatalkan.\n\n🔄 Gunakan /bulk untuk memulai lagi.');
+  }
+  
+  if (!confirmed) {
+    return await ctx.reply(requireTotp
+      ? '❓ Perintah tidak dikenali.\n\nSilakan ketik:\n• <b>Kode 2FA</b> (6 digit) - untuk mengirim transfer\n• <b>BATAL</b> - untuk membatalkan'
+      : '❓ Perintah tidak dikenali.\n\nSilakan ketik:\n• <b>KONFIRMASI</b> - untuk mengirim transfer\n• <b>BATAL</b> - untuk membatalkan',
+    { parse_mode: 'HTML' });
+  }
+  
+  // The session is removed first, so a second KONFIRMASI cannot send the batch twice
+  await deleteSessionData(session.id, sessionManager);
+  
+  const chatId = ctx.chat.id.toString();
+  const batch = {
+    userId: session.data.userId || ctx.from?.id.toString(),
+    chatId,
+    accountId: session.data.accountId,
+    rows: session.data.bulkRows
+  };
+  const statusMsg = await ctx.reply('⏳ Memulai transfer massal...\n\n⚠️ Jangan kirim file lain sampai proses selesai.');
+  
+  // A batch can take minutes, so it runs in the background and reports when done
+  runBulkPayout(ctx.telegram, statusMsg, batch, session.data.bulkFormat, sdk, sessionManager.db).catch(error => {
+    logger.error('telegram.bulk.run', 'Error running bulk payout', { error });
   });
+}
 
-  // Handle verification method selection
-  bot.action(/^verification_(.+)$/, async (ctx) => {
-    logger.info('telegram.verification', `Verification method selected: ${ctx.match[1]}`);
-    
+/**
+* Send a confirmed batch with progress updates, then reply with the result file
+*/
+async function runBulkPayout(telegram, statusMsg, batch, format, sdk, db) {
+  const { chatId } = batch;
+  
+  const rows = await executeBulkPayout(sdk, db, batch, async (done, total) => {
     try {
-      const method = ctx.match[1]; // 'SMS' or 'WHATSAPP'
-      const chatId = ctx.callbackQuery?.message?.chat.id.toString();
-      
-      if (!chatId) {
-        await ctx.answerCbQuery('Error: Tidak dapat menentukan konteks chat');
-        return;
-      }
-      
-      // Get the session
-      let session = await getSessionData(chatId, sessionManager);
-      if (!session) {
-        await ctx.answerCbQuery('Sesi tidak valid atau telah kedaluwarsa');
-        return await ctx.editMessageText('Sesi tidak valid. Silakan mulai kembali dengan /add.');
-      }
-      
-      // Acknowledge the callback query
-      await ctx.answerCbQuery(`Menggunakan ${method === 'SMS' ? 'SMS' : 'WhatsApp'} OTP`);
-      
-      // Update original message to show selected method
-      await ctx.editMessageText(`Metode verifikasi dipilih: ${method === 'SMS' ? 'SMS' : 'WhatsApp'}`);
-      
-      // Update session with verification method
-      session = await updateSessionData(session, sessionManager, {
-        data: {
-          verificationMethod: method
-        }
-      });
-      
-      // Show processing message in a new message
-      const loadingMsg = await ctx.reply(`Meminta OTP via ${method === 'SMS' ? 'SMS' : 'WhatsApp'}... Mohon tunggu.`);
-      
-      try {
-        // Process based on wallet type
-        switch(session.data.walletCode) {
-          case 'DANA':
-            await handleDANAInitiation(ctx, session, session.data.pin, loadingMsg, sdk, sessionManager);
-            break;
-          default:
-            throw new Error('Jenis wallet tidak didukung');
-        }
-      } catch (error) {
-        logger.error('telegram.verification', `Error memulai proses ${session.data.walletCode}`, { error });
-        await ctx.telegram.editMessageText(
-          chatId, 
-          loadingMsg.message_id, 
-          undefined, 
-          `❌ Error: ${error instanceof Error ? error.message : 'Gagal memproses permintaan Anda.'}\n\nSilakan coba lagi nanti.`
-        );
-        await deleteSessionData(session.id, sessionManager);
-      }
+      await telegram.editMessageText(chatId, statusMsg.message_id, undefined, `⏳ Mengirim transfer ${done}/${total}...`);
     } catch (error) {
-      logger.error('telegram.verification', 'Error in verification handler', { error });
-      await ctx.answerCbQuery('Error internal. Silakan coba lagi.');
+      // Continue if edit fails
     }
   });
+  
+  const sent = rows.filter(row => row.status === 'success');
+  const unknown = rows.filter(row => row.status === 'pending');
+  const failed = rows.filter(row => ['failed', 'skipped', 'invalid'].includes(row.status));
+  
+  let summary = `📦 <b>Transfer Massal Selesai</b>\n\n`;
+  summary += `✅ Berhasil: <b>${sent.length}</b> (${formatCurrency(sent.reduce((sum, row) => sum + row.amount, 0))})\n`;
+  summary += `❌ Gagal atau dilewati: <b>${failed.length}</b>`;
+  if (unknown.length > 0) {
+    summary += `\n⚠️ Status tidak diketahui: <b>${unknown.length}</b>, proses dihentikan. Periksa /history status pending sebelum mengirim ulang.`;
+  }
+  
+  try {
+    await telegram.editMessageText(chatId, statusMsg.message_id, undefined, summary, { parse_mode: 'HTML' });
+  } catch (error) {
+    await telegram.sendMessage(chatId, summary, { parse_mode: 'HTML' });
+  }
+  
+  const { buffer, fileName } = await buildBulkResultFile(rows, format);
+  await telegram.sendDocument(chatId, { source: buffer, filename: fileName }, {
+    caption: '📄 Hasil transfer massal per baris'
+  });
 }
 
 /**
-* Set up text message handler
+* Handle schedule command, starting with the source account
 */
-function setupTextMessageHandler(bot, sessionManager, sdk) {
-  bot.on('text', async (ctx) => {
-    // Skip processing for commands
-    if (!ctx.message?.text || ctx.message.text.startsWith('/')) return;
+async function handleScheduleCommand(ctx, user, sdk, sessionManager) {
+  const chatId = ctx.chat.id.toString();
+  
+  try {
+    if (await hasActiveProcessSession(chatId, sessionManager)) {
+      return await ctx.reply('Anda memiliki proses yang sedang berlangsung. Silakan selesaikan atau ketik /cancel untuk membatalkan.');
+    }
     
-    const chatId = ctx.chat?.id.toString();
-    if (!chatId) return;
+    const beneficiaries = await listBeneficiaries(sessionManager.db);
+    if (beneficiaries.length === 0) {
+      return await ctx.reply('⭐ Transfer terjadwal dikirim ke penerima tersimpan, dan belum ada penerima tersimpan.\n\nSimpan penerima lewat /transfer terlebih dahulu.');
+    }
     
-    // Check if there's an active session
-    const session = await getSessionData(chatId, sessionManager);
+    const danaAccounts = await getActiveDanaAccounts(sdk);
+    if (!danaAccounts) {
+      return await ctx.reply('❌ Gagal mengambil daftar akun. Silakan coba lagi nanti.');
+    }
+    if (danaAccounts.length === 0) {
+      return await ctx.reply('Anda tidak memiliki akun DANA aktif. Gunakan /add untuk menambahkan akun DANA terlebih dahulu.');
+    }
     
-    if (!session) return;
+    await createSessionData(chatId, 'schedule_create', { userId: user.userId }, sessionManager);
     
-    // Handle different session states
-    switch(session.state) {
-      case 'awaiting_password':
-        await handlePasswordInput(ctx, session, sessionManager);
-        break;
-      case 'awaiting_phone':
-        await handlePhoneInput(ctx, session, sessionManager);
-        break;
-      case 'awaiting_pin':
-        await handlePinInput(ctx, session, sessionManager);
-        break;
-      case 'awaiting_otp':
-        await handleOtpInput(ctx, session, sdk, sessionManager);
-        break;
-      case 'awaiting_name':
-        await handleNameInput(ctx, session, sdk, sessionManager);
-        break;
-      case 'awaiting_bank_amount':
-        await handleBankAmountInput(ctx, session, sdk, sessionManager);
-        break;
-      case 'awaiting_qris_amount':
-        await handleQRISAmountInput(ctx, session, sessionManager);
-        break;
-      case 'awaiting_account_number':
-        await handleAccountNumberInput(ctx, session, sdk, sessionManager);
-        break;
-      case 'awaiting_transfer_confirmation':
-        await handleTransferConfirmation(ctx, session, sdk, sessionManager);
-        break;
-      case 'searching_bank':
-        await handleBankSearch(ctx, session, sessionManager);
-        break;
+    const keyboard = danaAccounts.map(account => [
+      { text: `${account.name} - ${formatCurrency(account.balance)}`, callback_data: `schedule_account:${account.id}` }
+    ]);
+    keyboard.push([{ text: 'Batal', callback_data: 'cancel_schedule' }]);
+    
+    await ctx.reply('🗓️ Pilih akun DANA sumber untuk transfer terjadwal:', {
+      reply_markup: { inline_keyboard: keyboard }
+    });
+  } catch (error) {
+    logger.error('telegram.schedule', 'Error preparing schedule command', { error });
+    await ctx.reply('Gagal mempersiapkan jadwal. Silakan coba lagi nanti.');
+  }
+}
+
+/**
+* Handle amount and schedule input while creating a scheduled transfer
+*/
+async function handleScheduleInput(ctx, session, sessionManager) {
+  const text = ctx.message?.text?.trim();
+  if (!text) {
+    return await ctx.reply('Input tidak valid.');
+  }
+  
+  if (session.state === 'awaiting_schedule_amount') {
+    const amount = parseInt(text.replace(/[.,]/g, ''));
+    if (isNaN(amount) || amount < 10000) {
+      return await ctx.reply('Jumlah tidak valid. Minimum transfer ke bank adalah Rp 10.000.\n\nSilakan masukkan jumlah yang valid:');
     }
-  });
+    if (requiresApproval(amount)) {
+      return await ctx.reply(`❌ Transfer terjadwal tidak bisa melebihi ${formatCurrency(getApprovalSettings().threshold)}, karena transfer di atas batas itu perlu persetujuan.\n\nSilakan masukkan jumlah lain atau ketik /cancel.`);
+    }
+    
+    await updateSessionData(session, sessionManager, {
+      state: 'awaiting_schedule_spec',
+      data: { amount }
+    });
+    
+    return await ctx.reply(`🗓️ Kapan transfer dikirim? Waktu dalam WIB, contoh:
 
-  // Handle photo messages for QRIS
-  bot.on('photo', async (ctx) => {
-    const chatId = ctx.chat?.id.toString();
-    if (!chatId) return;
+<code>sekali 2026-10-25 09:00</code>
+<code>harian 09:00</code>
+<code>mingguan senin 09:00</code>
+<code>bulanan 25 09:00</code>`, { parse_mode: 'HTML' });
+  }
+  
+  let spec;
+  try {
+    spec = parseScheduleSpec(text);
+  } catch (error) {
+    return await ctx.reply(`❌ ${error.message}\n\nSilakan masukkan jadwal lagi atau ketik /cancel.`);
+  }
+  
+  try {
+    const { accountId, beneficiaryId, amount, userId } = session.data;
+    const schedule = await createScheduledTransfer(sessionManager.db, {
+      ...spec,
+      beneficiaryId,
+      accountId,
+      amount,
+      createdBy: userId || ctx.from?.id.toString(),
+      chatId: ctx.chat.id.toString()
+    });
+    
+    await deleteSessionData(session.id, sessionManager);
+    
+    const beneficiary = await getBeneficiary(sessionManager.db, beneficiaryId);
+    await ctx.reply(`✅ Transfer terjadwal dibuat (${describeSchedule(schedule)}).
 
-    const session = await getSessionData(chatId, sessionManager);
-    if (!session || session.state !== 'awaiting_qris_photo') return;
+${formatScheduledTransfer(schedule, beneficiary)}
 
-    // Send a new status message instead of trying to edit
-    const statusMsg = await ctx.reply('📱 Memproses QR code... Mohon tunggu.');
+Rekening tujuan diverifikasi ulang sebelum setiap transfer, dan hasilnya dikirim ke chat ini. Gunakan /schedules untuk menjeda atau membatalkan.`, { parse_mode: 'HTML' });
+  } catch (error) {
+    logger.error('telegram.schedule', 'Error creating scheduled transfer', { error });
+    await ctx.reply('❌ Gagal membuat jadwal. Silakan coba lagi.');
+  }
+}
 
-    try {
-      // Get the largest photo for better quality
-      const photos = ctx.message.photo;
-      const largestPhoto = photos[photos.length - 1];
-      
-      await handleDANAQRISTransfer(ctx, session, largestPhoto.file_id, statusMsg, sdk, sessionManager);
-    } catch (error) {
-      logger.error('telegram.qris', 'Error processing QRIS photo', { error });
-      
-      // More specific error messages
-      let errorMessage = `❌ Error: ${error instanceof Error ? error.message : 'Gagal memproses QR code.'}`;
-      
-      if (error.message.includes('decode')) {
-        errorMessage += '\n\n💡 Tips:\n• Pastikan gambar QR code jelas\n• Coba foto ulang dengan pencahayaan yang baik\n• QR code harus terlihat utuh dalam foto';
-      } else if (error.message.includes('network') || error.message.includes('fetch')) {
-        errorMessage += '\n\n💡 Coba lagi dalam beberapa saat.';
-      }
-      
-      await ctx.telegram.editMessageText(
-        chatId,
-        statusMsg.message_id,
-        undefined,
-        errorMessage
-      );
-      await deleteSessionData(session.id, sessionManager);
-    }
-  });
+/**
+* Handle schedules command
+*/
+async function handleSchedulesCommand(ctx, user, sessionManager) {
+  try {
+    const view = await buildScheduleList(sessionManager.db, user);
+    await ctx.reply(view.text, { parse_mode: 'HTML', reply_markup: view.replyMarkup });
+  } catch (error) {
+    logger.error('telegram.schedules', 'Error listing scheduled transfers', { error });
+    await ctx.reply('Gagal memuat transfer terjadwal. Silakan coba lagi nanti.');
+  }
 }
 
 /**
-* Handle phone input during session
+* Build the schedule list, owners see every job and operators their own
 */
-async function handlePhoneInput(ctx, session, sessionManager) {
-  if (!ctx.message?.text) {
-    return await ctx.reply('Input tidak valid. Silakan masukkan nomor telepon yang valid.');
-  }
+async function buildScheduleList(db, user) {
+  const schedules = await listScheduledTransfers(db, user.role === 'owner' ? null : user.userId);
   
-  const phoneNumber = ctx.message.text.trim();
-  const chatId = ctx.chat?.id.toString();
-  if (!chatId) {
-    return await ctx.reply('Error: Tidak dapat menentukan konteks chat.');
+  if (schedules.length === 0) {
+    return {
+      text: '🗓️ Tidak ada transfer terjadwal.\n\nGunakan /schedule untuk membuat jadwal baru.',
+      replyMarkup: { inline_keyboard: [] }
+    };
   }
   
-  // Validate phone number format
-  if (!isValidPhoneNumber(phoneNumber)) {
-    return await ctx.reply('Format nomor telepon tidak valid. Silakan masukkan nomor telepon Indonesia yang valid (misalnya, 081xxxxxxxxx).\n\nCoba lagi atau ketik /cancel untuk membatalkan.');
+  const entries = [];
+  for (const schedule of schedules) {
+    entries.push(formatScheduledTransfer(schedule, await getBeneficiary(db, schedule.beneficiaryId)));
   }
   
-  // Format phone number consistently
-  const formattedPhone = formatPhoneNumber(phoneNumber);
-  
-  // Update session with phone number
-  await updateSessionData(session, sessionManager, {
-    state: 'awaiting_pin',
-    data: {
-      phoneNumber: formattedPhone
+  return {
+    text: `🗓️ <b>Transfer terjadwal (${schedules.length})</b>\n\n${entries.join('\n\n')}`,
+    replyMarkup: {
+      inline_keyboard: schedules.map(schedule => [
+        { text: `#${schedule.id} ${formatCurrency(schedule.amount)} - ${describeSchedule(schedule)}`, callback_data: `schedule_view:${schedule.id}` }
+      ])
     }
-  });
-  
-  // Find wallet name for better UX
-  const wallet = SUPPORTED_WALLETS.find(w => w.code === session.data.walletCode) || 
-              { name: session.data.walletCode };
-  
-  await ctx.reply(`Nomor telepon disimpan: ${formattedPhone}.\n\nSekarang, silakan masukkan PIN ${wallet.name} Anda.\n\n⚠️ PIN Anda akan diproses dengan aman dan tidak disimpan sebagai teks biasa.\n\nBalas dengan PIN Anda atau ketik /cancel untuk membatalkan.`);
+  };
 }
 
 /**
-* Handle PIN input during session
+* Handle the buttons of the /schedules view
 */
-async function handlePinInput(ctx, session, sessionManager) {
-  if (!ctx.message?.text) {
-    return await ctx.reply('Input tidak valid. Silakan masukkan PIN yang valid.');
-  }
+async function handleScheduleAction(ctx, action, scheduleId, user, sessionManager) {
+  const db = sessionManager.db;
   
-  const pin = ctx.message.text.trim();
-  const chatId = ctx.chat?.id.toString();
-  if (!chatId) {
-    return await ctx.reply('Error: Tidak dapat menentukan konteks chat.');
+  try {
+    if (action === 'list') {
+      await ctx.answerCbQuery();
+      const view = await buildScheduleList(db, user);
+      return await ctx.editMessageText(view.text, { parse_mode: 'HTML', reply_markup: view.replyMarkup });
+    }
+    
+    const schedule = await getScheduledTransfer(db, scheduleId);
+    if (!schedule || (user.role !== 'owner' && schedule.createdBy !== user.userId)) {
+      return await ctx.answerCbQuery('Jadwal tidak ditemukan');
+    }
+    
+    if (action === 'cancel') {
+      await ctx.answerCbQuery();
+      return await ctx.editMessageText(`⚠️ Batalkan jadwal #${schedule.id}? Jadwal yang dibatalkan tidak bisa dilanjutkan lagi.`, {
+        reply_markup: {
+          inline_keyboard: [[
+            { text: '✅ Ya, batalkan', callback_data: `schedule_cancel_confirm:${schedule.id}` },
+            { text: '❌ Tidak', callback_data: `schedule_view:${schedule.id}` }
+          ]]
+        }
+      });
+    }
+    
+    if (action !== 'view') {
+      const result = await updateScheduleStatus(db, schedule.id, action === 'cancel_confirm' ? 'cancel' : action);
+      await ctx.answerCbQuery(result.message, { show_alert: !result.success });
+      
+      if (action === 'cancel_confirm' && result.success) {
+        const view = await buildScheduleList(db, user);
+        return await ctx.editMessageText(view.text, { parse_mode: 'HTML', reply_markup: view.replyMarkup });
+      }
+    } else {
+      await ctx.answerCbQuery();
+    }
+    
+    const current = await getScheduledTransfer(db, schedule.id);
+    const buttons = [];
+    if (current.status === 'active') {
+      buttons.push({ text: '⏸️ Jeda', callback_data: `schedule_pause:${current.id}` });
+    }
+    if (['paused', 'held'].includes(current.status)) {
+      buttons.push({ text: '▶️ Lanjutkan', callback_data: `schedule_resume:${current.id}` });
+    }
+    if (!['completed', 'cancelled'].includes(current.status)) {
+      buttons.push({ text: '🗑️ Batalkan', callback_data: `schedule_cancel:${current.id}` });
+    }
+    
+    await ctx.editMessageText(formatScheduledTransfer(current, await getBeneficiary(db, current.beneficiaryId)), {
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [buttons, [{ text: '⬅️ Kembali', callback_data: 'schedule_list' }]]
+      }
+    });
+  } catch (error) {
+    logger.error('telegram.schedules', 'Error handling schedule action', { error, action });
+    await ctx.reply('❌ Gagal memproses permintaan. Silakan coba lagi.');
+  }
+}
+
+/**
+* Handle beneficiaries command
+*/
+async function handleBeneficiariesCommand(ctx, sessionManager) {
+  try {
+    const view = await buildBeneficiaryList(sessionManager.db);
+    await ctx.reply(view.text, { reply_markup: view.replyMarkup });
+  } catch (error) {
+    logger.error('telegram.beneficiaries', 'Error listing beneficiaries', { error });
+    await ctx.reply('Gagal memuat penerima tersimpan. Silakan coba lagi nanti.');
   }
+}
+
+/**
+* Build the saved recipient list with one button per recipient
+*/
+async function buildBeneficiaryList(db) {
+  const beneficiaries = await listBeneficiaries(db);
   
-  // Basic PIN validation
-  if (!/^\d{6}$/.test(pin)) {
-    return await ctx.reply('Format PIN tidak valid. Silakan masukkan PIN 6 digit.\n\nCoba lagi atau ketik /cancel untuk membatalkan.');
+  if (beneficiaries.length === 0) {
+    return {
+      text: '⭐ Belum ada penerima tersimpan.\n\nSimpan penerima dengan tombol "⭐ Simpan penerima" setelah rekening tujuan diverifikasi di /transfer.',
+      replyMarkup: { inline_keyboard: [] }
+    };
   }
   
-  // Update session with PIN
-  await updateSessionData(session, sessionManager, {
-    data: {
-      pin
+  return {
+    text: `⭐ Penerima tersimpan (${beneficiaries.length}):\n\nPilih penerima untuk melihat detail, mengganti nama, atau menghapus.`,
+    replyMarkup: {
+      inline_keyboard: beneficiaries.map(beneficiary => [
+        { text: formatBeneficiaryLabel(beneficiary), callback_data: `beneficiary_view:${beneficiary.id}` }
+      ])
     }
-  });
-  
-  // Ask user to select verification method
-  const verificationKeyboard = [
-    [
-      { text: 'SMS OTP', callback_data: 'verification_SMS' },
-      { text: 'WhatsApp OTP', callback_data: 'verification_WHATSAPP' }
-    ]
-  ];
+  };
+}
+
+/**
+* Handle the buttons of the /beneficiaries view
+*/
+async function handleBeneficiaryAction(ctx, action, beneficiaryId, user, sessionManager) {
+  const db = sessionManager.db;
+  const chatId = ctx.callbackQuery.message.chat.id.toString();
   
-  await ctx.reply(
-    'Silakan pilih metode verifikasi untuk menerima kode OTP:',
-    {
-      reply_markup: {
-        inline_keyboard: verificationKeyboard
-      }
+  try {
+    if (action === 'list') {
+      await ctx.answerCbQuery();
+      const view = await buildBeneficiaryList(db);
+      return await ctx.editMessageText(view.text, { reply_markup: view.replyMarkup });
     }
-  );
+    
+    const beneficiary = await getBeneficiary(db, beneficiaryId);
+    if (!beneficiary) {
+      await ctx.answerCbQuery('Penerima tidak ditemukan');
+      const view = await buildBeneficiaryList(db);
+      return await ctx.editMessageText(view.text, { reply_markup: view.replyMarkup });
+    }
+    
+    if (action === 'view') {
+      await ctx.answerCbQuery();
+      return await ctx.editMessageText(formatBeneficiaryDetails(beneficiary), {
+        parse_mode: 'HTML',
+        reply_markup: {
+          inline_keyboard: [
+            [
+              { text: '✏️ Ganti nama', callback_data: `beneficiary_rename:${beneficiary.id}` },
+              { text: '🗑️ Hapus', callback_data: `beneficiary_delete:${beneficiary.id}` }
+            ],
+            [{ text: '⬅️ Kembali', callback_data: 'beneficiary_list' }]
+          ]
+        }
+      });
+    }
+    
+    if (action === 'delete') {
+      await ctx.answerCbQuery();
+      return await ctx.editMessageText(`⚠️ Hapus penerima "${beneficiary.nickname}"? Jadwal yang memakai penerima ini tidak akan bisa berjalan.`, {
+        reply_markup: {
+          inline_keyboard: [[
+            { text: '✅ Ya, hapus', callback_data: `beneficiary_delete_confirm:${beneficiary.id}` },
+            { text: '❌ Batal', callback_data: `beneficiary_view:${beneficiary.id}` }
+          ]]
+        }
+      });
+    }
+    
+    if (action === 'delete_confirm') {
+      await deleteBeneficiary(db, beneficiary.id);
+      await ctx.answerCbQuery('Penerima dihapus');
+      const view = await buildBeneficiaryList(db);
+      return await ctx.editMessageText(view.text, { reply_markup: view.replyMarkup });
+    }
+    
+    // Rename asks for the new nickname as a text message
+    if (await hasActiveProcessSession(chatId, sessionManager)) {
+      return await ctx.answerCbQuery('Selesaikan atau /cancel proses yang sedang berjalan terlebih dahulu', { show_alert: true });
+    }
+    
+    await ctx.answerCbQuery();
+    const session = await createSessionData(chatId, 'beneficiary_edit', {
+      beneficiaryId: beneficiary.id,
+      userId: user.userId
+    }, sessionManager);
+    await updateSessionData(session, sessionManager, { state: 'awaiting_beneficiary_rename' });
+    
+    await ctx.reply(`✏️ Masukkan nama panggilan baru untuk "${beneficiary.nickname}" (maksimal ${MAX_NICKNAME_LENGTH} karakter), atau ketik /cancel:`);
+  } catch (error) {
+    logger.error('telegram.beneficiaries', 'Error handling beneficiary action', { error, action });
+    await ctx.reply('❌ Gagal memproses permintaan. Silakan coba lagi.');
+  }
 }
 
 /**
-* Handle OTP input during session
+* Handle nickname input when saving or renaming a recipient
 */
-async function handleOtpInput(ctx, session, sdk, sessionManager) {
-  if (!ctx.message?.text) {
-    return await ctx.reply('Input tidak valid. Silakan masukkan OTP yang valid.');
+async function handleBeneficiaryNicknameInput(ctx, session, sessionManager) {
+  const nickname = ctx.message?.text?.trim();
+  
+  if (!isValidNickname(nickname)) {
+    return await ctx.reply(`Nama panggilan tidak valid. Gunakan 1-${MAX_NICKNAME_LENGTH} karakter:`);
   }
   
-  const otp = ctx.message.text.trim();
-  const chatId = ctx.chat?.id.toString();
-  if (!chatId) {
-    return await ctx.reply('Error: Tidak dapat menentukan konteks chat.');
+  try {
+    if (session.state === 'awaiting_beneficiary_rename') {
+      const renamed = await renameBeneficiary(sessionManager.db, session.data.beneficiaryId, nickname);
+      await deleteSessionData(session.id, sessionManager);
+      return await ctx.reply(renamed
+        ? `✅ Penerima diganti nama menjadi "${nickname}".\n\nGunakan /beneficiaries untuk melihat daftar.`
+        : '❌ Penerima tidak ditemukan.');
+    }
+    
+    // Saving happens in the middle of a transfer, which continues afterwards
+    const { bankData, accountNumber, verificationData } = session.data;
+    const beneficiary = await saveBeneficiary(sessionManager.db, {
+      nickname,
+      bankData,
+      accountNumber,
+      accountName: verificationData?.accountName,
+      createdBy: ctx.from?.id.toString()
+    });
+    
+    await updateSessionData(session, sessionManager, {
+      state: 'awaiting_transfer_confirmation',
+      data: { beneficiaryId: beneficiary.id }
+    });
+    
+    const nextStep = session.data.requireTotp
+      ? 'Masukkan <b>kode 2FA</b> untuk melanjutkan transfer atau ketik <b>BATAL</b>.'
+      : 'Ketik <b>KONFIRMASI</b> untuk melanjutkan transfer atau <b>BATAL</b> untuk membatalkan.';
+    await ctx.reply(`✅ Penerima disimpan sebagai "${escapeHtml(nickname)}".\n\n${nextStep}`, { parse_mode: 'HTML' });
+  } catch (error) {
+    logger.error('telegram.beneficiary', 'Error saving beneficiary nickname', { error });
+    await ctx.reply('❌ Gagal menyimpan penerima. Silakan coba lagi.');
   }
+}
+
+/**
+* Turn a confirmed transfer above the threshold into an approval request and notify the approvers
+*/
+async function submitTransferForApproval(ctx, session, sessionManager) {
+  const db = sessionManager.db;
+  const chatId = ctx.chat.id.toString();
+  const transfer = getBankTransferDetails(session, chatId, ctx.from?.id.toString());
   
-  // Basic OTP validation
-  if (!/^\d{4,6}$/.test(otp)) {
-    return await ctx.reply('Format OTP tidak valid. Silakan masukkan kode OTP yang Anda terima.\n\nCoba lagi atau ketik /cancel untuk membatalkan.');
+  try {
+    const { requiredApprovals } = getApprovalSettings();
+    const approvers = await getApprovers(db, transfer.userId);
+    
+    if (approvers.length < requiredApprovals) {
+      await deleteSessionData(session.id, sessionManager);
+      return await ctx.reply('❌ Transfer ini memerlukan persetujuan, tetapi jumlah penyetuju yang tersedia tidak cukup. Hubungi pemilik bot.');
+    }
+    
+    const limitCheck = await checkTransferLimits(db, transfer);
+    if (!limitCheck.allowed) {
+      await deleteSessionData(session.id, sessionManager);
+      return await ctx.reply(`❌ ${limitCheck.message}\n\n🔄 Gunakan /transfer untuk memulai transfer baru.`);
+    }
+    
+    const approval = await createApprovalRequest(db, transfer);
+    await deleteSessionData(session.id, sessionManager);
+    
+    const maker = await getUser(db, transfer.userId);
+    const requestText = formatApprovalRequest(approval, maker?.name || transfer.userId);
+    const keyboard = [[
+      { text: '✅ Setujui', callback_data: `approval_approve:${approval.id}` },
+      { text: '❌ Tolak', callback_data: `approval_reject:${approval.id}` }
+    ]];
+    
+    let notified = 0;
+    for (const approver of approvers) {
+      try {
+        await ctx.telegram.sendMessage(approver.userId, requestText, {
+          parse_mode: 'HTML',
+          reply_markup: { inline_keyboard: keyboard }
+        });
+        notified++;
+      } catch (error) {
+        // Telegram only delivers to users who have started a private chat with the bot
+        logger.warn('telegram.approval', `Could not notify approver ${approver.userId}`, { error });
+      }
+    }
+    
+    if (notified < requiredApprovals) {
+      await cancelApprovalRequest(db, approval.id);
+      return await ctx.reply('❌ Penyetuju tidak dapat dihubungi. Pastikan penyetuju sudah memulai chat pribadi dengan bot, lalu coba lagi.');
+    }
+    
+    await ctx.reply(
+      `🛂 <b>Menunggu Persetujuan</b>\n\n` +
+      `Transfer ${formatCurrency(transfer.amount)} melebihi ${formatCurrency(getApprovalSettings().threshold)} dan memerlukan ${requiredApprovals} persetujuan.\n\n` +
+      `🧾 Permintaan: <b>#${approval.id}</b>\n` +
+      `⏰ Berlaku sampai: ${new Date(approval.expiresAt).toLocaleString('id-ID', { timeZone: 'Asia/Jakarta' })}\n\n` +
+      'Anda akan diberi tahu setelah penyetuju memutuskan.',
+      { parse_mode: 'HTML' }
+    );
+  } catch (error) {
+    logger.error('telegram.approval', 'Error creating approval request', { error });
+    await deleteSessionData(session.id, sessionManager);
+    await ctx.reply('❌ Gagal membuat permintaan persetujuan. Silakan coba lagi nanti.');
   }
+}
+
+/**
+* Handle an approver pressing Approve or Reject
+*/
+async function handleApprovalDecision(ctx, approvalId, decision, user, sdk, sessionManager) {
+  const db = sessionManager.db;
   
-  const statusMsg = await ctx.reply('Memverifikasi OTP...');
+  try {
+    const result = await recordApprovalDecision(db, approvalId, user.userId, decision);
+    
+    if (!result.success) {
+      return await ctx.answerCbQuery(result.message, { show_alert: true });
+    }
+    
+    await ctx.answerCbQuery(result.message);
+    
+    const { approval } = result;
+    const maker = await getUser(db, approval.makerId);
+    const requestText = formatApprovalRequest(approval, maker?.name || approval.makerId);
+    const approverName = user.name || user.userId;
+    
+    // A failed status edit must never stop an approved transfer from being sent or settled
+    const updateStatus = async (status) => {
+      try {
+        await ctx.editMessageText(`${requestText}\n\n${status}`, { parse_mode: 'HTML' });
+      } catch (error) {
+        logger.warn('telegram.approval', `Could not update approval message #${approval.id}`, { error });
+      }
+    };
+    
+    if (decision === 'reject') {
+      await updateStatus(`❌ Ditolak oleh ${escapeHtml(approverName)}`);
+      await ctx.telegram.sendMessage(
+        approval.chatId,
+        `❌ Transfer #${approval.id} sebesar ${formatCurrency(approval.amount)} ditolak oleh ${approverName}.`
+      );
+      return;
+    }
+    
+    if (!result.readyToExecute) {
+      await updateStatus('✅ Anda telah menyetujui. Menunggu penyetuju lain.');
+      return;
+    }
+    
+    let transferId;
+    try {
+      transferId = await executeDANABankTransfer(sdk, db, approval.transfer);
+      await markApprovalExecuted(db, approval.id, { transferId });
+    } catch (error) {
+      logger.error('telegram.approval', 'Error executing approved transfer', { error });
+      const errorMessage = error instanceof Error ? error.message : 'Gagal menyelesaikan transfer.';
+      
+      if (error.outcomeUnknown) {
+        await markApprovalExecuted(db, approval.id, { transferId: error.transferId, errorMessage, outcomeUnknown: true });
+        
+        await updateStatus(`⚠️ Disetujui, tetapi status transfer tidak diketahui. Catatan #${error.transferId}`);
+        await ctx.telegram.sendMessage(
+          approval.chatId,
+          `🛂 Permintaan #${approval.id} disetujui oleh ${approverName}.\n\n${formatUnknownTransferOutcome(error)}`
+        );
+        return;
+      }
+      
+      await markApprovalExecuted(db, approval.id, { errorMessage });
+      
+      await updateStatus(`❌ Disetujui, tetapi transfer gagal: ${escapeHtml(errorMessage)}`);
+      await ctx.telegram.sendMessage(
+        approval.chatId,
+        `❌ Transfer #${approval.id} sudah disetujui tetapi gagal: ${errorMessage}\n\n🔄 Gunakan /transfer untuk mencoba lagi.`
+      );
+      return;
+    }
+    
+    await updateStatus(`✅ Disetujui dan dikirim. Catatan #${transferId}`);
+    await ctx.telegram.sendMessage(
+      approval.chatId,
+      `🛂 Permintaan #${approval.id} disetujui oleh ${escapeHtml(approverName)}.\n${formatBankTransferSuccess(approval.transfer, transferId)}`,
+      { parse_mode: 'HTML' }
+    );
+  } catch (error) {
+    logger.error('telegram.approval', 'Error handling approval decision', { error });
+    await ctx.reply('❌ Gagal memproses keputusan. Silakan coba lagi.');
+  }
+}
+
+/**
+* Handle 2fa command
+*/
+async function handleTwoFactorCommand(ctx, user, sessionManager) {
+  const chatId = ctx.chat?.id.toString();
+  const action = (ctx.message?.text.split(' ')[1] || '').toLowerCase();
   
   try {
-    // Process OTP based on wallet type
-    switch(session.data.walletCode) {
-      case 'DANA':
-        await verifyDANAOtp(ctx, session, otp, statusMsg, sdk, sessionManager);
-        break;
-      default:
-        throw new Error('Jenis wallet tidak didukung');
+    if (action === 'setup') {
+      if (user.totpEnabled === 1) {
+        return await ctx.reply('✅ 2FA sudah aktif. Gunakan /2fa disable untuk menonaktifkannya terlebih dahulu.');
+      }
+      
+      await cleanupProcessSessions(chatId, sessionManager, ['authenticated', 'auth_attempts']);
+      
+      const secret = generateTotpSecret();
+      const session = await sessionManager.createSession(chatId, 'totp_setup', {
+        userId: user.userId,
+        totpSecret: secret
+      });
+      await sessionManager.updateSession(session.id, { state: 'awaiting_totp_setup_code' });
+      
+      const otpauthUri = buildOtpauthUri(secret, user.name || user.userId, TELEGRAM_BOT_NAME || 'Mutasiku Bot');
+      const qrImage = await QRCode.toBuffer(otpauthUri, { width: 300, margin: 2 });
+      
+      const setupMessage = await ctx.replyWithPhoto(
+        { source: qrImage },
+        {
+          caption:
+            '🔐 <b>Aktifkan 2FA</b>\n\n' +
+            '1. Pindai QR code ini dengan Google Authenticator, Authy, atau aplikasi TOTP lain\n' +
+            `2. Atau masukkan secret secara manual: <code>${secret}</code>\n` +
+            '3. Kirim kode 6 digit yang muncul di aplikasi untuk konfirmasi\n\n' +
+            'Ketik /cancel untuk membatalkan.',
+          parse_mode: 'HTML'
+        }
+      );
+      
+      // Remembered so the secret can be removed from the chat once enrolment ends
+      await sessionManager.updateSession(session.id, { data: { setupMessageId: setupMessage.message_id } });
+      return;
+    }
+    
+    if (action === 'disable') {
+      if (user.totpEnabled !== 1) {
+        return await ctx.reply('2FA belum aktif.');
+      }
+      
+      await cleanupProcessSessions(chatId, sessionManager, ['authenticated', 'auth_attempts']);
+      
+      const session = await sessionManager.createSession(chatId, 'totp_setup', { userId: user.userId });
+      await sessionManager.updateSession(session.id, { state: 'awaiting_totp_disable_code' });
+      
+      return await ctx.reply('Masukkan kode 6 digit dari aplikasi authenticator untuk menonaktifkan 2FA:\n\nKetik /cancel untuk membatalkan.');
+    }
+    
+    if (action) {
+      return await ctx.reply('Penggunaan: /2fa, /2fa setup, atau /2fa disable');
     }
+    
+    await ctx.reply(
+      user.totpEnabled === 1
+        ? '✅ 2FA aktif.\n\nKode authenticator diminta saat login dan saat konfirmasi transfer.\n\nGunakan /2fa disable untuk menonaktifkan.'
+        : '⚠️ 2FA belum aktif.\n\nGunakan /2fa setup untuk melindungi login dan transfer dengan aplikasi authenticator.'
+    );
   } catch (error) {
-    logger.error('telegram.otp', `Error memverifikasi OTP ${session.data.walletCode}`, { error });
-    if (statusMsg) {
-      await ctx.telegram.editMessageText(
-        chatId, 
-        statusMsg.message_id, 
-        undefined, 
-        `❌ Error: ${error instanceof Error ? error.message : 'Gagal memverifikasi OTP.'}\n\nSilakan coba lagi nanti.`
-      );
-    }
-    await deleteSessionData(session.id, sessionManager);
+    logger.error('telegram.2fa', 'Error in 2fa command', { error });
+    await ctx.reply('Gagal memproses pengaturan 2FA. Silakan coba lagi nanti.');
   }
 }
 
 /**
-* Handle account name input during session
+* Handle TOTP code input during 2FA enrolment or removal
 */
-async function handleNameInput(ctx, session, sdk, sessionManager) {
-  if (!ctx.message?.text) {
-    return await ctx.reply('Input tidak valid. Silakan masukkan nama akun yang valid.');
-  }
+async function handleTotpSetupInput(ctx, session, sessionManager) {
+  const code = ctx.message?.text?.trim();
+  const userId = ctx.from?.id.toString();
   
-  const accountName = ctx.message.text.trim();
-  const chatId = ctx.chat?.id.toString();
-  if (!chatId) {
-    return await ctx.reply('Error: Tidak dapat menentukan konteks chat.');
-  }
+  // Only the user who started the process may continue it
+  if (!userId || userId !== session.data.userId) return;
   
-  if (accountName.length < 3 || accountName.length > 50) {
-    return await ctx.reply('Nama akun tidak valid. Silakan masukkan nama antara 3-50 karakter.\n\nCoba lagi atau ketik /cancel untuk membatalkan.');
+  if (!/^\d{6}$/.test(code || '')) {
+    return await ctx.reply('Kode tidak valid. Masukkan kode 6 digit dari aplikasi authenticator atau ketik /cancel.');
   }
   
-  // Update session with account name
-  await updateSessionData(session, sessionManager, {
-    data: {
-      accountName
-    }
-  });
-  
-  const statusMsg = await ctx.reply('Menyiapkan akun Anda...');
-  
   try {
-    // Complete the process based on wallet type
-    switch(session.data.walletCode) {
-      case 'DANA':
-        await completeDANASetup(ctx, session, accountName, statusMsg, sdk, sessionManager);
-        break;
-      default:
-        throw new Error('Jenis wallet tidak didukung');
+    if (session.state === 'awaiting_totp_setup_code') {
+      const step = verifyTotp(session.data.totpSecret, code);
+      if (step === null) {
+        return await ctx.reply('❌ Kode salah. Pastikan jam di ponsel Anda akurat lalu coba lagi, atau ketik /cancel.');
+      }
+      
+      await setUserTotp(sessionManager.db, userId, encryptValue(session.data.totpSecret, 'totpSecret'), step);
+      await sessionManager.deleteSession(session.id);
+      
+      if (session.data.setupMessageId) {
+        try {
+          await ctx.telegram.deleteMessage(ctx.chat.id, session.data.setupMessageId);
+        } catch (error) {
+          // Ignore if can't delete message
+        }
+      }
+      
+      logger.info('telegram.2fa', `2FA enabled for user ${userId}`);
+      return await ctx.reply('✅ 2FA berhasil diaktifkan.\n\nMulai sekarang kode authenticator diminta saat login dan saat konfirmasi transfer.');
     }
-  } catch (error) {
-    logger.error('telegram.setup', `Error menyelesaikan pengaturan ${session.data.walletCode}`, { error });
-    if (statusMsg) {
-      await ctx.telegram.editMessageText(
-        chatId, 
-        statusMsg.message_id, 
-        undefined, 
-        `❌ Error: ${error instanceof Error ? error.message : 'Gagal menyelesaikan pengaturan akun.'}\n\nSilakan coba lagi nanti.`
-      );
+    
+    const user = await getUser(sessionManager.db, userId);
+    if (!user || !await verifyUserTotp(sessionManager.db, user, code)) {
+      await sessionManager.deleteSession(session.id);
+      return await ctx.reply('❌ Kode salah atau sudah digunakan. Gunakan /2fa disable untuk mencoba lagi.');
     }
-    await deleteSessionData(session.id, sessionManager);
+    
+    await setUserTotp(sessionManager.db, userId, null);
+    await sessionManager.deleteSession(session.id);
+    
+    logger.info('telegram.2fa', `2FA disabled for user ${userId}`);
+    await ctx.reply('✅ 2FA telah dinonaktifkan.');
+  } catch (error) {
+    logger.error('telegram.2fa', 'Error processing 2FA code', { error });
+    await sessionManager.deleteSession(session.id);
+    await ctx.reply('❌ Gagal memproses kode 2FA. Silakan coba lagi nanti.');
   }
 }
 
 /**
-* Handle QRIS amount input
+* Handle the TOTP code step of login
 */
-async function handleQRISAmountInput(ctx, session, sessionManager) {
-  if (!ctx.message?.text) {
-    return await ctx.reply('Input tidak valid. Silakan masukkan jumlah yang valid.');
-  }
-
-  const amountText = ctx.message.text.trim().replace(/[.,]/g, '');
-  const amount = parseInt(amountText);
-
-  if (isNaN(amount) || amount < 1000) {
-    return await ctx.reply('Jumlah tidak valid. Minimum pembayaran QRIS adalah Rp 1.000.\n\nSilakan masukkan jumlah yang valid:');
-  }
-
-  // Update session with amount
-  await updateSessionData(session, sessionManager, {
-    state: 'awaiting_qris_photo',
-    data: { amount }
-  });
-
-  await ctx.reply(`Jumlah pembayaran: ${formatCurrency(amount)}\n\nSekarang kirimkan foto QR code yang ingin dibayar:`);
-}
-
-/**
- * Handle account number input
- */
-async function handleAccountNumberInput(ctx, session, sdk, sessionManager) {
-  if (!ctx.message?.text) {
-    return await ctx.reply('Input tidak valid. Silakan masukkan nomor rekening yang valid.');
+async function handleLoginTotpInput(ctx, session, sessionManager) {
+  const code = ctx.message?.text?.trim();
+  const chatId = ctx.chat?.id.toString();
+  const userId = ctx.from?.id.toString();
+  if (!chatId) return;
+  
+  // Only the user who entered the password may finish the login
+  if (!userId || userId !== session.data.userId) return;
+  
+  try {
+    await ctx.deleteMessage();
+  } catch (error) {
+    // Ignore if can't delete message
   }
-
-  const accountNumber = ctx.message.text.trim();
-
-  // Enhanced validation for account number
-  if (!/^\d{8,20}$/.test(accountNumber)) {
-    return await ctx.reply('❌ Format nomor rekening tidak valid.\n\n📝 Silakan masukkan nomor rekening yang benar:\n• Hanya angka (tanpa spasi atau tanda baca)\n• Panjang 8-20 digit\n\nContoh: 1234567890');
+  
+  const blockStatus = await isUserBlocked(chatId, userId, sessionManager);
+  if (blockStatus.blocked) {
+    await sessionManager.deleteSession(session.id);
+    return await ctx.reply(`🚫 ${blockStatus.message}`);
   }
-
-  // Update session with account number and capture the updated session
-  const updatedSession = await updateSessionData(session, sessionManager, {
-    data: { accountNumber }
-  });
-
-  const bankName = updatedSession.data.bankData?.name || updatedSession.data.bankData?.instLocalName;
-  const statusMsg = await ctx.reply(`🔍 Memverifikasi rekening ${bankName}...\nMohon tunggu sebentar.`);
-
+  
   try {
-    await handleDANABankTransferInit(ctx, updatedSession, statusMsg, sdk, sessionManager);
-  } catch (error) {
-    logger.error('telegram.transfer.account', 'Error verifying account', { error });
-    
-    let errorMessage = `❌ Error: ${error instanceof Error ? error.message : 'Gagal memverifikasi rekening.'}`;
+    const result = await completeTotpLogin(chatId, userId, code, sessionManager);
     
-    // Add helpful suggestions based on error type
-    if (error.message.includes('Invalid account number')) {
-      errorMessage += '\n\n💡 Tips:\n• Pastikan nomor rekening benar\n• Coba tanpa angka 0 di depan\n• Hubungi bank untuk memastikan nomor rekening';
+    if (!result.success) {
+      const newBlockStatus = await isUserBlocked(chatId, userId, sessionManager);
+      let message = `❌ ${result.message}`;
+      
+      if (newBlockStatus.blocked) {
+        message += `\n\n🚫 Terlalu banyak percobaan gagal. Coba lagi dalam ${newBlockStatus.remainingMinutes} menit.`;
+        await sessionManager.deleteSession(session.id);
+      } else if (newBlockStatus.attemptsLeft) {
+        message += `\n\n⚠️ Sisa percobaan: ${newBlockStatus.attemptsLeft}`;
+      }
+      
+      return await ctx.reply(message);
     }
     
-    await ctx.telegram.editMessageText(
-      ctx.chat.id,
-      statusMsg.message_id,
-      undefined,
-      errorMessage
-    );
-    await deleteSessionData(updatedSession.id, sessionManager);
+    await sessionManager.deleteSession(session.id);
+    
+    if (result.mustChangePassword) {
+      await ctx.reply('✅ Login berhasil!\n\n🔑 Anda harus membuat password pribadi sebelum menggunakan bot.');
+      await startPasswordChange(ctx, sessionManager, { requireOldPassword: false });
+    } else {
+      await ctx.reply('✅ Login berhasil!\n\nSelamat datang! Gunakan /help untuk melihat perintah yang tersedia.');
+    }
+  } catch (error) {
+    logger.error('telegram.auth', 'Error during 2FA login', { error });
+    await ctx.reply('❌ Terjadi kesalahan saat login. Silakan coba lagi.');
   }
 }
 
 /**
-* Handle transfer confirmation
+* Start the password change conversation
 */
-async function handleTransferConfirmation(ctx, session, sdk, sessionManager) {
-  if (!ctx.message?.text) {
-    return await ctx.reply('Silakan ketik KONFIRMASI untuk melanjutkan atau BATAL untuk membatalkan.');
-  }
-
-  const confirmation = ctx.message.text.trim().toUpperCase();
-
-  if (confirmation === 'KONFIRMASI') {
-    const statusMsg = await ctx.reply('⏳ Memproses transfer... Mohon tunggu.\n\n⚠️ Jangan tutup aplikasi atau kirim pesan lain sampai proses selesai.');
-
-    try {
-      await completeDANABankTransfer(ctx, session, statusMsg, sdk, sessionManager);
-    } catch (error) {
-      logger.error('telegram.transfer.confirm', 'Error completing transfer', { error });
-      
-      let errorMessage = `❌ Transfer gagal: ${error instanceof Error ? error.message : 'Gagal menyelesaikan transfer.'}`;
-      
-      // Add specific help for common errors
-      if (error.message.includes('Insufficient balance')) {
-        errorMessage += '\n\n💡 Silakan cek saldo DANA Anda dan coba lagi dengan jumlah yang lebih kecil.';
-      } else if (error.message.includes('Daily limit')) {
-        errorMessage += '\n\n💡 Anda mungkin telah mencapai batas transfer harian. Coba lagi besok.';
-      }
-      
-      await ctx.telegram.editMessageText(
-        ctx.chat.id,
-        statusMsg.message_id,
-        undefined,
-        errorMessage
-      );
-      await deleteSessionData(session.id, sessionManager);
-    }
-  } else if (confirmation === 'BATAL') {
-    await deleteSessionData(session.id, sessionManager);
-    await ctx.reply('❌ Transfer dibatalkan.\n\n🔄 Gunakan /transfer untuk memulai transfer baru.');
+async function startPasswordChange(ctx, sessionManager, { requireOldPassword = true, loginAfter = false } = {}) {
+  const chatId = ctx.chat?.id.toString();
+  if (!chatId) return;
+  
+  await cleanupProcessSessions(chatId, sessionManager, ['authenticated', 'auth_attempts']);
+  
+  const session = await sessionManager.createSession(chatId, 'password_change', {
+    userId: ctx.from?.id.toString(),
+    loginAfter
+  });
+  await sessionManager.updateSession(session.id, {
+    state: requireOldPassword ? 'awaiting_old_password' : 'awaiting_new_password'
+  });
+  
+  if (requireOldPassword) {
+    await ctx.reply('🔑 <b>Ganti Password</b>\n\nSilakan masukkan password lama Anda:\n\nKetik /cancel untuk membatalkan.', { parse_mode: 'HTML' });
   } else {
-    await ctx.reply('❓ Perintah tidak dikenali.\n\nSilakan ketik:\n• <b>KONFIRMASI</b> - untuk melanjutkan transfer\n• <b>BATAL</b> - untuk membatalkan transfer', { parse_mode: 'HTML' });
+    await ctx.reply(`🔑 <b>Buat Password</b>\n\nSilakan masukkan password baru (minimal 8 karakter, berisi huruf dan angka):`, { parse_mode: 'HTML' });
   }
 }
 
-async function handlePasswordInput(ctx, session, sessionManager) {
+/**
+* Handle old/new/confirmation password input
+*/
+async function handlePasswordChangeInput(ctx, session, sessionManager) {
   if (!ctx.message?.text) {
     return await ctx.reply('Input tidak valid. Silakan masukkan password.');
   }
   
   const password = ctx.message.text.trim();
-  const chatId = ctx.chat?.id.toString();
-  if (!chatId) return;
-
-  logger.info('telegram.password', `Password input received for chat ${chatId}`);
-
+  const userId = ctx.from?.id.toString();
+  
   // Delete the user's message for security
   try {
     await ctx.deleteMessage();
   } catch (error) {
     // Ignore if can't delete message
   }
-
-  // Check if user is blocked
-  const blockStatus = await isUserBlocked(chatId, sessionManager);
-  if (blockStatus.blocked) {
+  
+  // Only the user who started the change may continue it
+  if (!userId || userId !== session.data.userId) return;
+  
+  const user = await getUser(sessionManager.db, userId);
+  if (!user) {
     await sessionManager.deleteSession(session.id);
-    return await ctx.reply(`🚫 ${blockStatus.message}`);
+    return await ctx.reply('🚫 Akun Telegram Anda tidak terdaftar.');
   }
-
-  const statusMsg = await ctx.reply('🔐 Memverifikasi password...');
-
+  
   try {
-    const result = await authenticateUser(chatId, password, sessionManager);
-    
-    if (result.success) {
-      logger.info('telegram.password', `Authentication successful for chat ${chatId}`);
-      
-      await ctx.telegram.editMessageText(
-        chatId,
-        statusMsg.message_id,
-        undefined,
-        '✅ Login berhasil!\n\nSelamat datang! Gunakan /help untuk melihat perintah yang tersedia.'
-      );
-      
-      // Delete login session
-      await sessionManager.deleteSession(session.id);
-      
-      // Verify the authenticated session was created
-      const authSession = await sessionManager.getSession(chatId, 'authenticated');
-      if (authSession) {
-        logger.info('telegram.password', `Authenticated session confirmed for chat ${chatId}`);
-      } else {
-        logger.error('telegram.password', `Failed to create authenticated session for chat ${chatId}`);
+    switch (session.state) {
+      case 'awaiting_old_password': {
+        const matches = user.passwordHash && await verifyPassword(password, user.passwordHash);
+        if (!matches) {
+          await sessionManager.deleteSession(session.id);
+          logger.info('telegram.passwd', `Wrong old password for user ${userId}`);
+          
+          // Wrong old passwords count toward the same lockout as failed logins
+          const chatId = ctx.chat.id.toString();
+          await trackFailedAttempt(chatId, userId, sessionManager);
+          const blockStatus = await isUserBlocked(chatId, userId, sessionManager);
+          
+          if (blockStatus.blocked) {
+            await logoutUser(chatId, userId, sessionManager);
+            return await ctx.reply(`❌ Password lama salah.\n\n🚫 ${blockStatus.message} Anda telah logout.`);
+          }
+          
+          let message = '❌ Password lama salah. Gunakan /passwd untuk mencoba lagi.';
+          if (blockStatus.attemptsLeft) {
+            message += `\n\n⚠️ Sisa percobaan: ${blockStatus.attemptsLeft}`;
+          }
+          return await ctx.reply(message);
+        }
+        
+        await sessionManager.updateSession(session.id, { state: 'awaiting_new_password' });
+        return await ctx.reply('Silakan masukkan password baru (minimal 8 karakter, berisi huruf dan angka):');
       }
-    } else {
-      logger.info('telegram.password', `Authentication failed for chat ${chatId}: ${result.message}`);
       
-      const newBlockStatus = await isUserBlocked(chatId, sessionManager);
-      let message = `❌ ${result.message}`;
+      case 'awaiting_new_password': {
+        const validationError = validateNewPassword(password);
+        if (validationError) {
+          return await ctx.reply(`❌ ${validationError}\n\nSilakan masukkan password baru:`);
+        }
+        
+        if (user.passwordHash && await verifyPassword(password, user.passwordHash)) {
+          return await ctx.reply('❌ Password baru tidak boleh sama dengan password lama.\n\nSilakan masukkan password baru:');
+        }
+        
+        // Only the hash is kept between the two steps
+        await sessionManager.updateSession(session.id, {
+          state: 'awaiting_password_confirmation',
+          data: { pendingPasswordHash: await hashPassword(password) }
+        });
+        return await ctx.reply('Ketik ulang password baru untuk konfirmasi:');
+      }
       
-      if (newBlockStatus.attemptsLeft && newBlockStatus.attemptsLeft > 0) {
-        message += `\n\n⚠️ Sisa percobaan: ${newBlockStatus.attemptsLeft}`;
-      } else if (newBlockStatus.blocked) {
-        message += `\n\n🚫 Terlalu banyak percobaan gagal. Coba lagi dalam ${newBlockStatus.remainingMinutes} menit.`;
+      case 'awaiting_password_confirmation': {
+        const matches = await verifyPassword(password, session.data.pendingPasswordHash);
+        if (!matches) {
+          await sessionManager.updateSession(session.id, { state: 'awaiting_new_password' });
+          return await ctx.reply('❌ Password tidak cocok.\n\nSilakan masukkan password baru lagi:');
+        }
+        
+        await changeUserPassword(sessionManager.db, userId, password);
         await sessionManager.deleteSession(session.id);
+        
+        const nextStep = session.data.loginAfter
+          ? 'Gunakan /login untuk masuk dengan password baru Anda.'
+          : 'Gunakan /help untuk melihat perintah yang tersedia.';
+        return await ctx.reply(`✅ Password berhasil disimpan.\n\n${nextStep}`);
       }
-      
-      await ctx.telegram.editMessageText(
-        chatId,
-        statusMsg.message_id,
-        undefined,
-        message
-      );
     }
   } catch (error) {
-    logger.error('telegram.auth', 'Error during authentication', { error });
-    await ctx.telegram.editMessageText(
-      chatId,
-      statusMsg.message_id,
-      undefined,
-      '❌ Terjadi kesalahan saat login. Silakan coba lagi.'
-    );
+    logger.error('telegram.passwd', 'Error changing password', { error });
+    await sessionManager.deleteSession(session.id);
+    await ctx.reply('❌ Gagal mengubah password. Silakan coba lagi dengan /passwd.');
   }
 }
 
 /**
 * Setup graceful shutdown handlers
 */
-function setupGracefulShutdown(bot, db) {
+function setupGracefulShutdown(bot, db, webhookServer) {
  process.once('SIGINT', async () => {
    logger.info('system', 'Received SIGINT signal, shutting down gracefully');
    bot.stop('SIGINT');
+   if (webhookServer) webhookServer.close();
    await db.close();
    process.exit(0);
  });
@@ -2300,6 +6340,7 @@ function setupGracefulShutdown(bot, db) {
  process.once('SIGTERM', async () => {
    logger.info('system', 'Received SIGTERM signal, shutting down gracefully');
    bot.stop('SIGTERM');
+   if (webhookServer) webhookServer.close();
    await db.close();
    process.exit(0);
  });
@@ -1,6 +1,28 @@
 // lib/accountHandler.js
 import { logger } from './logger.js';
-import { formatCurrency } from './utils.js';
+import { formatCurrency, startOfJakartaDay, startOfJakartaMonth, parseJakartaDate } from './utils.js';
+
+// The largest page getMutasi is asked for when collecting a whole date range
+const MUTASI_PAGE_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Telegram allows 4096 characters, the rest is kept for the header and notes
+const MAX_MESSAGE_LENGTH = 3800;
+
+// How many mutations /mutasi scans when it has to filter dates itself
+const MUTASI_MAX_SCAN = 1000;
+
+export const MUTASI_PERIODS = ['today', 'yesterday', 'thismonth', 'lastmonth'];
+
+const PERIOD_LABELS = {
+  today: 'hari ini',
+  yesterday: 'kemarin',
+  thismonth: 'bulan ini',
+  lastmonth: 'bulan lalu'
+};
+
+// Set once getMutasi has returned mutations outside the requested dates
+let sdkIgnoresDateRange = false;
 
 /**
  * Get transaction history for a user
@@ -13,22 +35,14 @@ export async function getMutasiForUser(sdk, userId, options = {}) {
   try {
     logger.info('accounts.getMutasi', 'Fetching transactions', { userId, options });
     
-    // Prepare options for the SDK
-    const sdkOptions = {
-      limit: options.limit || 5,
-      page: options.page || 1
-    };
-    
-    // Add optional filters
-    if (options.accountId) sdkOptions.accountId = options.accountId;
-    if (options.type) sdkOptions.type = options.type;
-    if (options.providerCode) sdkOptions.providerCode = options.providerCode;
-    if (options.minAmount !== undefined) sdkOptions.minAmount = options.minAmount;
-    if (options.maxAmount !== undefined) sdkOptions.maxAmount = options.maxAmount;
-    if (options.search) sdkOptions.search = options.search;
+    const now = new Date();
+    const range = getMutasiDateRange(options, now);
+    if (sdkIgnoresDateRange) {
+      return await getMutasiPageInRange(sdk, options, range);
+    }
     
     // Get mutations using the SDK
-    const response = await sdk.getMutasi(sdkOptions);
+    const response = await sdk.getMutasi(buildMutasiSdkOptions(options, range));
 
     if (response.status !== 'success') {
       logger.warn('accounts.getMutasi', 'Failed to fetch transactions', {
@@ -46,6 +60,20 @@ export async function getMutasiForUser(sdk, userId, options = {}) {
     
     // Get transactions and pagination info
     const transactions = response.data || [];
+    
+    // Mutations newer than an open-ended range only arrived while the request was running
+    const openEnded = range.until === now.getTime();
+    const outsideRange = transactions.some(tx => {
+      const createdAt = new Date(tx.createdAt).getTime();
+      return createdAt < range.since || (!openEnded && createdAt >= range.until);
+    });
+    
+    if (outsideRange) {
+      logger.warn('accounts.getMutasi', 'getMutasi ignored the date range, filtering client-side from now on');
+      sdkIgnoresDateRange = true;
+      return await getMutasiPageInRange(sdk, options, range);
+    }
+    
     const pagination = response.pagination || {
       total: 0,
       page: 1,
@@ -84,24 +112,192 @@ export async function getMutasiForUser(sdk, userId, options = {}) {
 }
 
 /**
- * Format transaction data for display
- * @param {Array} transactions - Transaction data
- * @param {Object} pagination - Pagination info
+ * Build one /mutasi page from mutations filtered by date on our side
+ * Used when getMutasi does not filter by date, at the cost of paging through the range
+ */
+async function getMutasiPageInRange(sdk, options, range) {
+  const { transactions, truncated } = await getAllMutasiInRange(sdk, options, range, MUTASI_MAX_SCAN);
+  
+  const limit = options.limit || 5;
+  const totalPages = Math.max(Math.ceil(transactions.length / limit), 1);
+  const page = Math.min(options.page || 1, totalPages);
+  const pagination = { total: transactions.length, page, limit, totalPages };
+  const pageData = transactions.slice((page - 1) * limit, page * limit);
+  
+  let message = formatTransactionResponse(pageData, pagination, options);
+  if (truncated) {
+    message += `\n\n<i>⚠️ Hanya ${MUTASI_MAX_SCAN} transaksi terbaru dalam periode ini yang diperiksa.</i>`;
+  }
+  
+  return {
+    success: true,
+    message,
+    data: pageData,
+    pagination
+  };
+}
+
+/**
+ * Turn parsed /mutasi options into getMutasi parameters
  * @param {Object} options - Filter options
- * @returns {string} Formatted message
+ * @param {Object} range - since and until timestamps from getMutasiDateRange
+ * @returns {Object} SDK options
  */
-function formatTransactionResponse(transactions, pagination, options) {
-  let message = `<b>📊 Transaksi (${pagination.total ? pagination.total : transactions.length})</b>\n`;
+function buildMutasiSdkOptions(options, range) {
+  const sdkOptions = {
+    limit: options.limit || 5,
+    page: options.page || 1,
+    startDate: new Date(range.since).toISOString(),
+    endDate: new Date(range.until).toISOString()
+  };
   
-  // Add filter info
+  // Add optional filters
+  if (options.accountId) sdkOptions.accountId = options.accountId;
+  if (options.type) sdkOptions.type = options.type;
+  if (options.providerCode) sdkOptions.providerCode = options.providerCode;
+  if (options.minAmount !== undefined) sdkOptions.minAmount = options.minAmount;
+  if (options.maxAmount !== undefined) sdkOptions.maxAmount = options.maxAmount;
+  if (options.search) sdkOptions.search = options.search;
+  
+  return sdkOptions;
+}
+
+/**
+ * Page through getMutasi, newest first, until the start of a date range
+ * Mutations newer than the range are returned separately, they are needed to work back to balances
+ * @param {Object} sdk - The Mutasiku SDK instance
+ * @param {Object} options - Filter options from /mutasi
+ * @param {Object} range - since and until timestamps
+ * @param {number} maxRows - Stop after this many mutations in the range
+ * @returns {Object} transactions in the range, newer ones, and truncated when maxRows was hit
+ */
+export async function getAllMutasiInRange(sdk, options, { since, until }, maxRows) {
+  const transactions = [];
+  const newer = [];
+  let page = 1;
+  
+  while (true) {
+    // Asked up to now rather than until, so the newer mutations come back too
+    const response = await sdk.getMutasi(
+      buildMutasiSdkOptions({ ...options, limit: MUTASI_PAGE_SIZE, page }, { since, until: Date.now() })
+    );
+    if (response.status !== 'success') {
+      throw new Error('Gagal mengambil transaksi: ' + (response.message || 'Unknown error'));
+    }
+    
+    const pageData = response.data || [];
+    let reachedStart = false;
+    
+    for (const tx of pageData) {
+      const createdAt = new Date(tx.createdAt).getTime();
+      if (createdAt < since) {
+        reachedStart = true;
+        break;
+      }
+      if (createdAt >= until) {
+        newer.push(tx);
+        continue;
+      }
+      
+      transactions.push(tx);
+      if (transactions.length >= maxRows) {
+        return { transactions, newer, truncated: true };
+      }
+    }
+    
+    const totalPages = response.pagination?.totalPages || 1;
+    if (reachedStart || pageData.length === 0 || page >= totalPages) break;
+    page++;
+  }
+  
+  logger.info('accounts.getMutasi', 'Collected transactions for range', {
+    count: transactions.length,
+    pages: page
+  });
+  
+  return { transactions, newer, truncated: false };
+}
+
+/**
+ * Get the date range covered by /mutasi options, in Asia/Jakarta calendar days
+ * @param {Object} options - Filter options: days, period, or from and to as YYYY-MM-DD
+ * @param {Date} [now] - Reference time
+ * @returns {Object} since and until timestamps
+ */
+export function getMutasiDateRange(options, now = new Date()) {
+  const current = now.getTime();
+  const today = startOfJakartaDay(now).getTime();
+  const thisMonth = startOfJakartaMonth(now).getTime();
+  
+  switch (options.period) {
+    case 'today':
+      return { since: today, until: current };
+    case 'yesterday':
+      return { since: today - DAY_MS, until: today };
+    case 'thismonth':
+      return { since: thisMonth, until: current };
+    case 'lastmonth':
+      return { since: startOfJakartaMonth(new Date(thisMonth - 1)).getTime(), until: thisMonth };
+  }
+  
+  const from = options.from ? parseJakartaDate(options.from) : null;
+  const to = options.to ? parseJakartaDate(options.to) : null;
+  
+  if (from || to) {
+    // "to" includes the whole day, and nothing can be newer than now
+    const until = to ? Math.min(to.getTime() + DAY_MS, current) : current;
+    const since = from ? from.getTime() : until - ((options.days || 7) * DAY_MS);
+    return { since, until };
+  }
+  
+  return { since: current - ((options.days || 7) * DAY_MS), until: current };
+}
+
+/**
+ * Describe the date range of /mutasi options
+ * @param {Object} options - Filter options
+ * @returns {string|null} Description, or null when no range is set
+ */
+function describeMutasiPeriod(options) {
+  if (options.period) return PERIOD_LABELS[options.period];
+  if (options.from && options.to) return `${options.from} s/d ${options.to}`;
+  if (options.from) return `sejak ${options.from}`;
+  if (options.to) return `sampai ${options.to}`;
+  if (options.days) return `${options.days} hari`;
+  return null;
+}
+
+/**
+ * Describe the active /mutasi filters
+ * @param {Object} options - Filter options
+ * @param {Object} [settings] - withPeriod false leaves out the date range, when it is shown elsewhere
+ * @returns {Array} One description per filter
+ */
+export function describeMutasiFilters(options, { withPeriod = true } = {}) {
   const filterInfo = [];
-  if (options.days) filterInfo.push(`${options.days} hari`);
+  const period = withPeriod ? describeMutasiPeriod(options) : null;
+  if (period) filterInfo.push(period);
   if (options.type) filterInfo.push(`tipe: ${options.type}`);
   if (options.providerCode) filterInfo.push(`penyedia: ${options.providerCode}`);
   if (options.accountId) filterInfo.push(`akun tertentu`);
   if (options.minAmount !== undefined) filterInfo.push(`min: ${formatCurrency(options.minAmount)}`);
   if (options.maxAmount !== undefined) filterInfo.push(`max: ${formatCurrency(options.maxAmount)}`);
   if (options.search) filterInfo.push(`pencarian: "${options.search}"`);
+  return filterInfo;
+}
+
+/**
+ * Format transaction data for display
+ * @param {Array} transactions - Transaction data
+ * @param {Object} pagination - Pagination info
+ * @param {Object} options - Filter options
+ * @returns {string} Formatted message
+ */
+function formatTransactionResponse(transactions, pagination, options) {
+  let message = `<b>📊 Transaksi (${pagination.total ? pagination.total : transactions.length})</b>\n`;
+  
+  // Add filter info
+  const filterInfo = describeMutasiFilters(options);
   
   if (filterInfo.length > 0) {
     message += `<i>Difilter berdasarkan: ${filterInfo.join(', ')}</i>\n`;
@@ -112,63 +308,74 @@ function formatTransactionResponse(transactions, pagination, options) {
   if (transactions.length === 0) {
     message += 'Tidak ada transaksi yang ditemukan untuk kriteria ini.';
   } else {
-    transactions.forEach((tx, index) => {
-      const date = new Date(tx.createdAt).toLocaleDateString('id-ID', {
-        day: '2-digit',
-        month: '2-digit',
-        year: 'numeric'
-      });
-      const time = new Date(tx.createdAt).toLocaleTimeString('id-ID', {
-        hour: '2-digit',
-        minute: '2-digit'
-      });
+    for (const [index, tx] of transactions.entries()) {
+      const entry = formatTransactionEntry(tx);
       
-      // Format amount with + or - prefix based on transaction type
-      const formattedAmount = tx.type === 'CREDIT' 
-        ? `+${formatCurrency(tx.amount)}` 
-        : `-${formatCurrency(tx.amount)}`;
-      
-      // Add emoji based on transaction type
-      const emoji = tx.type === 'CREDIT' ? '💰' : '💸';
-      
-      // Account information with provider code
-      const accountInfo = tx.account 
-        ? `${tx.account.accountName} (${tx.account.provider.code})` 
-        : 'Akun Tidak Diketahui';
+      // Stay under Telegram's message limit when long descriptions add up
+      if (message.length + entry.length > MAX_MESSAGE_LENGTH) {
+        message += `\n<i>… ${transactions.length - index} transaksi lainnya tidak muat, gunakan limit yang lebih kecil.</i>`;
+        break;
+      }
       
-      message += `${emoji} <b>${formattedAmount}</b>\n`;
-      message += `📝 ${tx.description || 'Tidak ada deskripsi'}\n`;
-      message += `🏦 ${accountInfo}\n`;
-      message += `🕒 ${date} ${time}\n`;
+      message += entry;
       
       // Add separator between transactions (except the last one)
       if (index < transactions.length - 1) {
         message += `\n${'─'.repeat(20)}\n\n`;
       }
-    });
-  }
-  
-  // Add pagination buttons info if multiple pages
-  if (pagination.totalPages > 1) {
-    message += `\n\n<i>Halaman ${pagination.page} dari ${pagination.totalPages}</i>`;
-    
-    if (pagination.page < pagination.totalPages) {
-      message += `\nGunakan: /mutasi page ${pagination.page + 1}`;
     }
   }
   
-  // Add footer with instructions for filtering
-  message += `\n\n<b>Contoh filter:</b>`;
-  message += `\n/mutasi limit 10`;
-  message += `\n/mutasi days 30`;
-  message += `\n/mutasi type credit`;
-  message += `\n/mutasi provider bca`;
-  message += `\n/mutasi min 1000000`;
-  message += `\n/mutasi search "transfer"`;
-  
   return message;
 }
 
+/**
+ * Format a single transaction block
+ * @param {Object} tx - Transaction data
+ * @returns {string} Formatted transaction
+ */
+function formatTransactionEntry(tx) {
+  const date = new Date(tx.createdAt).toLocaleDateString('id-ID', {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric'
+  });
+  const time = new Date(tx.createdAt).toLocaleTimeString('id-ID', {
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+  
+  // Format amount with + or - prefix based on transaction type
+  const formattedAmount = tx.type === 'CREDIT' 
+    ? `+${formatCurrency(tx.amount)}` 
+    : `-${formatCurrency(tx.amount)}`;
+  
+  // Add emoji based on transaction type
+  const emoji = tx.type === 'CREDIT' ? '💰' : '💸';
+  
+  // Account information with provider code
+  const accountInfo = tx.account 
+    ? `${tx.account.accountName} (${tx.account.provider.code})` 
+    : 'Akun Tidak Diketahui';
+  
+  let entry = `${emoji} <b>${formattedAmount}</b>\n`;
+  entry += `📝 ${tx.description || 'Tidak ada deskripsi'}\n`;
+  entry += `🏦 ${accountInfo}\n`;
+  entry += `🕒 ${date} ${time}\n`;
+  
+  return entry;
+}
+
+/**
+ * Format a single new transaction as a push notification
+ * @param {Object} tx - Transaction data
+ * @returns {string} Formatted message
+ */
+export function formatTransactionNotification(tx) {
+  const title = tx.type === 'CREDIT' ? '🔔 <b>Uang Masuk</b>' : '🔔 <b>Uang Keluar</b>';
+  return `${title}\n\n${formatTransactionEntry(tx)}`;
+}
+
 /**
  * Get accounts for a user
  * @param {Object} sdk - The Mutasiku SDK instance
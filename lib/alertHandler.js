@@ -0,0 +1,397 @@
+// lib/alertHandler.js
+import { logger } from './logger.js';
+import { formatCurrency, formatJakartaDateTime, escapeHtml } from './utils.js';
+import { getUser, hasRequiredRole } from './userHandler.js';
+
+export const ALERT_KINDS = ['balance', 'amount', 'keyword'];
+
+// Indonesian and English words accepted by /alerts add
+export const ALERT_KIND_ALIASES = {
+  balance: 'balance',
+  saldo: 'balance',
+  amount: 'amount',
+  jumlah: 'amount',
+  keyword: 'keyword',
+  kata: 'keyword'
+};
+
+export const MAX_ALERT_RULES_PER_CHAT = 20;
+
+// Transactions fetched per account and check, rules only look at those newer than their last check
+const ALERT_FETCH_LIMIT = 50;
+const ALERT_PREVIEW_COUNT = 5;
+
+/**
+ * Read the alert settings from the environment
+ * @returns {Object} intervalSeconds between checks and the default cooldownMinutes of new rules
+ */
+export function getAlertSettings() {
+  const intervalSeconds = parseInt(process.env.ALERT_INTERVAL_SECONDS || '60', 10);
+  const cooldownMinutes = parseInt(process.env.ALERT_COOLDOWN_MINUTES || '60', 10);
+
+  return {
+    intervalSeconds: Number.isFinite(intervalSeconds) && intervalSeconds > 0 ? intervalSeconds : 60,
+    cooldownMinutes: Number.isFinite(cooldownMinutes) && cooldownMinutes >= 0 ? cooldownMinutes : 60
+  };
+}
+
+/**
+ * Store a new alert rule
+ * @param {Object} db - SQLite database instance
+ * @param {Object} rule - chatId, createdBy, kind, accountId, threshold, keyword, txType and cooldownMinutes
+ * @returns {Object} The saved rule
+ */
+export async function createAlertRule(db, rule) {
+  const result = await db.run(
+    `INSERT INTO alert_rules (
+       chatId, createdBy, kind, accountId, threshold, keyword, txType, cooldownMinutes, createdAt
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    rule.chatId,
+    rule.createdBy,
+    rule.kind,
+    rule.accountId || null,
+    rule.threshold ?? null,
+    rule.keyword || null,
+    rule.txType || null,
+    rule.cooldownMinutes,
+    Date.now()
+  );
+
+  logger.info('alert.create', `Alert rule ${result.lastID} (${rule.kind}) created by ${rule.createdBy}`, {
+    chatId: rule.chatId
+  });
+
+  return db.get('SELECT * FROM alert_rules WHERE id = ?', result.lastID);
+}
+
+/**
+ * List the alert rules of a chat
+ * @param {Object} db - SQLite database instance
+ * @param {string} chatId - Chat ID
+ * @returns {Array} Rules, oldest first
+ */
+export async function listAlertRules(db, chatId) {
+  return db.all('SELECT * FROM alert_rules WHERE chatId = ? ORDER BY id ASC', chatId);
+}
+
+/**
+ * Delete an alert rule of a chat
+ * @param {Object} db - SQLite database instance
+ * @param {string} chatId - Chat ID, rules of other chats cannot be deleted
+ * @param {number} id - Rule ID
+ * @returns {boolean} Whether the rule existed
+ */
+export async function deleteAlertRule(db, chatId, id) {
+  const result = await db.run('DELETE FROM alert_rules WHERE id = ? AND chatId = ?', id, chatId);
+
+  if (result.changes > 0) {
+    await db.run('DELETE FROM alert_events WHERE ruleId = ?', id);
+    logger.info('alert.delete', `Alert rule ${id} deleted`, { chatId });
+  }
+
+  return result.changes > 0;
+}
+
+/**
+ * Delete every rule of a chat, with its alert history
+ */
+async function deleteChatAlertRules(db, chatId) {
+  await db.run('DELETE FROM alert_events WHERE ruleId IN (SELECT id FROM alert_rules WHERE chatId = ?)', chatId);
+  await db.run('DELETE FROM alert_rules WHERE chatId = ?', chatId);
+  logger.info('alert.delete', `Alert rules of chat ${chatId} deleted`);
+}
+
+/**
+ * Describe a rule in words, e.g. "Saldo di bawah Rp 500.000"
+ * @param {Object} rule - Alert rule
+ * @param {Array} [accounts] - Accounts from getAccounts, to show names instead of IDs
+ * @returns {string} Description
+ */
+export function describeAlertRule(rule, accounts = []) {
+  let text;
+  if (rule.kind === 'balance') {
+    text = `Saldo di bawah ${formatCurrency(rule.threshold)}`;
+  } else if (rule.kind === 'amount') {
+    const direction = { CREDIT: 'masuk', DEBIT: 'keluar' }[rule.txType] || '';
+    text = `Transaksi ${direction ? direction + ' ' : ''}minimal ${formatCurrency(rule.threshold)}`;
+  } else {
+    text = `Deskripsi berisi "${rule.keyword}"`;
+  }
+
+  const account = accounts.find(item => item.id === rule.accountId);
+  const scope = rule.accountId ? (account ? account.name : rule.accountId) : 'semua akun';
+
+  return `${text} (${scope}, jeda ${rule.cooldownMinutes} menit)`;
+}
+
+/**
+ * Check if a transaction matches an amount or keyword rule
+ */
+function matchesRule(rule, tx) {
+  if (rule.accountId && (tx.account?.id || tx.accountId) !== rule.accountId) return false;
+
+  if (rule.kind === 'amount') {
+    return Number(tx.amount) >= rule.threshold && (!rule.txType || tx.type === rule.txType);
+  }
+
+  return (tx.description || '').toLowerCase().includes(rule.keyword.toLowerCase());
+}
+
+/**
+ * Check if an alert was already sent for an event
+ */
+async function hasAlertEvent(db, ruleId, eventKey) {
+  const row = await db.get('SELECT 1 FROM alert_events WHERE ruleId = ? AND eventKey = ?', ruleId, eventKey);
+  return Boolean(row);
+}
+
+/**
+ * Format a low balance alert (HTML)
+ */
+function formatBalanceAlert(rule, account) {
+  return `⚠️ <b>Saldo Rendah</b>
+
+🏦 ${escapeHtml(account.name)} (${account.provider?.code || 'Unknown'})
+💰 Saldo: <b>${formatCurrency(account.balance)}</b>
+📉 Batas: ${formatCurrency(rule.threshold)}
+
+<i>Aturan #${rule.id}. Gunakan /alerts untuk mengelola peringatan.</i>`;
+}
+
+/**
+ * Format an alert for the transactions that matched an amount or keyword rule (HTML)
+ */
+function formatTransactionAlert(rule, transactions) {
+  const title = rule.kind === 'amount' ? '🚨 <b>Transaksi Besar</b>' : `🔎 <b>Transaksi berisi "${escapeHtml(rule.keyword)}"</b>`;
+
+  let message = `${title}\n\n`;
+  message += transactions.slice(0, ALERT_PREVIEW_COUNT).map(tx => {
+    const sign = tx.type === 'CREDIT' ? '+' : '-';
+    const account = tx.account ? `${escapeHtml(tx.account.accountName)} (${tx.account.provider?.code || '-'})` : 'Akun Tidak Diketahui';
+    return `${sign}<b>${formatCurrency(tx.amount)}</b> • ${account}\n📝 ${escapeHtml(tx.description || 'Tidak ada deskripsi')}\n🕒 ${formatJakartaDateTime(tx.createdAt)} WIB`;
+  }).join('\n\n');
+
+  if (transactions.length > ALERT_PREVIEW_COUNT) {
+    message += `\n\n… dan ${transactions.length - ALERT_PREVIEW_COUNT} transaksi lainnya`;
+  }
+
+  message += `\n\n<i>Aturan #${rule.id}. Gunakan /alerts untuk mengelola peringatan.</i>`;
+  return message;
+}
+
+/**
+ * Send an alert, dropping the chat's rules when the bot can no longer reach it
+ * @returns {string} 'sent', 'failed', or 'removed' when the chat's rules were deleted
+ */
+async function sendAlert(bot, db, chatId, message) {
+  try {
+    await bot.telegram.sendMessage(chatId, message, { parse_mode: 'HTML' });
+    return 'sent';
+  } catch (error) {
+    logger.error('alert.send', 'Failed to send alert', {
+      chatId,
+      error: error instanceof Error ? error.message : 'Unknown error'
+    });
+
+    // The bot was blocked or removed from the chat, stop alerting it
+    if (error?.response?.error_code === 403) {
+      await deleteChatAlertRules(db, chatId);
+      return 'removed';
+    }
+    return 'failed';
+  }
+}
+
+/**
+ * Check balance rules, per account: an alert when the balance drops below the threshold,
+ * reminders while it stays there once the cool-down has passed, and re-arming once it recovers
+ */
+async function checkBalanceRules(bot, db, rules, accounts) {
+  const now = Date.now();
+
+  for (const rule of rules) {
+    const watched = accounts.filter(account =>
+      (!rule.accountId || account.id === rule.accountId) && typeof account.balance === 'number');
+
+    for (const account of watched) {
+      const eventKey = `balance:${account.id}`;
+
+      if (account.balance >= rule.threshold) {
+        await db.run('DELETE FROM alert_events WHERE ruleId = ? AND eventKey = ?', rule.id, eventKey);
+        continue;
+      }
+
+      const last = await db.get(
+        'SELECT createdAt FROM alert_events WHERE ruleId = ? AND eventKey = ?',
+        rule.id,
+        eventKey
+      );
+      if (last && now - last.createdAt < rule.cooldownMinutes * 60 * 1000) continue;
+
+      const status = await sendAlert(bot, db, rule.chatId, formatBalanceAlert(rule, account));
+      if (status === 'removed') break;
+
+      // A failed send still starts the cool-down, so a message Telegram keeps refusing is not resent every check
+      await db.run(
+        `INSERT INTO alert_events (ruleId, eventKey, createdAt) VALUES (?, ?, ?)
+         ON CONFLICT(ruleId, eventKey) DO UPDATE SET createdAt = excluded.createdAt`,
+        rule.id,
+        eventKey,
+        now
+      );
+      if (status === 'sent') {
+        await db.run('UPDATE alert_rules SET lastTriggeredAt = ? WHERE id = ?', now, rule.id);
+        logger.info('alert.send', `Low balance alert for rule ${rule.id}`, { accountId: account.id });
+      }
+    }
+  }
+}
+
+/**
+ * Check amount and keyword rules against the transactions since each rule's last check
+ * During the cool-down a rule is not checked, so its matches are sent together afterwards
+ */
+async function checkTransactionRules(bot, sdk, db, rules) {
+  const now = Date.now();
+  const fetched = new Map();
+
+  for (const rule of rules) {
+    if (rule.lastTriggeredAt && now - rule.lastTriggeredAt < rule.cooldownMinutes * 60 * 1000) continue;
+
+    // Fetch each account once, even if several rules watch it
+    const key = rule.accountId || '*';
+    if (!fetched.has(key)) {
+      try {
+        const response = await sdk.getMutasi({
+          limit: ALERT_FETCH_LIMIT,
+          page: 1,
+          ...(rule.accountId ? { accountId: rule.accountId } : {})
+        });
+
+        if (response.status !== 'success') {
+          logger.warn('alert.check', 'Failed to fetch transactions', { accountId: rule.accountId, message: response.message });
+          fetched.set(key, null);
+        } else {
+          fetched.set(key, (response.data || []).filter(tx => tx.type === 'CREDIT' || tx.type === 'DEBIT'));
+        }
+      } catch (error) {
+        logger.error('alert.check', 'Error fetching transactions', {
+          accountId: rule.accountId,
+          error: error instanceof Error ? error.message : 'Unknown error'
+        });
+        fetched.set(key, null);
+      }
+    }
+
+    const transactions = fetched.get(key);
+    if (!transactions) continue;
+
+    // The first check only records the starting point
+    if (!rule.lastCheckedAt) {
+      await db.run('UPDATE alert_rules SET lastCheckedAt = ? WHERE id = ?', now, rule.id);
+      continue;
+    }
+
+    const candidates = transactions
+      .filter(tx => new Date(tx.createdAt).getTime() > rule.lastCheckedAt && matchesRule(rule, tx))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    // Transactions arriving late with an older timestamp can be seen twice, each one is alerted once
+    const matches = [];
+    for (const tx of candidates) {
+      if (!(await hasAlertEvent(db, rule.id, `tx:${tx.id}`))) {
+        matches.push(tx);
+      }
+    }
+
+    if (matches.length === 0) {
+      await db.run('UPDATE alert_rules SET lastCheckedAt = ? WHERE id = ?', now, rule.id);
+      continue;
+    }
+
+    const status = await sendAlert(bot, db, rule.chatId, formatTransactionAlert(rule, matches));
+    if (status === 'removed') continue;
+
+    // Matches are recorded even when the send failed, so a message Telegram refuses is not retried forever
+    for (const tx of matches) {
+      await db.run(
+        'INSERT OR IGNORE INTO alert_events (ruleId, eventKey, createdAt) VALUES (?, ?, ?)',
+        rule.id,
+        `tx:${tx.id}`,
+        now
+      );
+    }
+
+    if (status === 'sent') {
+      await db.run('UPDATE alert_rules SET lastCheckedAt = ?, lastTriggeredAt = ? WHERE id = ?', now, now, rule.id);
+      logger.info('alert.send', `Sent alert for rule ${rule.id}`, { count: matches.length });
+    } else {
+      await db.run('UPDATE alert_rules SET lastCheckedAt = ? WHERE id = ?', now, rule.id);
+    }
+  }
+}
+
+/**
+ * Evaluate every alert rule once
+ * @param {Object} bot - Telegraf bot instance
+ * @param {Object} sdk - Mutasiku SDK instance
+ * @param {Object} db - SQLite database instance
+ */
+export async function checkAlertRules(bot, sdk, db) {
+  const rules = await db.all('SELECT * FROM alert_rules ORDER BY id ASC');
+  if (rules.length === 0) return;
+
+  // Rules stop with the access of whoever created them
+  const active = [];
+  for (const rule of rules) {
+    const creator = await getUser(db, rule.createdBy);
+    if (creator && hasRequiredRole(creator.role, 'viewer')) {
+      active.push(rule);
+    } else {
+      logger.info('alert.check', `Creator of alert rule ${rule.id} lost access, deleting it`);
+      await deleteAlertRule(db, rule.chatId, rule.id);
+    }
+  }
+
+  const balanceRules = active.filter(rule => rule.kind === 'balance');
+  if (balanceRules.length > 0) {
+    const accountsResponse = await sdk.getAccounts();
+    if (accountsResponse.status === 'success') {
+      await checkBalanceRules(bot, db, balanceRules, accountsResponse.data || []);
+    } else {
+      logger.warn('alert.check', 'Failed to fetch accounts', { message: accountsResponse.message });
+    }
+  }
+
+  await checkTransactionRules(bot, sdk, db, active.filter(rule => rule.kind !== 'balance'));
+}
+
+/**
+ * Start the background job that evaluates alert rules
+ * @param {Object} bot - Telegraf bot instance
+ * @param {Object} sdk - Mutasiku SDK instance
+ * @param {Object} db - SQLite database instance
+ * @returns {Object} Interval handle
+ */
+export function startAlertWatcher(bot, sdk, db) {
+  const { intervalSeconds } = getAlertSettings();
+  let running = false;
+
+  logger.info('alert.init', `Alert watcher started, checking every ${intervalSeconds} seconds`);
+
+  return setInterval(async () => {
+    // Skip a tick if the previous check is still running
+    if (running) return;
+    running = true;
+
+    try {
+      await checkAlertRules(bot, sdk, db);
+    } catch (error) {
+      logger.error('alert.check', 'Error checking alert rules', {
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    } finally {
+      running = false;
+    }
+  }, intervalSeconds * 1000);
+}
@@ -0,0 +1,296 @@
+// lib/approvalHandler.js
+import { logger } from './logger.js';
+import { formatCurrency, escapeHtml } from './utils.js';
+import { encryptSessionData, decryptSessionData } from './sessionCrypto.js';
+
+const APPROVAL_CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Read the approval settings from the environment
+ * @returns {Object} threshold (0 disables approvals), requiredApprovals, expiryMinutes and approverIds
+ */
+export function getApprovalSettings() {
+  const threshold = parseInt(process.env.TRANSFER_APPROVAL_THRESHOLD ?? '5000000', 10);
+  const requiredApprovals = parseInt(process.env.TRANSFER_APPROVAL_REQUIRED || '1', 10);
+  const expiryMinutes = parseInt(process.env.TRANSFER_APPROVAL_EXPIRY_MINUTES || '30', 10);
+
+  return {
+    threshold: Number.isFinite(threshold) && threshold > 0 ? threshold : 0,
+    requiredApprovals: Number.isFinite(requiredApprovals) && requiredApprovals > 0 ? requiredApprovals : 1,
+    expiryMinutes: Number.isFinite(expiryMinutes) && expiryMinutes > 0 ? expiryMinutes : 30,
+    approverIds: (process.env.TRANSFER_APPROVER_IDS || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean)
+  };
+}
+
+/**
+ * Check if a transfer amount needs a second person to approve it
+ * @param {number} amount - Transfer amount
+ * @returns {boolean} True if above the threshold
+ */
+export function requiresApproval(amount) {
+  const { threshold } = getApprovalSettings();
+  return threshold > 0 && amount > threshold;
+}
+
+/**
+ * Get the users who may approve a request, never including the maker
+ * Designated approvers come from TRANSFER_APPROVER_IDS, otherwise all owners approve
+ * @param {Object} db - SQLite database instance
+ * @param {string} makerId - User who started the transfer
+ * @returns {Array} Active approver users
+ */
+export async function getApprovers(db, makerId) {
+  const { approverIds } = getApprovalSettings();
+
+  const rows = approverIds.length > 0
+    ? await db.all(
+        `SELECT * FROM users WHERE revokedAt IS NULL AND role IN ('operator', 'owner')
+         AND userId IN (${approverIds.map(() => '?').join(', ')})`,
+        ...approverIds
+      )
+    : await db.all("SELECT * FROM users WHERE revokedAt IS NULL AND role = 'owner'");
+
+  return rows.filter(user => user.userId !== makerId);
+}
+
+/**
+ * Store a transfer that waits for approval
+ * @param {Object} db - SQLite database instance
+ * @param {Object} transfer - Details from getBankTransferDetails
+ * @returns {Object} The new approval request
+ */
+export async function createApprovalRequest(db, transfer) {
+  const { requiredApprovals, expiryMinutes } = getApprovalSettings();
+  const now = Date.now();
+  const expiresAt = now + (expiryMinutes * 60 * 1000);
+
+  // Destination details are encrypted like the session they came from
+  const result = await db.run(
+    `INSERT INTO transfer_approvals (
+       makerId, chatId, accountId, amount, payload, status, requiredApprovals, createdAt, expiresAt
+     ) VALUES (?, ?, ?, ?, ?, 'pending', ?, ?, ?)`,
+    transfer.userId,
+    transfer.chatId,
+    transfer.accountId,
+    transfer.amount,
+    JSON.stringify(encryptSessionData(transfer)),
+    requiredApprovals,
+    now,
+    expiresAt
+  );
+
+  logger.info('approval.create', `Approval ${result.lastID} requested by ${transfer.userId}`, {
+    accountId: transfer.accountId,
+    amount: transfer.amount
+  });
+
+  return getApprovalRequest(db, result.lastID);
+}
+
+/**
+ * Get an approval request with its decrypted transfer details
+ * @param {Object} db - SQLite database instance
+ * @param {number} id - Approval ID
+ * @returns {Object|null} Approval request or null if not found
+ */
+export async function getApprovalRequest(db, id) {
+  const row = await db.get('SELECT * FROM transfer_approvals WHERE id = ?', id);
+  if (!row) return null;
+
+  const votes = await db.all(
+    'SELECT userId, decision FROM transfer_approval_votes WHERE approvalId = ? ORDER BY createdAt ASC',
+    id
+  );
+
+  return {
+    ...row,
+    transfer: decryptSessionData(JSON.parse(row.payload)),
+    approvals: votes.filter(vote => vote.decision === 'approve').map(vote => vote.userId)
+  };
+}
+
+/**
+ * Record an approver's decision
+ * @param {Object} db - SQLite database instance
+ * @param {number} id - Approval ID
+ * @param {string} userId - Approver
+ * @param {string} decision - 'approve' or 'reject'
+ * @returns {Object} success, message, and readyToExecute once enough approvals are in
+ */
+export async function recordApprovalDecision(db, id, userId, decision) {
+  const approval = await getApprovalRequest(db, id);
+  if (!approval) {
+    return { success: false, message: 'Permintaan persetujuan tidak ditemukan' };
+  }
+  if (approval.status !== 'pending') {
+    return { success: false, message: 'Permintaan ini sudah diproses' };
+  }
+  if (approval.expiresAt < Date.now()) {
+    return { success: false, message: 'Permintaan ini sudah kedaluwarsa' };
+  }
+  if (approval.makerId === userId) {
+    return { success: false, message: 'Anda tidak dapat menyetujui transfer Anda sendiri' };
+  }
+
+  const approvers = await getApprovers(db, approval.makerId);
+  if (!approvers.some(approver => approver.userId === userId)) {
+    return { success: false, message: 'Anda bukan penyetuju transfer' };
+  }
+
+  const vote = await db.run(
+    'INSERT OR IGNORE INTO transfer_approval_votes (approvalId, userId, decision, createdAt) VALUES (?, ?, ?, ?)',
+    id,
+    userId,
+    decision,
+    Date.now()
+  );
+  if (vote.changes === 0) {
+    return { success: false, message: 'Anda sudah memberikan keputusan untuk permintaan ini' };
+  }
+
+  logger.info('approval.decision', `Approval ${id} ${decision === 'approve' ? 'approved' : 'rejected'} by ${userId}`);
+
+  if (decision === 'reject') {
+    await db.run(
+      "UPDATE transfer_approvals SET status = 'rejected', decidedAt = ? WHERE id = ? AND status = 'pending'",
+      Date.now(),
+      id
+    );
+    return { success: true, message: 'Transfer ditolak', approval: await getApprovalRequest(db, id) };
+  }
+
+  const updated = await getApprovalRequest(db, id);
+  if (updated.approvals.length < updated.requiredApprovals) {
+    return {
+      success: true,
+      message: `Persetujuan dicatat (${updated.approvals.length}/${updated.requiredApprovals})`,
+      approval: updated
+    };
+  }
+
+  // Only one approver may move the request on, so the transfer is never sent twice
+  const claimed = await db.run(
+    "UPDATE transfer_approvals SET status = 'approved', decidedAt = ? WHERE id = ? AND status = 'pending'",
+    Date.now(),
+    id
+  );
+
+  return {
+    success: true,
+    message: 'Transfer disetujui',
+    approval: updated,
+    readyToExecute: claimed.changes > 0
+  };
+}
+
+/**
+ * Record the outcome of an approved transfer
+ * An unknown outcome keeps the request approved and linked to its pending ledger row
+ * @param {Object} db - SQLite database instance
+ * @param {number} id - Approval ID
+ * @param {Object} outcome - transferId on success, errorMessage on failure, outcomeUnknown when neither is certain
+ */
+export async function markApprovalExecuted(db, id, { transferId = null, errorMessage = null, outcomeUnknown = false }) {
+  let status = transferId ? 'executed' : 'failed';
+  if (outcomeUnknown) status = 'approved';
+  
+  await db.run(
+    'UPDATE transfer_approvals SET status = ?, transferId = ?, errorMessage = ? WHERE id = ?',
+    status,
+    transferId,
+    errorMessage,
+    id
+  );
+}
+
+/**
+ * Cancel a pending request, e.g. when its approvers could not be reached
+ * @param {Object} db - SQLite database instance
+ * @param {number} id - Approval ID
+ */
+export async function cancelApprovalRequest(db, id) {
+  await db.run(
+    "UPDATE transfer_approvals SET status = 'cancelled', decidedAt = ? WHERE id = ? AND status = 'pending'",
+    Date.now(),
+    id
+  );
+}
+
+/**
+ * Expire pending requests past their deadline
+ * @param {Object} db - SQLite database instance
+ * @returns {Array} The requests that just expired
+ */
+export async function expireApprovalRequests(db) {
+  const now = Date.now();
+  const rows = await db.all(
+    "SELECT id, makerId, chatId, amount FROM transfer_approvals WHERE status = 'pending' AND expiresAt < ?",
+    now
+  );
+
+  if (rows.length > 0) {
+    await db.run(
+      "UPDATE transfer_approvals SET status = 'expired', decidedAt = ? WHERE status = 'pending' AND expiresAt < ?",
+      now,
+      now
+    );
+  }
+
+  return rows;
+}
+
+/**
+ * Format an approval request for approvers (HTML)
+ * @param {Object} approval - Approval request
+ * @param {string} makerName - Display name of the maker
+ * @returns {string} Formatted message
+ */
+export function formatApprovalRequest(approval, makerName) {
+  const { transfer } = approval;
+  const bankName = transfer.bankData?.name || transfer.bankData?.instLocalName || 'Bank';
+  const expires = new Date(approval.expiresAt).toLocaleString('id-ID', { timeZone: 'Asia/Jakarta' });
+
+  return `🛂 <b>Persetujuan Transfer #${approval.id}</b>
+
+👤 Diajukan oleh: <b>${escapeHtml(makerName)}</b>
+💰 Jumlah: <b>${formatCurrency(approval.amount)}</b>
+🏦 Bank: <b>${escapeHtml(bankName)}</b>
+📄 Rekening: <b>${transfer.accountNumber}</b>
+👤 Nama Penerima: <b>${escapeHtml(transfer.accountName || 'Tidak diketahui')}</b>
+💳 Akun sumber: <code>${approval.accountId}</code>
+
+✅ Persetujuan: ${approval.approvals.length}/${approval.requiredApprovals}
+⏰ Berlaku sampai: ${expires}`;
+}
+
+/**
+ * Start the background job that expires old approval requests and tells the maker
+ * @param {Object} bot - Telegraf bot instance
+ * @param {Object} db - SQLite database instance
+ * @returns {Object} Interval handle
+ */
+export function startApprovalExpiryWatcher(bot, db) {
+  return setInterval(async () => {
+    try {
+      const expired = await expireApprovalRequests(db);
+
+      for (const approval of expired) {
+        logger.info('approval.expire', `Approval ${approval.id} expired`);
+
+        try {
+          await bot.telegram.sendMessage(
+            approval.chatId,
+            `⌛ Permintaan persetujuan transfer #${approval.id} sebesar ${formatCurrency(approval.amount)} kedaluwarsa dan dibatalkan.\n\n🔄 Gunakan /transfer untuk mengajukan ulang.`
+          );
+        } catch (error) {
+          logger.warn('approval.expire', `Could not notify chat ${approval.chatId}`, { error });
+        }
+      }
+    } catch (error) {
+      logger.error('approval.expire', 'Error expiring approval requests', { error });
+    }
+  }, APPROVAL_CHECK_INTERVAL_MS);
+}
@@ -1,71 +1,279 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
 import { logger } from './logger.js';
+import { getUser, setUserPassword, setTotpLastStep } from './userHandler.js';
+import { decryptValue } from './sessionCrypto.js';
+import { verifyTotp } from './totp.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters, stored with each hash so they can be raised later
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @param {string} password - Plain password
+ * @returns {Promise<string>} Encoded hash: scrypt$N$r$p$salt$hash
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+  
+  return ['scrypt', SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Verify a password against an encoded scrypt hash in constant time
+ * @param {string} password - Plain password
+ * @param {string} encodedHash - Hash produced by hashPassword
+ * @returns {Promise<boolean>} True if the password matches
+ */
+export async function verifyPassword(password, encodedHash) {
+  const [algorithm, N, r, p, salt, hash] = (encodedHash || '').split('$');
+  if (algorithm !== 'scrypt' || !salt || !hash) return false;
+  
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: parseInt(N),
+    r: parseInt(r),
+    p: parseInt(p)
+  });
+  
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if equal
+ */
+export function safeCompare(a, b) {
+  // Hashing first gives equal lengths, so timingSafeEqual never leaks the length
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Check a new password against the password policy
+ * @param {string} password - New password
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateNewPassword(password) {
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return `Password minimal ${MIN_PASSWORD_LENGTH} karakter.`;
+  }
+  if (!/[a-zA-Z]/.test(password) || !/\d/.test(password)) {
+    return 'Password harus mengandung huruf dan angka.';
+  }
+  if (process.env.BOT_PASSWORD && safeCompare(password, process.env.BOT_PASSWORD)) {
+    return 'Password pribadi tidak boleh sama dengan password bersama bot.';
+  }
+  return null;
+}
+
+/**
+ * Change a user's password and log the change
+ * @param {Object} db - SQLite database instance
+ * @param {string} userId - Telegram user ID
+ * @param {string} password - New plain password
+ * @param {boolean} mustChange - Force a change at the next login (used for resets)
+ */
+export async function changeUserPassword(db, userId, password, mustChange = false) {
+  const passwordHash = await hashPassword(password);
+  await setUserPassword(db, userId, passwordHash, mustChange);
+  logger.info('auth.password', `Password updated for user ${userId}`, { mustChange });
+}
+
+/**
+ * Check if a user has to set a new personal password before using the bot
+ * @param {Object} user - User row
+ * @returns {boolean} True if a password change is required
+ */
+export function requiresPasswordChange(user) {
+  return !user.passwordHash || user.mustChangePassword === 1;
+}
+
+/**
+ * Verify a TOTP code for a user, rejecting codes that were already used
+ * @param {Object} db - SQLite database instance
+ * @param {Object} user - User row with totpSecret and totpLastStep
+ * @param {string} code - 6-digit code
+ * @returns {Promise<boolean>} True if the code is valid and fresh
+ */
+export async function verifyUserTotp(db, user, code) {
+  if (!user?.totpEnabled || !user.totpSecret) return false;
+  
+  let secret;
+  try {
+    secret = decryptValue(user.totpSecret, 'totpSecret');
+  } catch (error) {
+    logger.error('auth.totp', 'Failed to decrypt TOTP secret', { userId: user.userId, error: error.message });
+    return false;
+  }
+  
+  const step = verifyTotp(secret, code);
+  if (step === null) {
+    logger.info('auth.totp', `Invalid TOTP code for user ${user.userId}`);
+    return false;
+  }
+  
+  // A code (or an older one) that was already accepted cannot be replayed
+  if (user.totpLastStep !== null && user.totpLastStep !== undefined && step <= user.totpLastStep) {
+    logger.info('auth.totp', `Reused TOTP code rejected for user ${user.userId}`);
+    return false;
+  }
+  
+  await setTotpLastStep(db, user.userId, step);
+  return true;
+}
+
+/**
+ * Finish a login that is waiting for a TOTP code
+ */
+export async function completeTotpLogin(chatId, userId, code, sessionManager) {
+  const user = await getUser(sessionManager.db, userId);
+  
+  if (!user || !await verifyUserTotp(sessionManager.db, user, code)) {
+    await trackFailedAttempt(chatId, userId, sessionManager);
+    return { success: false, message: 'Kode 2FA salah atau sudah digunakan' };
+  }
+  
+  await clearFailedAttempts(chatId, userId, sessionManager);
+  await createAuthenticatedSession(chatId, userId, sessionManager);
+  
+  logger.info('auth.success', `User authenticated with 2FA for chat ${chatId}`);
+  return { success: true, message: 'Autentikasi berhasil', mustChangePassword: requiresPasswordChange(user) };
+}
+
+/**
+ * Generate a random temporary password for resets
+ * @returns {string} Temporary password
+ */
+export function generateTemporaryPassword() {
+  // Always contains letters and digits so it passes validateNewPassword
+  return `${crypto.randomBytes(6).toString('base64url')}${crypto.randomInt(10, 100)}`;
+}
+
+/**
+ * Find the authenticated session of a user in a chat
+ * Logins are per user, so in group chats one member's login never covers another
+ */
+async function getAuthenticatedSession(chatId, userId, sessionManager) {
+  if (!userId) return null;
+  
+  const sessions = await sessionManager.getAllSessions(chatId, 'authenticated');
+  return sessions.find(session => session.data?.userId === String(userId)) || null;
+}
 
 /**
  * Check if user is authenticated
  */
-export async function isUserAuthenticated(chatId, sessionManager) {
+export async function isUserAuthenticated(chatId, userId, sessionManager) {
   try {
-    // Look specifically for authenticated sessions
-    const session = await sessionManager.getSession(chatId, 'authenticated');
+    // Look specifically for the user's own authenticated session
+    const session = await getAuthenticatedSession(chatId, userId, sessionManager);
     
     if (!session) {
-      logger.info('auth.check', `No authenticated session found for chat ${chatId}`);
+      logger.info('auth.check', `No authenticated session found for user ${userId} in chat ${chatId}`);
       return false;
     }
     
     const isAuth = session.data && session.data.authenticated === true;
-    logger.info('auth.check', `Authentication check for chat ${chatId}: ${isAuth}`);
+    logger.info('auth.check', `Authentication check for user ${userId} in chat ${chatId}: ${isAuth}`);
     
     return isAuth;
   } catch (error) {
-    logger.error('auth.check', 'Error checking authentication', { error, chatId });
+    logger.error('auth.check', 'Error checking authentication', { error, chatId, userId });
     return false;
   }
 }
 
 /**
  * Authenticate user with password
+ * Only users registered in the users table can log in. Users without a personal
+ * password yet (owners seeded from BOT_OWNER_IDS) log in once with BOT_PASSWORD
+ * and must then set their own.
  */
-export async function authenticateUser(chatId, password, sessionManager) {
-  const correctPassword = process.env.BOT_PASSWORD;
+export async function authenticateUser(chatId, userId, password, sessionManager) {
+  logger.info('auth.attempt', `Authentication attempt for chat ${chatId} by user ${userId}`);
   
-  if (!correctPassword) {
-    logger.error('auth', 'BOT_PASSWORD not set in environment variables');
-    return { success: false, message: 'Konfigurasi autentikasi tidak valid' };
+  const user = await getUser(sessionManager.db, userId);
+  if (!user) {
+    logger.info('auth.attempt', `Unregistered user ${userId} tried to log in`);
+    await trackFailedAttempt(chatId, userId, sessionManager);
+    return { success: false, message: 'Akun Telegram Anda belum terdaftar. Minta kode undangan kepada owner lalu gunakan /join [kode]' };
   }
   
-  logger.info('auth.attempt', `Authentication attempt for chat ${chatId}`);
+  let passwordMatches;
+  let mustChangePassword = user.mustChangePassword === 1;
+  
+  if (user.passwordHash) {
+    passwordMatches = await verifyPassword(password, user.passwordHash);
+  } else {
+    const sharedPassword = process.env.BOT_PASSWORD;
+    
+    if (!sharedPassword) {
+      logger.error('auth', `User ${userId} has no password and BOT_PASSWORD is not set`);
+      return { success: false, message: 'Password Anda belum diatur. Minta owner untuk mereset password Anda' };
+    }
+    
+    passwordMatches = safeCompare(password, sharedPassword);
+    mustChangePassword = true;
+  }
   
-  if (password !== correctPassword) {
+  if (!passwordMatches) {
     logger.info('auth.attempt', `Password mismatch for chat ${chatId}`);
     // Track failed attempts
-    await trackFailedAttempt(chatId, sessionManager);
+    await trackFailedAttempt(chatId, userId, sessionManager);
     return { success: false, message: 'Password salah' };
   }
   
   logger.info('auth.attempt', `Password correct for chat ${chatId}`);
   
+  // With 2FA the session is only created once the TOTP code is verified
+  if (user.totpEnabled === 1) {
+    logger.info('auth.attempt', `Awaiting 2FA code for chat ${chatId}`);
+    return { success: true, requiresTotp: true, message: 'Masukkan kode 2FA' };
+  }
+  
   // Clear any failed attempts and create authenticated session
-  await clearFailedAttempts(chatId, sessionManager);
-  await createAuthenticatedSession(chatId, sessionManager);
+  await clearFailedAttempts(chatId, userId, sessionManager);
+  await createAuthenticatedSession(chatId, userId, sessionManager);
   
   logger.info('auth.success', `User authenticated successfully for chat ${chatId}`);
-  return { success: true, message: 'Autentikasi berhasil' };
+  return { success: true, message: 'Autentikasi berhasil', mustChangePassword };
+}
+
+/**
+ * Find the failed login attempts record of one user in a chat
+ */
+async function getFailedAttemptsSession(chatId, userId, sessionManager) {
+  const sessions = await sessionManager.getAllSessions(chatId, 'auth_attempts');
+  return sessions.find(session => session.data?.userId === String(userId)) || null;
 }
 
 /**
  * Track failed login attempts
+ * Attempts are counted per user, so one member of a group cannot lock the others out
  */
-async function trackFailedAttempt(chatId, sessionManager) {
+export async function trackFailedAttempt(chatId, userId, sessionManager) {
   const maxAttempts = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 3;
   const timeoutMinutes = parseInt(process.env.LOGIN_TIMEOUT_MINUTES) || 30;
   
-  // Check if there's an existing auth_attempts session
-  let session = await sessionManager.getSession(chatId, 'auth_attempts');
+  // Check if there's an existing auth_attempts session for this user
+  const session = await getFailedAttemptsSession(chatId, userId, sessionManager);
   
   if (!session) {
     // Create new auth_attempts session
-    session = await sessionManager.createSession(chatId, 'auth_attempts', {
+    await sessionManager.createSession(chatId, 'auth_attempts', {
+      userId: String(userId),
       attempts: 1,
       lastAttempt: Date.now()
     });
@@ -73,6 +281,7 @@ async function trackFailedAttempt(chatId, sessionManager) {
     const attempts = (session.data.attempts || 0) + 1;
     await sessionManager.updateSession(session.id, {
       data: {
+        userId: String(userId),
         attempts,
         lastAttempt: Date.now(),
         blockedUntil: attempts >= maxAttempts ? Date.now() + (timeoutMinutes * 60 * 1000) : undefined
@@ -84,15 +293,18 @@ async function trackFailedAttempt(chatId, sessionManager) {
 /**
  * Clear failed attempts
  */
-async function clearFailedAttempts(chatId, sessionManager) {
-  await sessionManager.deleteSessionsByType(chatId, 'auth_attempts');
+async function clearFailedAttempts(chatId, userId, sessionManager) {
+  const session = await getFailedAttemptsSession(chatId, userId, sessionManager);
+  if (session) {
+    await sessionManager.deleteSession(session.id);
+  }
 }
 
 /**
  * Check if user is blocked due to too many failed attempts
  */
-export async function isUserBlocked(chatId, sessionManager) {
-  const session = await sessionManager.getSession(chatId, 'auth_attempts');
+export async function isUserBlocked(chatId, userId, sessionManager) {
+  const session = await getFailedAttemptsSession(chatId, userId, sessionManager);
   
   if (!session) {
     return { blocked: false };
@@ -111,7 +323,7 @@ export async function isUserBlocked(chatId, sessionManager) {
       };
     } else {
       // Block period expired, clear the session
-      await sessionManager.deleteSessionsByType(chatId, 'auth_attempts');
+      await sessionManager.deleteSession(session.id);
       return { blocked: false };
     }
   }
@@ -125,14 +337,18 @@ export async function isUserBlocked(chatId, sessionManager) {
 /**
  * Create authenticated session
  */
-async function createAuthenticatedSession(chatId, sessionManager) {
+async function createAuthenticatedSession(chatId, userId, sessionManager) {
   try {
-    // Delete any existing authenticated sessions
-    await sessionManager.deleteSessionsByType(chatId, 'authenticated');
+    // Delete the user's existing authenticated session in this chat
+    const existing = await getAuthenticatedSession(chatId, userId, sessionManager);
+    if (existing) {
+      await sessionManager.deleteSession(existing.id);
+    }
     
     // Create new authenticated session
     const session = await sessionManager.createSession(chatId, 'authenticated', {
       authenticated: true,
+      userId: String(userId),
       loginTime: Date.now()
     });
     
@@ -152,12 +368,12 @@ async function createAuthenticatedSession(chatId, sessionManager) {
 /**
  * Logout user
  */
-export async function logoutUser(chatId, sessionManager) {
+export async function logoutUser(chatId, userId, sessionManager) {
   try {
-    const session = await sessionManager.getSession(chatId, 'authenticated');
+    const session = await getAuthenticatedSession(chatId, userId, sessionManager);
     if (session && session.data.authenticated) {
       await sessionManager.deleteSession(session.id);
-      logger.info('auth.logout', `User logged out for chat ${chatId}`);
+      logger.info('auth.logout', `User ${userId} logged out for chat ${chatId}`);
       return true;
     }
     return false;
@@ -0,0 +1,182 @@
+// lib/beneficiaryHandler.js
+import { logger } from './logger.js';
+import { encryptValue, decryptValue, isEncryptedValue } from './sessionCrypto.js';
+import { safeJsonParse, escapeHtml } from './utils.js';
+
+export const MAX_NICKNAME_LENGTH = 32;
+
+/**
+ * Check if a nickname can be used for a saved recipient
+ * @param {string} nickname - Nickname to validate
+ * @returns {boolean} True if valid
+ */
+export function isValidNickname(nickname) {
+  return typeof nickname === 'string' &&
+    nickname.trim().length > 0 &&
+    nickname.trim().length <= MAX_NICKNAME_LENGTH;
+}
+
+/**
+ * Turn a stored row into a beneficiary with decrypted account number and parsed bank data
+ */
+function readBeneficiary(row) {
+  let accountNumber = row.accountNumber;
+
+  if (isEncryptedValue(accountNumber)) {
+    try {
+      accountNumber = decryptValue(accountNumber, 'accountNumber');
+    } catch (error) {
+      logger.warn('beneficiary.decrypt', `Could not decrypt account number of beneficiary ${row.id}`);
+      accountNumber = null;
+    }
+  }
+
+  return {
+    ...row,
+    accountNumber,
+    bankData: safeJsonParse(row.bankData, {})
+  };
+}
+
+/**
+ * List saved recipients, most recently used first
+ * @param {Object} db - SQLite database instance
+ * @returns {Array} Beneficiaries
+ */
+export async function listBeneficiaries(db) {
+  const rows = await db.all(
+    'SELECT * FROM beneficiaries ORDER BY COALESCE(lastUsedAt, createdAt) DESC, nickname ASC'
+  );
+  return rows.map(readBeneficiary);
+}
+
+/**
+ * Get a saved recipient by ID
+ * @param {Object} db - SQLite database instance
+ * @param {number} id - Beneficiary ID
+ * @returns {Object|null} Beneficiary or null if not found
+ */
+export async function getBeneficiary(db, id) {
+  const row = await db.get('SELECT * FROM beneficiaries WHERE id = ?', id);
+  return row ? readBeneficiary(row) : null;
+}
+
+/**
+ * Find a saved recipient by bank and account number
+ * Account numbers are encrypted, so the bank's recipients are compared after decryption
+ * @param {Object} db - SQLite database instance
+ * @param {string} instId - Bank institution ID
+ * @param {string} accountNumber - Destination account number
+ * @returns {Object|null} Beneficiary or null if not saved yet
+ */
+export async function findBeneficiary(db, instId, accountNumber) {
+  const rows = await db.all('SELECT * FROM beneficiaries WHERE instId = ?', instId);
+  return rows.map(readBeneficiary).find(beneficiary => beneficiary.accountNumber === accountNumber) || null;
+}
+
+/**
+ * Save a verified recipient
+ * @param {Object} db - SQLite database instance
+ * @param {Object} beneficiary - nickname, bankData, accountNumber, accountName and createdBy
+ * @returns {Object} The saved beneficiary
+ */
+export async function saveBeneficiary(db, { nickname, bankData, accountNumber, accountName, createdBy }) {
+  const now = Date.now();
+
+  // Only what is needed to call transferDanaBankInit again is kept
+  const storedBankData = {
+    instId: bankData.instId,
+    name: bankData.name,
+    instLocalName: bankData.instLocalName,
+    payMethod: bankData.payMethod,
+    payOption: bankData.payOption
+  };
+
+  const result = await db.run(
+    `INSERT INTO beneficiaries (
+       nickname, instId, bankName, bankData, accountNumber, accountName, createdBy, createdAt, updatedAt
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    nickname.trim(),
+    bankData.instId,
+    bankData.name || bankData.instLocalName,
+    JSON.stringify(storedBankData),
+    encryptValue(accountNumber, 'accountNumber'),
+    accountName,
+    createdBy,
+    now,
+    now
+  );
+
+  logger.info('beneficiary.save', `Beneficiary ${result.lastID} saved by ${createdBy}`);
+  return getBeneficiary(db, result.lastID);
+}
+
+/**
+ * Rename a saved recipient
+ * @param {Object} db - SQLite database instance
+ * @param {number} id - Beneficiary ID
+ * @param {string} nickname - New nickname
+ * @returns {boolean} Whether the recipient existed
+ */
+export async function renameBeneficiary(db, id, nickname) {
+  const result = await db.run(
+    'UPDATE beneficiaries SET nickname = ?, updatedAt = ? WHERE id = ?',
+    nickname.trim(),
+    Date.now(),
+    id
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Delete a saved recipient
+ * @param {Object} db - SQLite database instance
+ * @param {number} id - Beneficiary ID
+ * @returns {boolean} Whether the recipient existed
+ */
+export async function deleteBeneficiary(db, id) {
+  const result = await db.run('DELETE FROM beneficiaries WHERE id = ?', id);
+
+  if (result.changes > 0) {
+    logger.info('beneficiary.delete', `Beneficiary ${id} deleted`);
+  }
+
+  return result.changes > 0;
+}
+
+/**
+ * Remember when a recipient was last used, so frequent ones are listed first
+ * @param {Object} db - SQLite database instance
+ * @param {number} id - Beneficiary ID
+ */
+export async function markBeneficiaryUsed(db, id) {
+  await db.run('UPDATE beneficiaries SET lastUsedAt = ? WHERE id = ?', Date.now(), id);
+}
+
+/**
+ * Short label for keyboards
+ * @param {Object} beneficiary - Beneficiary
+ * @returns {string} Label like "Supplier A - BCA ••7890"
+ */
+export function formatBeneficiaryLabel(beneficiary) {
+  const lastDigits = beneficiary.accountNumber ? beneficiary.accountNumber.slice(-4) : '????';
+  return `${beneficiary.nickname} - ${beneficiary.bankName} ••${lastDigits}`;
+}
+
+/**
+ * Full details for the /beneficiaries view (HTML)
+ * @param {Object} beneficiary - Beneficiary
+ * @returns {string} Formatted details
+ */
+export function formatBeneficiaryDetails(beneficiary) {
+  const lastUsed = beneficiary.lastUsedAt
+    ? new Date(beneficiary.lastUsedAt).toLocaleString('id-ID', { timeZone: 'Asia/Jakarta' })
+    : 'belum pernah';
+
+  return `⭐ <b>${escapeHtml(beneficiary.nickname)}</b>
+
+🏦 Bank: <b>${escapeHtml(beneficiary.bankName)}</b>
+📄 Rekening: <b>${beneficiary.accountNumber || '-'}</b>
+👤 Nama: <b>${escapeHtml(beneficiary.accountName || 'Tidak diketahui')}</b>
+🕐 Terakhir dipakai: ${lastUsed}`;
+}
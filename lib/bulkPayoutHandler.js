@@ -0,0 +1,478 @@
+// lib/bulkPayoutHandler.js
+import ExcelJS from 'exceljs';
+import { logger } from './logger.js';
+import { formatCurrency, formatCsvRow, neutralizeFormula, escapeHtml } from './utils.js';
+import { requiresApproval } from './approvalHandler.js';
+import { executeDANABankTransfer } from './transferHandlers.js';
+
+export const BULK_FILE_FORMATS = ['csv', 'xlsx'];
+export const MAX_BULK_FILE_SIZE = 1024 * 1024;
+
+const MIN_BANK_TRANSFER = 10000;
+const MAX_NOTE_LENGTH = 100;
+const SUMMARY_PREVIEW_ROWS = 10;
+
+// Header names accepted for each column, a file without headers uses this order
+const COLUMN_ALIASES = {
+  bank: ['bank', 'kode bank', 'kode_bank', 'bank code', 'bank_code'],
+  accountNumber: ['rekening', 'no rekening', 'nomor rekening', 'no_rekening', 'account', 'account number', 'account_number'],
+  amount: ['jumlah', 'nominal', 'amount'],
+  note: ['catatan', 'keterangan', 'note', 'notes']
+};
+
+const RESULT_LABELS = {
+  success: 'BERHASIL',
+  failed: 'GAGAL',
+  pending: 'TIDAK DIKETAHUI',
+  skipped: 'DILEWATI',
+  invalid: 'TIDAK VALID'
+};
+
+/**
+ * Read the bulk payout settings from the environment
+ * @returns {Object} maxRows per file
+ */
+export function getBulkPayoutSettings() {
+  const maxRows = parseInt(process.env.BULK_PAYOUT_MAX_ROWS || '100', 10);
+  return {
+    maxRows: Number.isFinite(maxRows) && maxRows > 0 ? maxRows : 100
+  };
+}
+
+/**
+ * Get the bulk file format from a document name
+ * @param {string} fileName - Uploaded document name
+ * @returns {string|null} 'csv', 'xlsx' or null if unsupported
+ */
+export function getBulkFileFormat(fileName) {
+  const extension = (fileName || '').split('.').pop().toLowerCase();
+  return BULK_FILE_FORMATS.includes(extension) ? extension : null;
+}
+
+/**
+ * Parse CSV text, detecting comma, semicolon or tab separators
+ * Spreadsheets in Indonesian locales save CSV with semicolons
+ * @param {string} text - CSV content
+ * @returns {Array} Rows of cell strings
+ */
+export function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = [';', '\t', ','].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Read the rows of an uploaded CSV or XLSX file, skipping empty rows
+ * @param {Buffer} buffer - File content
+ * @param {string} format - 'csv' or 'xlsx'
+ * @returns {Array} Rows of trimmed cell strings
+ */
+export async function readSpreadsheetRows(buffer, format) {
+  let rows;
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) {
+      throw new Error('File XLSX tidak memiliki sheet');
+    }
+
+    rows = [];
+    sheet.eachRow({ includeEmpty: false }, (sheetRow) => {
+      const cells = [];
+      for (let column = 1; column <= sheetRow.cellCount; column++) {
+        const cell = sheetRow.getCell(column);
+        // Numbers are read raw, cell.text would apply the sheet's display format
+        cells.push(typeof cell.value === 'number' ? String(cell.value) : cell.text);
+      }
+      rows.push(cells);
+    });
+  } else {
+    rows = parseCsv(buffer.toString('utf8'));
+  }
+
+  return rows
+    .map(cells => cells.map(cell => String(cell ?? '').trim()))
+    .filter(cells => cells.some(Boolean));
+}
+
+/**
+ * Parse a rupiah amount like 1500000, 1.500.000, 1,500,000, Rp 1.500.000 or 1500000.00
+ * @param {string} text - Amount text
+ * @returns {number|null} Amount or null if not a whole rupiah amount
+ */
+export function parseBulkAmount(text) {
+  const cleaned = (text || '').replace(/^rp\.?/i, '').replace(/\s/g, '');
+
+  if (/^\d{1,3}([.,]\d{3})+$/.test(cleaned)) {
+    return parseInt(cleaned.replace(/[.,]/g, ''), 10);
+  }
+
+  const match = /^(\d+)(?:[.,]0{1,2})?$/.exec(cleaned);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Work out which column holds which field from an optional header row
+ */
+function detectColumns(firstRow) {
+  const normalized = firstRow.map(cell => cell.toLowerCase());
+  const columns = {};
+
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const index = normalized.findIndex(cell => aliases.includes(cell));
+    if (index !== -1) columns[field] = index;
+  }
+
+  if (columns.bank !== undefined && columns.accountNumber !== undefined && columns.amount !== undefined) {
+    return { columns, hasHeader: true };
+  }
+
+  return { columns: { bank: 0, accountNumber: 1, amount: 2, note: 3 }, hasHeader: false };
+}
+
+/**
+ * Turn spreadsheet rows into payout rows and check their format
+ * @param {Array} sheetRows - Rows from readSpreadsheetRows
+ * @returns {Array} Payout rows with line, bank, accountNumber, amount, note and errors
+ */
+export function parseBulkRows(sheetRows) {
+  if (sheetRows.length === 0) {
+    throw new Error('File kosong');
+  }
+
+  const { columns, hasHeader } = detectColumns(sheetRows[0]);
+  const dataRows = hasHeader ? sheetRows.slice(1) : sheetRows;
+  const { maxRows } = getBulkPayoutSettings();
+
+  if (dataRows.length === 0) {
+    throw new Error('File tidak berisi baris transfer');
+  }
+  if (dataRows.length > maxRows) {
+    throw new Error(`File berisi ${dataRows.length} baris, maksimal ${maxRows} baris per file`);
+  }
+
+  const seen = new Map();
+
+  return dataRows.map((cells, index) => {
+    const line = index + (hasHeader ? 2 : 1);
+    const bank = cells[columns.bank] || '';
+    const accountNumber = (cells[columns.accountNumber] || '').replace(/[\s-]/g, '');
+    const amount = parseBulkAmount(cells[columns.amount]);
+    const note = columns.note !== undefined ? (cells[columns.note] || '').slice(0, MAX_NOTE_LENGTH) : '';
+    const errors = [];
+
+    if (!bank) {
+      errors.push('Bank kosong');
+    }
+    if (!/^\d{5,20}$/.test(accountNumber)) {
+      errors.push('Nomor rekening tidak valid');
+    }
+    if (amount === null) {
+      errors.push('Jumlah tidak valid');
+    } else if (amount < MIN_BANK_TRANSFER) {
+      errors.push(`Jumlah di bawah minimum ${formatCurrency(MIN_BANK_TRANSFER)}`);
+    } else if (requiresApproval(amount)) {
+      errors.push('Jumlah perlu persetujuan, kirim lewat /transfer');
+    }
+
+    // The same payout twice in one file is almost always a copy-paste mistake
+    const key = `${bank.toLowerCase()}|${accountNumber}|${amount}`;
+    if (seen.has(key)) {
+      errors.push(`Duplikat baris ${seen.get(key)}`);
+    } else {
+      seen.set(key, line);
+    }
+
+    return { line, bank, accountNumber, amount, note, errors };
+  });
+}
+
+/**
+ * Find a bank from getDanaBanks by code or name
+ * Exact instId or name matches win, otherwise the name must match one bank only
+ * @param {Array} banks - Banks from getDanaBanks
+ * @param {string} text - Bank code or name from the file
+ * @returns {Object} bank when found, otherwise error
+ */
+export function matchBank(banks, text) {
+  const term = text.trim().toLowerCase();
+  const bankName = (bank) => (bank.name || bank.instLocalName || '').toLowerCase();
+
+  const exact = banks.find(bank =>
+    bank.instId.toLowerCase() === term ||
+    bankName(bank) === term ||
+    (bank.instLocalName || '').toLowerCase() === term
+  );
+  if (exact) return { bank: exact };
+
+  const partial = banks.filter(bank => bankName(bank).includes(term) || bank.instId.toLowerCase().startsWith(term));
+  if (partial.length === 1) return { bank: partial[0] };
+
+  return {
+    error: partial.length === 0
+      ? `Bank "${text}" tidak ditemukan`
+      : `Bank "${text}" ambigu (${partial.slice(0, 3).map(bankName).join(', ')}...), gunakan kode bank`
+  };
+}
+
+/**
+ * Match every row to a bank and verify the account holder name with transferDanaBankInit
+ * @param {Object} sdk - SDK instance
+ * @param {string} accountId - Source DANA account
+ * @param {Array} rows - Rows from parseBulkRows
+ * @param {Array} banks - Banks from getDanaBanks
+ * @param {Function} [onProgress] - Called with (done, total) after each row
+ * @returns {Array} The rows with bankData and accountName, or more errors
+ */
+export async function verifyBulkRows(sdk, accountId, rows, banks, onProgress = null) {
+  for (const [index, row] of rows.entries()) {
+    if (row.errors.length === 0) {
+      const { bank, error } = matchBank(banks, row.bank);
+
+      if (error) {
+        row.errors.push(error);
+      } else {
+        row.bankData = {
+          instId: bank.instId,
+          name: bank.name,
+          instLocalName: bank.instLocalName,
+          payMethod: bank.payMethod,
+          payOption: bank.payOption
+        };
+
+        try {
+          const response = await sdk.transferDanaBankInit(accountId, {
+            accountNumber: row.accountNumber,
+            amount: row.amount,
+            instId: bank.instId,
+            instLocalName: bank.instLocalName,
+            payMethod: bank.payMethod,
+            payOption: bank.payOption
+          });
+
+          if (response.success) {
+            row.accountName = response.data?.accountName || null;
+          } else {
+            row.errors.push(response.message || response.error || 'Rekening tidak dapat diverifikasi');
+          }
+        } catch (error) {
+          logger.warn('bulk.verify', `Could not verify row ${row.line}`, { error: error.message });
+          row.errors.push('Rekening tidak dapat diverifikasi');
+        }
+      }
+    }
+
+    if (onProgress) await onProgress(index + 1, rows.length);
+  }
+
+  return rows;
+}
+
+/**
+ * Format the pre-flight summary of a verified batch (HTML)
+ * @param {Array} rows - Verified rows
+ * @param {boolean} requireTotp - Whether the user confirms with a 2FA code
+ * @returns {string} Summary message
+ */
+export function formatBulkSummary(rows, requireTotp) {
+  const valid = rows.filter(row => row.errors.length === 0);
+  const invalid = rows.filter(row => row.errors.length > 0);
+  const total = valid.reduce((sum, row) => sum + row.amount, 0);
+
+  let text = `📋 <b>Ringkasan Transfer Massal</b>\n\n`;
+  text += `✅ Siap dikirim: <b>${valid.length}</b> transfer\n`;
+  text += `💰 Total: <b>${formatCurrency(total)}</b>\n`;
+  text += `❌ Tidak valid: <b>${invalid.length}</b> baris\n`;
+
+  if (valid.length > 0) {
+    text += `\n<b>Transfer:</b>\n`;
+    text += valid.slice(0, SUMMARY_PREVIEW_ROWS)
+      .map(row => `${row.line}. ${escapeHtml(row.bankData.name || row.bankData.instLocalName)} ${escapeHtml(row.accountNumber)} - ${escapeHtml(row.accountName || '?')} - ${formatCurrency(row.amount)}`)
+      .join('\n');
+    if (valid.length > SUMMARY_PREVIEW_ROWS) {
+      text += `\n... dan ${valid.length - SUMMARY_PREVIEW_ROWS} lainnya`;
+    }
+    text += '\n';
+  }
+
+  if (invalid.length > 0) {
+    text += `\n<b>Tidak valid (tidak akan dikirim):</b>\n`;
+    text += invalid.slice(0, SUMMARY_PREVIEW_ROWS)
+      .map(row => `Baris ${row.line}: ${escapeHtml(row.errors.join(', '))}`)
+      .join('\n');
+    if (invalid.length > SUMMARY_PREVIEW_ROWS) {
+      text += `\n... dan ${invalid.length - SUMMARY_PREVIEW_ROWS} lainnya`;
+    }
+    text += '\n';
+  }
+
+  if (valid.length > 0) {
+    text += requireTotp
+      ? `\nMasukkan <b>kode 2FA</b> untuk mengirim ${valid.length} transfer atau ketik <b>BATAL</b>.`
+      : `\nKetik <b>KONFIRMASI</b> untuk mengirim ${valid.length} transfer atau <b>BATAL</b> untuk membatalkan.`;
+  }
+
+  return text;
+}
+
+/**
+ * Send the valid rows of a confirmed batch one by one
+ * Each row is verified again right before sending, and the batch stops when an outcome is unknown
+ * @param {Object} sdk - SDK instance
+ * @param {Object} db - SQLite database instance
+ * @param {Object} batch - userId, chatId, accountId and verified rows
+ * @param {Function} [onProgress] - Called with (done, total) after each sent row
+ * @returns {Array} Rows with status, transferId and error
+ */
+export async function executeBulkPayout(sdk, db, batch, onProgress = null) {
+  const { userId, chatId, accountId, rows } = batch;
+  const toSend = rows.filter(row => row.errors.length === 0);
+  let stopped = false;
+  let done = 0;
+
+  for (const row of rows) {
+    if (row.errors.length > 0) {
+      row.status = 'invalid';
+      row.error = row.errors.join(', ');
+      continue;
+    }
+
+    if (stopped) {
+      row.status = 'skipped';
+      row.error = 'Dihentikan karena transfer sebelumnya tidak diketahui statusnya';
+      continue;
+    }
+
+    try {
+      const response = await sdk.transferDanaBankInit(accountId, {
+        accountNumber: row.accountNumber,
+        amount: row.amount,
+        instId: row.bankData.instId,
+        instLocalName: row.bankData.instLocalName,
+        payMethod: row.bankData.payMethod,
+        payOption: row.bankData.payOption
+      });
+
+      if (!response.success) {
+        throw new Error(response.message || response.error || 'Gagal memverifikasi rekening tujuan');
+      }
+      if (row.accountName && response.data?.accountName && response.data.accountName !== row.accountName) {
+        throw new Error(`Nama penerima berubah menjadi ${response.data.accountName}`);
+      }
+
+      row.transferId = await executeDANABankTransfer(sdk, db, {
+        userId,
+        chatId,
+        accountId,
+        amount: row.amount,
+        bankAccountIndexNo: response.data?.bankAccountIndexNo,
+        accountNumber: row.accountNumber,
+        bankData: row.bankData,
+        accountName: response.data?.accountName || row.accountName
+      });
+      row.status = 'success';
+    } catch (error) {
+      row.error = error instanceof Error ? error.message : 'Unknown error';
+      row.transferId = error.transferId || null;
+
+      if (error.outcomeUnknown) {
+        row.status = 'pending';
+        stopped = true;
+      } else {
+        row.status = 'failed';
+      }
+
+      logger.error('bulk.execute', `Bulk payout row ${row.line} failed`, { error: row.error, status: row.status });
+    }
+
+    done++;
+    if (onProgress) await onProgress(done, toSend.length);
+  }
+
+  logger.info('bulk.execute', 'Bulk payout finished', {
+    accountId,
+    success: rows.filter(row => row.status === 'success').length,
+    failed: rows.filter(row => row.status !== 'success').length
+  });
+
+  return rows;
+}
+
+/**
+ * Build the result file of a finished batch in the format that was uploaded
+ * @param {Array} rows - Rows from executeBulkPayout
+ * @param {string} format - 'csv' or 'xlsx'
+ * @returns {Object} buffer and fileName
+ */
+export async function buildBulkResultFile(rows, format) {
+  const header = ['Baris', 'Bank', 'Rekening', 'Nama Penerima', 'Jumlah', 'Catatan', 'Status', 'ID Catatan', 'Keterangan'];
+  const values = rows.map(row => [
+    row.line,
+    row.bankData?.name || row.bankData?.instLocalName || row.bank,
+    row.accountNumber,
+    row.accountName || '',
+    row.amount ?? '',
+    row.note,
+    RESULT_LABELS[row.status] || row.status,
+    row.transferId || '',
+    row.error || ''
+  ]);
+  const fileName = `hasil-transfer-massal-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Hasil');
+    sheet.addRow(header).font = { bold: true };
+    // Banks, names and notes come from the uploaded file, so they cannot start a formula
+    values.forEach(value => sheet.addRow(value.map(neutralizeFormula)));
+    // Account numbers stay text so leading zeros survive
+    sheet.getColumn(3).numFmt = '@';
+    return { buffer: Buffer.from(await workbook.xlsx.writeBuffer()), fileName };
+  }
+
+  const csv = [header, ...values].map(formatCsvRow).join('\r\n');
+  return { buffer: Buffer.from(csv, 'utf8'), fileName };
+}
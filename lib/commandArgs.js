@@ -0,0 +1,205 @@
+// lib/commandArgs.js
+import { parseJakartaDate } from './utils.js';
+
+const AMOUNT_MULTIPLIERS = {
+  rb: 1000,
+  ribu: 1000,
+  k: 1000,
+  jt: 1000000,
+  juta: 1000000
+};
+
+/**
+ * Split command arguments into tokens
+ * Quotes keep words together ("transfer masuk"), and key=value or key:value become two tokens
+ * Phones often send typographic quotes, so those count as quotes too
+ * A quote only opens at the start of a word, so don't and Ma'ruf stay whole
+ * @param {string} text - Arguments, without the command itself
+ * @returns {Array} Tokens
+ * @throws {Error} When a quote is left open or a key=value has no value
+ */
+export function tokenizeCommandArgs(text) {
+  const input = String(text || '').replace(/[“”]/g, '"').replace(/[‘’]/g, "'");
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    if (/\s/.test(input[i])) {
+      i++;
+      continue;
+    }
+
+    let current = '';
+    let quoted = false;
+    let splitKey = null;
+
+    while (i < input.length && !/\s/.test(input[i])) {
+      const char = input[i];
+
+      if ((char === '"' || char === "'") && current === '' && !quoted) {
+        const end = input.indexOf(char, i + 1);
+        if (end === -1) {
+          throw new Error(`Tanda kutip ${char} tidak ditutup`);
+        }
+        current += input.slice(i + 1, end);
+        quoted = true;
+        i = end + 1;
+        continue;
+      }
+
+      // Only a plain word before the first = or : is a key, so times like 09:00 stay whole
+      if ((char === '=' || char === ':') && splitKey === null && !quoted && /^[a-z]+$/i.test(current)) {
+        splitKey = current;
+        current = '';
+        i++;
+        continue;
+      }
+
+      current += char;
+      i++;
+    }
+
+    if (splitKey !== null) {
+      if (current === '' && !quoted) {
+        throw new Error(`Filter "${splitKey}" memerlukan nilai`);
+      }
+      tokens.push(splitKey);
+    }
+    tokens.push(current);
+  }
+
+  return tokens;
+}
+
+/**
+ * Get the tokenized arguments of a command message
+ * @param {string} text - Full message text, e.g. '/mutasi search "transfer masuk"'
+ * @returns {Array} Tokens after the command
+ */
+export function getCommandArgs(text) {
+  return tokenizeCommandArgs(String(text || '').replace(/^\/\S+\s*/, ''));
+}
+
+/**
+ * Parse a rupiah amount written the way people type it
+ * Accepts 500000, 500.000, 1,000,000, Rp50.000, 500rb, 500k, 1.5jt and 1,5juta
+ * @param {string} text - Amount text
+ * @returns {number|null} Amount in rupiah, or null if not an amount
+ */
+export function parseAmountArg(text) {
+  const cleaned = String(text || '').toLowerCase().replace(/^rp\.?/, '').replace(/\s/g, '');
+
+  const shorthand = /^(\d+(?:[.,]\d+)?)(rb|ribu|k|jt|juta)$/.exec(cleaned);
+  if (shorthand) {
+    return Math.round(parseFloat(shorthand[1].replace(',', '.')) * AMOUNT_MULTIPLIERS[shorthand[2]]);
+  }
+
+  // Thousands separators must be used consistently, 1.000,000 is rejected
+  if (/^\d{1,3}([.,])\d{3}(\1\d{3})*$/.test(cleaned)) {
+    return parseInt(cleaned.replace(/[.,]/g, ''), 10);
+  }
+
+  return /^\d+$/.test(cleaned) ? parseInt(cleaned, 10) : null;
+}
+
+/**
+ * Value parser for a positive whole number, capped at max
+ * @param {number} [max] - Largest value, larger ones are lowered to it
+ * @returns {Function} Parser for parseCommandOptions
+ */
+export function positiveIntArg(max = Infinity) {
+  return (value, key) => {
+    if (!/^\d+$/.test(value) || parseInt(value, 10) === 0) {
+      throw new Error(`Nilai "${value}" untuk ${key} harus berupa angka positif`);
+    }
+    return Math.min(parseInt(value, 10), max);
+  };
+}
+
+/**
+ * Value parser for a rupiah amount, see parseAmountArg
+ */
+export function amountArg(value, key) {
+  const amount = parseAmountArg(value);
+  if (amount === null) {
+    throw new Error(`Jumlah "${value}" untuk ${key} tidak valid. Contoh: 500000, 500rb, 1.5jt`);
+  }
+  return amount;
+}
+
+/**
+ * Value parser for a YYYY-MM-DD date, kept as text so options stay serializable
+ */
+export function dateArg(value, key) {
+  if (!parseJakartaDate(value)) {
+    throw new Error(`Tanggal "${value}" untuk ${key} tidak valid. Gunakan format YYYY-MM-DD`);
+  }
+  return value;
+}
+
+/**
+ * Value parser for one of a fixed set of words, returned in lower case
+ * @param {Array} values - Allowed values
+ * @returns {Function} Parser for parseCommandOptions
+ */
+export function oneOfArg(values) {
+  return (value, key) => {
+    const normalized = value.toLowerCase();
+    if (!values.includes(normalized)) {
+      throw new Error(`Nilai "${value}" untuk ${key} tidak valid. Pilihan: ${values.join(', ')}`);
+    }
+    return normalized;
+  };
+}
+
+/**
+ * Value parser for free text
+ */
+export function textArg(value, key) {
+  if (value.trim() === '') {
+    throw new Error(`Filter "${key}" memerlukan nilai`);
+  }
+  return value;
+}
+
+/**
+ * Turn tokens into options following a spec
+ * Each spec entry is either a key followed by a value, with a parse function and an optional
+ * apply(options, value), or a standalone word with flag: true and apply(options, word)
+ * Without apply, the parsed value is stored under the entry's option name or the key itself
+ * @param {Array} tokens - Tokens from tokenizeCommandArgs
+ * @param {Object} spec - Accepted keys
+ * @param {Object} [defaults] - Starting options
+ * @returns {Object} Options
+ * @throws {Error} On unknown keys, missing values and invalid values, in Indonesian for the user
+ */
+export function parseCommandOptions(tokens, spec, defaults = {}) {
+  const options = { ...defaults };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const key = tokens[i].toLowerCase();
+    const rule = Object.prototype.hasOwnProperty.call(spec, key) ? spec[key] : null;
+
+    if (!rule) {
+      throw new Error(`Filter tidak dikenal: "${tokens[i]}"`);
+    }
+
+    if (rule.flag) {
+      rule.apply(options, key);
+      continue;
+    }
+
+    if (i + 1 >= tokens.length) {
+      throw new Error(`Filter "${key}" memerlukan nilai`);
+    }
+
+    const value = rule.parse(tokens[++i], key);
+    if (rule.apply) {
+      rule.apply(options, value);
+    } else {
+      options[rule.option || key] = value;
+    }
+  }
+
+  return options;
+}
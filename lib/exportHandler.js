@@ -0,0 +1,255 @@
+// lib/exportHandler.js
+import ExcelJS from 'exceljs';
+import PDFDocument from 'pdfkit';
+import { formatCurrency, formatCsvRow, formatJakartaDateTime, neutralizeFormula } from './utils.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+const TRANSACTION_HEADER = ['Tanggal', 'Akun', 'Penyedia', 'Deskripsi', 'Masuk', 'Keluar', 'ID'];
+
+/**
+ * Read the export settings from the environment
+ * @returns {Object} maxRows per export
+ */
+export function getExportSettings() {
+  const maxRows = parseInt(process.env.EXPORT_MAX_ROWS || '5000', 10);
+  return {
+    maxRows: Number.isFinite(maxRows) && maxRows > 0 ? maxRows : 5000
+  };
+}
+
+/**
+ * Key and display name of the account a mutation belongs to
+ */
+function getTransactionAccount(tx) {
+  return {
+    id: tx.account?.id || tx.accountId || 'unknown',
+    name: tx.account?.accountName || 'Akun Tidak Diketahui',
+    provider: tx.account?.provider?.code || '-'
+  };
+}
+
+/**
+ * Signed effect of a mutation on its account balance
+ */
+function getBalanceEffect(tx) {
+  return tx.type === 'CREDIT' ? Number(tx.amount) : -Number(tx.amount);
+}
+
+/**
+ * Total the mutations per account, with opening and closing balances when they can be worked out
+ * Balances are derived backwards from the current balance, so they are only shown when no
+ * filter hides mutations (type, amount or search filters would make them wrong)
+ * @param {Array} transactions - Mutations in the range
+ * @param {Array} newer - Mutations after the range
+ * @param {Array} accounts - Accounts from getAccounts, with current balances
+ * @param {boolean} withBalances - Whether balances can be derived
+ * @returns {Array} Per account id, name, provider, count, credit, debit, opening and closing
+ */
+export function summarizeByAccount(transactions, newer, accounts, withBalances) {
+  const summaries = new Map();
+
+  for (const tx of transactions) {
+    const account = getTransactionAccount(tx);
+    if (!summaries.has(account.id)) {
+      summaries.set(account.id, { ...account, count: 0, credit: 0, debit: 0, opening: null, closing: null });
+    }
+
+    const summary = summaries.get(account.id);
+    summary.count++;
+    if (tx.type === 'CREDIT') {
+      summary.credit += Number(tx.amount);
+    } else {
+      summary.debit += Number(tx.amount);
+    }
+  }
+
+  if (withBalances) {
+    for (const summary of summaries.values()) {
+      const account = accounts.find(item => item.id === summary.id);
+      if (!account || typeof account.balance !== 'number') continue;
+
+      const changedSince = newer
+        .filter(tx => getTransactionAccount(tx).id === summary.id)
+        .reduce((sum, tx) => sum + getBalanceEffect(tx), 0);
+
+      summary.closing = account.balance - changedSince;
+      summary.opening = summary.closing - summary.credit + summary.debit;
+    }
+  }
+
+  return [...summaries.values()];
+}
+
+/**
+ * One mutation as a row of cells
+ * Text from descriptions and account names cannot start a formula in CSV or XLSX
+ */
+function toTransactionRow(tx) {
+  const account = getTransactionAccount(tx);
+  return [
+    formatJakartaDateTime(tx.createdAt),
+    neutralizeFormula(account.name),
+    neutralizeFormula(account.provider),
+    neutralizeFormula(tx.description || ''),
+    tx.type === 'CREDIT' ? Number(tx.amount) : '',
+    tx.type === 'CREDIT' ? '' : Number(tx.amount),
+    tx.id || ''
+  ];
+}
+
+/**
+ * Build a CSV export
+ */
+function buildCsv(transactions) {
+  const lines = [TRANSACTION_HEADER, ...transactions.map(toTransactionRow)].map(formatCsvRow);
+  // The byte order mark makes Excel read the file as UTF-8
+  return Buffer.from(`\uFEFF${lines.join('\r\n')}`, 'utf8');
+}
+
+/**
+ * Build an XLSX export with a transactions sheet and a summary sheet
+ */
+async function buildXlsx(transactions, summaries) {
+  const workbook = new ExcelJS.Workbook();
+
+  const sheet = workbook.addWorksheet('Mutasi');
+  sheet.addRow(TRANSACTION_HEADER).font = { bold: true };
+  transactions.forEach(tx => sheet.addRow(toTransactionRow(tx)));
+  sheet.columns.forEach((column, index) => {
+    column.width = [18, 24, 10, 48, 14, 14, 24][index];
+  });
+  sheet.getColumn(5).numFmt = '#,##0';
+  sheet.getColumn(6).numFmt = '#,##0';
+
+  const summarySheet = workbook.addWorksheet('Ringkasan');
+  summarySheet.addRow(['Akun', 'Penyedia', 'Transaksi', 'Saldo Awal', 'Masuk', 'Keluar', 'Saldo Akhir']).font = { bold: true };
+  summaries.forEach(summary => summarySheet.addRow([
+    neutralizeFormula(summary.name),
+    neutralizeFormula(summary.provider),
+    summary.count,
+    summary.opening ?? '',
+    summary.credit,
+    summary.debit,
+    summary.closing ?? ''
+  ]));
+  [4, 5, 6, 7].forEach(column => {
+    summarySheet.getColumn(column).numFmt = '#,##0';
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Build a PDF statement with a summary per account followed by the mutations
+ */
+function buildPdf(transactions, summaries, meta) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const bottom = doc.page.height - doc.page.margins.bottom;
+
+    // Draw one table row at fixed column offsets, moving to a new page when full
+    const drawRow = (cells, widths, options = {}) => {
+      doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica');
+      const height = Math.max(...cells.map((cell, index) =>
+        doc.heightOfString(String(cell), { width: widths[index] - 4 })));
+
+      if (doc.y + height > bottom) {
+        doc.addPage();
+      }
+
+      const top = doc.y;
+      let x = left;
+      cells.forEach((cell, index) => {
+        doc.text(String(cell), x, top, {
+          width: widths[index] - 4,
+          align: options.align?.[index] || 'left'
+        });
+        x += widths[index];
+      });
+      doc.x = left;
+      doc.y = top + height + 4;
+    };
+
+    doc.font('Helvetica-Bold').fontSize(16).text('Laporan Mutasi Rekening');
+    doc.font('Helvetica').fontSize(9)
+      .text(`Periode: ${meta.period}`)
+      .text(`Filter: ${meta.filters || '-'}`)
+      .text(`Dibuat: ${formatJakartaDateTime(new Date())} WIB`);
+    if (meta.truncated) {
+      doc.text(`Catatan: hanya ${transactions.length} mutasi terbaru dalam periode yang dimuat.`);
+    }
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').fontSize(11).text('Ringkasan per Akun');
+    doc.moveDown(0.5);
+    doc.fontSize(8);
+    const summaryWidths = [130, 45, 85, 80, 80, 95];
+    const summaryAlign = ['left', 'right', 'right', 'right', 'right', 'right'];
+    drawRow(['Akun', 'Transaksi', 'Saldo Awal', 'Masuk', 'Keluar', 'Saldo Akhir'], summaryWidths, { bold: true, align: summaryAlign });
+    summaries.forEach(summary => drawRow([
+      `${summary.name} (${summary.provider})`,
+      summary.count,
+      summary.opening === null ? '-' : formatCurrency(summary.opening),
+      formatCurrency(summary.credit),
+      formatCurrency(summary.debit),
+      summary.closing === null ? '-' : formatCurrency(summary.closing)
+    ], summaryWidths, { align: summaryAlign }));
+
+    if (summaries.some(summary => summary.opening === null)) {
+      doc.moveDown(0.5).font('Helvetica').fontSize(7)
+        .text('Saldo awal dan akhir hanya dihitung tanpa filter tipe, jumlah atau pencarian, dari saldo akun saat ini.');
+    }
+
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(11).text('Mutasi');
+    doc.moveDown(0.5);
+    doc.fontSize(8);
+    const widths = [70, 100, 185, 80, 80];
+    const align = ['left', 'left', 'left', 'right', 'right'];
+    drawRow(['Tanggal', 'Akun', 'Deskripsi', 'Masuk', 'Keluar'], widths, { bold: true, align });
+
+    if (transactions.length === 0) {
+      doc.font('Helvetica').text('Tidak ada mutasi dalam periode ini.');
+    }
+
+    // Oldest first, the way a statement reads
+    [...transactions].reverse().forEach(tx => {
+      const account = getTransactionAccount(tx);
+      drawRow([
+        formatJakartaDateTime(tx.createdAt),
+        account.name,
+        tx.description || '-',
+        tx.type === 'CREDIT' ? formatCurrency(tx.amount) : '',
+        tx.type === 'CREDIT' ? '' : formatCurrency(tx.amount)
+      ], widths, { align });
+    });
+
+    doc.end();
+  });
+}
+
+/**
+ * Build the export document in the requested format
+ * @param {string} format - 'csv', 'xlsx' or 'pdf'
+ * @param {Object} data - transactions, summaries, and meta with period, filters and truncated
+ * @returns {Object} buffer and fileName
+ */
+export async function buildExportFile(format, { transactions, summaries, meta }) {
+  const fileName = `mutasi-${meta.fileLabel}.${format}`;
+
+  if (format === 'xlsx') {
+    return { buffer: await buildXlsx(transactions, summaries), fileName };
+  }
+  if (format === 'pdf') {
+    return { buffer: await buildPdf(transactions, summaries, meta), fileName };
+  }
+
+  return { buffer: buildCsv(transactions), fileName };
+}
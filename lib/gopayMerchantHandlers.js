@@ -0,0 +1,284 @@
+// lib/gopayMerchantHandlers.js
+import { logger } from './logger.js';
+import { updateSessionData } from './sessionUtils.js';
+
+/**
+ * Mask a merchant login identifier (email or phone) for logs and messages
+ * @param {string} loginId - Email or phone number
+ * @returns {string} Masked identifier
+ */
+function maskLoginId(loginId) {
+  if (!loginId) return 'unknown';
+  
+  if (loginId.includes('@')) {
+    const [name, domain] = loginId.split('@');
+    return `${name.slice(0, 2)}****@${domain}`;
+  }
+  
+  return `****${loginId.slice(-4)}`;
+}
+
+/**
+ * Build the outlet selection keyboard
+ * @param {Array} outlets - Outlets returned by the merchant login
+ * @returns {Array} Inline keyboard rows
+ */
+function buildOutletKeyboard(outlets) {
+  const keyboard = outlets.map((outlet, index) => [
+    {
+      text: `${outlet.name || outlet.outletName || 'Outlet'}${outlet.address ? ` - ${outlet.address.slice(0, 30)}` : ''}`,
+      callback_data: `gopay_outlet:${index}`
+    }
+  ]);
+  
+  keyboard.push([{ text: 'Batal', callback_data: 'cancel_add_wallet' }]);
+  return keyboard;
+}
+
+/**
+ * Start GoPay Merchant login by requesting an OTP
+ * @param {Object} ctx - Telegram context
+ * @param {Object} session - Session object
+ * @param {string} loginId - Merchant login email or phone number
+ * @param {Object} statusMsg - Status message object
+ * @param {Object} sdk - SDK instance
+ * @param {Object} sessionUpdater - Session updater functions
+ */
+export async function handleGoPayMerchantInitiation(ctx, session, loginId, statusMsg, sdk, sessionUpdater) {
+  const chatId = ctx.chat?.id.toString();
+  if (!chatId) {
+    throw new Error("Tidak dapat menentukan ID chat");
+  }
+  
+  const loginType = loginId.includes('@') ? 'EMAIL' : 'PHONE';
+  
+  logger.info('wallet.gopay.init', 'Initiating GoPay Merchant login', {
+    loginId: maskLoginId(loginId),
+    loginType
+  });
+  
+  try {
+    await ctx.telegram.editMessageText(
+      chatId,
+      statusMsg.message_id,
+      undefined,
+      `Meminta OTP GoPay Merchant ke ${loginType === 'EMAIL' ? 'email' : 'nomor telepon'} Anda... Mohon tunggu.`
+    );
+    
+    const response = await sdk.addAccount({
+      action: 'gopay-merchant-send-otp',
+      providerCode: 'GOPAY-MERCHANT',
+      loginType,
+      email: loginType === 'EMAIL' ? loginId : undefined,
+      phoneNumber: loginType === 'PHONE' ? loginId : undefined,
+      accountName: "Akun GoPay Merchant", // Temporary name, will update later
+      intervalMinutes: 1 // Default interval
+    });
+    
+    if (!response.success) {
+      logger.error('wallet.gopay.init', 'Failed to send OTP', {
+        message: response.message
+      });
+      throw new Error('Gagal mengirim OTP: ' + (response.message || 'Error tidak diketahui'));
+    }
+    
+    await updateSessionData(session, sessionUpdater, {
+      state: 'awaiting_gopay_otp',
+      data: {
+        loginId,
+        loginType,
+        sessionId: response.sessionId
+      }
+    });
+    
+    await ctx.telegram.editMessageText(
+      chatId,
+      statusMsg.message_id,
+      undefined,
+      `OTP GoPay Merchant telah dikirim ke ${maskLoginId(loginId)}.\n\nSilakan masukkan kode OTP yang Anda terima atau ketik /cancel untuk membatalkan.`
+    );
+    
+    logger.info('wallet.gopay.init', 'OTP requested successfully');
+  } catch (error) {
+    logger.error('wallet.gopay.init', 'Error initiating GoPay Merchant login', {
+      error: error instanceof Error ? error.message : 'Unknown error',
+      loginId: maskLoginId(loginId)
+    });
+    throw error;
+  }
+}
+
+/**
+ * Verify GoPay Merchant OTP and show the merchant outlets
+ * @param {Object} ctx - Telegram context
+ * @param {Object} session - Session object
+ * @param {string} otp - OTP code
+ * @param {Object} statusMsg - Status message object
+ * @param {Object} sdk - SDK instance
+ * @param {Object} sessionUpdater - Session updater functions
+ */
+export async function verifyGoPayMerchantOtp(ctx, session, otp, statusMsg, sdk, sessionUpdater) {
+  const chatId = ctx.chat?.id.toString();
+  if (!chatId) {
+    throw new Error("Tidak dapat menentukan ID chat");
+  }
+  
+  logger.info('wallet.gopay.otp', 'Verifying GoPay Merchant OTP');
+  
+  try {
+    await ctx.telegram.editMessageText(
+      chatId,
+      statusMsg.message_id,
+      undefined,
+      `Memverifikasi OTP dan memuat daftar outlet... Mohon tunggu.`
+    );
+    
+    const response = await sdk.verifyAccount({
+      action: 'gopay-merchant-verify-otp',
+      sessionId: session.data.sessionId,
+      otp
+    });
+    
+    if (!response.success) {
+      logger.error('wallet.gopay.otp', 'Failed to verify OTP', {
+        message: response.message
+      });
+      throw new Error('Gagal memverifikasi OTP: ' + (response.message || 'Error tidak diketahui'));
+    }
+    
+    const outlets = response.data?.outlets || response.outlets || [];
+    if (outlets.length === 0) {
+      throw new Error('Tidak ada outlet yang terhubung dengan akun merchant ini');
+    }
+    
+    // Keep only what is needed to finish the setup
+    const outletOptions = outlets.map(outlet => ({
+      id: outlet.id || outlet.outletId,
+      name: outlet.name || outlet.outletName,
+      address: outlet.address
+    }));
+    
+    await updateSessionData(session, sessionUpdater, {
+      state: 'selecting_gopay_outlet',
+      data: {
+        sessionId: response.sessionId || session.data.sessionId,
+        outlets: outletOptions
+      }
+    });
+    
+    await ctx.telegram.editMessageText(
+      chatId,
+      statusMsg.message_id,
+      undefined,
+      `✅ OTP terverifikasi.\n\nPilih outlet GoPay Merchant yang ingin ditambahkan (${outletOptions.length} outlet):`,
+      {
+        reply_markup: {
+          inline_keyboard: buildOutletKeyboard(outletOptions)
+        }
+      }
+    );
+    
+    logger.info('wallet.gopay.otp', 'OTP verification successful, awaiting outlet selection', {
+      outlets: outletOptions.length
+    });
+  } catch (error) {
+    logger.error('wallet.gopay.otp', 'Error verifying GoPay Merchant OTP', {
+      error: error instanceof Error ? error.message : 'Unknown error'
+    });
+    throw error;
+  }
+}
+
+/**
+ * Store the selected GoPay Merchant outlet and ask for an account name
+ * @param {Object} ctx - Telegram context
+ * @param {Object} session - Session object
+ * @param {number} outletIndex - Index of the selected outlet
+ * @param {Object} sessionUpdater - Session updater functions
+ */
+export async function selectGoPayMerchantOutlet(ctx, session, outletIndex, sessionUpdater) {
+  const outlets = session.data.outlets;
+  if (!Array.isArray(outlets) || !outlets[outletIndex]) {
+    throw new Error('Outlet tidak valid');
+  }
+  
+  const outlet = outlets[outletIndex];
+  
+  await updateSessionData(session, sessionUpdater, {
+    state: 'awaiting_gopay_name',
+    data: {
+      outletId: outlet.id,
+      outletName: outlet.name
+    }
+  });
+  
+  await ctx.editMessageText(`Outlet dipilih: ${outlet.name}`);
+  await ctx.reply(`Silakan masukkan nama untuk akun GoPay Merchant ini (contoh: "${outlet.name || 'GoPay Toko'}"):`);
+  
+  logger.info('wallet.gopay.outlet', 'Outlet selected', { outletId: outlet.id });
+}
+
+/**
+ * Complete GoPay Merchant setup
+ * @param {Object} ctx - Telegram context
+ * @param {Object} session - Session object
+ * @param {string} accountName - Account name
+ * @param {Object} statusMsg - Status message object
+ * @param {Object} sdk - SDK instance
+ * @param {Object} sessionUpdater - Session updater functions
+ */
+export async function completeGoPayMerchantSetup(ctx, session, accountName, statusMsg, sdk, sessionUpdater) {
+  const chatId = ctx.chat?.id.toString();
+  if (!chatId) {
+    throw new Error("Tidak dapat menentukan ID chat");
+  }
+  
+  const { sessionId, outletId, outletName, loginId } = session.data;
+  
+  logger.info('wallet.gopay.complete', 'Completing GoPay Merchant setup', {
+    accountName,
+    outletId,
+    loginId: maskLoginId(loginId)
+  });
+  
+  try {
+    await ctx.telegram.editMessageText(
+      chatId,
+      statusMsg.message_id,
+      undefined,
+      `Menyiapkan akun GoPay Merchant Anda... Mohon tunggu.`
+    );
+    
+    const response = await sdk.verifyAccount({
+      action: 'gopay-merchant-select-outlet',
+      sessionId,
+      outletId,
+      accountName
+    });
+    
+    if (!response.success) {
+      logger.error('wallet.gopay.complete', 'Failed to complete setup', {
+        message: response.message
+      });
+      throw new Error('Gagal menyiapkan akun: ' + (response.message || 'Error tidak diketahui'));
+    }
+    
+    await ctx.telegram.editMessageText(
+      chatId,
+      statusMsg.message_id,
+      undefined,
+      `✅ Akun GoPay Merchant Anda telah berhasil ditambahkan!\n\nNama akun: ${accountName}\nOutlet: ${outletName || '-'}\nLogin: ${maskLoginId(loginId)}\n\nMutasi QRIS outlet ini akan muncul di /mutasi.`
+    );
+    
+    if (sessionUpdater && typeof sessionUpdater.deleteSession === 'function') {
+      await sessionUpdater.deleteSession(session.id);
+    }
+    
+    logger.info('wallet.gopay.complete', 'GoPay Merchant setup completed successfully');
+  } catch (error) {
+    logger.error('wallet.gopay.complete', 'Error completing GoPay Merchant setup', {
+      error: error instanceof Error ? error.message : 'Unknown error'
+    });
+    throw error;
+  }
+}
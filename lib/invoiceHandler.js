@@ -0,0 +1,354 @@
+// lib/invoiceHandler.js
+import crypto from 'crypto';
+import { logger } from './logger.js';
+import { formatCurrency, formatJakartaDateTime, startOfJakartaDay, parseJakartaDate, escapeHtml } from './utils.js';
+import { getUser, hasRequiredRole } from './userHandler.js';
+
+export const INVOICE_STATUSES = ['open', 'paid', 'expired'];
+
+// Indonesian and English words accepted by /invoice list
+export const INVOICE_STATUS_ALIASES = {
+  open: 'open',
+  terbuka: 'open',
+  paid: 'paid',
+  lunas: 'paid',
+  expired: 'expired',
+  kedaluwarsa: 'expired'
+};
+
+export const MAX_OPEN_INVOICES_PER_CHAT = 200;
+export const MAX_CUSTOMER_LENGTH = 64;
+
+// Incoming transactions fetched per account and check
+const INVOICE_FETCH_LIMIT = 100;
+
+// Mutations can show up a while after the payment, so invoices stay matchable for an hour past due
+const INVOICE_LATE_MATCH_MS = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read the invoice settings from the environment
+ * @returns {Object} intervalSeconds between checks, defaultDueDays and uniqueCodeMax
+ */
+export function getInvoiceSettings() {
+  const intervalSeconds = parseInt(process.env.INVOICE_INTERVAL_SECONDS || '60', 10);
+  const defaultDueDays = parseInt(process.env.INVOICE_DEFAULT_DUE_DAYS || '7', 10);
+  const uniqueCodeMax = parseInt(process.env.INVOICE_UNIQUE_CODE_MAX || '999', 10);
+
+  return {
+    intervalSeconds: Number.isFinite(intervalSeconds) && intervalSeconds > 0 ? intervalSeconds : 60,
+    defaultDueDays: Number.isFinite(defaultDueDays) && defaultDueDays >= 0 ? defaultDueDays : 7,
+    uniqueCodeMax: Number.isFinite(uniqueCodeMax) && uniqueCodeMax > 0 ? uniqueCodeMax : 999
+  };
+}
+
+/**
+ * Work out when an invoice is due: the end of the given day in Jakarta, or the default days from today
+ * @param {string} [due] - Due date as YYYY-MM-DD
+ * @param {Date} [now] - Current time
+ * @returns {number} Last millisecond of the due day
+ * @throws {Error} When the date has already passed
+ */
+export function getInvoiceDueAt(due, now = new Date()) {
+  const start = due
+    ? parseJakartaDate(due)
+    : new Date(startOfJakartaDay(now).getTime() + getInvoiceSettings().defaultDueDays * DAY_MS);
+  const dueAt = start.getTime() + DAY_MS - 1;
+
+  if (dueAt < now.getTime()) {
+    throw new Error(`Tanggal jatuh tempo ${due} sudah lewat`);
+  }
+  return dueAt;
+}
+
+/**
+ * Whether two invoices could be paid into the same account
+ */
+function sharesAccount(a, b) {
+  return !a.accountId || !b.accountId || a.accountId === b.accountId;
+}
+
+/**
+ * Pick a unique code so the amount differs from every open invoice on the same account
+ */
+async function pickUniqueCode(db, invoice) {
+  const { uniqueCodeMax } = getInvoiceSettings();
+  const open = (await db.all("SELECT amount, accountId FROM invoices WHERE status = 'open'"))
+    .filter(other => sharesAccount(other, invoice));
+  const taken = new Set(open.map(other => other.amount));
+
+  const free = [];
+  for (let code = 1; code <= uniqueCodeMax; code++) {
+    if (!taken.has(invoice.baseAmount + code)) free.push(code);
+  }
+  if (free.length === 0) {
+    throw new Error('Tidak ada kode unik yang tersedia untuk jumlah ini. Coba lagi setelah tagihan lain lunas atau kedaluwarsa.');
+  }
+
+  return free[crypto.randomInt(free.length)];
+}
+
+/**
+ * Store a new open invoice
+ * @param {Object} db - SQLite database instance
+ * @param {Object} invoice - chatId, createdBy, customer, baseAmount, dueAt, accountId and uniqueCode (boolean)
+ * @returns {Object} The saved invoice and duplicates, the other open invoices it could be confused with
+ */
+export async function createInvoice(db, invoice) {
+  const openCount = await db.get(
+    "SELECT COUNT(*) AS count FROM invoices WHERE chatId = ? AND status = 'open'",
+    invoice.chatId
+  );
+  if (openCount.count >= MAX_OPEN_INVOICES_PER_CHAT) {
+    throw new Error(`Maksimal ${MAX_OPEN_INVOICES_PER_CHAT} tagihan terbuka per chat`);
+  }
+
+  const uniqueCode = invoice.uniqueCode ? await pickUniqueCode(db, invoice) : 0;
+  const amount = invoice.baseAmount + uniqueCode;
+
+  const result = await db.run(
+    `INSERT INTO invoices (
+       chatId, createdBy, customer, accountId, baseAmount, uniqueCode, amount, dueAt, status, createdAt
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'open', ?)`,
+    invoice.chatId,
+    invoice.createdBy,
+    invoice.customer,
+    invoice.accountId || null,
+    invoice.baseAmount,
+    uniqueCode,
+    amount,
+    invoice.dueAt,
+    Date.now()
+  );
+
+  logger.info('invoice.create', `Invoice ${result.lastID} created by ${invoice.createdBy}`, {
+    chatId: invoice.chatId,
+    amount
+  });
+
+  const saved = await db.get('SELECT * FROM invoices WHERE id = ?', result.lastID);
+  const duplicates = (await db.all(
+    "SELECT * FROM invoices WHERE status = 'open' AND amount = ? AND id != ?",
+    amount,
+    saved.id
+  )).filter(other => sharesAccount(other, saved));
+
+  return { invoice: saved, duplicates };
+}
+
+/**
+ * List the invoices of a chat, newest first
+ * @param {Object} db - SQLite database instance
+ * @param {string} chatId - Chat ID
+ * @param {string} status - 'open', 'paid' or 'expired'
+ * @param {number} limit - Maximum number of invoices
+ * @returns {Promise<Array>} Invoices
+ */
+export async function listInvoices(db, chatId, status, limit) {
+  return db.all(
+    'SELECT * FROM invoices WHERE chatId = ? AND status = ? ORDER BY id DESC LIMIT ?',
+    chatId,
+    status,
+    limit
+  );
+}
+
+/**
+ * Delete an open invoice of a chat
+ * @param {Object} db - SQLite database instance
+ * @param {string} chatId - Chat ID, invoices of other chats cannot be deleted
+ * @param {number} id - Invoice ID
+ * @returns {Promise<boolean>} Whether an invoice was deleted
+ */
+export async function cancelInvoice(db, chatId, id) {
+  const result = await db.run(
+    "DELETE FROM invoices WHERE id = ? AND chatId = ? AND status = 'open'",
+    id,
+    chatId
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Describe an invoice in one line
+ * @param {Object} invoice - Invoice row
+ * @returns {string} HTML description
+ */
+export function describeInvoice(invoice) {
+  const amount = invoice.uniqueCode
+    ? `${formatCurrency(invoice.amount)} (kode unik ${invoice.uniqueCode})`
+    : formatCurrency(invoice.amount);
+  const dueDate = formatJakartaDateTime(invoice.dueAt).slice(0, 10);
+
+  const state = {
+    open: `jatuh tempo ${dueDate}`,
+    paid: `lunas ${formatJakartaDateTime(invoice.paidAt)} WIB`,
+    expired: `kedaluwarsa ${dueDate}`
+  }[invoice.status];
+
+  return `#${invoice.id} <b>${escapeHtml(invoice.customer)}</b> - ${amount} - ${state}`;
+}
+
+/**
+ * Account a mutation was received on
+ */
+function getTransactionAccountId(tx) {
+  return tx.account?.id || tx.accountId || null;
+}
+
+/**
+ * Fetch the latest incoming mutations for the accounts the open invoices are paid into
+ * Invoices without an account need every account, so then all mutations are fetched at once
+ * @returns {Array|null} Incoming mutations, oldest first, or null if fetching failed
+ */
+async function fetchIncomingTransactions(sdk, invoices) {
+  const accountIds = invoices.some(invoice => !invoice.accountId)
+    ? [null]
+    : [...new Set(invoices.map(invoice => invoice.accountId))];
+
+  const transactions = [];
+  for (const accountId of accountIds) {
+    try {
+      const response = await sdk.getMutasi({
+        limit: INVOICE_FETCH_LIMIT,
+        page: 1,
+        type: 'CREDIT',
+        ...(accountId ? { accountId } : {})
+      });
+
+      if (response.status !== 'success') {
+        logger.warn('invoice.check', 'Failed to fetch transactions', { accountId, message: response.message });
+        return null;
+      }
+      transactions.push(...(response.data || []));
+    } catch (error) {
+      logger.error('invoice.check', 'Error fetching transactions', {
+        accountId,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+      return null;
+    }
+  }
+
+  // The type filter is applied here too, in case the API ignores it
+  return transactions
+    .filter(tx => tx.type === 'CREDIT')
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+/**
+ * Tell the creator of an invoice that it was paid, if they still have access
+ */
+async function notifyInvoicePaid(bot, db, invoice, tx) {
+  const creator = await getUser(db, invoice.createdBy);
+  if (!creator || !hasRequiredRole(creator.role, 'viewer')) return;
+
+  const account = tx.account?.accountName
+    ? `${tx.account.accountName} (${tx.account.provider?.code || '-'})`
+    : getTransactionAccountId(tx) || '-';
+
+  const message = [
+    `✅ <b>Tagihan #${invoice.id} Lunas</b>`,
+    '',
+    `👤 Pelanggan: <b>${escapeHtml(invoice.customer)}</b>`,
+    `💰 Jumlah: <b>${formatCurrency(invoice.amount)}</b>`,
+    `🏦 Akun: ${escapeHtml(account)}`,
+    `📝 Mutasi: ${escapeHtml(tx.description || '-')}`,
+    `📅 Diterima: ${formatJakartaDateTime(tx.createdAt)} WIB`
+  ].join('\n');
+
+  try {
+    await bot.telegram.sendMessage(invoice.createdBy, message, { parse_mode: 'HTML' });
+  } catch (error) {
+    logger.error('invoice.notify', 'Failed to notify invoice creator', {
+      invoiceId: invoice.id,
+      error: error instanceof Error ? error.message : 'Unknown error'
+    });
+  }
+}
+
+/**
+ * Match open invoices against incoming mutations, then expire the overdue ones
+ * An invoice is paid by a mutation of exactly its amount, on its account if it has one, received
+ * between its creation and due date. When several invoices fit one mutation, the oldest is paid,
+ * and a mutation never pays more than one invoice. Invoices tied to an account are matched first,
+ * since the others can still be paid by a mutation on any account
+ * @param {Object} bot - Telegraf bot instance
+ * @param {Object} sdk - Mutasiku SDK instance
+ * @param {Object} db - SQLite database instance
+ */
+export async function checkInvoices(bot, sdk, db) {
+  const now = Date.now();
+  const invoices = await db.all(
+    "SELECT * FROM invoices WHERE status = 'open' ORDER BY accountId IS NULL, id ASC"
+  );
+
+  if (invoices.length > 0) {
+    const transactions = await fetchIncomingTransactions(sdk, invoices);
+
+    for (const invoice of transactions ? invoices : []) {
+      for (const tx of transactions) {
+        const receivedAt = new Date(tx.createdAt).getTime();
+        if (Number(tx.amount) !== invoice.amount) continue;
+        if (receivedAt < invoice.createdAt || receivedAt > invoice.dueAt) continue;
+        if (invoice.accountId && getTransactionAccountId(tx) !== invoice.accountId) continue;
+
+        // transactionId is unique, so a mutation already used by another invoice is skipped here
+        const result = await db.run(
+          `UPDATE invoices SET status = 'paid', paidAt = ?, transactionId = ?, paidAccountId = ?
+           WHERE id = ? AND status = 'open'
+             AND NOT EXISTS (SELECT 1 FROM invoices WHERE transactionId = ?)`,
+          receivedAt,
+          String(tx.id),
+          getTransactionAccountId(tx),
+          invoice.id,
+          String(tx.id)
+        );
+        if (result.changes === 0) continue;
+
+        logger.info('invoice.paid', `Invoice ${invoice.id} paid`, { transactionId: tx.id, amount: invoice.amount });
+        await notifyInvoicePaid(bot, db, { ...invoice, paidAt: receivedAt }, tx);
+        break;
+      }
+    }
+  }
+
+  const expired = await db.run(
+    "UPDATE invoices SET status = 'expired' WHERE status = 'open' AND dueAt < ?",
+    now - INVOICE_LATE_MATCH_MS
+  );
+  if (expired.changes > 0) {
+    logger.info('invoice.expire', `${expired.changes} invoices expired`);
+  }
+}
+
+/**
+ * Start the background job that matches invoices with incoming mutations
+ * @param {Object} bot - Telegraf bot instance
+ * @param {Object} sdk - Mutasiku SDK instance
+ * @param {Object} db - SQLite database instance
+ * @returns {Object} Interval handle
+ */
+export function startInvoiceWatcher(bot, sdk, db) {
+  const { intervalSeconds } = getInvoiceSettings();
+  let running = false;
+
+  logger.info('invoice.init', `Invoice watcher started, checking every ${intervalSeconds} seconds`);
+
+  return setInterval(async () => {
+    // Skip a tick if the previous check is still running
+    if (running) return;
+    running = true;
+
+    try {
+      await checkInvoices(bot, sdk, db);
+    } catch (error) {
+      logger.error('invoice.check', 'Error checking invoices', {
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    } finally {
+      running = false;
+    }
+  }, intervalSeconds * 1000);
+}
@@ -0,0 +1,250 @@
+// lib/limitsHandler.js
+import { logger } from './logger.js';
+import { formatCurrency, startOfJakartaDay, startOfJakartaMonth } from './utils.js';
+
+export const LIMIT_SCOPES = ['user', 'account'];
+
+// Short names used by /limits set, mapped to the transfer_limits columns
+export const LIMIT_FIELDS = {
+  max: 'maxPerTransaction',
+  daily: 'dailyAmount',
+  monthly: 'monthlyAmount',
+  count: 'dailyCount'
+};
+
+const SCOPE_LABELS = {
+  user: 'pengguna',
+  account: 'akun DANA'
+};
+
+/**
+ * Read a limit from the environment, where 0 or empty means no limit
+ */
+function readLimitEnv(name) {
+  const value = parseInt(process.env[name] || '0', 10);
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+/**
+ * Get the default limits for a scope from the environment
+ * @param {string} scope - 'user' or 'account'
+ * @returns {Object} Limits, null meaning unlimited
+ */
+export function getDefaultLimits(scope) {
+  const prefix = scope === 'user' ? 'TRANSFER_USER' : 'TRANSFER_ACCOUNT';
+
+  return {
+    maxPerTransaction: readLimitEnv('TRANSFER_MAX_PER_TRANSACTION'),
+    dailyAmount: readLimitEnv(`${prefix}_DAILY_LIMIT`),
+    monthlyAmount: readLimitEnv(`${prefix}_MONTHLY_LIMIT`),
+    dailyCount: readLimitEnv(`${prefix}_DAILY_COUNT`)
+  };
+}
+
+/**
+ * Get the limits that apply to a user or account, overrides first then defaults
+ * @param {Object} db - SQLite database instance
+ * @param {string} scope - 'user' or 'account'
+ * @param {string} targetId - Telegram user ID or Mutasiku account ID
+ * @returns {Object} Limits, null meaning unlimited
+ */
+export async function getEffectiveLimits(db, scope, targetId) {
+  const defaults = getDefaultLimits(scope);
+  const override = await db.get(
+    'SELECT * FROM transfer_limits WHERE scope = ? AND targetId = ?',
+    scope,
+    targetId
+  );
+
+  if (!override) return defaults;
+
+  // A stored 0 switches a default limit off for this target
+  const limits = {};
+  for (const column of Object.values(LIMIT_FIELDS)) {
+    const value = override[column];
+    limits[column] = value === null ? defaults[column] : (value > 0 ? value : null);
+  }
+
+  return limits;
+}
+
+/**
+ * Get today's and this month's transfer usage from the ledger, in Asia/Jakarta time
+ * Pending transfers count too, their outcome is not known yet. Owners settle them
+ * with /limits resolve once checked, which frees the quota of failed ones
+ * @param {Object} db - SQLite database instance
+ * @param {string} scope - 'user' or 'account'
+ * @param {string} targetId - Telegram user ID or Mutasiku account ID
+ * @param {Date} [now] - Reference time
+ * @returns {Object} Daily amount, monthly amount, daily count and pending count
+ */
+export async function getTransferUsage(db, scope, targetId, now = new Date()) {
+  const column = scope === 'user' ? 'userId' : 'accountId';
+  const dayStart = startOfJakartaDay(now).getTime();
+  const monthStart = startOfJakartaMonth(now).getTime();
+
+  const row = await db.get(
+    `SELECT
+       COALESCE(SUM(CASE WHEN createdAt >= ? THEN amount END), 0) AS dailyAmount,
+       COALESCE(SUM(amount), 0) AS monthlyAmount,
+       COUNT(CASE WHEN createdAt >= ? THEN 1 END) AS dailyCount,
+       COUNT(CASE WHEN status = 'pending' THEN 1 END) AS pendingCount
+     FROM transfers
+     WHERE ${column} = ? AND createdAt >= ? AND status IN ('pending', 'success')`,
+    dayStart,
+    dayStart,
+    targetId,
+    monthStart
+  );
+
+  return {
+    dailyAmount: row?.dailyAmount || 0,
+    monthlyAmount: row?.monthlyAmount || 0,
+    dailyCount: row?.dailyCount || 0,
+    pendingCount: row?.pendingCount || 0
+  };
+}
+
+/**
+ * Check a transfer against one scope's limits
+ */
+async function checkScope(db, scope, targetId, amount) {
+  const limits = await getEffectiveLimits(db, scope, targetId);
+  const label = SCOPE_LABELS[scope];
+
+  if (limits.maxPerTransaction && amount > limits.maxPerTransaction) {
+    return `Jumlah melebihi batas per transaksi ${label} (${formatCurrency(limits.maxPerTransaction)}).`;
+  }
+
+  if (!limits.dailyAmount && !limits.monthlyAmount && !limits.dailyCount) {
+    return null;
+  }
+
+  const usage = await getTransferUsage(db, scope, targetId);
+
+  if (limits.dailyCount && usage.dailyCount >= limits.dailyCount) {
+    return `Batas jumlah transfer harian ${label} sudah tercapai (${limits.dailyCount} transaksi). Coba lagi besok.`;
+  }
+
+  if (limits.dailyAmount && usage.dailyAmount + amount > limits.dailyAmount) {
+    const remaining = Math.max(limits.dailyAmount - usage.dailyAmount, 0);
+    return `Batas transfer harian ${label} terlampaui. Sisa hari ini: ${formatCurrency(remaining)}.`;
+  }
+
+  if (limits.monthlyAmount && usage.monthlyAmount + amount > limits.monthlyAmount) {
+    const remaining = Math.max(limits.monthlyAmount - usage.monthlyAmount, 0);
+    return `Batas transfer bulanan ${label} terlampaui. Sisa bulan ini: ${formatCurrency(remaining)}.`;
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a transfer fits the user's and the account's limits
+ * @param {Object} db - SQLite database instance
+ * @param {Object} transfer - userId, accountId and amount
+ * @returns {Object} Whether the transfer is allowed and, if not, why
+ */
+export async function checkTransferLimits(db, { userId, accountId, amount }) {
+  const checks = [['user', userId], ['account', accountId]];
+
+  for (const [scope, targetId] of checks) {
+    if (!targetId) continue;
+
+    const message = await checkScope(db, scope, targetId, amount);
+    if (message) {
+      logger.warn('limits.check', 'Transfer rejected by limits', { scope, targetId, amount });
+      return { allowed: false, message };
+    }
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Throw if a transfer does not fit the limits, for use right before an SDK call
+ * @param {Object} db - SQLite database instance
+ * @param {Object} transfer - userId, accountId and amount
+ */
+export async function assertTransferAllowed(db, transfer) {
+  const result = await checkTransferLimits(db, transfer);
+  if (!result.allowed) {
+    throw new Error(result.message);
+  }
+}
+
+/**
+ * Override one limit for a user or account
+ * @param {Object} db - SQLite database instance
+ * @param {string} scope - 'user' or 'account'
+ * @param {string} targetId - Telegram user ID or Mutasiku account ID
+ * @param {string} field - Short field name from LIMIT_FIELDS
+ * @param {number|null} value - New limit, 0 for unlimited, null to use the default again
+ * @param {string} updatedBy - Owner making the change
+ */
+export async function setTransferLimit(db, scope, targetId, field, value, updatedBy) {
+  const column = LIMIT_FIELDS[field];
+  if (!LIMIT_SCOPES.includes(scope) || !column) {
+    throw new Error(`Invalid limit ${scope}.${field}`);
+  }
+
+  await db.run(
+    `INSERT INTO transfer_limits (scope, targetId, ${column}, updatedBy, updatedAt)
+     VALUES (?, ?, ?, ?, ?)
+     ON CONFLICT(scope, targetId) DO UPDATE SET
+       ${column} = excluded.${column},
+       updatedBy = excluded.updatedBy,
+       updatedAt = excluded.updatedAt`,
+    scope,
+    targetId,
+    value,
+    updatedBy,
+    Date.now()
+  );
+
+  logger.info('limits.update', `Limit ${field} for ${scope} ${targetId} set to ${value} by ${updatedBy}`);
+}
+
+/**
+ * Remove all overrides for a user or account
+ * @param {Object} db - SQLite database instance
+ * @param {string} scope - 'user' or 'account'
+ * @param {string} targetId - Telegram user ID or Mutasiku account ID
+ * @returns {boolean} Whether there was anything to remove
+ */
+export async function resetTransferLimits(db, scope, targetId) {
+  const result = await db.run(
+    'DELETE FROM transfer_limits WHERE scope = ? AND targetId = ?',
+    scope,
+    targetId
+  );
+
+  return result.changes > 0;
+}
+
+/**
+ * Format limits and remaining allowance for one user or account
+ * @param {string} title - Section heading
+ * @param {Object} limits - Effective limits
+ * @param {Object} usage - Current usage
+ * @returns {string} Formatted section
+ */
+export function formatLimitSection(title, limits, usage) {
+  const formatAmount = (limit, used) => limit
+    ? `${formatCurrency(used)} / ${formatCurrency(limit)} (sisa ${formatCurrency(Math.max(limit - used, 0))})`
+    : `${formatCurrency(used)} / tanpa batas`;
+
+  const lines = [
+    `<b>${title}</b>`,
+    `• Per transaksi: ${limits.maxPerTransaction ? formatCurrency(limits.maxPerTransaction) : 'tanpa batas'}`,
+    `• Harian: ${formatAmount(limits.dailyAmount, usage.dailyAmount)}`,
+    `• Bulanan: ${formatAmount(limits.monthlyAmount, usage.monthlyAmount)}`,
+    `• Transaksi hari ini: ${usage.dailyCount}${limits.dailyCount ? ` / ${limits.dailyCount}` : ''}`
+  ];
+
+  if (usage.pendingCount > 0) {
+    lines.push(`• ⏳ ${usage.pendingCount} transfer berstatus pending ikut dihitung, periksa di /history`);
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,218 @@
+// lib/notificationHandler.js
+import { logger } from './logger.js';
+import { formatTransactionNotification } from './accountHandler.js';
+
+/**
+ * Get notification settings for a chat
+ * @param {Object} db - SQLite database instance
+ * @param {string} chatId - Chat ID
+ * @returns {Object} Whether notifications are enabled and the opted-in account IDs
+ */
+export async function getNotificationSettings(db, chatId) {
+  const subscription = await db.get(
+    'SELECT enabled FROM notification_subscriptions WHERE chatId = ?',
+    chatId
+  );
+  const accounts = await db.all(
+    'SELECT accountId FROM notification_accounts WHERE chatId = ? AND enabled = 1',
+    chatId
+  );
+  
+  return {
+    enabled: subscription?.enabled === 1,
+    accountIds: accounts.map(row => row.accountId)
+  };
+}
+
+/**
+ * Turn notifications on or off for a chat
+ * @param {Object} db - SQLite database instance
+ * @param {string} chatId - Chat ID
+ * @param {boolean} enabled - New state
+ */
+export async function setNotificationsEnabled(db, chatId, enabled) {
+  const now = Date.now();
+  
+  await db.run(
+    `INSERT INTO notification_subscriptions (chatId, enabled, createdAt, updatedAt)
+     VALUES (?, ?, ?, ?)
+     ON CONFLICT(chatId) DO UPDATE SET enabled = excluded.enabled, updatedAt = excluded.updatedAt`,
+    chatId,
+    enabled ? 1 : 0,
+    now,
+    now
+  );
+  
+  logger.info('notify.settings', `Notifications ${enabled ? 'enabled' : 'disabled'} for chat ${chatId}`);
+}
+
+/**
+ * Opt an account in or out of notifications for a chat
+ * @param {Object} db - SQLite database instance
+ * @param {string} chatId - Chat ID
+ * @param {string} accountId - Mutasiku account ID
+ * @param {boolean} enabled - New state
+ */
+export async function setAccountNotification(db, chatId, accountId, enabled) {
+  const now = Date.now();
+  
+  // lastSeenId is reset so that opting in again does not replay everything missed meanwhile
+  await db.run(
+    `INSERT INTO notification_accounts (chatId, accountId, enabled, lastSeenId, lastSeenAt, updatedAt)
+     VALUES (?, ?, ?, NULL, NULL, ?)
+     ON CONFLICT(chatId, accountId) DO UPDATE SET
+       enabled = excluded.enabled,
+       lastSeenId = NULL,
+       lastSeenAt = NULL,
+       updatedAt = excluded.updatedAt`,
+    chatId,
+    accountId,
+    enabled ? 1 : 0,
+    now
+  );
+  
+  logger.info('notify.settings', `Account ${accountId} ${enabled ? 'opted in' : 'opted out'} for chat ${chatId}`);
+}
+
+/**
+ * Pick the transactions newer than the last one seen, oldest first
+ * @param {Array} transactions - Transactions, newest first
+ * @param {Object} subscription - Row with lastSeenId and lastSeenAt
+ * @returns {Array} New transactions
+ */
+function getNewTransactions(transactions, subscription) {
+  const newTransactions = [];
+  
+  for (const tx of transactions) {
+    if (tx.id === subscription.lastSeenId) break;
+    if (subscription.lastSeenAt && new Date(tx.createdAt).getTime() < subscription.lastSeenAt) break;
+    newTransactions.push(tx);
+  }
+  
+  return newTransactions.reverse();
+}
+
+/**
+ * Poll every opted-in account once and push new transactions
+ * @param {Object} bot - Telegraf bot instance
+ * @param {Object} sdk - Mutasiku SDK instance
+ * @param {Object} db - SQLite database instance
+ */
+export async function checkNewMutations(bot, sdk, db) {
+  const subscriptions = await db.all(`
+    SELECT na.chatId, na.accountId, na.lastSeenId, na.lastSeenAt
+    FROM notification_accounts na
+    JOIN notification_subscriptions ns ON ns.chatId = na.chatId
+    WHERE ns.enabled = 1 AND na.enabled = 1
+  `);
+  
+  if (subscriptions.length === 0) return;
+  
+  // Fetch each account once, even if several chats follow it
+  const accountIds = [...new Set(subscriptions.map(sub => sub.accountId))];
+  
+  for (const accountId of accountIds) {
+    let transactions;
+    
+    try {
+      const response = await sdk.getMutasi({ accountId, limit: 20, page: 1 });
+      
+      if (response.status !== 'success') {
+        logger.warn('notify.poll', 'Failed to fetch transactions', {
+          accountId,
+          message: response.message
+        });
+        continue;
+      }
+      
+      transactions = (response.data || [])
+        .filter(tx => tx.type === 'CREDIT' || tx.type === 'DEBIT')
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    } catch (error) {
+      logger.error('notify.poll', 'Error fetching transactions', {
+        accountId,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+      continue;
+    }
+    
+    if (transactions.length === 0) continue;
+    
+    const latest = transactions[0];
+    
+    for (const subscription of subscriptions.filter(sub => sub.accountId === accountId)) {
+      // First poll after opting in only records the starting point
+      const newTransactions = subscription.lastSeenId
+        ? getNewTransactions(transactions, subscription)
+        : [];
+      
+      for (const tx of newTransactions) {
+        try {
+          await bot.telegram.sendMessage(
+            subscription.chatId,
+            formatTransactionNotification(tx),
+            { parse_mode: 'HTML' }
+          );
+        } catch (error) {
+          logger.error('notify.send', 'Failed to send notification', {
+            chatId: subscription.chatId,
+            transactionId: tx.id,
+            error: error instanceof Error ? error.message : 'Unknown error'
+          });
+          
+          // The bot was blocked or removed from the chat, stop notifying it
+          if (error?.response?.error_code === 403) {
+            await setNotificationsEnabled(db, subscription.chatId, false);
+            break;
+          }
+        }
+      }
+      
+      await db.run(
+        'UPDATE notification_accounts SET lastSeenId = ?, lastSeenAt = ?, updatedAt = ? WHERE chatId = ? AND accountId = ?',
+        latest.id,
+        new Date(latest.createdAt).getTime(),
+        Date.now(),
+        subscription.chatId,
+        accountId
+      );
+      
+      if (newTransactions.length > 0) {
+        logger.info('notify.send', `Sent ${newTransactions.length} notifications`, {
+          chatId: subscription.chatId,
+          accountId
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Start the background job that watches for new mutations
+ * @param {Object} bot - Telegraf bot instance
+ * @param {Object} sdk - Mutasiku SDK instance
+ * @param {Object} db - SQLite database instance
+ * @returns {Object} Interval handle
+ */
+export function startMutationWatcher(bot, sdk, db) {
+  const intervalSeconds = parseInt(process.env.NOTIFY_INTERVAL_SECONDS) || 60;
+  let running = false;
+  
+  logger.info('notify.init', `Mutation watcher started, polling every ${intervalSeconds} seconds`);
+  
+  return setInterval(async () => {
+    // Skip a tick if the previous poll is still running
+    if (running) return;
+    running = true;
+    
+    try {
+      await checkNewMutations(bot, sdk, db);
+    } catch (error) {
+      logger.error('notify.poll', 'Error checking new mutations', {
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    } finally {
+      running = false;
+    }
+  }, intervalSeconds * 1000);
+}
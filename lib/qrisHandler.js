@@ -0,0 +1,401 @@
+// lib/qrisHandler.js
+import jsQR from 'jsqr';
+import jpeg from 'jpeg-js';
+import { PNG } from 'pngjs';
+import QRCode from 'qrcode';
+import { formatCurrency, escapeHtml } from './utils.js';
+
+const QRIS_GUI = 'ID.CO.QRIS.WWW';
+
+// Globally unique identifiers of common acquirers, shown by name in the preview
+const ACQUIRER_NAMES = {
+  'ID.CO.BANKMANDIRI.WWW': 'Bank Mandiri',
+  'ID.CO.BCA.WWW': 'BCA',
+  'ID.CO.BRI.WWW': 'BRI',
+  'ID.CO.BNI.WWW': 'BNI',
+  'ID.CO.BTN.WWW': 'BTN',
+  'ID.CO.CIMBNIAGA.WWW': 'CIMB Niaga',
+  'ID.CO.PERMATABANK.WWW': 'Permata Bank',
+  'ID.CO.BANKBSI.WWW': 'BSI',
+  'ID.CO.DANA.WWW': 'DANA',
+  'ID.CO.OVO.WWW': 'OVO',
+  'ID.CO.SHOPEE.WWW': 'ShopeePay',
+  'ID.CO.LINKAJA.WWW': 'LinkAja',
+  'COM.GO-JEK.WWW': 'GoPay',
+  'ID.CO.GOPAY.WWW': 'GoPay'
+};
+
+const POINT_OF_INITIATION = {
+  '11': 'static',
+  '12': 'dynamic'
+};
+
+// Tag 55 says whether the customer is asked for a tip or pays a convenience fee (tag 56 or 57)
+const TIP_INDICATORS = {
+  '01': 'prompt',
+  '02': 'fixed',
+  '03': 'percentage'
+};
+
+// Large photos are scaled by Telegram already, these only guard against oversized documents
+const MAX_IMAGE_MEGAPIXELS = 40;
+export const MAX_QRIS_FILE_BYTES = 10 * 1024 * 1024;
+
+// Additional data fields (tag 62) hold at most 25 characters
+export const MAX_QRIS_NOTE_LENGTH = 25;
+
+/**
+ * CRC-16/CCITT-FALSE checksum used by EMVCo QR codes (polynomial 0x1021, initial 0xFFFF)
+ * @param {string} text - Payload up to and including the "6304" CRC tag and length
+ * @returns {string} Four uppercase hex digits
+ */
+export function crc16Ccitt(text) {
+  let crc = 0xFFFF;
+
+  for (const byte of Buffer.from(text, 'utf8')) {
+    crc ^= byte << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+      crc &= 0xFFFF;
+    }
+  }
+
+  return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+/**
+ * Split an EMVCo payload into tag, length, value entries
+ * @param {string} text - Payload or the value of a template tag
+ * @returns {Array} Entries with tag and value, in payload order
+ * @throws {Error} When a length runs past the end of the payload
+ */
+export function parseTlv(text) {
+  const entries = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const tag = text.slice(i, i + 2);
+    const length = text.slice(i + 2, i + 4);
+
+    if (!/^\d{2}$/.test(tag) || !/^\d{2}$/.test(length)) {
+      throw new Error('Struktur data QRIS rusak');
+    }
+
+    const end = i + 4 + parseInt(length, 10);
+    if (end > text.length) {
+      throw new Error('Struktur data QRIS rusak');
+    }
+
+    entries.push({ tag, value: text.slice(i + 4, end) });
+    i = end;
+  }
+
+  return entries;
+}
+
+/**
+ * Encode one tag, length, value entry
+ */
+function encodeTlv({ tag, value }) {
+  if (value.length > 99) {
+    throw new Error('Data QRIS terlalu panjang');
+  }
+  return `${tag}${String(value.length).padStart(2, '0')}${value}`;
+}
+
+/**
+ * Turn TLV entries into a tag to value object, keeping the first of repeated tags
+ */
+function toTagMap(entries) {
+  const tags = {};
+  for (const { tag, value } of entries) {
+    if (!(tag in tags)) tags[tag] = value;
+  }
+  return tags;
+}
+
+/**
+ * Decode and validate a QRIS payload
+ * @param {string} payload - Text read from the QR code, starting with 000201
+ * @returns {Object} payload, type ('static' or 'dynamic'), merchantName, merchantCity, postalCode,
+ * nmid, acquirer, acquirerId, merchantCategoryCode, amount (null when the customer enters it),
+ * tipIndicator ('prompt', 'fixed', 'percentage' or null), convenienceFee and convenienceFeePercent
+ * @throws {Error} When the payload is not a valid QRIS, in Indonesian for the user
+ */
+export function decodeQrisPayload(payload) {
+  const text = String(payload || '').trim();
+
+  if (!text.startsWith('000201')) {
+    throw new Error('QR code ini bukan kode QRIS');
+  }
+
+  const entries = parseTlv(text);
+  const last = entries[entries.length - 1];
+
+  // The CRC must be the last field and covers everything before its own value
+  if (!last || last.tag !== '63' || last.value.length !== 4) {
+    throw new Error('Kode QRIS tidak memiliki checksum');
+  }
+  if (crc16Ccitt(text.slice(0, -4)) !== last.value.toUpperCase()) {
+    throw new Error('Checksum QRIS tidak cocok, kode mungkin rusak atau telah diubah');
+  }
+
+  const tags = toTagMap(entries);
+
+  let nmid = null;
+  if (tags['51']) {
+    const national = toTagMap(parseTlv(tags['51']));
+    if (national['00'] === QRIS_GUI) {
+      nmid = national['02'] || null;
+    }
+  }
+  if (!nmid) {
+    throw new Error('Kode QRIS tidak memiliki NMID');
+  }
+
+  // The acquirer is the issuer of the first merchant account template
+  let acquirerId = null;
+  for (let tag = 26; tag <= 45 && !acquirerId; tag++) {
+    if (tags[String(tag)]) {
+      acquirerId = toTagMap(parseTlv(tags[String(tag)]))['00'] || null;
+    }
+  }
+
+  if (!tags['59']) {
+    throw new Error('Kode QRIS tidak memiliki nama merchant');
+  }
+  if (tags['53'] && tags['53'] !== '360') {
+    throw new Error('Kode QRIS ini bukan untuk pembayaran Rupiah');
+  }
+
+  const amount = parseQrisNumber(tags['54']);
+  if (tags['54'] && !(amount > 0)) {
+    throw new Error('Jumlah pada kode QRIS tidak valid');
+  }
+
+  const tipIndicator = TIP_INDICATORS[tags['55']] || null;
+  const convenienceFee = tipIndicator === 'fixed' ? parseQrisNumber(tags['56']) : null;
+  const convenienceFeePercent = tipIndicator === 'percentage' ? parseQrisNumber(tags['57']) : null;
+  if ((tipIndicator === 'fixed' && convenienceFee === null) || (tipIndicator === 'percentage' && convenienceFeePercent === null)) {
+    throw new Error('Biaya layanan pada kode QRIS tidak valid');
+  }
+
+  return {
+    payload: text,
+    type: POINT_OF_INITIATION[tags['01']] || 'static',
+    merchantName: tags['59'].trim(),
+    merchantCity: tags['60']?.trim() || null,
+    postalCode: tags['61'] || null,
+    nmid,
+    acquirerId,
+    acquirer: acquirerId ? (ACQUIRER_NAMES[acquirerId.toUpperCase()] || acquirerId) : null,
+    merchantCategoryCode: tags['52'] || null,
+    amount,
+    tipIndicator,
+    convenienceFee,
+    convenienceFeePercent
+  };
+}
+
+/**
+ * Read a numeric QRIS field such as 25000 or 2.5
+ */
+function parseQrisNumber(value) {
+  if (!value || !/^\d+(\.\d+)?$/.test(value)) return null;
+  return Number(value);
+}
+
+/**
+ * Convenience fee the merchant adds on top of the amount, rounded to whole rupiah
+ * @param {Object} qris - Result of decodeQrisPayload
+ * @param {number} amount - Amount being paid
+ * @returns {number} Fee, 0 when the code has none
+ */
+export function getQrisConvenienceFee(qris, amount) {
+  if (qris.tipIndicator === 'fixed') return Math.round(qris.convenienceFee);
+  if (qris.tipIndicator === 'percentage') return Math.round(amount * qris.convenienceFeePercent / 100);
+  return 0;
+}
+
+/**
+ * Turn a merchant's static QRIS into a dynamic one for a single payment
+ * The amount goes in tag 54, the point of initiation becomes dynamic and the note is stored as
+ * the purpose of transaction (tag 62, subtag 08), then the CRC is computed again
+ * @param {string} staticPayload - Static QRIS payload of the merchant
+ * @param {number} amount - Amount in whole rupiah
+ * @param {string} [note] - Short note shown in the customer's app
+ * @returns {string} Dynamic QRIS payload
+ * @throws {Error} When the payload is not a static QRIS or the note cannot be stored
+ */
+export function buildDynamicQris(staticPayload, amount, note = null) {
+  const qris = decodeQrisPayload(staticPayload);
+  if (qris.amount !== null) {
+    throw new Error('QRIS merchant sudah memiliki jumlah, gunakan QRIS statis');
+  }
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new Error('Jumlah tagihan tidak valid');
+  }
+
+  const entries = parseTlv(qris.payload)
+    .filter(({ tag }) => !['01', '54', '63'].includes(tag))
+    .concat([{ tag: '01', value: '12' }, { tag: '54', value: String(amount) }]);
+
+  if (note) {
+    if (note.length > MAX_QRIS_NOTE_LENGTH || !/^[\x20-\x7E]+$/.test(note)) {
+      throw new Error(`Catatan maksimal ${MAX_QRIS_NOTE_LENGTH} karakter, tanpa emoji atau huruf khusus`);
+    }
+
+    const additional = entries.find(({ tag }) => tag === '62');
+    const subtags = additional ? parseTlv(additional.value).filter(({ tag }) => tag !== '08') : [];
+    subtags.push({ tag: '08', value: note });
+
+    const value = subtags.sort((a, b) => a.tag.localeCompare(b.tag)).map(encodeTlv).join('');
+    if (additional) {
+      additional.value = value;
+    } else {
+      entries.push({ tag: '62', value });
+    }
+  }
+
+  // Tags are kept in ascending order, with the CRC last
+  const body = `${entries.sort((a, b) => a.tag.localeCompare(b.tag)).map(encodeTlv).join('')}6304`;
+  return decodeQrisPayload(`${body}${crc16Ccitt(body)}`).payload;
+}
+
+/**
+ * Store the static QRIS of the merchant behind an account, replacing any earlier one
+ * @param {Object} db - SQLite database instance
+ * @param {Object} merchant - accountId, payload and updatedBy
+ * @returns {Object} Decoded QRIS
+ */
+export async function saveMerchantQris(db, { accountId, payload, updatedBy }) {
+  const qris = decodeQrisPayload(payload);
+  if (qris.type !== 'static' || qris.amount !== null) {
+    throw new Error('Gunakan QRIS statis merchant, bukan QRIS dinamis atau yang sudah berisi jumlah');
+  }
+
+  await db.run(
+    `INSERT INTO merchant_qris (accountId, payload, merchantName, nmid, updatedBy, updatedAt)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT(accountId) DO UPDATE SET
+       payload = excluded.payload,
+       merchantName = excluded.merchantName,
+       nmid = excluded.nmid,
+       updatedBy = excluded.updatedBy,
+       updatedAt = excluded.updatedAt`,
+    accountId,
+    qris.payload,
+    qris.merchantName,
+    qris.nmid,
+    updatedBy,
+    Date.now()
+  );
+
+  return qris;
+}
+
+/**
+ * List the stored merchant QRIS codes whose account still exists
+ * Accounts come from getAccounts, so codes of removed accounts are left out
+ * @param {Object} db - SQLite database instance
+ * @param {Array} accounts - Accounts from getAccounts
+ * @returns {Promise<Array>} Stored codes with their account
+ */
+export async function listMerchantQris(db, accounts) {
+  const rows = await db.all('SELECT * FROM merchant_qris ORDER BY merchantName');
+
+  return rows
+    .map(row => ({ ...row, account: accounts.find(account => account.id === row.accountId) }))
+    .filter(row => row.account);
+}
+
+/**
+ * Remove the stored merchant QRIS of an account
+ * @param {Object} db - SQLite database instance
+ * @param {string} accountId - Mutasiku account ID
+ * @returns {Promise<boolean>} Whether a code was removed
+ */
+export async function deleteMerchantQris(db, accountId) {
+  const result = await db.run('DELETE FROM merchant_qris WHERE accountId = ?', accountId);
+  return result.changes > 0;
+}
+
+/**
+ * Read the pixels of a JPEG or PNG image
+ */
+function decodeImagePixels(buffer) {
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8) {
+    return jpeg.decode(buffer, { useTArray: true, maxResolutionInMP: MAX_IMAGE_MEGAPIXELS, maxMemoryUsageInMB: 256 });
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+    const png = PNG.sync.read(buffer);
+    if (png.width * png.height > MAX_IMAGE_MEGAPIXELS * 1000000) {
+      throw new Error('Gambar terlalu besar');
+    }
+    return png;
+  }
+  throw new Error('Format gambar tidak didukung, kirim foto JPEG atau PNG');
+}
+
+/**
+ * Find a QR code in an image and return its text
+ * @param {Buffer} buffer - JPEG or PNG image
+ * @returns {string} Text encoded in the QR code
+ * @throws {Error} When the image cannot be read or holds no readable QR code
+ */
+export function decodeQrImage(buffer) {
+  const { data, width, height } = decodeImagePixels(buffer);
+  const code = jsQR(new Uint8ClampedArray(data.buffer, data.byteOffset, data.length), width, height);
+
+  if (!code?.data) {
+    throw new Error('QR code tidak dapat di-decode dari gambar');
+  }
+
+  return code.data;
+}
+
+/**
+ * Draw a QRIS payload as a PNG image
+ * Payments are made with an image drawn from the checked payload, so what is paid is exactly
+ * what the user confirmed, even if the original photo holds more than one QR code
+ * @param {string} payload - Validated QRIS payload
+ * @returns {Promise<Buffer>} PNG image
+ */
+export async function renderQrisImage(payload) {
+  return await QRCode.toBuffer(payload, { type: 'png', errorCorrectionLevel: 'M', margin: 4, width: 600 });
+}
+
+/**
+ * Describe a decoded QRIS for the user to check before paying
+ * @param {Object} qris - Result of decodeQrisPayload
+ * @param {number} [amount] - Amount that will be paid, left out while it is still unknown
+ * @returns {string} HTML message lines
+ */
+export function formatQrisPreview(qris, amount = null) {
+  const lines = [
+    `🏪 Merchant: <b>${escapeHtml(qris.merchantName)}</b>`,
+    `📍 Kota: <b>${escapeHtml(qris.merchantCity || '-')}</b>`,
+    `🆔 NMID: <b>${escapeHtml(qris.nmid)}</b>`,
+    `🏦 Acquirer: <b>${escapeHtml(qris.acquirer || '-')}</b>`,
+    `🔖 Jenis: <b>${qris.type === 'dynamic' ? 'Dinamis (sekali bayar)' : 'Statis'}</b>`
+  ];
+
+  if (qris.tipIndicator === 'prompt') {
+    lines.push('💁 Tip: <b>diminta merchant (opsional)</b>');
+  } else if (qris.tipIndicator === 'fixed') {
+    lines.push(`🧾 Biaya layanan: <b>${formatCurrency(qris.convenienceFee)}</b>`);
+  } else if (qris.tipIndicator === 'percentage') {
+    lines.push(`🧾 Biaya layanan: <b>${qris.convenienceFeePercent}%</b>`);
+  }
+
+  if (amount !== null) {
+    lines.push(`💰 Jumlah: <b>${formatCurrency(amount)}</b>${qris.amount !== null ? ' (dari QR)' : ''}`);
+
+    const fee = getQrisConvenienceFee(qris, amount);
+    if (fee > 0) {
+      lines.push(`💳 Total dengan biaya layanan: <b>${formatCurrency(amount + fee)}</b>`);
+    }
+  }
+
+  return lines.join('\n');
+}
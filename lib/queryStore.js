@@ -0,0 +1,49 @@
+// lib/queryStore.js
+import crypto from 'crypto';
+import { safeJsonParse } from './utils.js';
+
+// Telegram limits callback data to 64 bytes, too small for a full set of filters
+export const SAVED_QUERY_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Store parsed command options so inline buttons can refer to them by a short ID
+ * @param {Object} db - SQLite database instance
+ * @param {string} chatId - Chat ID the query belongs to
+ * @param {string} command - Command the options are for, e.g. 'history'
+ * @param {Object} options - Parsed options
+ * @returns {string} Query ID
+ */
+export async function saveQuery(db, chatId, command, options) {
+  const id = crypto.randomBytes(6).toString('hex');
+
+  await db.run(
+    'INSERT INTO saved_queries (id, chatId, command, options, createdAt) VALUES (?, ?, ?, ?, ?)',
+    id,
+    chatId,
+    command,
+    JSON.stringify(options),
+    Date.now()
+  );
+
+  return id;
+}
+
+/**
+ * Load options stored by saveQuery
+ * @param {Object} db - SQLite database instance
+ * @param {string} id - Query ID
+ * @param {string} chatId - Chat ID, queries are only valid in the chat that created them
+ * @param {string} command - Expected command
+ * @returns {Object|null} Options or null if unknown or expired
+ */
+export async function getSavedQuery(db, id, chatId, command) {
+  const row = await db.get(
+    'SELECT options FROM saved_queries WHERE id = ? AND chatId = ? AND command = ? AND createdAt >= ?',
+    id,
+    chatId,
+    command,
+    Date.now() - SAVED_QUERY_TTL_MS
+  );
+
+  return row ? safeJsonParse(row.options, null) : null;
+}
@@ -0,0 +1,335 @@
+// lib/reportHandler.js
+import { logger } from './logger.js';
+import { formatCurrency, formatJakartaDateTime, escapeHtml } from './utils.js';
+import { getUser, hasRequiredRole } from './userHandler.js';
+import { getAllMutasiInRange } from './accountHandler.js';
+import { summarizeByAccount } from './exportHandler.js';
+import { parseScheduleSpec, computeNextRun, describeSchedule } from './scheduleHandler.js';
+
+export const REPORT_FREQUENCIES = ['daily', 'weekly'];
+
+// Words that start a digest subscription in /report, the rest of the spec follows /schedule
+export const REPORT_FREQUENCY_WORDS = ['daily', 'harian', 'weekly', 'mingguan'];
+
+const REPORT_CHECK_INTERVAL_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOP_TRANSACTIONS = 3;
+const MAX_MESSAGE_LENGTH = 4000;
+
+const FREQUENCY_LABELS = {
+  daily: 'harian',
+  weekly: 'mingguan'
+};
+
+/**
+ * Read the report settings from the environment
+ * @returns {Object} defaultTime for new digests and maxRows scanned per report
+ */
+export function getReportSettings() {
+  const maxRows = parseInt(process.env.REPORT_MAX_ROWS || '5000', 10);
+  const defaultTime = /^\d{2}:\d{2}$/.test(process.env.REPORT_DEFAULT_TIME || '')
+    ? process.env.REPORT_DEFAULT_TIME
+    : '20:00';
+
+  return {
+    defaultTime,
+    maxRows: Number.isFinite(maxRows) && maxRows > 0 ? maxRows : 5000
+  };
+}
+
+/**
+ * Parse a digest schedule such as "harian 20:00" or "mingguan senin 20:00"
+ * The time may be left out, then REPORT_DEFAULT_TIME is used
+ * @param {Array} args - Words after /report
+ * @param {Date} [now] - Reference time
+ * @returns {Object} frequency, timeOfDay, dayOfWeek and the first nextRunAt
+ */
+export function parseReportSchedule(args, now = new Date()) {
+  const parts = [...args];
+  if (!/^\d{1,2}[:.]\d{2}$/.test(parts[parts.length - 1] || '')) {
+    parts.push(getReportSettings().defaultTime);
+  }
+
+  const spec = parseScheduleSpec(parts.join(' '), now);
+  if (!REPORT_FREQUENCIES.includes(spec.frequency)) {
+    throw new Error('Laporan hanya bisa harian atau mingguan.');
+  }
+
+  return spec;
+}
+
+/**
+ * Turn on a digest for a chat, replacing its earlier schedule of the same frequency
+ * @param {Object} db - SQLite database instance
+ * @param {string} chatId - Chat that receives the digest
+ * @param {string} userId - User who asked for it
+ * @param {Object} spec - From parseReportSchedule
+ */
+export async function subscribeReport(db, chatId, userId, spec) {
+  const now = Date.now();
+
+  await db.run(
+    `INSERT INTO report_subscriptions (
+       chatId, frequency, timeOfDay, dayOfWeek, nextRunAt, createdBy, createdAt, updatedAt
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(chatId, frequency) DO UPDATE SET
+       timeOfDay = excluded.timeOfDay,
+       dayOfWeek = excluded.dayOfWeek,
+       nextRunAt = excluded.nextRunAt,
+       createdBy = excluded.createdBy,
+       updatedAt = excluded.updatedAt`,
+    chatId,
+    spec.frequency,
+    spec.timeOfDay,
+    spec.dayOfWeek,
+    spec.nextRunAt,
+    userId,
+    now,
+    now
+  );
+
+  logger.info('report.subscribe', `${spec.frequency} report at ${spec.timeOfDay} enabled for chat ${chatId} by ${userId}`);
+}
+
+/**
+ * Turn off digests for a chat
+ * @param {Object} db - SQLite database instance
+ * @param {string} chatId - Chat ID
+ * @param {string|null} frequency - 'daily' or 'weekly', or null for both
+ * @returns {number} How many digests were turned off
+ */
+export async function unsubscribeReport(db, chatId, frequency = null) {
+  const result = frequency
+    ? await db.run('DELETE FROM report_subscriptions WHERE chatId = ? AND frequency = ?', chatId, frequency)
+    : await db.run('DELETE FROM report_subscriptions WHERE chatId = ?', chatId);
+
+  if (result.changes > 0) {
+    logger.info('report.subscribe', `Reports turned off for chat ${chatId}`, { frequency });
+  }
+
+  return result.changes;
+}
+
+/**
+ * List the digests of a chat
+ * @param {Object} db - SQLite database instance
+ * @param {string} chatId - Chat ID
+ * @returns {Array} Subscriptions
+ */
+export async function listReportSubscriptions(db, chatId) {
+  return db.all('SELECT * FROM report_subscriptions WHERE chatId = ? ORDER BY frequency ASC', chatId);
+}
+
+/**
+ * Describe a digest, e.g. "Laporan harian, setiap hari 20:00"
+ * @param {Object} subscription - Subscription or parsed spec
+ * @returns {string} Description
+ */
+export function describeReportSubscription(subscription) {
+  return `Laporan ${FREQUENCY_LABELS[subscription.frequency]}, ${describeSchedule(subscription).toLowerCase()} WIB`;
+}
+
+/**
+ * Collect the figures of a report: totals, largest transactions and balance per account
+ * @param {Object} sdk - Mutasiku SDK instance
+ * @param {Object} range - since and until timestamps
+ * @param {Object} [options] - accountId to report on one account only
+ * @returns {Object} accounts, totals and truncated when the row limit was hit
+ */
+export async function buildReport(sdk, range, options = {}) {
+  const { maxRows } = getReportSettings();
+  const filters = options.accountId ? { accountId: options.accountId } : {};
+  const { transactions, newer, truncated } = await getAllMutasiInRange(sdk, filters, range, maxRows);
+
+  const accountsResponse = await sdk.getAccounts();
+  if (accountsResponse.status !== 'success') {
+    throw new Error('Gagal mengambil akun: ' + (accountsResponse.message || 'Unknown error'));
+  }
+
+  const allAccounts = (accountsResponse.data || [])
+    .filter(account => !options.accountId || account.id === options.accountId);
+  const summaries = summarizeByAccount(transactions, newer, allAccounts, false);
+
+  // Accounts without mutations in the period are listed too, for their balance
+  const accounts = allAccounts.map(account => {
+    const summary = summaries.find(item => item.id === account.id);
+    return {
+      id: account.id,
+      name: account.name,
+      provider: account.provider?.code || '-',
+      count: summary?.count || 0,
+      credit: summary?.credit || 0,
+      debit: summary?.debit || 0,
+      balance: typeof account.balance === 'number' ? account.balance : null
+    };
+  });
+
+  for (const summary of summaries) {
+    if (!accounts.some(account => account.id === summary.id)) {
+      accounts.push({ ...summary, balance: null });
+    }
+  }
+
+  for (const account of accounts) {
+    account.largest = transactions
+      .filter(tx => (tx.account?.id || tx.accountId || 'unknown') === account.id)
+      .sort((a, b) => Number(b.amount) - Number(a.amount))
+      .slice(0, TOP_TRANSACTIONS);
+  }
+
+  return {
+    range,
+    truncated,
+    accounts,
+    totals: {
+      count: transactions.length,
+      credit: accounts.reduce((sum, account) => sum + account.credit, 0),
+      debit: accounts.reduce((sum, account) => sum + account.debit, 0)
+    }
+  };
+}
+
+/**
+ * Format a signed rupiah amount
+ */
+function formatNet(amount) {
+  return `${amount < 0 ? '-' : '+'}${formatCurrency(Math.abs(amount))}`;
+}
+
+/**
+ * Format a report for Telegram (HTML), split into messages under the length limit
+ * @param {Object} report - From buildReport
+ * @param {string} title - Heading, e.g. "Laporan Harian"
+ * @returns {Array} Messages
+ */
+export function formatReport(report, title) {
+  const { range, totals } = report;
+
+  let header = `📈 <b>${title}</b>\n`;
+  header += `<i>${formatJakartaDateTime(range.since)} - ${formatJakartaDateTime(range.until)} WIB</i>\n\n`;
+  header += `💰 Masuk: <b>${formatCurrency(totals.credit)}</b>\n`;
+  header += `💸 Keluar: <b>${formatCurrency(totals.debit)}</b>\n`;
+  header += `📊 Perubahan bersih: <b>${formatNet(totals.credit - totals.debit)}</b>\n`;
+  header += `🔢 Transaksi: <b>${totals.count}</b>`;
+  if (report.truncated) {
+    header += `\n⚠️ Hanya ${totals.count} transaksi terbaru yang dihitung.`;
+  }
+
+  const blocks = report.accounts.map(account => {
+    let block = `🏦 <b>${escapeHtml(account.name)}</b> (${escapeHtml(account.provider)})\n`;
+    block += `Saldo: <b>${account.balance === null ? '-' : formatCurrency(account.balance)}</b>\n`;
+    block += `Masuk ${formatCurrency(account.credit)} • Keluar ${formatCurrency(account.debit)}\n`;
+    block += `Bersih ${formatNet(account.credit - account.debit)} • ${account.count} transaksi`;
+
+    if (account.largest.length > 0) {
+      block += '\nTerbesar:';
+      for (const tx of account.largest) {
+        const sign = tx.type === 'CREDIT' ? '+' : '-';
+        // Cut before escaping, so an entity is never split in half
+        const description = escapeHtml((tx.description || 'Tidak ada deskripsi').slice(0, 40));
+        block += `\n  ${sign}${formatCurrency(tx.amount)} ${description}`;
+      }
+    }
+
+    return block;
+  });
+
+  if (blocks.length === 0) {
+    blocks.push('Tidak ada akun terhubung.');
+  }
+
+  // Long account lists continue in a new message instead of being cut off
+  const messages = [header];
+  for (const block of blocks) {
+    const last = messages.length - 1;
+    if (messages[last].length + block.length + 2 > MAX_MESSAGE_LENGTH) {
+      messages.push(block);
+    } else {
+      messages[last] += `\n\n${block}`;
+    }
+  }
+
+  return messages;
+}
+
+/**
+ * Send the digests that are due and move them to their next time
+ * A digest covers the day or week up to its scheduled time
+ * @param {Object} bot - Telegraf bot instance
+ * @param {Object} sdk - Mutasiku SDK instance
+ * @param {Object} db - SQLite database instance
+ */
+export async function sendDueReports(bot, sdk, db) {
+  const now = Date.now();
+  const due = await db.all(
+    'SELECT * FROM report_subscriptions WHERE nextRunAt <= ? ORDER BY nextRunAt ASC',
+    now
+  );
+
+  for (const subscription of due) {
+    // Move on first, so a failing report is not retried every minute
+    await db.run(
+      'UPDATE report_subscriptions SET nextRunAt = ?, updatedAt = ? WHERE chatId = ? AND frequency = ?',
+      computeNextRun(subscription, now),
+      now,
+      subscription.chatId,
+      subscription.frequency
+    );
+
+    const creator = await getUser(db, subscription.createdBy);
+    if (!creator || !hasRequiredRole(creator.role, 'viewer')) {
+      logger.info('report.send', `Creator of the ${subscription.frequency} report for chat ${subscription.chatId} lost access`);
+      await unsubscribeReport(db, subscription.chatId, subscription.frequency);
+      continue;
+    }
+
+    const until = subscription.nextRunAt;
+    const since = until - (subscription.frequency === 'weekly' ? 7 : 1) * DAY_MS;
+    const title = subscription.frequency === 'weekly' ? 'Laporan Mingguan' : 'Laporan Harian';
+
+    try {
+      const report = await buildReport(sdk, { since, until });
+      for (const message of formatReport(report, title)) {
+        await bot.telegram.sendMessage(subscription.chatId, message, { parse_mode: 'HTML' });
+      }
+
+      logger.info('report.send', `Sent ${subscription.frequency} report to chat ${subscription.chatId}`);
+    } catch (error) {
+      logger.error('report.send', 'Failed to send report', {
+        chatId: subscription.chatId,
+        frequency: subscription.frequency,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+
+      // The bot was blocked or removed from the chat, stop reporting to it
+      if (error?.response?.error_code === 403) {
+        await unsubscribeReport(db, subscription.chatId);
+      }
+    }
+  }
+}
+
+/**
+ * Start the background job that sends daily and weekly digests
+ * @param {Object} bot - Telegraf bot instance
+ * @param {Object} sdk - Mutasiku SDK instance
+ * @param {Object} db - SQLite database instance
+ * @returns {Object} Interval handle
+ */
+export function startReportScheduler(bot, sdk, db) {
+  let running = false;
+
+  return setInterval(async () => {
+    // Paging through a week of mutations can take longer than the interval
+    if (running) return;
+    running = true;
+
+    try {
+      await sendDueReports(bot, sdk, db);
+    } catch (error) {
+      logger.error('report.send', 'Error sending scheduled reports', { error });
+    } finally {
+      running = false;
+    }
+  }, REPORT_CHECK_INTERVAL_MS);
+}
@@ -0,0 +1,559 @@
+// lib/scheduleHandler.js
+import { logger } from './logger.js';
+import { formatCurrency, escapeHtml, JAKARTA_OFFSET_MS } from './utils.js';
+import { getUser, hasRequiredRole } from './userHandler.js';
+import { requiresApproval } from './approvalHandler.js';
+import { getBeneficiary, markBeneficiaryUsed, formatBeneficiaryLabel } from './beneficiaryHandler.js';
+import { executeDANABankTransfer } from './transferHandlers.js';
+
+export const SCHEDULE_FREQUENCIES = ['once', 'daily', 'weekly', 'monthly'];
+
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Indonesian and English words accepted by /schedule
+const FREQUENCY_ALIASES = {
+  once: 'once',
+  sekali: 'once',
+  daily: 'daily',
+  harian: 'daily',
+  weekly: 'weekly',
+  mingguan: 'weekly',
+  monthly: 'monthly',
+  bulanan: 'monthly'
+};
+
+const DAY_NAMES = ['minggu', 'senin', 'selasa', 'rabu', 'kamis', 'jumat', 'sabtu'];
+const DAY_ALIASES = {
+  minggu: 0, ahad: 0, sun: 0, sunday: 0,
+  senin: 1, mon: 1, monday: 1,
+  selasa: 2, tue: 2, tuesday: 2,
+  rabu: 3, wed: 3, wednesday: 3,
+  kamis: 4, thu: 4, thursday: 4,
+  jumat: 5, fri: 5, friday: 5,
+  sabtu: 6, sat: 6, saturday: 6
+};
+
+const STATUS_LABELS = {
+  active: '🟢 Aktif',
+  running: '🔄 Berjalan',
+  paused: '⏸️ Dijeda',
+  held: '⛔ Ditahan',
+  completed: '✅ Selesai',
+  cancelled: '❌ Dibatalkan'
+};
+
+/**
+ * Read the scheduler settings from the environment
+ * @returns {Object} maxFailures before a job is held and retryMinutes between attempts
+ */
+export function getSchedulerSettings() {
+  const maxFailures = parseInt(process.env.SCHEDULE_MAX_FAILURES || '3', 10);
+  const retryMinutes = parseInt(process.env.SCHEDULE_RETRY_MINUTES || '15', 10);
+
+  return {
+    maxFailures: Number.isFinite(maxFailures) && maxFailures > 0 ? maxFailures : 3,
+    retryMinutes: Number.isFinite(retryMinutes) && retryMinutes > 0 ? retryMinutes : 15
+  };
+}
+
+/**
+ * Turn a Jakarta calendar date and time into a UTC timestamp
+ */
+function jakartaTimestamp(year, month, day, hours, minutes) {
+  return Date.UTC(year, month, day, hours, minutes) - JAKARTA_OFFSET_MS;
+}
+
+/**
+ * Parse "09:00" or "09.00"
+ */
+function parseTimeOfDay(text) {
+  const match = /^(\d{1,2})[:.](\d{2})$/.exec(text || '');
+  if (!match) return null;
+
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) return null;
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a schedule such as "harian 09:00", "mingguan senin 09:00", "bulanan 25 09:00"
+ * or "sekali 2026-10-25 09:00". Times are in Asia/Jakarta
+ * @param {string} text - Schedule text
+ * @param {Date} [now] - Reference time
+ * @returns {Object} frequency, timeOfDay, dayOfWeek, dayOfMonth and the first nextRunAt
+ */
+export function parseScheduleSpec(text, now = new Date()) {
+  const parts = (text || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const frequency = FREQUENCY_ALIASES[parts[0]];
+
+  if (!frequency) {
+    throw new Error('Jenis jadwal tidak dikenal. Gunakan sekali, harian, mingguan atau bulanan.');
+  }
+
+  const timeOfDay = parseTimeOfDay(parts[parts.length - 1]);
+  if (!timeOfDay || parts.length < 2) {
+    throw new Error('Jam tidak valid. Gunakan format 24 jam, misalnya 09:00.');
+  }
+
+  const spec = { frequency, timeOfDay, dayOfWeek: null, dayOfMonth: null };
+  const expectedParts = frequency === 'daily' ? 2 : 3;
+  if (parts.length !== expectedParts) {
+    throw new Error('Format jadwal tidak valid.');
+  }
+
+  if (frequency === 'once') {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(parts[1]);
+    if (!match) {
+      throw new Error('Tanggal tidak valid. Gunakan format YYYY-MM-DD, misalnya 2026-10-25.');
+    }
+
+    const [hours, minutes] = timeOfDay.split(':').map(Number);
+    const year = parseInt(match[1], 10);
+    const month = parseInt(match[2], 10) - 1;
+    const day = parseInt(match[3], 10);
+    const runAt = jakartaTimestamp(year, month, day, hours, minutes);
+
+    // Date.UTC rolls over invalid dates like 2026-02-30, so compare the parts back
+    const check = new Date(runAt + JAKARTA_OFFSET_MS);
+    if (check.getUTCMonth() !== month || check.getUTCDate() !== day) {
+      throw new Error('Tanggal tidak valid.');
+    }
+    if (runAt <= now.getTime()) {
+      throw new Error('Waktu jadwal sudah lewat.');
+    }
+
+    return { ...spec, nextRunAt: runAt };
+  }
+
+  if (frequency === 'weekly') {
+    spec.dayOfWeek = DAY_ALIASES[parts[1]];
+    if (spec.dayOfWeek === undefined) {
+      throw new Error('Hari tidak valid. Gunakan senin, selasa, rabu, kamis, jumat, sabtu atau minggu.');
+    }
+  }
+
+  if (frequency === 'monthly') {
+    spec.dayOfMonth = /^\d{1,2}$/.test(parts[1]) ? parseInt(parts[1], 10) : 0;
+    if (spec.dayOfMonth < 1 || spec.dayOfMonth > 31) {
+      throw new Error('Tanggal tidak valid. Gunakan 1-31, bulan yang lebih pendek memakai tanggal terakhirnya.');
+    }
+  }
+
+  return { ...spec, nextRunAt: computeNextRun(spec, now.getTime()) };
+}
+
+/**
+ * Compute the next run of a recurring schedule strictly after a moment
+ * @param {Object} schedule - frequency, timeOfDay, dayOfWeek and dayOfMonth
+ * @param {number} after - Timestamp the next run must follow
+ * @returns {number|null} Timestamp of the next run, null for one-off schedules
+ */
+export function computeNextRun(schedule, after) {
+  if (schedule.frequency === 'once') return null;
+
+  const [hours, minutes] = schedule.timeOfDay.split(':').map(Number);
+  const local = new Date(after + JAKARTA_OFFSET_MS);
+  const year = local.getUTCFullYear();
+  const month = local.getUTCMonth();
+  const day = local.getUTCDate();
+
+  if (schedule.frequency === 'daily') {
+    const candidate = jakartaTimestamp(year, month, day, hours, minutes);
+    return candidate > after ? candidate : candidate + DAY_MS;
+  }
+
+  if (schedule.frequency === 'weekly') {
+    const daysAhead = (schedule.dayOfWeek - local.getUTCDay() + 7) % 7;
+    const candidate = jakartaTimestamp(year, month, day + daysAhead, hours, minutes);
+    return candidate > after ? candidate : candidate + (7 * DAY_MS);
+  }
+
+  // Monthly, clamped to the last day of shorter months
+  for (let offset = 0; offset <= 1; offset++) {
+    const daysInMonth = new Date(Date.UTC(year, month + offset + 1, 0)).getUTCDate();
+    const candidate = jakartaTimestamp(year, month + offset, Math.min(schedule.dayOfMonth, daysInMonth), hours, minutes);
+    if (candidate > after) return candidate;
+  }
+
+  return null;
+}
+
+/**
+ * Describe a schedule in words, e.g. "Setiap senin 09:00"
+ * @param {Object} schedule - Schedule or parsed spec
+ * @returns {string} Description
+ */
+export function describeSchedule(schedule) {
+  switch (schedule.frequency) {
+    case 'daily':
+      return `Setiap hari ${schedule.timeOfDay}`;
+    case 'weekly':
+      return `Setiap ${DAY_NAMES[schedule.dayOfWeek]} ${schedule.timeOfDay}`;
+    case 'monthly':
+      return `Setiap tanggal ${schedule.dayOfMonth} ${schedule.timeOfDay}`;
+    default:
+      return 'Sekali';
+  }
+}
+
+/**
+ * Create a scheduled transfer
+ * @param {Object} db - SQLite database instance
+ * @param {Object} schedule - beneficiaryId, accountId, amount, createdBy, chatId and a parsed spec
+ * @returns {Object} The new scheduled transfer
+ */
+export async function createScheduledTransfer(db, schedule) {
+  const now = Date.now();
+
+  const result = await db.run(
+    `INSERT INTO scheduled_transfers (
+       beneficiaryId, accountId, amount, frequency, timeOfDay, dayOfWeek, dayOfMonth,
+       nextRunAt, status, failureCount, createdBy, chatId, createdAt, updatedAt
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'active', 0, ?, ?, ?, ?)`,
+    schedule.beneficiaryId,
+    schedule.accountId,
+    schedule.amount,
+    schedule.frequency,
+    schedule.timeOfDay,
+    schedule.dayOfWeek,
+    schedule.dayOfMonth,
+    schedule.nextRunAt,
+    schedule.createdBy,
+    schedule.chatId,
+    now,
+    now
+  );
+
+  logger.info('schedule.create', `Scheduled transfer ${result.lastID} created by ${schedule.createdBy}`, {
+    frequency: schedule.frequency,
+    amount: schedule.amount
+  });
+
+  return getScheduledTransfer(db, result.lastID);
+}
+
+/**
+ * Get a scheduled transfer by ID
+ * @param {Object} db - SQLite database instance
+ * @param {number} id - Schedule ID
+ * @returns {Object|null} Scheduled transfer or null if not found
+ */
+export async function getScheduledTransfer(db, id) {
+  const row = await db.get('SELECT * FROM scheduled_transfers WHERE id = ?', id);
+  return row || null;
+}
+
+/**
+ * List scheduled transfers that are not finished, soonest first
+ * @param {Object} db - SQLite database instance
+ * @param {string} [createdBy] - Only the jobs of this user
+ * @returns {Array} Scheduled transfers
+ */
+export async function listScheduledTransfers(db, createdBy = null) {
+  return db.all(
+    `SELECT * FROM scheduled_transfers
+     WHERE status NOT IN ('completed', 'cancelled') ${createdBy ? 'AND createdBy = ?' : ''}
+     ORDER BY CASE WHEN nextRunAt IS NULL THEN 1 ELSE 0 END, nextRunAt ASC, id ASC`,
+    ...(createdBy ? [createdBy] : [])
+  );
+}
+
+/**
+ * Pause, resume or cancel a scheduled transfer
+ * Resuming starts from the next occurrence after now, so missed runs are not paid late
+ * @param {Object} db - SQLite database instance
+ * @param {number} id - Schedule ID
+ * @param {string} action - 'pause', 'resume' or 'cancel'
+ * @returns {Object} success and message
+ */
+export async function updateScheduleStatus(db, id, action) {
+  const schedule = await getScheduledTransfer(db, id);
+  if (!schedule || ['completed', 'cancelled'].includes(schedule.status)) {
+    return { success: false, message: 'Jadwal tidak ditemukan atau sudah selesai' };
+  }
+  if (schedule.status === 'running') {
+    return { success: false, message: 'Jadwal sedang berjalan, coba lagi sebentar lagi' };
+  }
+
+  const now = Date.now();
+
+  if (action === 'pause') {
+    if (schedule.status !== 'active') {
+      return { success: false, message: 'Jadwal tidak aktif' };
+    }
+    await db.run(
+      "UPDATE scheduled_transfers SET status = 'paused', updatedAt = ? WHERE id = ? AND status = 'active'",
+      now,
+      id
+    );
+  } else if (action === 'resume') {
+    if (schedule.status === 'active') {
+      return { success: false, message: 'Jadwal sudah aktif' };
+    }
+    const nextRunAt = schedule.frequency === 'once'
+      ? Math.max(schedule.nextRunAt || now, now)
+      : computeNextRun(schedule, now);
+    await db.run(
+      `UPDATE scheduled_transfers SET status = 'active', failureCount = 0, nextRunAt = ?, updatedAt = ?
+       WHERE id = ? AND status IN ('paused', 'held')`,
+      nextRunAt,
+      now,
+      id
+    );
+  } else if (action === 'cancel') {
+    await db.run(
+      "UPDATE scheduled_transfers SET status = 'cancelled', nextRunAt = NULL, updatedAt = ? WHERE id = ? AND status != 'running'",
+      now,
+      id
+    );
+  } else {
+    return { success: false, message: 'Aksi tidak dikenal' };
+  }
+
+  logger.info('schedule.update', `Scheduled transfer ${id} ${action}`);
+  return { success: true, message: 'Jadwal diperbarui' };
+}
+
+/**
+ * Hold jobs left running by a crash, their transfer may or may not have been sent
+ * @param {Object} db - SQLite database instance
+ * @returns {number} Number of jobs held
+ */
+export async function holdInterruptedSchedules(db) {
+  const result = await db.run(
+    `UPDATE scheduled_transfers
+     SET status = 'held', lastError = 'Bot berhenti saat transfer berjalan, periksa /history', updatedAt = ?
+     WHERE status = 'running'`,
+    Date.now()
+  );
+
+  if (result.changes > 0) {
+    logger.warn('schedule.recover', `${result.changes} interrupted scheduled transfers held`);
+  }
+
+  return result.changes;
+}
+
+/**
+ * Format a scheduled transfer for Telegram (HTML)
+ * @param {Object} schedule - Scheduled transfer
+ * @param {Object|null} beneficiary - Its recipient, null if deleted
+ * @returns {string} Formatted details
+ */
+export function formatScheduledTransfer(schedule, beneficiary) {
+  const formatDate = (timestamp) => new Date(timestamp).toLocaleString('id-ID', { timeZone: 'Asia/Jakarta' });
+  const when = schedule.frequency === 'once' && schedule.nextRunAt
+    ? `Sekali, ${formatDate(schedule.nextRunAt)}`
+    : describeSchedule(schedule);
+
+  let text = `🗓️ <b>Jadwal #${schedule.id}</b> ${STATUS_LABELS[schedule.status] || schedule.status}\n`;
+  text += `⭐ ${beneficiary ? escapeHtml(formatBeneficiaryLabel(beneficiary)) : 'Penerima sudah dihapus'}\n`;
+  text += `💰 ${formatCurrency(schedule.amount)} • ${when}\n`;
+  text += `💳 ${schedule.accountId}`;
+
+  if (schedule.nextRunAt && ['active', 'paused'].includes(schedule.status)) {
+    text += `\n⏭️ Berikutnya: ${formatDate(schedule.nextRunAt)}`;
+  }
+  if (schedule.lastRunAt) {
+    text += `\n🕐 Terakhir: ${formatDate(schedule.lastRunAt)} (${schedule.lastStatus === 'success' ? 'berhasil' : 'gagal'})`;
+  }
+  if (schedule.failureCount > 0 || schedule.status === 'held') {
+    text += `\n⚠️ Gagal berturut-turut: ${schedule.failureCount}${schedule.lastError ? ` - ${escapeHtml(schedule.lastError)}` : ''}`;
+  }
+
+  return text;
+}
+
+/**
+ * Verify the recipient again and send one scheduled transfer
+ */
+async function sendScheduledTransfer(db, sdk, schedule) {
+  const creator = await getUser(db, schedule.createdBy);
+  if (!creator || !hasRequiredRole(creator.role, 'operator')) {
+    throw Object.assign(new Error('Pembuat jadwal tidak lagi memiliki akses transfer'), { holdNow: true });
+  }
+
+  const beneficiary = await getBeneficiary(db, schedule.beneficiaryId);
+  if (!beneficiary || !beneficiary.accountNumber) {
+    throw Object.assign(new Error('Penerima tersimpan sudah dihapus'), { holdNow: true });
+  }
+
+  // The approval flow needs a person in the loop, which a schedule cannot provide
+  if (requiresApproval(schedule.amount)) {
+    throw Object.assign(new Error('Jumlah melebihi batas persetujuan transfer'), { holdNow: true });
+  }
+
+  const { bankData, accountNumber } = beneficiary;
+  const response = await sdk.transferDanaBankInit(schedule.accountId, {
+    accountNumber,
+    amount: schedule.amount,
+    instId: bankData.instId,
+    instLocalName: bankData.instLocalName,
+    payMethod: bankData.payMethod,
+    payOption: bankData.payOption
+  });
+
+  if (!response.success) {
+    throw new Error(response.message || response.error || 'Gagal memverifikasi rekening tujuan');
+  }
+
+  const transfer = {
+    userId: schedule.createdBy,
+    chatId: schedule.chatId,
+    accountId: schedule.accountId,
+    amount: schedule.amount,
+    bankAccountIndexNo: response.data?.bankAccountIndexNo,
+    accountNumber,
+    bankData,
+    accountName: response.data?.accountName || beneficiary.accountName
+  };
+
+  const transferId = await executeDANABankTransfer(sdk, db, transfer);
+  await markBeneficiaryUsed(db, beneficiary.id);
+
+  return { transferId, beneficiary, accountName: transfer.accountName };
+}
+
+/**
+ * Run one due job and record its outcome
+ */
+async function runScheduledTransfer(bot, db, sdk, schedule) {
+  const { maxFailures, retryMinutes } = getSchedulerSettings();
+
+  // Claim the job so a slow run is never picked up twice
+  const claimed = await db.run(
+    "UPDATE scheduled_transfers SET status = 'running', updatedAt = ? WHERE id = ? AND status = 'active'",
+    Date.now(),
+    schedule.id
+  );
+  if (claimed.changes === 0) return;
+
+  logger.info('schedule.run', `Running scheduled transfer ${schedule.id}`, { amount: schedule.amount });
+
+  try {
+    const { transferId, beneficiary, accountName } = await sendScheduledTransfer(db, sdk, schedule);
+    const now = Date.now();
+    const nextRunAt = computeNextRun(schedule, now);
+
+    await db.run(
+      `UPDATE scheduled_transfers
+       SET status = ?, nextRunAt = ?, failureCount = 0, lastRunAt = ?, lastStatus = 'success',
+           lastError = NULL, lastTransferId = ?, updatedAt = ?
+       WHERE id = ?`,
+      nextRunAt ? 'active' : 'completed',
+      nextRunAt,
+      now,
+      transferId,
+      now,
+      schedule.id
+    );
+
+    await notifyCreator(bot, schedule,
+      `✅ <b>Transfer terjadwal #${schedule.id} berhasil</b>\n\n` +
+      `⭐ ${escapeHtml(beneficiary.nickname)} (${escapeHtml(accountName || '-')})\n` +
+      `💰 ${formatCurrency(schedule.amount)}\n` +
+      `🧾 Catatan: #${transferId}\n` +
+      (nextRunAt
+        ? `⏭️ Berikutnya: ${new Date(nextRunAt).toLocaleString('id-ID', { timeZone: 'Asia/Jakarta' })}`
+        : '🏁 Jadwal selesai.')
+    );
+  } catch (error) {
+    const now = Date.now();
+    const failureCount = schedule.failureCount + 1;
+    const errorMessage = error instanceof Error ? error.message : 'Unknown error';
+
+    // A transfer with an unknown outcome is never retried automatically
+    const hold = error.holdNow || error.outcomeUnknown || failureCount >= maxFailures;
+
+    logger.error('schedule.run', `Scheduled transfer ${schedule.id} failed`, {
+      error: errorMessage,
+      failureCount,
+      hold
+    });
+
+    await db.run(
+      `UPDATE scheduled_transfers
+       SET status = ?, nextRunAt = ?, failureCount = ?, lastRunAt = ?, lastStatus = 'failed',
+           lastError = ?, updatedAt = ?
+       WHERE id = ?`,
+      hold ? 'held' : 'active',
+      hold ? schedule.nextRunAt : now + (retryMinutes * 60 * 1000),
+      failureCount,
+      now,
+      errorMessage,
+      now,
+      schedule.id
+    );
+
+    let message = `❌ <b>Transfer terjadwal #${schedule.id} gagal</b>\n\n💰 ${formatCurrency(schedule.amount)}\n⚠️ ${escapeHtml(errorMessage)}\n\n`;
+    if (error.outcomeUnknown) {
+      message += `Status transfer tidak diketahui (catatan #${error.transferId}). Jadwal ditahan, periksa /history sebelum melanjutkan lewat /schedules.`;
+    } else if (hold) {
+      message += 'Jadwal ditahan. Perbaiki masalahnya lalu lanjutkan lewat /schedules.';
+    } else {
+      message += `Akan dicoba lagi dalam ${retryMinutes} menit (percobaan ${failureCount}/${maxFailures}).`;
+    }
+
+    await notifyCreator(bot, schedule, message);
+  }
+}
+
+/**
+ * Send a scheduler message to the chat the job was created in
+ */
+async function notifyCreator(bot, schedule, message) {
+  try {
+    await bot.telegram.sendMessage(schedule.chatId, message, { parse_mode: 'HTML' });
+  } catch (error) {
+    logger.warn('schedule.notify', `Could not notify chat ${schedule.chatId}`, { error });
+  }
+}
+
+/**
+ * Run all jobs that are due, one after another
+ * @param {Object} bot - Telegraf bot instance
+ * @param {Object} db - SQLite database instance
+ * @param {Object} sdk - SDK instance
+ */
+export async function runDueSchedules(bot, db, sdk) {
+  const due = await db.all(
+    "SELECT * FROM scheduled_transfers WHERE status = 'active' AND nextRunAt <= ? ORDER BY nextRunAt ASC",
+    Date.now()
+  );
+
+  for (const schedule of due) {
+    await runScheduledTransfer(bot, db, sdk, schedule);
+  }
+}
+
+/**
+ * Start the background job that sends scheduled transfers
+ * @param {Object} bot - Telegraf bot instance
+ * @param {Object} db - SQLite database instance
+ * @param {Object} sdk - SDK instance
+ * @returns {Object} Interval handle
+ */
+export function startTransferScheduler(bot, db, sdk) {
+  let running = false;
+
+  holdInterruptedSchedules(db).catch(error => {
+    logger.error('schedule.recover', 'Error holding interrupted schedules', { error });
+  });
+
+  return setInterval(async () => {
+    // Transfers can take longer than the interval
+    if (running) return;
+    running = true;
+
+    try {
+      await runDueSchedules(bot, db, sdk);
+    } catch (error) {
+      logger.error('schedule.run', 'Error running scheduled transfers', { error });
+    } finally {
+      running = false;
+    }
+  }, SCHEDULER_INTERVAL_MS);
+}
@@ -0,0 +1,239 @@
+// lib/sessionCrypto.js
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const PREFIX = 'enc:v1';
+
+/**
+ * Session data fields that must never be stored as plain text
+ */
+export const SENSITIVE_SESSION_FIELDS = [
+  'pin',
+  'otp',
+  'phoneNumber',
+  'loginId',
+  'accountNumber',
+  'bankAccountIndexNo',
+  'verificationData',
+  'totpSecret',
+  'bulkRows',
+  'qrisPayload'
+];
+
+let keyring = null;
+
+/**
+ * Turns a configured key into 32 bytes of key material
+ * @param {string} rawKey - Hex (64 chars), base64 (32 bytes) or passphrase
+ * @returns {Buffer} 32-byte key
+ */
+function normalizeKey(rawKey) {
+  const trimmed = rawKey.trim();
+  
+  if (/^[0-9a-fA-F]{64}$/.test(trimmed)) {
+    return Buffer.from(trimmed, 'hex');
+  }
+  
+  const decoded = Buffer.from(trimmed, 'base64');
+  if (decoded.length === 32) {
+    return decoded;
+  }
+  
+  logger.warn('session.crypto', 'Encryption key is not 32 bytes of hex/base64, deriving key from passphrase');
+  return crypto.createHash('sha256').update(trimmed).digest();
+}
+
+/**
+ * Short, stable identifier of a key so ciphertexts know which key made them
+ * @param {Buffer} key - Key material
+ * @returns {string} Key ID
+ */
+function getKeyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+/**
+ * Load the active key and any previous keys from the environment
+ * @returns {Object} Keyring with the active key ID and all known keys
+ */
+function loadKeyring() {
+  if (keyring) return keyring;
+  
+  const activeRaw = process.env.SESSION_ENCRYPTION_KEY;
+  if (!activeRaw) {
+    throw new Error('SESSION_ENCRYPTION_KEY is not set in environment variables');
+  }
+  
+  const activeKey = normalizeKey(activeRaw);
+  const keys = new Map([[getKeyId(activeKey), activeKey]]);
+  
+  // Previous keys stay readable so data written before a rotation can still be decrypted
+  const previous = (process.env.SESSION_ENCRYPTION_PREVIOUS_KEYS || '')
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean);
+  
+  for (const raw of previous) {
+    const key = normalizeKey(raw);
+    keys.set(getKeyId(key), key);
+  }
+  
+  keyring = { activeKeyId: getKeyId(activeKey), keys };
+  return keyring;
+}
+
+/**
+ * Validate the encryption configuration, throws if no key is configured
+ * @returns {Object} Active key ID and number of keys available for decryption
+ */
+export function initializeSessionCrypto() {
+  keyring = null;
+  const { activeKeyId, keys } = loadKeyring();
+  
+  logger.info('session.crypto', 'Session encryption initialized', {
+    activeKeyId,
+    keyCount: keys.size
+  });
+  
+  return { activeKeyId, keyCount: keys.size };
+}
+
+/**
+ * Check if a value was produced by encryptValue
+ * @param {any} value - Value to check
+ * @returns {boolean} True if value is an encrypted payload
+ */
+export function isEncryptedValue(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+}
+
+/**
+ * Check if a value was encrypted with the currently active key
+ * @param {any} value - Value to check
+ * @returns {boolean} True if the value uses the active key
+ */
+export function isEncryptedWithActiveKey(value) {
+  return isEncryptedValue(value) && value.split(':')[2] === loadKeyring().activeKeyId;
+}
+
+/**
+ * Encrypt a single value with the active key
+ * @param {any} value - JSON-serializable value
+ * @param {string} field - Field name, bound to the ciphertext as associated data
+ * @returns {string} Encrypted payload
+ */
+export function encryptValue(value, field) {
+  const { activeKeyId, keys } = loadKeyring();
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(activeKeyId), iv);
+  cipher.setAAD(Buffer.from(field));
+  
+  const ciphertext = Buffer.concat([
+    cipher.update(JSON.stringify(value), 'utf8'),
+    cipher.final()
+  ]);
+  
+  return [
+    PREFIX,
+    activeKeyId,
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':');
+}
+
+/**
+ * Decrypt a value produced by encryptValue
+ * @param {string} payload - Encrypted payload
+ * @param {string} field - Field name used when encrypting
+ * @returns {any} Decrypted value
+ */
+export function decryptValue(payload, field) {
+  const [, , keyId, iv, tag, ciphertext] = payload.split(':');
+  const key = loadKeyring().keys.get(keyId);
+  
+  if (!key) {
+    throw new Error(`Unknown session encryption key ${keyId}`);
+  }
+  
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAAD(Buffer.from(field));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  
+  const plaintext = Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]);
+  
+  return JSON.parse(plaintext.toString('utf8'));
+}
+
+/**
+ * Encrypt the sensitive fields of session data before it is stored
+ * @param {Object} data - Plain session data
+ * @returns {Object} Session data with sensitive fields encrypted
+ */
+export function encryptSessionData(data) {
+  if (!data || typeof data !== 'object') return data;
+  
+  const encrypted = { ...data };
+  for (const field of SENSITIVE_SESSION_FIELDS) {
+    const value = encrypted[field];
+    if (value === undefined || value === null) continue;
+    
+    // Values written under an older key are re-encrypted with the active one
+    if (isEncryptedValue(value)) {
+      if (isEncryptedWithActiveKey(value)) continue;
+      encrypted[field] = encryptValue(decryptValue(value, field), field);
+      continue;
+    }
+    
+    encrypted[field] = encryptValue(value, field);
+  }
+  
+  return encrypted;
+}
+
+/**
+ * Decrypt the sensitive fields of session data read from storage
+ * @param {Object} data - Stored session data
+ * @returns {Object} Plain session data
+ */
+export function decryptSessionData(data) {
+  if (!data || typeof data !== 'object') return data;
+  
+  const decrypted = { ...data };
+  for (const field of SENSITIVE_SESSION_FIELDS) {
+    if (!isEncryptedValue(decrypted[field])) continue;
+    
+    try {
+      decrypted[field] = decryptValue(decrypted[field], field);
+    } catch (error) {
+      // A tampered value or a retired key must not leak ciphertext into the flow
+      logger.error('session.crypto', 'Failed to decrypt session field', {
+        field,
+        error: error.message
+      });
+      delete decrypted[field];
+    }
+  }
+  
+  return decrypted;
+}
+
+/**
+ * Check if stored session data needs to be (re-)encrypted with the active key
+ * @param {Object} data - Stored session data
+ * @returns {boolean} True if any sensitive field is plain or uses an old key
+ */
+export function needsReencryption(data) {
+  if (!data || typeof data !== 'object') return false;
+  
+  return SENSITIVE_SESSION_FIELDS.some(field => {
+    const value = data[field];
+    if (value === undefined || value === null) return false;
+    return !isEncryptedWithActiveKey(value);
+  });
+}
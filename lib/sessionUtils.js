@@ -1,5 +1,6 @@
 // lib/sessionUtils.js
 import { logger } from './logger.js';
+import { decryptSessionData } from './sessionCrypto.js';
 
 /**
  * Updates a session with new data, using provided updater if available
@@ -93,7 +94,7 @@ export async function getSessionData(chatId, sessionManager, excludeTypes = ['au
         chatId: row.chatId,
         type: row.type,
         state: row.state,
-        data: JSON.parse(row.data),
+        data: decryptSessionData(JSON.parse(row.data)),
         expires: new Date(row.expires),
         createdAt: new Date(row.createdAt)
       };
@@ -0,0 +1,153 @@
+// lib/totp.js
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encodes a buffer as RFC 4648 base32 without padding
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  
+  return output;
+}
+
+/**
+ * Decodes an RFC 4648 base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+export function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const output = [];
+  
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    
+    value = (value << 5) | index;
+    bits += 5;
+    
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  
+  return Buffer.from(output);
+}
+
+/**
+ * Generates a new random TOTP secret
+ * @returns {string} Base32 secret (160 bits)
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Generates an HOTP code (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Moving factor
+ * @returns {string} Zero-padded code
+ */
+export function generateHotp(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+  
+  return (binary % (10 ** DIGITS)).toString().padStart(DIGITS, '0');
+}
+
+/**
+ * Gets the current TOTP time step
+ * @param {number} timestamp - Time in milliseconds
+ * @returns {number} Time step
+ */
+export function getTotpStep(timestamp = Date.now()) {
+  return Math.floor(timestamp / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Generates the TOTP code for a moment in time (RFC 6238)
+ * @param {string} secret - Base32 secret
+ * @param {number} timestamp - Time in milliseconds
+ * @returns {string} Code
+ */
+export function generateTotp(secret, timestamp = Date.now()) {
+  return generateHotp(secret, getTotpStep(timestamp));
+}
+
+/**
+ * Verifies a TOTP code, allowing one step of clock drift either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} window - Number of steps accepted before/after now
+ * @returns {number|null} Matching time step, or null if the code is invalid
+ */
+export function verifyTotp(secret, code, window = 1) {
+  if (!/^\d{6}$/.test(code || '')) return null;
+  
+  const currentStep = getTotpStep();
+  
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = Buffer.from(generateHotp(secret, step));
+    
+    if (crypto.timingSafeEqual(expected, Buffer.from(code))) {
+      return step;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Builds the otpauth:// URI understood by authenticator apps
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Label shown in the app
+ * @param {string} issuer - Issuer shown in the app
+ * @returns {string} otpauth URI
+ */
+export function buildOtpauthUri(secret, accountName, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
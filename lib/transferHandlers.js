@@ -1,7 +1,16 @@
 // lib/transferHandlers.js
 import { logger } from './logger.js';
-import { formatCurrency } from './utils.js';
+import { formatCurrency, escapeHtml } from './utils.js';
 import { updateSessionData, deleteSessionData } from './sessionUtils.js';
+import { assertTransferAllowed } from './limitsHandler.js';
+import { requiresApproval, getApprovalSettings } from './approvalHandler.js';
+import { decodeQrImage, decodeQrisPayload, getQrisConvenienceFee, renderQrisImage, formatQrisPreview } from './qrisHandler.js';
+import {
+  createTransferRecord,
+  markTransferSucceeded,
+  markTransferFailed,
+  getTransferReference
+} from './transferLedger.js';
 
 /**
  * Handle DANA bank transfer initiation
@@ -34,6 +43,12 @@ export async function handleDANABankTransferInit(ctx, session, statusMsg, sdk, s
         '🔄 Memverifikasi detail transfer... Mohon tunggu.'
       );
   
+      await assertTransferAllowed(sessionManager.db, {
+        userId: session.data.userId || ctx.from?.id.toString(),
+        accountId,
+        amount
+      });
+  
       // Initialize bank transfer with the correct bank data structure
       const response = await sdk.transferDanaBankInit(accountId, {
         accountNumber,
@@ -82,13 +97,15 @@ export async function handleDANABankTransferInit(ctx, session, statusMsg, sdk, s
   
   <b>📋 Detail Transfer:</b>
   💰 Jumlah: <b>${formatCurrency(amount)}</b>
-  🏦 Bank: <b>${bankName}</b>
+  🏦 Bank: <b>${escapeHtml(bankName)}</b>
   📄 Rekening: <b>${accountNumber}</b>
-  👤 Nama Penerima: <b>${accountName}</b>
+  👤 Nama Penerima: <b>${escapeHtml(accountName)}</b>
   
   ⚠️ <b>Pastikan detail di atas sudah benar!</b>
-  
-  Ketik <b>KONFIRMASI</b> untuk melanjutkan transfer atau <b>BATAL</b> untuk membatalkan.
+  ${requiresApproval(amount) ? `\n  🛂 Transfer di atas ${formatCurrency(getApprovalSettings().threshold)} akan dikirim ke penyetuju setelah Anda konfirmasi.\n  ` : ''}
+  ${session.data.requireTotp
+    ? 'Masukkan <b>kode 2FA</b> dari aplikasi authenticator untuk melanjutkan transfer atau ketik <b>BATAL</b> untuk membatalkan.'
+    : 'Ketik <b>KONFIRMASI</b> untuk melanjutkan transfer atau <b>BATAL</b> untuk membatalkan.'}
       `;
   
       await ctx.telegram.editMessageText(
@@ -96,7 +113,13 @@ export async function handleDANABankTransferInit(ctx, session, statusMsg, sdk, s
         statusMsg.message_id,
         undefined,
         confirmationMessage,
-        { parse_mode: 'HTML' }
+        {
+          parse_mode: 'HTML',
+          // Recipients picked from the address book are already saved
+          reply_markup: session.data.beneficiaryId
+            ? undefined
+            : { inline_keyboard: [[{ text: '⭐ Simpan penerima', callback_data: 'save_beneficiary' }]] }
+        }
       );
   
       logger.info('transfer.dana.bank.init', 'Transfer verification successful', {
@@ -112,6 +135,89 @@ export async function handleDANABankTransferInit(ctx, session, statusMsg, sdk, s
     }
 }
 
+/**
+ * Send a verified DANA bank transfer, checking limits and recording it in the ledger
+ * Shared by the direct confirmation, the approval flow and scheduled transfers
+ * @param {Object} sdk - SDK instance
+ * @param {Object} db - SQLite database instance
+ * @param {Object} transfer - userId, chatId, accountId, amount, bankAccountIndexNo, accountNumber, bankData, accountName
+ * @returns {number} Ledger ID of the sent transfer
+ */
+export async function executeDANABankTransfer(sdk, db, transfer) {
+  const { userId, chatId, accountId, amount, bankAccountIndexNo, accountNumber, bankData, accountName } = transfer;
+
+  // Limits are checked again, other transfers may have completed since verification
+  await assertTransferAllowed(db, { userId, accountId, amount });
+
+  // Recorded before sending, so a transfer whose outcome is unknown stays visible as pending
+  const transferId = await createTransferRecord(db, {
+    userId,
+    chatId,
+    accountId,
+    type: 'bank',
+    bankCode: bankData?.instId,
+    bankName: bankData?.name || bankData?.instLocalName,
+    destinationAccount: accountNumber,
+    destinationName: accountName,
+    amount
+  });
+
+  // Complete the transfer
+  let response;
+  try {
+    response = await sdk.transferDanaBankCreate(accountId, {
+      amount,
+      bankAccountIndexNo
+    });
+  } catch (error) {
+    // The money may or may not have left, so callers must not retry blindly
+    error.outcomeUnknown = true;
+    error.transferId = transferId;
+    throw error;
+  }
+
+  if (!response.success) {
+    logger.error('transfer.dana.bank.complete', 'Failed to complete transfer', {
+      message: response.message || response.error
+    });
+    const errorMessage = response.message || response.error || 'Gagal menyelesaikan transfer';
+    await markTransferFailed(db, transferId, errorMessage);
+    throw new Error(errorMessage);
+  }
+
+  await markTransferSucceeded(db, transferId, { reference: getTransferReference(response) });
+  return transferId;
+}
+
+/**
+ * Build the message for a transfer whose outcome is unknown
+ * The ledger row stays pending, so the user must check before trying again
+ * @param {Error} error - Error thrown with outcomeUnknown and transferId
+ * @returns {string} Plain text message
+ */
+export function formatUnknownTransferOutcome(error) {
+  return `⚠️ Status transfer tidak diketahui: ${error.message}\n\nTransfer mungkin sudah terkirim (catatan #${error.transferId}). Periksa /history dan mutasi akun sebelum mencoba lagi.`;
+}
+
+/**
+ * Build the success message for a bank transfer
+ * @param {Object} transfer - amount and accountNumber
+ * @param {number} transferId - Ledger ID
+ * @returns {string} HTML message
+ */
+export function formatBankTransferSuccess(transfer, transferId) {
+  return `
+✅ <b>Transfer Berhasil!</b>
+
+💰 Jumlah: <b>${formatCurrency(transfer.amount)}</b>
+🏦 Tujuan: <b>${transfer.accountNumber}</b>
+📅 Waktu: <b>${new Date().toLocaleString('id-ID')}</b>
+🧾 Catatan: <b>#${transferId}</b>
+
+Transfer telah berhasil diproses!
+    `;
+}
+
 /**
  * Complete DANA bank transfer
  * @param {Object} ctx - Telegram context
@@ -126,7 +232,7 @@ export async function completeDANABankTransfer(ctx, session, statusMsg, sdk, ses
     throw new Error("Tidak dapat menentukan ID chat");
   }
 
-  const { accountId, amount, bankAccountIndexNo } = session.data;
+  const { accountId, amount } = session.data;
   
   logger.info('transfer.dana.bank.complete', 'Completing DANA bank transfer', {
     accountId,
@@ -142,35 +248,14 @@ export async function completeDANABankTransfer(ctx, session, statusMsg, sdk, ses
       'Memproses transfer... Mohon tunggu.'
     );
 
-    // Complete the transfer
-    const response = await sdk.transferDanaBankCreate(accountId, {
-      amount,
-      bankAccountIndexNo
-    });
-
-    if (!response.success) {
-      logger.error('transfer.dana.bank.complete', 'Failed to complete transfer', {
-        message: response.message || response.error
-      });
-      throw new Error(response.message || response.error || 'Gagal menyelesaikan transfer');
-    }
-
-    // Success message
-    const successMessage = `
-✅ <b>Transfer Berhasil!</b>
-
-💰 Jumlah: <b>${formatCurrency(amount)}</b>
-🏦 Tujuan: <b>${session.data.accountNumber}</b>
-📅 Waktu: <b>${new Date().toLocaleString('id-ID')}</b>
-
-Transfer telah berhasil diproses!
-    `;
+    const transfer = getBankTransferDetails(session, chatId, ctx.from?.id.toString());
+    const transferId = await executeDANABankTransfer(sdk, sessionManager.db, transfer);
 
     await ctx.telegram.editMessageText(
       chatId,
       statusMsg.message_id,
       undefined,
-      successMessage,
+      formatBankTransferSuccess(transfer, transferId),
       { parse_mode: 'HTML' }
     );
 
@@ -187,22 +272,166 @@ Transfer telah berhasil diproses!
 }
 
 /**
- * Handle DANA QRIS transfer
+ * Collect what is needed to send a verified bank transfer from its session
+ * @param {Object} session - Transfer session awaiting confirmation
+ * @param {string} chatId - Chat the transfer was started in
+ * @param {string} [fallbackUserId] - Used for sessions created before the initiator was stored
+ * @returns {Object} Transfer details for executeDANABankTransfer
+ */
+export function getBankTransferDetails(session, chatId, fallbackUserId) {
+  const { accountId, amount, bankAccountIndexNo, accountNumber, bankData, verificationData } = session.data;
+
+  return {
+    userId: session.data.userId || fallbackUserId,
+    chatId,
+    accountId,
+    amount,
+    bankAccountIndexNo,
+    accountNumber,
+    bankData: bankData && {
+      instId: bankData.instId,
+      name: bankData.name,
+      instLocalName: bankData.instLocalName
+    },
+    accountName: verificationData?.accountName
+  };
+}
+
+/**
+ * Build the message asking the user to confirm a decoded QRIS
+ * @param {Object} qris - Result of decodeQrisPayload
+ * @param {number} amount - Amount that will be paid
+ * @param {boolean} requireTotp - Whether the user confirms with a 2FA code
+ * @returns {string} HTML message
+ */
+export function formatQRISConfirmation(qris, amount, requireTotp) {
+    return `
+  🔍 <b>Periksa Detail QRIS</b>
+  
+  ${formatQrisPreview(qris, amount).split('\n').join('\n  ')}
+  
+  ⚠️ <b>Pastikan nama merchant sesuai dengan toko yang Anda bayar!</b>
+  Jika berbeda, QR code mungkin telah ditempel ulang. Batalkan dan laporkan ke pengelola toko.
+  
+  ${requireTotp
+    ? 'Masukkan <b>kode 2FA</b> dari aplikasi authenticator untuk membayar atau ketik <b>BATAL</b> untuk membatalkan.'
+    : 'Ketik <b>KONFIRMASI</b> untuk membayar atau <b>BATAL</b> untuk membatalkan.'}
+    `;
+}
+
+/**
+ * Download a QRIS image sent as a photo or a document and read its QR code
+ * @param {Object} ctx - Telegram context
+ * @param {string} fileId - Telegram file ID
+ * @param {Object} statusMsg - Status message object
+ * @returns {Promise<string>} Text encoded in the QR code
+ */
+export async function readQRISImage(ctx, fileId, statusMsg) {
+    // Download the image
+    const file = await ctx.telegram.getFile(fileId);
+    const fileUrl = `https://api.telegram.org/file/bot${process.env.TELEGRAM_BOT_TOKEN}/${file.file_path}`;
+    
+    const response = await fetch(fileUrl);
+    if (!response.ok) {
+      throw new Error('Gagal mengunduh gambar QR code');
+    }
+    
+    const buffer = Buffer.from(await response.arrayBuffer());
+    
+    // Update progress
+    try {
+      await ctx.telegram.editMessageText(
+        ctx.chat.id,
+        statusMsg.message_id,
+        undefined,
+        '🔍 Memindai QR code...'
+      );
+    } catch (editError) {
+      // Continue if edit fails
+    }
+  
+    return decodeQrImage(buffer);
+}
+
+/**
+ * Check a QRIS payload and show the merchant to the user
+ * The payload is decoded and checked locally, nothing is paid until the user confirms.
+ * Codes with an amount go straight to confirmation, the others ask for the amount first
+ * @param {Object} ctx - Telegram context
+ * @param {Object} session - Session object
+ * @param {string} payload - QRIS payload read from an image or pasted by the user
+ * @param {Object} statusMsg - Status message object
+ * @param {Object} sessionManager - Session manager functions
+ */
+export async function prepareDANAQRISTransfer(ctx, session, payload, statusMsg, sessionManager) {
+    const chatId = ctx.chat?.id.toString();
+    if (!chatId) {
+      throw new Error("Tidak dapat menentukan ID chat");
+    }
+  
+    const { accountId } = session.data;
+    const qris = decodeQrisPayload(payload);
+  
+    logger.info('transfer.dana.qris', 'QRIS decoded', {
+      accountId,
+      nmid: qris.nmid,
+      type: qris.type,
+      amount: qris.amount
+    });
+  
+    if (qris.amount === null) {
+      await updateSessionData(session, sessionManager, {
+        state: 'awaiting_qris_amount',
+        data: { qrisPayload: qris.payload }
+      });
+  
+      await ctx.telegram.editMessageText(
+        chatId,
+        statusMsg.message_id,
+        undefined,
+        `🔍 <b>QRIS Terbaca</b>\n\n${formatQrisPreview(qris)}\n\nSilakan masukkan jumlah pembayaran (minimum Rp 1.000)${qris.tipIndicator === 'prompt' ? ', termasuk tip jika ingin memberi' : ''}:`,
+        { parse_mode: 'HTML' }
+      );
+      return;
+    }
+  
+    // The merchant fixed the amount, so it gets the same checks as an amount typed by the user
+    await assertTransferAllowed(sessionManager.db, {
+      userId: session.data.userId || ctx.from?.id.toString(),
+      accountId,
+      amount: qris.amount + getQrisConvenienceFee(qris, qris.amount)
+    });
+  
+    await updateSessionData(session, sessionManager, {
+      state: 'awaiting_qris_confirmation',
+      data: { qrisPayload: qris.payload, amount: qris.amount }
+    });
+  
+    await ctx.telegram.editMessageText(
+      chatId,
+      statusMsg.message_id,
+      undefined,
+      formatQRISConfirmation(qris, qris.amount, session.data.requireTotp),
+      { parse_mode: 'HTML' }
+    );
+}
+
+/**
+ * Pay a confirmed QRIS with DANA
+ * The payment uses an image drawn from the payload the user confirmed, not the original photo
  * @param {Object} ctx - Telegram context
  * @param {Object} session - Session object
- * @param {string} photoFileId - Telegram photo file ID
  * @param {Object} statusMsg - Status message object
  * @param {Object} sdk - SDK instance
  * @param {Object} sessionManager - Session manager functions
  */
-// lib/transferHandlers.js
-export async function handleDANAQRISTransfer(ctx, session, photoFileId, statusMsg, sdk, sessionManager) {
+export async function handleDANAQRISTransfer(ctx, session, statusMsg, sdk, sessionManager) {
     const chatId = ctx.chat?.id.toString();
     if (!chatId) {
       throw new Error("Tidak dapat menentukan ID chat");
     }
   
-    const { accountId, amount } = session.data;
+    const { accountId, amount, qrisPayload } = session.data;
     
     logger.info('transfer.dana.qris', 'Processing DANA QRIS transfer', {
       accountId,
@@ -210,59 +439,13 @@ export async function handleDANAQRISTransfer(ctx, session, photoFileId, statusMs
     });
   
     try {
-      // Update message to show processing - only if different from current message
-      try {
-        await ctx.telegram.editMessageText(
-          chatId,
-          statusMsg.message_id,
-          undefined,
-          '📱 Memproses pembayaran QRIS... Mohon tunggu.'
-        );
-      } catch (editError) {
-        // If edit fails (message is the same), just continue
-        logger.debug('transfer.dana.qris', 'Message edit skipped (same content)');
-      }
-  
-      // Download the photo
-      const file = await ctx.telegram.getFile(photoFileId);
-      const fileUrl = `https://api.telegram.org/file/bot${process.env.TELEGRAM_BOT_TOKEN}/${file.file_path}`;
-      
-      // Update progress
-      try {
-        await ctx.telegram.editMessageText(
-          chatId,
-          statusMsg.message_id,
-          undefined,
-          '📥 Mengunduh gambar QR code...'
-        );
-      } catch (editError) {
-        // Continue if edit fails
-      }
-      
-      // Fetch the image
-      const response = await fetch(fileUrl);
-      if (!response.ok) {
-        throw new Error('Gagal mengunduh gambar QR code');
-      }
-      
-      const arrayBuffer = await response.arrayBuffer();
-      const buffer = Buffer.from(arrayBuffer);
-      
-      // Update progress
-      try {
-        await ctx.telegram.editMessageText(
-          chatId,
-          statusMsg.message_id,
-          undefined,
-          '🔍 Memindai QR code...'
-        );
-      } catch (editError) {
-        // Continue if edit fails
+      // Check the stored payload again, it is what the user confirmed
+      const qris = decodeQrisPayload(qrisPayload);
+      if (qris.amount !== null && qris.amount !== amount) {
+        throw new Error('Jumlah tidak sesuai dengan jumlah pada kode QRIS');
       }
-      
-      // Create a File object from buffer
-      const blob = new Blob([buffer], { type: 'image/jpeg' });
-      const imageFile = new File([blob], 'qr-code.jpg', { type: 'image/jpeg' });
+      const imageBuffer = await renderQrisImage(qris.payload);
+      const imageFile = new File([imageBuffer], 'qr-code.png', { type: 'image/png' });
   
       // Update progress
       try {
@@ -276,22 +459,55 @@ export async function handleDANAQRISTransfer(ctx, session, photoFileId, statusMs
         // Continue if edit fails
       }
   
+      // Limits and the ledger use the total that leaves the account, convenience fee included
+      const userId = session.data.userId || ctx.from?.id.toString();
+      const total = amount + getQrisConvenienceFee(qris, amount);
+      await assertTransferAllowed(sessionManager.db, { userId, accountId, amount: total });
+  
+      const transferId = await createTransferRecord(sessionManager.db, {
+        userId,
+        chatId,
+        accountId,
+        type: 'qris',
+        bankName: qris.acquirer,
+        destinationAccount: qris.nmid,
+        destinationName: qris.merchantName,
+        amount: total
+      });
+  
       // Process QRIS transfer
-      const transferResponse = await sdk.transferDanaQris(accountId, imageFile, amount);
+      let transferResponse;
+      try {
+        transferResponse = await sdk.transferDanaQris(accountId, imageFile, amount);
+      } catch (error) {
+        // The payment may or may not have gone through, so it must not be retried blindly
+        error.outcomeUnknown = true;
+        error.transferId = transferId;
+        throw error;
+      }
   
       if (!transferResponse.success) {
         logger.error('transfer.dana.qris', 'Failed to process QRIS transfer', {
           message: transferResponse.message || transferResponse.error
         });
-        throw new Error(transferResponse.message || transferResponse.error || 'Gagal memproses QR code');
+        const errorMessage = transferResponse.message || transferResponse.error || 'Gagal memproses QR code';
+        await markTransferFailed(sessionManager.db, transferId, errorMessage);
+        throw new Error(errorMessage);
       }
   
+      await markTransferSucceeded(sessionManager.db, transferId, {
+        reference: getTransferReference(transferResponse),
+        destinationName: transferResponse.data?.merchantName
+      });
+  
       // Success message
       const successMessage = `
   ✅ <b>QRIS Transfer Berhasil!</b>
   
-  💰 Jumlah: <b>${formatCurrency(amount)}</b>
+  🏪 Merchant: <b>${escapeHtml(qris.merchantName)}</b>
+  💰 Jumlah: <b>${formatCurrency(amount)}</b>${total > amount ? `\n  💳 Total dengan biaya layanan: <b>${formatCurrency(total)}</b>` : ''}
   📅 Waktu: <b>${new Date().toLocaleString('id-ID')}</b>
+  🧾 Catatan: <b>#${transferId}</b>
   
   Transfer QRIS telah berhasil diproses!
       `;
@@ -314,4 +530,4 @@ export async function handleDANAQRISTransfer(ctx, session, photoFileId, statusMs
       });
       throw error;
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,260 @@
+// lib/transferLedger.js
+import { logger } from './logger.js';
+import { formatCurrency, escapeHtml } from './utils.js';
+import { encryptValue, decryptValue, isEncryptedValue } from './sessionCrypto.js';
+
+export const TRANSFER_TYPES = ['bank', 'qris'];
+export const TRANSFER_STATUSES = ['pending', 'success', 'failed'];
+
+const STATUS_ICONS = {
+  pending: '⏳',
+  success: '✅',
+  failed: '❌'
+};
+
+/**
+ * Record a transfer right before it is sent to Mutasiku
+ * @param {Object} db - SQLite database instance
+ * @param {Object} transfer - Initiator, source account, destination and amount
+ * @returns {number} Ledger ID of the new pending transfer
+ */
+export async function createTransferRecord(db, transfer) {
+  const now = Date.now();
+  const {
+    userId,
+    chatId,
+    accountId,
+    type,
+    bankCode = null,
+    bankName = null,
+    destinationAccount = null,
+    destinationName = null,
+    amount
+  } = transfer;
+
+  const result = await db.run(
+    `INSERT INTO transfers (
+       userId, chatId, accountId, type, bankCode, bankName,
+       destinationAccount, destinationName, amount, status, createdAt, updatedAt
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)`,
+    userId,
+    chatId,
+    accountId,
+    type,
+    bankCode,
+    bankName,
+    destinationAccount ? encryptValue(destinationAccount, 'destinationAccount') : null,
+    destinationName,
+    amount,
+    now,
+    now
+  );
+
+  logger.info('ledger.create', `Transfer ${result.lastID} recorded as pending`, { type, accountId, amount });
+  return result.lastID;
+}
+
+/**
+ * Mark a ledger entry as sent successfully
+ * @param {Object} db - SQLite database instance
+ * @param {number} id - Ledger ID
+ * @param {Object} details - SDK reference and, if known, the destination name
+ */
+export async function markTransferSucceeded(db, id, { reference = null, destinationName = null } = {}) {
+  await db.run(
+    `UPDATE transfers
+     SET status = 'success', reference = ?, destinationName = COALESCE(?, destinationName), updatedAt = ?
+     WHERE id = ?`,
+    reference,
+    destinationName,
+    Date.now(),
+    id
+  );
+}
+
+/**
+ * Mark a ledger entry as failed
+ * @param {Object} db - SQLite database instance
+ * @param {number} id - Ledger ID
+ * @param {string} errorMessage - Why the transfer failed
+ */
+export async function markTransferFailed(db, id, errorMessage) {
+  await db.run(
+    "UPDATE transfers SET status = 'failed', errorMessage = ?, updatedAt = ? WHERE id = ?",
+    errorMessage,
+    Date.now(),
+    id
+  );
+}
+
+/**
+ * Settle a pending ledger entry by hand once its real outcome was checked
+ * Pending entries count towards transfer limits until they are settled
+ * @param {Object} db - SQLite database instance
+ * @param {number} id - Ledger ID
+ * @param {string} status - 'success' or 'failed'
+ * @param {string} resolvedBy - Owner settling the entry
+ * @returns {boolean} Whether a pending entry was updated
+ */
+export async function resolvePendingTransfer(db, id, status, resolvedBy) {
+  if (status !== 'success' && status !== 'failed') {
+    throw new Error(`Invalid transfer status ${status}`);
+  }
+
+  const result = await db.run(
+    `UPDATE transfers
+     SET status = ?, errorMessage = CASE WHEN ? = 'failed' THEN ? ELSE errorMessage END, updatedAt = ?
+     WHERE id = ? AND status = 'pending'`,
+    status,
+    status,
+    `Ditandai gagal oleh ${resolvedBy}`,
+    Date.now(),
+    id
+  );
+
+  if (result.changes > 0) {
+    logger.info('ledger.resolve', `Pending transfer ${id} marked ${status} by ${resolvedBy}`);
+  }
+  return result.changes > 0;
+}
+
+/**
+ * Pick the transaction reference out of an SDK transfer response
+ * @param {Object} response - SDK response
+ * @returns {string|null} Reference or null if the response has none
+ */
+export function getTransferReference(response) {
+  const data = response?.data || {};
+  const reference = data.transactionId || data.referenceId || data.orderId || data.id;
+  return reference ? String(reference) : null;
+}
+
+/**
+ * Build the WHERE clause for ledger filters
+ */
+function buildFilterClause(filters) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.userId) {
+    conditions.push('t.userId = ?');
+    params.push(filters.userId);
+  }
+  if (filters.accountId) {
+    conditions.push('t.accountId = ?');
+    params.push(filters.accountId);
+  }
+  if (filters.type) {
+    conditions.push('t.type = ?');
+    params.push(filters.type);
+  }
+  if (filters.status) {
+    conditions.push('t.status = ?');
+    params.push(filters.status);
+  }
+  if (filters.bank) {
+    conditions.push('(t.bankName LIKE ? OR t.bankCode LIKE ?)');
+    params.push(`%${filters.bank}%`, `%${filters.bank}%`);
+  }
+  if (filters.minAmount !== undefined) {
+    conditions.push('t.amount >= ?');
+    params.push(filters.minAmount);
+  }
+  if (filters.maxAmount !== undefined) {
+    conditions.push('t.amount <= ?');
+    params.push(filters.maxAmount);
+  }
+  if (filters.since) {
+    conditions.push('t.createdAt >= ?');
+    params.push(filters.since);
+  }
+  if (filters.until) {
+    conditions.push('t.createdAt < ?');
+    params.push(filters.until);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * Count ledger entries matching the filters
+ * @param {Object} db - SQLite database instance
+ * @param {Object} filters - Same filters as queryTransfers
+ * @returns {number} Number of matching entries
+ */
+export async function countTransfers(db, filters = {}) {
+  const { where, params } = buildFilterClause(filters);
+  const row = await db.get(`SELECT COUNT(*) AS total FROM transfers t ${where}`, ...params);
+  return row?.total || 0;
+}
+
+/**
+ * Find ledger entries, newest first
+ * @param {Object} db - SQLite database instance
+ * @param {Object} filters - userId, accountId, type, status, bank, minAmount, maxAmount, since, until
+ * @param {Object} paging - limit and offset
+ * @returns {Array} Matching rows for the page
+ */
+export async function queryTransfers(db, filters = {}, { limit = 10, offset = 0 } = {}) {
+  const { where, params } = buildFilterClause(filters);
+
+  const rows = await db.all(
+    `SELECT t.*, u.name AS userName
+     FROM transfers t
+     LEFT JOIN users u ON u.userId = t.userId
+     ${where}
+     ORDER BY t.createdAt DESC, t.id DESC
+     LIMIT ? OFFSET ?`,
+    ...params,
+    limit,
+    offset
+  );
+
+  return rows.map(row => ({
+    ...row,
+    destinationAccount: readDestinationAccount(row)
+  }));
+}
+
+/**
+ * Decrypt the destination account of a ledger row, tolerating unreadable values
+ */
+function readDestinationAccount(row) {
+  if (!isEncryptedValue(row.destinationAccount)) return row.destinationAccount;
+
+  try {
+    return decryptValue(row.destinationAccount, 'destinationAccount');
+  } catch (error) {
+    logger.warn('ledger.decrypt', `Could not decrypt destination of transfer ${row.id}`);
+    return null;
+  }
+}
+
+/**
+ * Format one ledger entry for Telegram (HTML)
+ * @param {Object} row - Row from queryTransfers
+ * @returns {string} Formatted entry
+ */
+export function formatTransferRecord(row) {
+  const date = new Date(row.createdAt).toLocaleString('id-ID', { timeZone: 'Asia/Jakarta' });
+  const destination = row.type === 'qris'
+    ? `📱 QRIS${row.destinationName ? ` ${escapeHtml(row.destinationName)}` : ''}`
+    : `🏦 ${escapeHtml(row.bankName || row.bankCode || 'Bank')} ${row.destinationAccount || '-'}${row.destinationName ? ` (${escapeHtml(row.destinationName)})` : ''}`;
+
+  let entry = `${STATUS_ICONS[row.status] || '•'} <b>#${row.id}</b> ${formatCurrency(row.amount)}\n`;
+  entry += `${destination}\n`;
+  entry += `👤 ${escapeHtml(row.userName || row.userId || '-')} • 💳 ${row.accountId}\n`;
+  entry += `📅 ${date}`;
+
+  if (row.reference) {
+    entry += `\n🔖 Ref: <code>${escapeHtml(row.reference)}</code>`;
+  }
+  if (row.status === 'failed' && row.errorMessage) {
+    entry += `\n⚠️ ${escapeHtml(row.errorMessage)}`;
+  }
+
+  return entry;
+}
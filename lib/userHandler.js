@@ -0,0 +1,288 @@
+// lib/userHandler.js
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+/**
+ * Roles ordered from least to most privileged
+ */
+export const ROLES = ['viewer', 'operator', 'owner'];
+
+const INVITE_EXPIRY_HOURS = 24;
+
+/**
+ * Check if a role grants at least the required role
+ * @param {string} role - The user's role
+ * @param {string} requiredRole - Minimum role needed
+ * @returns {boolean} True if the role is sufficient
+ */
+export function hasRequiredRole(role, requiredRole) {
+  const roleIndex = ROLES.indexOf(role);
+  return roleIndex !== -1 && roleIndex >= ROLES.indexOf(requiredRole);
+}
+
+/**
+ * Check if a string is a known role
+ * @param {string} role - Role to validate
+ * @returns {boolean} True if valid
+ */
+export function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+/**
+ * Get an active (not revoked) user by Telegram user ID
+ * @param {Object} db - SQLite database instance
+ * @param {string} userId - Telegram user ID
+ * @returns {Object|null} User or null if not found
+ */
+export async function getUser(db, userId) {
+  if (!userId) return null;
+  
+  const row = await db.get(
+    'SELECT * FROM users WHERE userId = ? AND revokedAt IS NULL',
+    userId
+  );
+  
+  return row || null;
+}
+
+/**
+ * List all active users
+ * @param {Object} db - SQLite database instance
+ * @returns {Array} Users ordered by role then creation time
+ */
+export async function listUsers(db) {
+  const rows = await db.all('SELECT * FROM users WHERE revokedAt IS NULL ORDER BY createdAt ASC');
+  return rows.sort((a, b) => ROLES.indexOf(b.role) - ROLES.indexOf(a.role));
+}
+
+/**
+ * Make sure the configured owners exist
+ * @param {Object} db - SQLite database instance
+ * @param {string[]} ownerIds - Telegram user IDs from BOT_OWNER_IDS
+ */
+export async function seedOwners(db, ownerIds) {
+  const now = Date.now();
+  
+  for (const userId of ownerIds) {
+    await db.run(
+      `INSERT INTO users (userId, role, name, invitedBy, createdAt, updatedAt, revokedAt)
+       VALUES (?, 'owner', NULL, 'env', ?, ?, NULL)
+       ON CONFLICT(userId) DO UPDATE SET role = 'owner', revokedAt = NULL, updatedAt = excluded.updatedAt`,
+      userId,
+      now,
+      now
+    );
+  }
+  
+  const owners = await db.get("SELECT COUNT(*) as count FROM users WHERE role = 'owner' AND revokedAt IS NULL");
+  if (owners.count === 0) {
+    logger.warn('users.init', 'No owner configured. Set BOT_OWNER_IDS to your Telegram user ID to manage users');
+  }
+}
+
+/**
+ * Count active owners
+ * @param {Object} db - SQLite database instance
+ * @returns {number} Number of owners
+ */
+async function countOwners(db) {
+  const row = await db.get("SELECT COUNT(*) as count FROM users WHERE role = 'owner' AND revokedAt IS NULL");
+  return row.count;
+}
+
+/**
+ * Create a one-time invite code for a role
+ * @param {Object} db - SQLite database instance
+ * @param {string} role - Role granted by the invite
+ * @param {string} createdBy - Telegram user ID of the owner creating it
+ * @returns {Object} Invite code and expiry
+ */
+export async function createInvite(db, role, createdBy) {
+  const code = crypto.randomBytes(6).toString('hex').toUpperCase();
+  const expires = Date.now() + (INVITE_EXPIRY_HOURS * 60 * 60 * 1000);
+  
+  await db.run(
+    'INSERT INTO user_invites (code, role, createdBy, expires, usedBy, usedAt) VALUES (?, ?, ?, ?, NULL, NULL)',
+    code,
+    role,
+    createdBy,
+    expires
+  );
+  
+  logger.info('users.invite', 'Invite created', { role, createdBy });
+  return { code, expires: new Date(expires) };
+}
+
+/**
+ * Redeem an invite code and register the user
+ * @param {Object} db - SQLite database instance
+ * @param {string} code - Invite code
+ * @param {Object} from - Telegram user (ctx.from)
+ * @returns {Object} Status, message and granted role
+ */
+export async function redeemInvite(db, code, from) {
+  const userId = from?.id?.toString();
+  if (!userId) {
+    return { success: false, message: 'Tidak dapat menentukan pengguna Telegram' };
+  }
+  
+  const invite = await db.get('SELECT * FROM user_invites WHERE code = ?', code.toUpperCase());
+  
+  if (!invite || invite.usedBy) {
+    return { success: false, message: 'Kode undangan tidak valid atau sudah digunakan' };
+  }
+  if (invite.expires < Date.now()) {
+    return { success: false, message: 'Kode undangan sudah kedaluwarsa' };
+  }
+  
+  const existing = await getUser(db, userId);
+  if (existing) {
+    return { success: false, message: `Anda sudah terdaftar sebagai ${existing.role}` };
+  }
+  
+  const now = Date.now();
+  const name = [from.first_name, from.last_name].filter(Boolean).join(' ') || from.username || null;
+  
+  await db.run(
+    `INSERT INTO users (userId, role, name, invitedBy, createdAt, updatedAt, revokedAt)
+     VALUES (?, ?, ?, ?, ?, ?, NULL)
+     ON CONFLICT(userId) DO UPDATE SET
+       role = excluded.role,
+       name = excluded.name,
+       invitedBy = excluded.invitedBy,
+       updatedAt = excluded.updatedAt,
+       revokedAt = NULL`,
+    userId,
+    invite.role,
+    name,
+    invite.createdBy,
+    now,
+    now
+  );
+  await db.run('UPDATE user_invites SET usedBy = ?, usedAt = ? WHERE code = ?', userId, now, invite.code);
+  
+  logger.info('users.invite', 'Invite redeemed', { userId, role: invite.role });
+  return { success: true, message: 'Pendaftaran berhasil', role: invite.role };
+}
+
+/**
+ * Change the role of a user
+ * @param {Object} db - SQLite database instance
+ * @param {string} userId - Target Telegram user ID
+ * @param {string} role - New role
+ * @param {string} actorId - Telegram user ID of the owner making the change
+ * @returns {Object} Status and message
+ */
+export async function setUserRole(db, userId, role, actorId) {
+  const user = await getUser(db, userId);
+  if (!user) {
+    return { success: false, message: 'Pengguna tidak ditemukan' };
+  }
+  
+  if (user.role === 'owner' && role !== 'owner' && await countOwners(db) <= 1) {
+    return { success: false, message: 'Tidak dapat menurunkan peran owner terakhir' };
+  }
+  
+  await db.run('UPDATE users SET role = ?, updatedAt = ? WHERE userId = ?', role, Date.now(), userId);
+  
+  logger.info('users.role', 'User role changed', { userId, from: user.role, to: role, actorId });
+  return { success: true, message: `Peran pengguna diubah dari ${user.role} menjadi ${role}` };
+}
+
+/**
+ * Revoke a user's access
+ * @param {Object} db - SQLite database instance
+ * @param {string} userId - Target Telegram user ID
+ * @param {string} actorId - Telegram user ID of the owner revoking access
+ * @returns {Object} Status and message
+ */
+export async function revokeUser(db, userId, actorId) {
+  if (userId === actorId) {
+    return { success: false, message: 'Anda tidak dapat mencabut akses Anda sendiri' };
+  }
+  
+  const user = await getUser(db, userId);
+  if (!user) {
+    return { success: false, message: 'Pengguna tidak ditemukan' };
+  }
+  
+  if (user.role === 'owner' && await countOwners(db) <= 1) {
+    return { success: false, message: 'Tidak dapat mencabut akses owner terakhir' };
+  }
+  
+  const now = Date.now();
+  await db.run('UPDATE users SET revokedAt = ?, updatedAt = ? WHERE userId = ?', now, now, userId);
+  
+  // End the user's logins and pending conversations in every chat right away
+  await deleteUserSessions(db, userId);
+  
+  logger.info('users.revoke', 'User access revoked', { userId, actorId });
+  return { success: true, message: 'Akses pengguna telah dicabut' };
+}
+
+/**
+ * Delete the sessions that belong to a user across all chats
+ * @param {Object} db - SQLite database instance
+ * @param {string} userId - Telegram user ID
+ * @param {string|null} type - Only delete sessions of this type
+ * @returns {Promise<number>} Number of deleted sessions
+ */
+export async function deleteUserSessions(db, userId, type = null) {
+  let query = "DELETE FROM sessions WHERE json_extract(data, '$.userId') = ?";
+  const params = [String(userId)];
+  
+  if (type) {
+    query += ' AND type = ?';
+    params.push(type);
+  }
+  
+  const result = await db.run(query, ...params);
+  return result.changes;
+}
+
+/**
+ * Store a new password hash for a user
+ * @param {Object} db - SQLite database instance
+ * @param {string} userId - Telegram user ID
+ * @param {string} passwordHash - Encoded password hash
+ * @param {boolean} mustChange - Whether the user must change it at the next login
+ */
+export async function setUserPassword(db, userId, passwordHash, mustChange = false) {
+  await db.run(
+    'UPDATE users SET passwordHash = ?, mustChangePassword = ?, passwordChangedAt = ?, updatedAt = ? WHERE userId = ?',
+    passwordHash,
+    mustChange ? 1 : 0,
+    Date.now(),
+    Date.now(),
+    userId
+  );
+}
+
+/**
+ * Enable or disable TOTP for a user
+ * @param {Object} db - SQLite database instance
+ * @param {string} userId - Telegram user ID
+ * @param {string|null} encryptedSecret - Encrypted TOTP secret, null to disable
+ * @param {number|null} lastStep - Time step of the code used to confirm enrolment
+ */
+export async function setUserTotp(db, userId, encryptedSecret, lastStep = null) {
+  await db.run(
+    'UPDATE users SET totpSecret = ?, totpEnabled = ?, totpLastStep = ?, updatedAt = ? WHERE userId = ?',
+    encryptedSecret,
+    encryptedSecret ? 1 : 0,
+    lastStep,
+    Date.now(),
+    userId
+  );
+}
+
+/**
+ * Remember the last accepted TOTP time step so a code cannot be used twice
+ * @param {Object} db - SQLite database instance
+ * @param {string} userId - Telegram user ID
+ * @param {number} step - Accepted time step
+ */
+export async function setTotpLastStep(db, userId, step) {
+  await db.run('UPDATE users SET totpLastStep = ? WHERE userId = ?', step, userId);
+}
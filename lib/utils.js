@@ -43,4 +43,99 @@ export function safeJsonParse(jsonString, defaultValue = {}) {
     } catch (error) {
         return defaultValue;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Validates an email address
+ * @param {string} email - The email address to validate
+ * @returns {boolean} Whether the email address is valid
+ */
+export function isValidEmail(email) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(email);
+}
+
+// Asia/Jakarta has no daylight saving time, so a fixed offset is exact
+export const JAKARTA_OFFSET_MS = 7 * 60 * 60 * 1000;
+
+/**
+ * Gets the start of the Asia/Jakarta calendar day containing a date
+ * @param {Date} [date] - Reference date, defaults to now
+ * @returns {Date} Midnight in Jakarta, as a UTC instant
+ */
+export function startOfJakartaDay(date = new Date()) {
+    const local = new Date(date.getTime() + JAKARTA_OFFSET_MS);
+    local.setUTCHours(0, 0, 0, 0);
+    return new Date(local.getTime() - JAKARTA_OFFSET_MS);
+}
+
+/**
+ * Gets the start of the Asia/Jakarta calendar month containing a date
+ * @param {Date} [date] - Reference date, defaults to now
+ * @returns {Date} The first of the month at midnight in Jakarta, as a UTC instant
+ */
+export function startOfJakartaMonth(date = new Date()) {
+    const local = new Date(date.getTime() + JAKARTA_OFFSET_MS);
+    local.setUTCDate(1);
+    local.setUTCHours(0, 0, 0, 0);
+    return new Date(local.getTime() - JAKARTA_OFFSET_MS);
+}
+
+/**
+ * Keeps a text cell from being read as a formula by spreadsheet apps
+ * @param {*} value - Cell value, only strings are changed
+ * @returns {*} The value, with a leading apostrophe if it starts like a formula
+ */
+export function neutralizeFormula(value) {
+    return typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+/**
+ * Formats one row of a CSV file, quoting cells that need it
+ * @param {Array} values - Cell values
+ * @returns {string} CSV line without a line break
+ */
+export function formatCsvRow(values) {
+    return values.map(value => {
+        const text = value === null || value === undefined ? '' : String(neutralizeFormula(value));
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',');
+}
+
+/**
+ * Formats a date as "YYYY-MM-DD HH:mm" in Asia/Jakarta time, for files read by spreadsheets
+ * @param {Date|number|string} date - Date to format
+ * @returns {string} Formatted date
+ */
+export function formatJakartaDateTime(date) {
+    const local = new Date(new Date(date).getTime() + JAKARTA_OFFSET_MS);
+    return local.toISOString().slice(0, 16).replace('T', ' ');
+}
+
+/**
+ * Parses a "YYYY-MM-DD" calendar date as midnight in Asia/Jakarta
+ * @param {string} text - Date to parse
+ * @returns {Date|null} Midnight in Jakarta as a UTC instant, or null if not a real date
+ */
+export function parseJakartaDate(text) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(text).trim());
+    if (!match) return null;
+
+    const [year, month, day] = match.slice(1).map(Number);
+    const local = new Date(Date.UTC(year, month - 1, day));
+
+    // Date.UTC rolls over dates like 2026-02-30, so compare the parts back
+    if (local.getUTCFullYear() !== year || local.getUTCMonth() !== month - 1 || local.getUTCDate() !== day) {
+        return null;
+    }
+
+    return new Date(local.getTime() - JAKARTA_OFFSET_MS);
+}
+
+/**
+ * Escapes text from outside the bot for Telegram HTML messages
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
@@ -195,4 +195,241 @@ export async function completeDANASetup(ctx, session, accountName, statusMsg, sd
     });
     throw error;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Translate OVO API errors into user-friendly messages
+ * @param {string} message - Raw error message from the API
+ * @returns {string} Localized error message
+ */
+function getOVOErrorMessage(message = '') {
+  const normalized = message.toLowerCase();
+  
+  if (normalized.includes('not registered') || normalized.includes('not found')) {
+    return 'Nomor telepon belum terdaftar di OVO';
+  }
+  if (normalized.includes('otp') && normalized.includes('expired')) {
+    return 'Kode OTP OVO telah kedaluwarsa. Silakan mulai kembali dengan /add';
+  }
+  if (normalized.includes('invalid otp') || normalized.includes('otp invalid')) {
+    return 'Kode OTP OVO salah';
+  }
+  if (normalized.includes('security code') || normalized.includes('invalid pin')) {
+    return 'Security code (PIN) OVO salah';
+  }
+  if (normalized.includes('blocked') || normalized.includes('locked')) {
+    return 'Akun OVO terblokir sementara. Silakan coba lagi nanti atau hubungi OVO';
+  }
+  if (normalized.includes('too many')) {
+    return 'Terlalu banyak permintaan ke OVO. Silakan tunggu beberapa menit';
+  }
+  
+  return message || 'Error tidak diketahui';
+}
+
+/**
+ * Handle OVO initiation process
+ * @param {Object} ctx - Telegram context
+ * @param {Object} session - Session object
+ * @param {Object} statusMsg - Status message object
+ * @param {Object} sdk - SDK instance
+ * @param {Object} sessionUpdater - Session updater functions
+ */
+export async function handleOVOInitiation(ctx, session, statusMsg, sdk, sessionUpdater) {
+  const chatId = ctx.callbackQuery?.message?.chat.id.toString() || ctx.chat?.id.toString();
+  if (!chatId) {
+    throw new Error("Tidak dapat menentukan ID chat");
+  }
+  
+  const phoneNumber = session.data.phoneNumber;
+  const verificationMethod = session.data.verificationMethod || 'SMS';
+  
+  logger.info('wallet.ovo.init', 'Initiating OVO setup', {
+    phoneNumber: `****${phoneNumber?.slice(-4) || 'unknown'}`,
+    verificationMethod
+  });
+  
+  try {
+    // Update message to show we're processing
+    await ctx.telegram.editMessageText(
+      chatId,
+      statusMsg.message_id,
+      undefined,
+      `Meminta OTP untuk OVO melalui ${verificationMethod === 'SMS' ? 'SMS' : 'WhatsApp'}... Mohon tunggu.`
+    );
+    
+    // OVO only needs the phone number to send the OTP, the security code is used at the last step
+    const response = await sdk.addAccount({
+      action: 'ovo-send-otp',
+      phoneNumber,
+      providerCode: 'OVO',
+      accountName: "Akun OVO", // Temporary name, will update later
+      intervalMinutes: 1, // Default interval
+      verificationMethod
+    });
+    
+    if (!response.success) {
+      logger.error('wallet.ovo.init', 'Failed to send OTP', {
+        message: response.message
+      });
+      throw new Error('Gagal mengirim OTP: ' + getOVOErrorMessage(response.message));
+    }
+    
+    await updateSessionData(session, sessionUpdater, {
+      state: 'awaiting_otp',
+      data: {
+        sessionId: response.sessionId
+      }
+    });
+    
+    // Prompt for OTP
+    await ctx.telegram.editMessageText(
+      chatId,
+      statusMsg.message_id,
+      undefined,
+      `OTP OVO telah dikirim ke ${verificationMethod === 'SMS' ? 'nomor telepon' : 'WhatsApp'} Anda yang berakhiran ${phoneNumber.slice(-4)}.\n\nSilakan masukkan kode OTP yang Anda terima atau ketik /cancel untuk membatalkan.`
+    );
+    
+    logger.info('wallet.ovo.init', 'OTP requested successfully');
+  } catch (error) {
+    logger.error('wallet.ovo.init', 'Error initiating OVO process', {
+      error: error instanceof Error ? error.message : 'Unknown error',
+      phoneNumber: `****${phoneNumber?.slice(-4) || 'unknown'}`,
+      verificationMethod
+    });
+    throw error;
+  }
+}
+
+/**
+ * Verify OVO OTP
+ * @param {Object} ctx - Telegram context
+ * @param {Object} session - Session object
+ * @param {string} otp - OTP code
+ * @param {Object} statusMsg - Status message object
+ * @param {Object} sdk - SDK instance
+ * @param {Object} sessionUpdater - Session updater functions
+ */
+export async function verifyOVOOtp(ctx, session, otp, statusMsg, sdk, sessionUpdater) {
+  const chatId = ctx.chat?.id.toString();
+  if (!chatId) {
+    throw new Error("Tidak dapat menentukan ID chat");
+  }
+  
+  logger.info('wallet.ovo.otp', 'Verifying OVO OTP');
+  
+  try {
+    // Update message to show we're processing
+    await ctx.telegram.editMessageText(
+      chatId,
+      statusMsg.message_id,
+      undefined,
+      `Memverifikasi OTP OVO... Mohon tunggu.`
+    );
+    
+    // Unlike DANA, OVO validates the OTP before asking for the security code
+    const response = await sdk.verifyAccount({
+      action: 'ovo-verify-otp',
+      sessionId: session.data.sessionId,
+      otp
+    });
+    
+    if (!response.success) {
+      logger.error('wallet.ovo.otp', 'Failed to verify OTP', {
+        message: response.message
+      });
+      throw new Error('Gagal memverifikasi OTP: ' + getOVOErrorMessage(response.message));
+    }
+    
+    await updateSessionData(session, sessionUpdater, {
+      state: 'awaiting_name',
+      data: {
+        otp,
+        sessionId: response.sessionId || session.data.sessionId
+      }
+    });
+    
+    await ctx.telegram.editMessageText(
+      chatId,
+      statusMsg.message_id,
+      undefined,
+      `✅ OTP OVO terverifikasi.`
+    );
+    
+    await ctx.reply(`Silakan masukkan nama untuk akun OVO ini (contoh: "OVO Kasir"):`);
+    
+    logger.info('wallet.ovo.otp', 'OTP verification successful, awaiting account name');
+  } catch (error) {
+    logger.error('wallet.ovo.otp', 'Error verifying OVO OTP', {
+      error: error instanceof Error ? error.message : 'Unknown error'
+    });
+    throw error;
+  }
+}
+
+/**
+ * Complete OVO setup
+ * @param {Object} ctx - Telegram context
+ * @param {Object} session - Session object
+ * @param {string} accountName - Account name
+ * @param {Object} statusMsg - Status message object
+ * @param {Object} sdk - SDK instance
+ * @param {Object} sessionUpdater - Session updater functions
+ */
+export async function completeOVOSetup(ctx, session, accountName, statusMsg, sdk, sessionUpdater) {
+  const chatId = ctx.chat?.id.toString();
+  if (!chatId) {
+    throw new Error("Tidak dapat menentukan ID chat");
+  }
+  
+  const phoneNumber = session.data.phoneNumber;
+  logger.info('wallet.ovo.complete', 'Completing OVO setup', {
+    accountName,
+    phoneNumber: `****${phoneNumber?.slice(-4) || 'unknown'}`
+  });
+  
+  try {
+    // Update message to show we're processing
+    await ctx.telegram.editMessageText(
+      chatId,
+      statusMsg.message_id,
+      undefined,
+      `Memverifikasi security code dan menyiapkan akun OVO Anda... Mohon tunggu.`
+    );
+    
+    // Submit the security code to finish the OVO login
+    const response = await sdk.verifyAccount({
+      action: 'ovo-verify-pin',
+      sessionId: session.data.sessionId,
+      pin: session.data.pin,
+      accountName
+    });
+    
+    if (!response.success) {
+      logger.error('wallet.ovo.complete', 'Failed to complete setup', {
+        message: response.message
+      });
+      throw new Error('Gagal menyiapkan akun: ' + getOVOErrorMessage(response.message));
+    }
+    
+    // Success message
+    await ctx.telegram.editMessageText(
+      chatId,
+      statusMsg.message_id,
+      undefined,
+      `✅ Akun OVO Anda telah berhasil ditambahkan!\n\nNama akun: ${accountName}\nTelepon: ****${session.data.phoneNumber.slice(-4)}`
+    );
+    
+    // Delete session - using the sessionUpdater directly as it's already passed in
+    if (sessionUpdater && typeof sessionUpdater.deleteSession === 'function') {
+      await sessionUpdater.deleteSession(session.id);
+    }
+    
+    logger.info('wallet.ovo.complete', 'OVO setup completed successfully');
+  } catch (error) {
+    logger.error('wallet.ovo.complete', 'Error completing OVO setup', {
+      error: error instanceof Error ? error.message : 'Unknown error'
+    });
+    throw error;
+  }
+}
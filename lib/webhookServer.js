@@ -0,0 +1,216 @@
+// lib/webhookServer.js
+import crypto from 'crypto';
+import http from 'http';
+import { logger } from './logger.js';
+import { formatTransactionNotification } from './accountHandler.js';
+
+const MAX_BODY_SIZE = 1024 * 1024; // 1 MB
+
+/**
+ * Verify the HMAC-SHA256 signature of a webhook body
+ * @param {Buffer} rawBody - Raw request body
+ * @param {string} signature - Signature header, hex with optional "sha256=" prefix
+ * @param {string} secret - Shared webhook secret
+ * @returns {boolean} True if the signature is valid
+ */
+export function verifyWebhookSignature(rawBody, signature, secret) {
+  if (!signature || !secret) return false;
+  
+  const received = Buffer.from(signature.replace(/^sha256=/, ''), 'hex');
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  
+  if (received.length !== expected.length) return false;
+  return crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Read the full request body with a size limit
+ * @param {Object} req - HTTP request
+ * @returns {Promise<Buffer>} Raw body
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(new Error('Payload too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Send a JSON response
+ * @param {Object} res - HTTP response
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Deliver one mutation event to every chat following its account
+ * Deliveries are recorded per chat, so a retried event only goes to the chats that missed it
+ * @param {Object} bot - Telegraf bot instance
+ * @param {Object} db - SQLite database instance
+ * @param {Object} tx - Transaction from the webhook payload
+ * @returns {Object} Whether the event was seen before, how many chats were notified and how many sends failed
+ */
+export async function handleMutationEvent(bot, db, tx) {
+  const accountId = tx.accountId || tx.account?.id;
+  
+  if (!tx.id || !accountId) {
+    throw new Error('Transaction id and account id are required');
+  }
+  
+  const result = await db.run(
+    'INSERT OR IGNORE INTO webhook_events (transactionId, accountId, receivedAt) VALUES (?, ?, ?)',
+    tx.id,
+    accountId,
+    Date.now()
+  );
+  const duplicate = result.changes === 0;
+  
+  if (tx.type !== 'CREDIT' && tx.type !== 'DEBIT') {
+    return { duplicate, delivered: 0, failed: 0 };
+  }
+  
+  const chats = await db.all(`
+    SELECT na.chatId
+    FROM notification_accounts na
+    JOIN notification_subscriptions ns ON ns.chatId = na.chatId
+    WHERE ns.enabled = 1 AND na.enabled = 1 AND na.accountId = ?
+  `, accountId);
+  
+  let delivered = 0;
+  let failed = 0;
+  for (const { chatId } of chats) {
+    // Claimed before sending, so a retry arriving at the same time cannot notify the chat twice
+    const claim = await db.run(
+      'INSERT OR IGNORE INTO webhook_deliveries (transactionId, chatId, deliveredAt) VALUES (?, ?, ?)',
+      tx.id,
+      chatId,
+      Date.now()
+    );
+    if (claim.changes === 0) continue;
+    
+    try {
+      await bot.telegram.sendMessage(chatId, formatTransactionNotification(tx), { parse_mode: 'HTML' });
+      delivered++;
+    } catch (error) {
+      logger.error('webhook.mutation', 'Failed to send notification', {
+        chatId,
+        transactionId: tx.id,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+      
+      // Released again so the platform's retry can deliver it, unless the bot was blocked or removed
+      await db.run('DELETE FROM webhook_deliveries WHERE transactionId = ? AND chatId = ?', tx.id, chatId);
+      if (error?.response?.error_code !== 403) failed++;
+    }
+  }
+  
+  if (duplicate && delivered === 0 && failed === 0) {
+    logger.info('webhook.mutation', 'Duplicate event ignored', { transactionId: tx.id });
+  } else {
+    logger.info('webhook.mutation', 'Mutation event delivered', {
+      transactionId: tx.id,
+      accountId,
+      delivered,
+      failed
+    });
+  }
+  
+  return { duplicate, delivered, failed };
+}
+
+/**
+ * Create the request listener for Mutasiku webhooks
+ * @param {Object} bot - Telegraf bot instance
+ * @param {Object} db - SQLite database instance
+ * @returns {Function} HTTP request listener
+ */
+export function createWebhookRequestListener(bot, db) {
+  const secret = process.env.MUTASIKU_WEBHOOK_SECRET;
+  const webhookPath = process.env.MUTASIKU_WEBHOOK_PATH || '/webhooks/mutasiku';
+  
+  return async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    
+    if (req.method === 'GET' && pathname === '/health') {
+      return sendJson(res, 200, { status: 'ok' });
+    }
+    
+    if (!secret || pathname !== webhookPath) {
+      return sendJson(res, 404, { status: 'error', message: 'Not found' });
+    }
+    
+    if (req.method !== 'POST') {
+      return sendJson(res, 405, { status: 'error', message: 'Method not allowed' });
+    }
+    
+    try {
+      const rawBody = await readBody(req);
+      
+      if (!verifyWebhookSignature(rawBody, req.headers['x-mutasiku-signature'], secret)) {
+        logger.warn('webhook.mutation', 'Rejected webhook with invalid signature', {
+          ip: req.socket?.remoteAddress
+        });
+        return sendJson(res, 401, { status: 'error', message: 'Invalid signature' });
+      }
+      
+      const payload = JSON.parse(rawBody.toString('utf8'));
+      const events = Array.isArray(payload.data) ? payload.data : [payload.data];
+      
+      let delivered = 0;
+      let duplicates = 0;
+      let failed = 0;
+      for (const tx of events.filter(Boolean)) {
+        const result = await handleMutationEvent(bot, db, tx);
+        delivered += result.delivered;
+        failed += result.failed;
+        if (result.duplicate) duplicates++;
+      }
+      
+      // An error status makes the platform retry, and the retry only reaches the chats that missed it
+      if (failed > 0) {
+        return sendJson(res, 503, { status: 'error', message: 'Some notifications could not be sent', delivered, failed });
+      }
+      
+      return sendJson(res, 200, { status: 'success', delivered, duplicates });
+    } catch (error) {
+      logger.error('webhook.mutation', 'Error handling webhook', {
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+      
+      const statusCode = error instanceof SyntaxError || error.message === 'Transaction id and account id are required' ? 400 : 500;
+      return sendJson(res, statusCode, { status: 'error', message: 'Invalid webhook' });
+    }
+  };
+}
+
+/**
+ * Start a standalone HTTP server for Mutasiku webhooks (used when Telegram runs in polling mode)
+ * @param {Function} listener - HTTP request listener
+ * @returns {Object} HTTP server
+ */
+export function startWebhookServer(listener) {
+  const port = parseInt(process.env.HTTP_PORT) || 3001;
+  const server = http.createServer(listener);
+  
+  server.listen(port, () => {
+    logger.info('webhook.init', `Webhook server listening on port ${port}`);
+  });
+  
+  return server;
+}